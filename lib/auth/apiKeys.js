@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { createCollection } = require('../storage');
+
+// API keys for the mutating Minecraft routes.
+//
+// Keys look like "shrek_<id>_<secret>". Only a SHA-256 hash of the full key
+// is stored; the plain key is returned once, when it is issued. The id part
+// lets us find the record without scanning every hash.
+
+const KEY_PREFIX = 'shrek';
+
+const SCOPES = {
+  'mc:config:read': 'Read server configs, including RCON settings',
+  'mc:config:write': 'Add, update, delete and check servers, run RCON commands',
+  'mc:automation:write': 'Create, change and execute automation rules',
+  'mc:economy:write': 'Create economies, change balances, shops, auctions and banking',
+  'mc:permissions:admin': 'Manage permission groups, users and whitelists',
+  'mc:moderation:write': 'Manage moderation systems, filters and violations',
+  'mc:notifications:read': 'List notification channels and the delivery log',
+  'mc:notifications:write': 'Register, change, test and delete notification channels',
+  'mc:worlds:read': 'List registered worlds and read their player statistics',
+  'mc:worlds:write': 'Register and delete worlds',
+  'api:keys:admin': 'Issue, list and revoke API keys'
+};
+
+// Holding a scope on the left also grants the scopes on the right
+const IMPLIED_SCOPES = {
+  'mc:config:write': ['mc:config:read'],
+  'mc:notifications:write': ['mc:notifications:read'],
+  'mc:worlds:write': ['mc:worlds:read']
+};
+
+const apiKeys = createCollection('auth.apiKeys');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+
+  const unknown = scopes.filter(scope => !isKnownScope(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+function isKnownScope(scope) {
+  if (scope === '*') return true;
+  if (scope.endsWith(':*')) {
+    const prefix = scope.slice(0, -1);
+    return Object.keys(SCOPES).some(known => known.startsWith(prefix));
+  }
+  return Object.prototype.hasOwnProperty.call(SCOPES, scope);
+}
+
+function hasScope(granted, required) {
+  return granted.some(scope => {
+    if (scope === '*' || scope === required) return true;
+    if (scope.endsWith(':*') && required.startsWith(scope.slice(0, -1))) return true;
+    return (IMPLIED_SCOPES[scope] || []).includes(required);
+  });
+}
+
+function issueApiKey({ name, scopes, tier = null, expiresAt = null, createdBy = null }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+  const record = {
+    id,
+    name,
+    scopes: Array.from(new Set(scopes)),
+    tier,
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    expiresAt,
+    revokedAt: null,
+    lastUsedAt: null
+  };
+
+  apiKeys.set(id, record);
+  return { key, record: formatApiKey(record) };
+}
+
+function revokeApiKey(id) {
+  const record = apiKeys.get(id);
+  if (!record) return null;
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    apiKeys.set(id, record);
+  }
+  return formatApiKey(record);
+}
+
+function listApiKeys() {
+  return Array.from(apiKeys.values()).map(formatApiKey);
+}
+
+// Resolve a presented key to its record. Returns null for unknown, revoked
+// or expired keys. ADMIN_API_KEY from the environment acts as a root key
+// with every scope so the first real keys can be issued.
+function authenticateKey(key) {
+  if (typeof key !== 'string' || key.length === 0) return null;
+
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (adminKey && safeEqual(hashKey(key), hashKey(adminKey))) {
+    return { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['*'] };
+  }
+
+  const match = key.match(/^shrek_([a-f0-9]{12})_[A-Za-z0-9_-]+$/);
+  if (!match) return null;
+
+  const record = apiKeys.get(match[1]);
+  if (!record || !safeEqual(hashKey(key), record.hash)) return null;
+  if (record.revokedAt) return null;
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) return null;
+
+  // The periodic flush only writes collections marked as changed
+  record.lastUsedAt = new Date().toISOString();
+  apiKeys.set(record.id, record);
+  return record;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function extractKey(req) {
+  const header = req.get('authorization');
+  if (header && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+// Express middleware: rejects the request unless it carries a valid key
+// holding `scope`. The resolved key is exposed as req.apiKey.
+function requireScope(scope) {
+  return (req, res, next) => {
+    const key = extractKey(req);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer realm="ShrekAPI"');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'An API key is required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".',
+        requiredScope: scope
+      });
+    }
+
+    const apiKey = authenticateKey(key);
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer realm="ShrekAPI", error="invalid_token"');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'API key is invalid, expired or revoked'
+      });
+    }
+
+    if (!hasScope(apiKey.scopes, scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key is missing the required scope: ${scope}`,
+        requiredScope: scope,
+        grantedScopes: apiKey.scopes
+      });
+    }
+
+    req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+    next();
+  };
+}
+
+// Protect a route group: GET/HEAD need `read` (public when omitted), every
+// other method needs `write`. `publicRoutes` lists "METHOD /path" entries,
+// relative to the mount point, that stay open (e.g. read-only POST checks).
+function protectRouteGroup({ read = null, write, publicRoutes = [] }) {
+  const requireRead = read ? requireScope(read) : null;
+  const requireWrite = requireScope(write);
+
+  return (req, res, next) => {
+    if (publicRoutes.includes(`${req.method} ${req.path}`)) return next();
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      return requireRead ? requireRead(req, res, next) : next();
+    }
+    if (req.method === 'OPTIONS') return next();
+
+    return requireWrite(req, res, next);
+  };
+}
+
+function formatApiKey(record) {
+  const { hash, ...rest } = record;
+  return {
+    ...rest,
+    status: record.revokedAt ? 'revoked'
+      : record.expiresAt && new Date(record.expiresAt) <= new Date() ? 'expired'
+        : 'active'
+  };
+}
+
+module.exports = {
+  SCOPES,
+  issueApiKey,
+  revokeApiKey,
+  listApiKeys,
+  authenticateKey,
+  extractKey,
+  validateScopes,
+  hasScope,
+  requireScope,
+  protectRouteGroup
+};
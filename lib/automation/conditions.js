@@ -0,0 +1,226 @@
+// Automation rule conditions, evaluated against the monitoring history that
+// routes/minecraft/config.js records for every configured server.
+//
+// Server-scoped conditions take `serverId` / `serverIds` in their config and
+// fall back to the server from the execution context (the server whose check
+// or alert triggered the rule). With several servers, every server has to
+// match unless `match: 'any'` is set.
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const AGGREGATES = {
+  latest: values => values[values.length - 1],
+  avg: values => values.reduce((sum, value) => sum + value, 0) / values.length,
+  min: values => Math.min(...values),
+  max: values => Math.max(...values)
+};
+
+// Metrics that can be read from a monitoring history entry
+const METRICS = {
+  online: entry => (entry.online ? 1 : 0),
+  players: entry => entry.players?.online ?? 0,
+  players_percent: entry => (entry.players?.max ? (entry.players.online / entry.players.max) * 100 : 0),
+  ping: entry => (typeof entry.ping === 'number' ? entry.ping : null)
+};
+
+const CONDITION_TYPES = {
+  server_online: evaluateServerOnline,
+  player_count: (config, env) => evaluateMetricComparison('players', config, env),
+  ping: (config, env) => evaluateMetricComparison('ping', config, env),
+  metric: (config, env) => evaluateMetricComparison(config.metric, config, env),
+  metric_threshold: evaluateMetricThreshold,
+  alert_severity: evaluateAlertSeverity,
+  time_range: evaluateTimeRange
+};
+
+function evaluateCondition(condition, env) {
+  const evaluator = CONDITION_TYPES[condition.type];
+  if (!evaluator) {
+    return { type: condition.type, met: false, reason: `Unknown condition type: ${condition.type}` };
+  }
+
+  const result = evaluator(condition.config || {}, env);
+  return { type: condition.type, ...result };
+}
+
+function validateCondition(condition) {
+  if (!condition || !CONDITION_TYPES[condition.type]) {
+    return `Unknown condition type: ${condition?.type}. Supported: ${Object.keys(CONDITION_TYPES).join(', ')}`;
+  }
+
+  const config = condition.config || {};
+  if (['player_count', 'ping', 'metric'].includes(condition.type)) {
+    if (!OPERATORS[config.operator]) {
+      return `${condition.type} condition needs an operator (${Object.keys(OPERATORS).join(' ')})`;
+    }
+    if (typeof config.value !== 'number') {
+      return `${condition.type} condition needs a numeric value`;
+    }
+  }
+  if (condition.type === 'metric' && !METRICS[config.metric]) {
+    return `metric condition needs one of: ${Object.keys(METRICS).join(', ')}`;
+  }
+  if (config.aggregate && !AGGREGATES[config.aggregate]) {
+    return `Unknown aggregate: ${config.aggregate}`;
+  }
+
+  return null;
+}
+
+function getServerIds(config, env) {
+  if (Array.isArray(config.serverIds) && config.serverIds.length > 0) return config.serverIds;
+  if (config.serverId) return [config.serverId];
+  if (env.context?.serverId) return [env.context.serverId];
+  return [];
+}
+
+// Collect a metric for one server: the latest check, or an aggregate over
+// the last `window` seconds of history
+function readMetric(metric, serverId, config, env) {
+  const monitoring = env.getMonitoringData(serverId);
+  const history = monitoring?.history || [];
+  if (history.length === 0) {
+    return { serverId, value: null, reason: 'No monitoring data' };
+  }
+
+  const maxAge = config.maxAge ? config.maxAge * 1000 : null;
+  const latest = history[history.length - 1];
+  if (maxAge && env.now - new Date(latest.timestamp).getTime() > maxAge) {
+    return { serverId, value: null, reason: `Latest check is older than ${config.maxAge}s` };
+  }
+
+  const entries = config.window
+    ? history.filter(entry => env.now - new Date(entry.timestamp).getTime() <= config.window * 1000)
+    : [latest];
+  const values = entries.map(METRICS[metric]).filter(value => value !== null);
+  if (values.length === 0) {
+    return { serverId, value: null, reason: `No ${metric} samples` };
+  }
+
+  const aggregate = AGGREGATES[config.aggregate || (config.window ? 'avg' : 'latest')];
+  return { serverId, value: Math.round(aggregate(values) * 100) / 100, samples: values.length };
+}
+
+function combine(results, config) {
+  const matched = results.filter(result => result.met);
+  const met = config.match === 'any' ? matched.length > 0 : matched.length === results.length;
+  return { met, servers: results };
+}
+
+function evaluateServerOnline(config, env) {
+  const serverIds = getServerIds(config, env);
+  if (serverIds.length === 0) return { met: false, reason: 'No server to check' };
+
+  const expected = config.online !== false;
+  const results = serverIds.map(serverId => {
+    const reading = readMetric('online', serverId, config, env);
+    if (reading.value === null) return { ...reading, met: false };
+    const online = reading.value >= 0.5;
+    return { serverId, online, met: online === expected };
+  });
+
+  return combine(results, config);
+}
+
+function evaluateMetricComparison(metric, config, env) {
+  if (!METRICS[metric]) return { met: false, reason: `Unknown metric: ${metric}` };
+  const compare = OPERATORS[config.operator];
+  if (!compare) return { met: false, reason: `Unknown operator: ${config.operator}` };
+
+  const serverIds = getServerIds(config, env);
+  if (serverIds.length === 0) return { met: false, reason: 'No server to check' };
+
+  const results = serverIds.map(serverId => {
+    const reading = readMetric(metric, serverId, config, env);
+    if (reading.value === null) return { ...reading, met: false };
+    return { ...reading, met: compare(reading.value, config.value) };
+  });
+
+  return combine(results, config);
+}
+
+// Auto-scale style thresholds: met when any supported metric is above its
+// `high` or below its `low` bound. Player thresholds are a percentage of
+// the max player count. CPU and memory are not exposed by the status
+// protocols, so they are reported as unavailable.
+function evaluateMetricThreshold(config, env) {
+  const serverIds = getServerIds(config, env);
+  if (serverIds.length === 0) return { met: false, reason: 'No server to check' };
+
+  const thresholds = config.thresholds || {};
+  const metricMap = { players: 'players_percent', ping: 'ping' };
+  const unavailable = (config.metrics || Object.keys(thresholds)).filter(metric => !metricMap[metric]);
+
+  const results = serverIds.map(serverId => {
+    const breaches = [];
+    for (const [name, metric] of Object.entries(metricMap)) {
+      const bounds = thresholds[name];
+      if (!bounds || (config.metrics && !config.metrics.includes(name))) continue;
+
+      const reading = readMetric(metric, serverId, config, env);
+      if (reading.value === null) continue;
+      if (bounds.high !== undefined && reading.value > bounds.high) {
+        breaches.push({ metric: name, value: reading.value, bound: 'high', threshold: bounds.high });
+      } else if (bounds.low !== undefined && reading.value < bounds.low) {
+        breaches.push({ metric: name, value: reading.value, bound: 'low', threshold: bounds.low });
+      }
+    }
+    return { serverId, breaches, met: breaches.length > 0 };
+  });
+
+  return {
+    met: results.some(result => result.met),
+    servers: results,
+    ...(unavailable.length > 0 && { unavailableMetrics: unavailable })
+  };
+}
+
+function evaluateAlertSeverity(config, env) {
+  const severity = env.context?.severity;
+  if (!severity) return { met: false, reason: 'No alert in execution context' };
+
+  const allowed = config.severity || [];
+  return {
+    met: allowed.length === 0 || allowed.includes(severity),
+    severity
+  };
+}
+
+// { start: '22:00', end: '06:00', days: [0-6], utcOffset: minutes }
+// Ranges may wrap past midnight. Times are UTC unless utcOffset is given.
+function evaluateTimeRange(config, env) {
+  const offset = parseInt(config.utcOffset) || 0;
+  const local = new Date(env.now + offset * 60000);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const start = parseClock(config.start ?? '00:00');
+  const end = parseClock(config.end ?? '23:59');
+  if (start === null || end === null) {
+    return { met: false, reason: 'start and end must be HH:MM' };
+  }
+
+  const inRange = start <= end
+    ? minutes >= start && minutes <= end
+    : minutes >= start || minutes <= end;
+  const dayMatches = !Array.isArray(config.days) || config.days.includes(local.getUTCDay());
+
+  return { met: inRange && dayMatches, time: local.toISOString().slice(11, 16) };
+}
+
+function parseClock(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+module.exports = {
+  CONDITION_TYPES: Object.keys(CONDITION_TYPES),
+  evaluateCondition,
+  validateCondition
+};
@@ -0,0 +1,36 @@
+const { reportToCsv } = require('../analytics');
+
+function csvRows(report, extras) {
+  return reportToCsv({ period: '7d', since: '2026-01-01T00:00:00.000Z', until: '2026-01-08T00:00:00.000Z', ...report }, extras)
+    .trim()
+    .split('\n');
+}
+
+test('prefixes cells that a spreadsheet would read as formulas', () => {
+  const rows = csvRows({
+    wealth: {
+      topHolders: [
+        { playerId: '=HYPERLINK("http://example.com","x")', balance: 10 },
+        { playerId: '+1+1', balance: 5 },
+        { playerId: '-2', balance: 4 },
+        { playerId: '@SUM(A1)', balance: 3 },
+        { playerId: '\tcmd', balance: 2 }
+      ]
+    }
+  }, { insights: ['=cmd|\' /C calc\'!A0'] });
+
+  // Arrays of players are keyed by playerId in the metric column
+  expect(rows).toContain('wealth,topHolders.+1+1.playerId,\'+1+1');
+  expect(rows).toContain('wealth,topHolders.-2.playerId,\'-2');
+  expect(rows).toContain('wealth,topHolders.@SUM(A1).playerId,\'@SUM(A1)');
+  expect(rows).toContain('wealth,topHolders.\tcmd.playerId,\'\tcmd');
+  expect(rows).toContain('wealth,"topHolders.=HYPERLINK(""http://example.com"",""x"").playerId","\'=HYPERLINK(""http://example.com"",""x"")"');
+  expect(rows).toContain('insights,1,\'=cmd|\' /C calc\'!A0');
+});
+
+test('leaves numbers and plain text as they are', () => {
+  const rows = csvRows({ inflation: { averageChange: -2.5, note: 'prices, mostly stable' } });
+
+  expect(rows).toContain('inflation,averageChange,-2.5');
+  expect(rows).toContain('inflation,note,"prices, mostly stable"');
+});
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const ledger = require('../ledger');
+const banking = require('../banking');
+
+const DAY = 86400000;
+
+function createEconomy() {
+  return {
+    id: crypto.randomUUID(),
+    settings: { minBalance: 0, maxBalance: 1000000, banking: { loanRate: 0.1 } },
+    players: new Map([['steve', { id: 'steve', balance: 0 }]]),
+    statistics: {}
+  };
+}
+
+// Gives the borrower enough on top of the loan to cover its interest
+function fund(economy, amount) {
+  ledger.post(economy, {
+    type: 'adjustment',
+    entries: [
+      { account: ledger.SYSTEM_ACCOUNTS.issuance, amount: -amount },
+      { account: ledger.playerAccount('steve'), amount }
+    ]
+  });
+}
+
+function scheduledInterest(loan) {
+  return Math.round(loan.schedule.reduce((sum, installment) => sum + installment.interest, 0) * 100) / 100;
+}
+
+test('charges interest on installments paid one by one before their due date', () => {
+  const economy = createEconomy();
+  fund(economy, 100);
+  const loan = banking.issueLoan(economy, { playerId: 'steve', amount: 400, payments: 4, frequency: 'weekly' });
+  const interest = scheduledInterest(loan);
+  expect(interest).toBeGreaterThan(0);
+
+  loan.schedule.map(installment => installment.dueDate).forEach(dueDate => {
+    banking.repayLoan(economy, loan, {}, new Date(dueDate).getTime() - 60000);
+  });
+
+  expect(loan.status).toBe('paid');
+  expect(loan.outstanding).toBe(0);
+  expect(scheduledInterest(loan)).toBe(interest);
+  expect(ledger.balanceOf(economy, ledger.SYSTEM_ACCOUNTS.interest)).toBe(interest);
+  expect(ledger.balanceOf(economy, ledger.playerAccount('steve'))).toBe(Math.round((500 - 400 - interest) * 100) / 100);
+});
+
+test('waives interest on installments that are not yet due when paying off', () => {
+  const economy = createEconomy();
+  fund(economy, 100);
+  const loan = banking.issueLoan(economy, { playerId: 'steve', amount: 400, payments: 4, frequency: 'weekly' });
+  const [first] = loan.schedule;
+
+  // The first installment is due, the other three are paid off early
+  banking.repayLoan(economy, loan, { payoff: true }, new Date(first.dueDate).getTime() + DAY);
+
+  expect(loan.status).toBe('paid');
+  expect(ledger.balanceOf(economy, ledger.SYSTEM_ACCOUNTS.interest)).toBe(first.interest);
+  expect(loan.schedule.slice(1).every(installment => installment.interest === 0)).toBe(true);
+});
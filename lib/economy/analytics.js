@@ -0,0 +1,381 @@
+const { parseTimeRange, percentile } = require('../monitoring/history');
+const ledger = require('./ledger');
+const banking = require('./banking');
+
+// Economy analytics computed from the ledger, player balances and shop
+// price history. The money supply is everything held outside system
+// accounts: wallets, bank accounts and auction escrow. A player's wealth
+// is their balance plus their bank accounts.
+//
+// Velocity is the money players spent over the period (moving money into
+// their own bank accounts doesn't count) divided by the average money
+// supply. Inflation is a Jevons index: the geometric mean of every shop
+// item's buy price at the end of the period over its price at the start.
+
+const SECTIONS = ['moneySupply', 'wealth', 'flows', 'velocity', 'jobs', 'inflation', 'banking'];
+const WEALTH_PERCENTILES = [10, 25, 50, 75, 90, 99];
+const HOUR = 60 * 60 * 1000;
+// Timeline buckets: the smallest size that keeps a period under MAX_POINTS points
+const BUCKET_SIZES = [HOUR, 6 * HOUR, 24 * HOUR, 7 * 24 * HOUR];
+const MAX_POINTS = 60;
+const INTERNAL_TYPES = ['bank_deposit', 'bank_withdrawal'];
+
+// The full report for an economy over a period such as '24h' or '30d'.
+// shopList holds the economy's shops.
+function economyReport(economy, shopList = [], { period = '7d', now = Date.now() } = {}) {
+  const range = parseTimeRange(period);
+  const since = now - range;
+  const postings = ledger.getPostings(economy);
+  const inPeriod = postings.filter(posting => {
+    const time = new Date(posting.timestamp).getTime();
+    return time >= since && time <= now;
+  });
+  const moneySupply = moneySupplyTimeline(economy, postings, since, now, range);
+
+  return {
+    period,
+    since: new Date(since).toISOString(),
+    until: new Date(now).toISOString(),
+    moneySupply,
+    wealth: wealthDistribution(economy),
+    flows: currencyFlows(inPeriod, moneySupply),
+    velocity: transactionVelocity(inPeriod, moneySupply, range),
+    jobs: jobEarnings(economy, inPeriod),
+    inflation: estimateInflation(shopList, since, now),
+    banking: banking.summarizeBanking(economy)
+  };
+}
+
+// Observations about a report, worst first
+function generateInsights(report) {
+  const insights = [];
+  const { wealth, flows, velocity, inflation, moneySupply } = report;
+
+  if (wealth.players === 0) {
+    insights.push('No players have joined this economy yet');
+    return insights;
+  }
+  if (wealth.gini >= 0.6) {
+    insights.push(`Wealth is highly concentrated (Gini ${wealth.gini}); the top 10% hold ${percent(wealth.top10Share)} of it`);
+  } else if (wealth.gini <= 0.3) {
+    insights.push(`Wealth is evenly spread (Gini ${wealth.gini})`);
+  }
+  if (inflation.items > 0 && Math.abs(inflation.change) >= 0.05) {
+    insights.push(`Shop prices ${inflation.change > 0 ? 'rose' : 'fell'} ${percent(Math.abs(inflation.change))} over ${report.period}`);
+  }
+  if (moneySupply.change !== null && Math.abs(moneySupply.change) >= 0.1) {
+    insights.push(`The money supply ${moneySupply.change > 0 ? 'grew' : 'shrank'} ${percent(Math.abs(moneySupply.change))} over ${report.period}`);
+  }
+  if (flows.created.total > 0) {
+    insights.push(`Sinks removed ${percent(flows.sinkRatio)} of the money created over ${report.period}`);
+  }
+  if (velocity.transactions === 0) {
+    insights.push(`No transactions over ${report.period}`);
+  } else {
+    insights.push(`Each coin changed hands ${velocity.velocity} times over ${report.period} (${velocity.activePlayers} active player(s))`);
+  }
+  if (report.banking.totalDebt > 0) {
+    insights.push(`Players owe ${report.banking.totalDebt} in loans, ${percent(moneySupply.debtRatio)} of the money supply`);
+  }
+  return insights;
+}
+
+function generateRecommendations(report) {
+  const recommendations = [];
+  const { wealth, flows, velocity, inflation, moneySupply, banking: bank } = report;
+
+  if (inflation.items > 0 && inflation.change >= 0.05 || flows.created.total > 0 && flows.sinkRatio < 0.2) {
+    recommendations.push('Add money sinks or raise taxes and fees: money is being created faster than it is removed');
+  }
+  if (inflation.items > 0 && inflation.change <= -0.05) {
+    recommendations.push('Prices are falling; raise job wages or lower taxes to put more money into circulation');
+  }
+  if (wealth.gini >= 0.6) {
+    recommendations.push('Consider a wealth or progressive income tax to reduce wealth concentration');
+  }
+  if (velocity.transactions > 0 && velocity.velocity < 0.1) {
+    recommendations.push('Money is mostly being held; add shops, auctions or jobs that give players reasons to spend');
+  }
+  if (moneySupply.debtRatio > 0.5) {
+    recommendations.push('Debt is high compared to the money supply; lower maxLoan or raise the loan rate');
+  }
+  if (bank.loans.defaulted > 0 && bank.loans.defaulted >= bank.loans.paid) {
+    recommendations.push('As many loans default as are repaid; tighten lending limits');
+  }
+  if (inflation.items === 0) {
+    recommendations.push('Enable dynamic pricing in shops to track inflation from prices');
+  }
+  return recommendations;
+}
+
+// The report as CSV with one row per value: section,metric,value. Nested
+// values are named with dotted paths, list entries by their ID or index.
+function reportToCsv(report, { insights = [], recommendations = [] } = {}) {
+  const rows = [['section', 'metric', 'value'], ['report', 'period', report.period], ['report', 'since', report.since], ['report', 'until', report.until]];
+  SECTIONS.filter(section => report[section]).forEach(section => {
+    flatten(report[section]).forEach(([metric, value]) => rows.push([section, metric, value]));
+  });
+  insights.forEach((insight, index) => rows.push(['insights', String(index + 1), insight]));
+  recommendations.forEach((recommendation, index) => rows.push(['recommendations', String(index + 1), recommendation]));
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Helper functions
+
+// Money supply, issuance and debt at the end of every bucket, replayed
+// from the postings
+function moneySupplyTimeline(economy, postings, since, now, range) {
+  const bucketSize = BUCKET_SIZES.find(size => range / size <= MAX_POINTS) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+  const state = { supply: 0, issued: 0, debt: 0 };
+  const apply = posting => posting.entries.forEach(({ account, amount }) => {
+    const cents = Math.round(amount * 100);
+    if (!account.startsWith('system:')) state.supply += cents;
+    if (account === ledger.SYSTEM_ACCOUNTS.issuance) state.issued -= cents;
+    if (account.startsWith('system:loan:')) state.debt -= cents;
+  });
+
+  const timeline = [];
+  let index = 0;
+  const advance = until => {
+    while (index < postings.length && new Date(postings[index].timestamp).getTime() <= until) {
+      apply(postings[index++]);
+    }
+  };
+  advance(since);
+  const start = { ...state };
+  for (let time = since + bucketSize; time < now + bucketSize; time += bucketSize) {
+    const end = Math.min(time, now);
+    advance(end);
+    timeline.push({ timestamp: new Date(end).toISOString(), supply: state.supply / 100, issued: state.issued / 100, debt: state.debt / 100 });
+  }
+  advance(Infinity);
+
+  const balances = { wallets: 0, bankAccounts: 0, escrow: 0 };
+  ledger.getLedger(economy).accounts.forEach((cents, account) => {
+    if (account.startsWith('player:')) balances.wallets += cents;
+    else if (account.startsWith('bank:')) balances.bankAccounts += cents;
+    else if (!account.startsWith('system:')) balances.escrow += cents;
+  });
+  const current = state.supply / 100;
+
+  return {
+    current,
+    wallets: balances.wallets / 100,
+    bankAccounts: balances.bankAccounts / 100,
+    escrow: balances.escrow / 100,
+    issued: state.issued / 100,
+    debt: state.debt / 100,
+    netOfDebt: roundAmount(current - state.debt / 100),
+    debtRatio: current > 0 ? round(state.debt / state.supply, 3) : 0,
+    atStart: start.supply / 100,
+    change: start.supply > 0 ? round((state.supply - start.supply) / start.supply, 3) : null,
+    average: timeline.length > 0 ? roundAmount(timeline.reduce((sum, point) => sum + point.supply, 0) / timeline.length) : current,
+    bucketSize: bucketSize / 1000,
+    timeline
+  };
+}
+
+function wealthDistribution(economy) {
+  const players = Array.from(economy.players.values()).map(player => ({
+    playerId: player.id,
+    wealth: roundAmount(ledger.balanceOf(economy, ledger.playerAccount(player.id)) +
+      Object.values(player.bankAccounts || {}).reduce((sum, account) => sum + ledger.balanceOf(economy, ledger.bankAccount(player.id, account.type)), 0))
+  }));
+  const sorted = players.map(player => player.wealth).sort((a, b) => a - b);
+  const total = roundAmount(sorted.reduce((sum, wealth) => sum + wealth, 0));
+  const shareOfTop = fraction => {
+    if (total <= 0) return 0;
+    const top = sorted.slice(sorted.length - Math.max(1, Math.ceil(sorted.length * fraction)));
+    return round(top.reduce((sum, wealth) => sum + wealth, 0) / total, 3);
+  };
+
+  return {
+    players: players.length,
+    total,
+    mean: players.length > 0 ? roundAmount(total / players.length) : 0,
+    median: percentile(sorted, 50) ?? 0,
+    percentiles: Object.fromEntries(WEALTH_PERCENTILES.map(p => [`p${p}`, percentile(sorted, p) ?? 0])),
+    gini: gini(sorted),
+    top1Share: shareOfTop(0.01),
+    top10Share: shareOfTop(0.1),
+    richest: players.sort((a, b) => b.wealth - a.wealth).slice(0, 10)
+  };
+}
+
+// Money created and destroyed by posting type, and what the sinks took
+function currencyFlows(postings, moneySupply) {
+  const created = {};
+  const destroyed = {};
+  const sinks = { taxes: 0, fees: 0, interest: 0 };
+  const lending = { lent: 0, repaid: 0 };
+  const sinkAccounts = {
+    [ledger.SYSTEM_ACCOUNTS.taxes]: 'taxes',
+    [ledger.SYSTEM_ACCOUNTS.fees]: 'fees',
+    [ledger.SYSTEM_ACCOUNTS.interest]: 'interest'
+  };
+
+  postings.forEach(posting => posting.entries.forEach(({ account, amount }) => {
+    if (account === ledger.SYSTEM_ACCOUNTS.issuance) {
+      const totals = amount < 0 ? created : destroyed;
+      totals[posting.type] = (totals[posting.type] || 0) + Math.abs(amount);
+    } else if (sinkAccounts[account]) {
+      sinks[sinkAccounts[account]] += amount;
+    } else if (account.startsWith('system:loan:') && posting.type !== 'loan_write_off') {
+      if (amount < 0) lending.lent -= amount;
+      else lending.repaid += amount;
+    }
+  }));
+
+  const createdTotal = sumValues(created);
+  const sinkTotal = roundAmount(sumValues(sinks) + sumValues(destroyed));
+  return {
+    created: { total: createdTotal, byType: roundValues(created) },
+    destroyed: { total: sumValues(destroyed), byType: roundValues(destroyed) },
+    sinks: { ...roundValues(sinks), total: roundAmount(sumValues(sinks)) },
+    lending: roundValues(lending),
+    // Money removed by sinks (and destroyed) per unit created
+    sinkRatio: createdTotal > 0 ? round(sinkTotal / createdTotal, 3) : 0,
+    netSupplyChange: roundAmount(moneySupply.current - moneySupply.atStart)
+  };
+}
+
+function transactionVelocity(postings, moneySupply, range) {
+  let volume = 0;
+  const players = new Set();
+  postings.forEach(posting => posting.entries.forEach(({ account, amount }) => {
+    if (!account.startsWith('player:') && !account.startsWith('bank:')) return;
+    players.add(account.split(':')[1]);
+    if (amount < 0 && !INTERNAL_TYPES.includes(posting.type)) volume -= amount;
+  }));
+  const days = range / (24 * HOUR);
+
+  return {
+    transactions: postings.length,
+    transactionsPerDay: round(postings.length / days, 2),
+    volume: roundAmount(volume),
+    averageSupply: moneySupply.average,
+    velocity: moneySupply.average > 0 ? round(volume / moneySupply.average, 3) : 0,
+    activePlayers: players.size
+  };
+}
+
+// Gross wages per job over the period, with the top earners
+function jobEarnings(economy, postings) {
+  const jobs = new Map();
+  postings.filter(posting => posting.type === 'job_payout').forEach(posting => {
+    const jobId = posting.metadata?.jobId || 'unknown';
+    const payout = posting.entries.find(entry => entry.account.startsWith('player:'));
+    if (!payout) return;
+    const playerId = payout.account.slice(7);
+    const gross = -(posting.entries.find(entry => entry.account === ledger.SYSTEM_ACCOUNTS.issuance)?.amount || 0);
+
+    const job = jobs.get(jobId) || { jobId, name: economy.jobs?.[jobId]?.name || jobId, payouts: 0, earned: 0, taxes: 0, earners: new Map() };
+    job.payouts++;
+    job.earned += gross;
+    job.taxes += gross - payout.amount;
+    const earner = job.earners.get(playerId) || { playerId, payouts: 0, earned: 0 };
+    earner.payouts++;
+    earner.earned += gross;
+    job.earners.set(playerId, earner);
+    jobs.set(jobId, job);
+  });
+
+  return Array.from(jobs.values())
+    .map(({ earners, ...job }) => ({
+      ...job,
+      earned: roundAmount(job.earned),
+      taxes: roundAmount(job.taxes),
+      workers: earners.size,
+      topEarners: Array.from(earners.values())
+        .map(earner => ({ ...earner, earned: roundAmount(earner.earned) }))
+        .sort((a, b) => b.earned - a.earned)
+        .slice(0, 5)
+    }))
+    .sort((a, b) => b.earned - a.earned);
+}
+
+// Price change of every shop item that has price history. The start price
+// is the last one recorded before the period (or the listed price), the
+// end price the last one recorded.
+function estimateInflation(shopList, since, now) {
+  const items = [];
+  shopList.forEach(shop => (shop.inventory || []).forEach(item => {
+    const history = (item.priceHistory || []).filter(point => new Date(point.timestamp).getTime() <= now);
+    if (history.length === 0) return;
+
+    const before = history.filter(point => new Date(point.timestamp).getTime() < since);
+    const from = before.length > 0 ? before[before.length - 1].buyPrice : item.price;
+    const to = history[history.length - 1].buyPrice;
+    if (!(from > 0) || !(to > 0)) return;
+    items.push({ shopId: shop.id, itemId: item.id, name: item.name || item.id, from, to, change: round(to / from - 1, 4) });
+  }));
+
+  if (items.length === 0) {
+    return { items: 0, index: 1, change: 0, risers: [], fallers: [] };
+  }
+  const index = Math.exp(items.reduce((sum, item) => sum + Math.log(item.to / item.from), 0) / items.length);
+  const sorted = items.slice().sort((a, b) => b.change - a.change);
+
+  return {
+    items: items.length,
+    index: round(index, 4),
+    change: round(index - 1, 4),
+    risers: sorted.filter(item => item.change > 0).slice(0, 5),
+    fallers: sorted.filter(item => item.change < 0).reverse().slice(0, 5)
+  };
+}
+
+// Gini coefficient of ascending values; debts count as nothing
+function gini(sorted) {
+  const values = sorted.map(value => Math.max(0, value));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (values.length < 2 || total === 0) return 0;
+
+  const weighted = values.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+  return round((2 * weighted) / (values.length * total) - (values.length + 1) / values.length, 3);
+}
+
+function flatten(value, prefix = '') {
+  if (value === null || typeof value !== 'object') return [[prefix, value]];
+  const entries = Array.isArray(value)
+    ? value.map((entry, index) => [entry?.timestamp || entry?.playerId || entry?.jobId || entry?.itemId || String(index), entry])
+    : Object.entries(value);
+  return entries.flatMap(([key, entry]) => flatten(entry, prefix ? `${prefix}.${key}` : key));
+}
+
+// Player IDs and reasons come from users; text that a spreadsheet would
+// read as a formula is prefixed with ' (numbers are left alone)
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function sumValues(object) {
+  return roundAmount(Object.values(object).reduce((sum, value) => sum + value, 0));
+}
+
+function roundValues(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, roundAmount(value)]));
+}
+
+function percent(value) {
+  return `${Math.round(value * 1000) / 10}%`;
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  SECTIONS,
+  economyReport,
+  generateInsights,
+  generateRecommendations,
+  reportToCsv
+};
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { createCollection } = require('../storage');
+const ledger = require('./ledger');
+const { createError } = require('../helpers');
+
+// Auction house. Bids are held in an escrow account per auction
+// (escrow:auction:<id>): a new high bid moves the bidder's money into
+// escrow and refunds the previous high bidder in the same posting. When
+// an auction closes the seller gets the winning bid minus the economy's
+// auction fee, and the item waits in `delivery` until the winner (or the
+// seller, for unsold items) claims it.
+//
+// A bid within antiSnipe.window seconds of the end pushes the end back to
+// antiSnipe.extension seconds from the bid, at most maxExtensions times.
+// A reserve price that isn't met closes the auction unsold.
+
+const STATUSES = ['active', 'sold', 'unsold', 'expired'];
+const SORTS = ['ending', 'newest', 'price', 'bids'];
+const DEFAULT_FEE_RATE = 0.05;
+const DEFAULT_ANTI_SNIPE = { window: 60, extension: 60, maxExtensions: 10 };
+const MIN_DURATION = 60;
+const MAX_DURATION = 30 * 86400;
+
+const auctions = createCollection('economy.auctions');
+
+function escrowAccount(auctionId) {
+  return `escrow:auction:${auctionId}`;
+}
+
+// Throws AUCTION_INVALID for bad options
+function createAuction(economy, options) {
+  const {
+    sellerId,
+    item,
+    startingBid = 1,
+    buyoutPrice = null,
+    reservePrice = null,
+    minIncrement = 1,
+    duration = 86400,
+    description = '',
+    antiSnipe = null
+  } = options;
+
+  if (!isAmount(startingBid)) throw createError('startingBid must be a positive number', 'AUCTION_INVALID');
+  if (!isAmount(minIncrement)) throw createError('minIncrement must be a positive number', 'AUCTION_INVALID');
+  if (buyoutPrice !== null && (!isAmount(buyoutPrice) || buyoutPrice < startingBid)) {
+    throw createError('buyoutPrice must be at least the starting bid', 'AUCTION_INVALID');
+  }
+  if (reservePrice !== null && (!isAmount(reservePrice) || (buyoutPrice !== null && reservePrice > buyoutPrice))) {
+    throw createError('reservePrice must be a positive number no higher than the buyout price', 'AUCTION_INVALID');
+  }
+  if (!Number.isInteger(duration) || duration < MIN_DURATION || duration > MAX_DURATION) {
+    throw createError(`duration must be between ${MIN_DURATION} and ${MAX_DURATION} seconds`, 'AUCTION_INVALID');
+  }
+
+  const now = Date.now();
+  const auction = {
+    id: crypto.randomUUID(),
+    economyId: economy.id,
+    sellerId,
+    item,
+    startingBid,
+    currentBid: startingBid,
+    buyoutPrice,
+    reservePrice,
+    minIncrement,
+    duration,
+    description,
+    feeRate: economy.settings.auctionFeeRate ?? DEFAULT_FEE_RATE,
+    antiSnipe: antiSnipe ? { ...DEFAULT_ANTI_SNIPE, ...(antiSnipe === true ? {} : antiSnipe), extensions: 0 } : null,
+    bids: [],
+    highestBid: null,
+    status: 'active',
+    endTime: new Date(now + duration * 1000).toISOString(),
+    settlement: null,
+    delivery: null,
+    created: new Date(now).toISOString()
+  };
+  auctions.set(auction.id, auction);
+  return auction;
+}
+
+function getAuction(auctionId) {
+  return auctions.get(auctionId) || null;
+}
+
+// Lowest amount the next bid may offer
+function minimumBid(auction) {
+  return auction.highestBid ? auction.highestBid.amount + (auction.minIncrement ?? 1) : auction.startingBid;
+}
+
+// Reserve the bid in escrow and refund the bidder it beats. A bid at or
+// above the buyout price buys the item at that price. Throws
+// AUCTION_CLOSED, AUCTION_INVALID_BID and the ledger errors.
+// Returns { bid, auction, transaction, extended, replayed }.
+function placeBid(economy, auction, bidderId, amount, { idempotencyKey = null } = {}) {
+  const replayed = ledger.findIdempotentPosting(economy, idempotencyKey);
+  if (replayed) {
+    const bid = auction.bids.find(entry => entry.transactionId === replayed.id) || null;
+    return { bid, auction, transaction: replayed, extended: false, replayed: true };
+  }
+
+  const now = Date.now();
+  if (auction.status === 'active' && now >= new Date(auction.endTime).getTime()) {
+    settleAuction(economy, auction, now);
+  }
+  if (auction.status !== 'active') {
+    throw createError(`Auction is ${auction.status}`, 'AUCTION_CLOSED');
+  }
+  if (bidderId === auction.sellerId) {
+    throw createError('Sellers cannot bid on their own auction', 'AUCTION_INVALID_BID');
+  }
+  if (!isAmount(amount) || amount < minimumBid(auction)) {
+    throw createError(`Bid must be at least ${minimumBid(auction)}`, 'AUCTION_INVALID_BID');
+  }
+
+  const buyout = auction.buyoutPrice != null && amount >= auction.buyoutPrice;
+  const price = buyout ? auction.buyoutPrice : amount;
+  const previous = auction.highestBid;
+  const entries = [
+    { account: ledger.playerAccount(bidderId), amount: -price },
+    { account: escrowAccount(auction.id), amount: price }
+  ];
+  if (previous) {
+    entries.push(
+      { account: escrowAccount(auction.id), amount: -previous.amount },
+      { account: ledger.playerAccount(previous.bidderId), amount: previous.amount }
+    );
+  }
+
+  const { posting } = ledger.post(economy, {
+    type: 'auction_bid',
+    entries,
+    reason: `Bid on auction ${auction.id}`,
+    metadata: { auctionId: auction.id, bidderId, outbidId: previous?.bidderId ?? null },
+    idempotencyKey,
+    ignoreMaxBalance: true
+  });
+
+  if (previous) {
+    const outbid = auction.bids.find(entry => entry.id === previous.bidId);
+    if (outbid) outbid.refunded = true;
+  }
+  const bid = {
+    id: crypto.randomUUID(),
+    bidderId,
+    amount: price,
+    buyout,
+    refunded: false,
+    transactionId: posting.id,
+    timestamp: new Date(now).toISOString()
+  };
+  auction.bids.push(bid);
+  auction.highestBid = { bidId: bid.id, bidderId, amount: price };
+  auction.currentBid = price;
+
+  let extended = false;
+  const snipe = auction.antiSnipe;
+  const endTime = new Date(auction.endTime).getTime();
+  if (!buyout && snipe && endTime - now < snipe.window * 1000 && snipe.extensions < snipe.maxExtensions) {
+    auction.endTime = new Date(Math.max(endTime, now + snipe.extension * 1000)).toISOString();
+    snipe.extensions++;
+    extended = true;
+  }
+
+  if (buyout) settleAuction(economy, auction, now);
+  auctions.set(auction.id, auction);
+  return { bid, auction, transaction: posting, extended, replayed: false };
+}
+
+// Close an auction: pay the seller (minus the fee) or refund the high
+// bidder when the reserve isn't met, and set up the item delivery
+function settleAuction(economy, auction, now = Date.now()) {
+  if (auction.status !== 'active') return auction;
+
+  const highest = auction.highestBid;
+  const settledAt = new Date(now).toISOString();
+  if (highest && (auction.reservePrice == null || highest.amount >= auction.reservePrice)) {
+    const fee = Math.round(highest.amount * (auction.feeRate ?? DEFAULT_FEE_RATE) * 100) / 100;
+    const { posting } = ledger.post(economy, {
+      type: 'auction_settlement',
+      entries: [
+        { account: escrowAccount(auction.id), amount: -highest.amount },
+        { account: ledger.playerAccount(auction.sellerId), amount: Math.round((highest.amount - fee) * 100) / 100 },
+        { account: ledger.SYSTEM_ACCOUNTS.fees, amount: fee }
+      ],
+      reason: `Auction ${auction.id} sold`,
+      metadata: { auctionId: auction.id, winnerId: highest.bidderId, fee },
+      ignoreMaxBalance: true
+    });
+    auction.status = 'sold';
+    auction.winnerId = highest.bidderId;
+    const sellerProceeds = Math.round((highest.amount - fee) * 100) / 100;
+    auction.settlement = { price: highest.amount, fee, sellerProceeds, transactionId: posting.id, settledAt };
+    auction.delivery = { playerId: highest.bidderId, item: auction.item, status: 'pending', claimedAt: null };
+  } else if (highest) {
+    const { posting } = ledger.post(economy, {
+      type: 'auction_refund',
+      entries: [
+        { account: escrowAccount(auction.id), amount: -highest.amount },
+        { account: ledger.playerAccount(highest.bidderId), amount: highest.amount }
+      ],
+      reason: `Auction ${auction.id} closed below its reserve price`,
+      metadata: { auctionId: auction.id },
+      ignoreMaxBalance: true
+    });
+    const bid = auction.bids.find(entry => entry.id === highest.bidId);
+    if (bid) bid.refunded = true;
+    auction.status = 'unsold';
+    auction.settlement = { price: null, fee: 0, sellerProceeds: 0, transactionId: posting.id, settledAt };
+    auction.delivery = { playerId: auction.sellerId, item: auction.item, status: 'pending', claimedAt: null };
+  } else {
+    auction.status = 'expired';
+    auction.settlement = { price: null, fee: 0, sellerProceeds: 0, transactionId: null, settledAt };
+    auction.delivery = { playerId: auction.sellerId, item: auction.item, status: 'pending', claimedAt: null };
+  }
+
+  // Bought out before the end time
+  if (now < new Date(auction.endTime).getTime()) auction.endTime = settledAt;
+  auctions.set(auction.id, auction);
+  return auction;
+}
+
+// Settle every active auction past its end time. resolveEconomy maps an
+// economy ID to the economy object. Returns the settled auctions.
+function settleExpiredAuctions(resolveEconomy, now = Date.now()) {
+  const settled = [];
+  auctions.forEach(auction => {
+    if (auction.status !== 'active' || new Date(auction.endTime).getTime() > now) return;
+    const economy = resolveEconomy(auction.economyId);
+    if (!economy) return;
+    try {
+      settled.push(settleAuction(economy, auction, now));
+    } catch (error) {
+      console.error(`Failed to settle auction ${auction.id}:`, error);
+    }
+  });
+  return settled;
+}
+
+// Hand a closed auction's item to the player it is waiting for. Throws
+// AUCTION_NOT_CLAIMABLE.
+function claimDelivery(auction, playerId) {
+  if (!auction.delivery || auction.delivery.status !== 'pending') {
+    throw createError('Nothing to claim for this auction', 'AUCTION_NOT_CLAIMABLE');
+  }
+  if (auction.delivery.playerId !== playerId) {
+    throw createError('The item is waiting for another player', 'AUCTION_NOT_CLAIMABLE');
+  }
+  auction.delivery.status = 'claimed';
+  auction.delivery.claimedAt = new Date().toISOString();
+  auctions.set(auction.id, auction);
+  return auction.delivery;
+}
+
+// filters: economyId, status, sellerId, bidderId, winnerId, search (item
+// name or description), minPrice, maxPrice, sort, limit, offset
+function searchAuctions(filters = {}) {
+  const { economyId, status, sellerId, bidderId, winnerId, search, minPrice, maxPrice, sort = 'ending' } = filters;
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+  const text = search ? String(search).toLowerCase() : null;
+
+  const matches = Array.from(auctions.values()).filter(auction => {
+    if (economyId && auction.economyId !== economyId) return false;
+    if (status && auction.status !== status) return false;
+    if (sellerId && auction.sellerId !== sellerId) return false;
+    if (winnerId && auction.winnerId !== winnerId) return false;
+    if (bidderId && !auction.bids.some(bid => bid.bidderId === bidderId)) return false;
+    if (minPrice !== undefined && auction.currentBid < Number(minPrice)) return false;
+    if (maxPrice !== undefined && auction.currentBid > Number(maxPrice)) return false;
+    if (text) {
+      const haystack = `${itemName(auction.item)} ${auction.description}`.toLowerCase();
+      if (!haystack.includes(text)) return false;
+    }
+    return true;
+  });
+
+  const comparators = {
+    ending: (a, b) => new Date(a.endTime) - new Date(b.endTime),
+    newest: (a, b) => new Date(b.created) - new Date(a.created),
+    price: (a, b) => a.currentBid - b.currentBid,
+    bids: (a, b) => b.bids.length - a.bids.length
+  };
+  matches.sort(comparators[sort] || comparators.ending);
+
+  return {
+    total: matches.length,
+    auctions: matches.slice(offset, offset + limit),
+    limit,
+    offset
+  };
+}
+
+// Helper functions
+function itemName(item) {
+  if (typeof item === 'string') return item;
+  return [item?.id, item?.name, item?.displayName].filter(Boolean).join(' ');
+}
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+module.exports = {
+  STATUSES,
+  SORTS,
+  escrowAccount,
+  createAuction,
+  getAuction,
+  minimumBid,
+  placeBid,
+  settleAuction,
+  settleExpiredAuctions,
+  claimDelivery,
+  searchAuctions
+};
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const { createCollection } = require('../storage');
+const ledger = require('./ledger');
+const { createError } = require('../helpers');
+
+// Banking: interest on bank accounts and loans with amortised repayment
+// plans. processBanking() is run on the economy's banking schedule (a
+// cron expression) and
+//   - compounds interest on every bank account for the time since its
+//     last accrual (interestRate is an annual rate), paid from
+//     system:issuance;
+//   - collects due loan installments from the borrower's balance, then
+//     their bank accounts;
+//   - marks installments it can't collect overdue and adds a penalty of
+//     penaltyRate times the payment;
+//   - defaults loans with defaultAfter overdue installments: whatever the
+//     borrower holds is seized towards the principal, the rest is written
+//     off and the player can't borrow again.
+//
+// A loan's principal is owed to system:loan:<loanId>, whose negative
+// balance is the outstanding principal. Interest goes to system:interest
+// and penalties to system:fees.
+
+const DEFAULT_BANKING = {
+  schedule: '0 * * * *',
+  timezone: null,
+  savingsRate: 0.02,
+  loanRate: 0.1,
+  maxLoan: 10000,
+  maxPayments: 52,
+  maxActiveLoans: 1,
+  penaltyRate: 0.05,
+  defaultAfter: 3
+};
+const FREQUENCIES = { daily: 1, weekly: 7, monthly: 30 };
+const LOAN_STATUSES = ['active', 'paid', 'defaulted'];
+const DAY = 86400000;
+const YEAR = 365 * DAY;
+
+const loans = createCollection('economy.loans');
+
+function loanAccount(loanId) {
+  return `system:loan:${loanId}`;
+}
+
+function bankingSettings(economy) {
+  return { ...DEFAULT_BANKING, ...economy.settings.banking };
+}
+
+// Interest owed on one bank account since its last accrual. Amounts
+// below a cent wait for the next run.
+function accrueAccountInterest(economy, playerId, account, now = Date.now()) {
+  const accountName = ledger.bankAccount(playerId, account.type);
+  const balance = ledger.balanceOf(economy, accountName);
+  const since = new Date(account.lastAccrual || account.created).getTime();
+  if (!(account.interestRate > 0) || balance <= 0 || now <= since) return 0;
+
+  const interest = roundAmount(balance * (Math.pow(1 + account.interestRate, (now - since) / YEAR) - 1));
+  if (interest < 0.01) return 0;
+
+  ledger.post(economy, {
+    type: 'bank_interest',
+    entries: [
+      { account: ledger.SYSTEM_ACCOUNTS.issuance, amount: -interest },
+      { account: accountName, amount: interest }
+    ],
+    reason: `Interest on ${account.type} account`,
+    metadata: { playerId, accountType: account.type, rate: account.interestRate },
+    ignoreMaxBalance: true
+  });
+  account.balance = ledger.balanceOf(economy, accountName);
+  account.interestEarned = roundAmount((account.interestEarned || 0) + interest);
+  account.lastAccrual = new Date(now).toISOString();
+  return interest;
+}
+
+// Repayment plan with equal payments (the last one absorbs rounding)
+function amortize(principal, annualRate, payments, frequency, start = Date.now()) {
+  const periodDays = FREQUENCIES[frequency];
+  const rate = annualRate * periodDays / 365;
+  const payment = rate === 0
+    ? roundAmount(principal / payments)
+    : roundAmount(principal * rate / (1 - Math.pow(1 + rate, -payments)));
+
+  let balance = principal;
+  return Array.from({ length: payments }, (_, index) => {
+    const interest = roundAmount(balance * rate);
+    const principalPart = index === payments - 1 ? balance : Math.min(balance, roundAmount(payment - interest));
+    balance = roundAmount(balance - principalPart);
+    return {
+      number: index + 1,
+      dueDate: new Date(start + (index + 1) * periodDays * DAY).toISOString(),
+      payment: roundAmount(principalPart + interest),
+      principal: principalPart,
+      interest,
+      penalty: 0,
+      balanceAfter: balance,
+      status: 'scheduled',
+      paidAt: null
+    };
+  });
+}
+
+// Lend amount to a player, repaid in `payments` installments. Throws
+// LOAN_INVALID, LOAN_DENIED and the ledger errors.
+function issueLoan(economy, { playerId, amount, payments = 4, frequency = 'weekly' }) {
+  const settings = bankingSettings(economy);
+  const player = economy.players.get(playerId);
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || amount > settings.maxLoan) {
+    throw createError(`Loan amount must be between 0 and ${settings.maxLoan}`, 'LOAN_INVALID');
+  }
+  if (!Number.isInteger(payments) || payments < 1 || payments > settings.maxPayments) {
+    throw createError(`Payments must be a whole number from 1 to ${settings.maxPayments}`, 'LOAN_INVALID');
+  }
+  if (!FREQUENCIES[frequency]) {
+    throw createError(`Frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`, 'LOAN_INVALID');
+  }
+  if (player?.creditStatus === 'defaulted') {
+    throw createError('Player has defaulted on a loan', 'LOAN_DENIED');
+  }
+  const active = listLoans({ economyId: economy.id, playerId, status: 'active' });
+  if (active.length >= settings.maxActiveLoans) {
+    throw createError(`Players may have at most ${settings.maxActiveLoans} active loan(s)`, 'LOAN_DENIED');
+  }
+
+  const now = Date.now();
+  const loan = {
+    id: crypto.randomUUID(),
+    economyId: economy.id,
+    playerId,
+    principal: roundAmount(amount),
+    annualRate: settings.loanRate,
+    frequency,
+    outstanding: roundAmount(amount),
+    schedule: amortize(roundAmount(amount), settings.loanRate, payments, frequency, now),
+    missedPayments: 0,
+    penalties: 0,
+    status: 'active',
+    created: new Date(now).toISOString(),
+    closed: null
+  };
+
+  const { posting } = ledger.post(economy, {
+    type: 'loan_issued',
+    entries: [
+      { account: loanAccount(loan.id), amount: -loan.principal },
+      { account: ledger.playerAccount(playerId), amount: loan.principal }
+    ],
+    reason: `Loan of ${loan.principal}`,
+    metadata: { loanId: loan.id }
+  });
+  loan.transactionId = posting.id;
+  loans.set(loan.id, loan);
+  return loan;
+}
+
+function getLoan(loanId) {
+  return loans.get(loanId) || null;
+}
+
+// filters: economyId, playerId, status
+function listLoans({ economyId, playerId, status } = {}) {
+  return Array.from(loans.values()).filter(loan => (!economyId || loan.economyId === economyId) &&
+    (!playerId || loan.playerId === playerId) &&
+    (!status || loan.status === status));
+}
+
+// Pay the installments that are due now; with payoff, also the rest of
+// the principal (no further interest). Without either, the next
+// installment is paid early, interest included. Throws LOAN_CLOSED and
+// INSUFFICIENT_FUNDS.
+function repayLoan(economy, loan, { payoff = false } = {}, now = Date.now()) {
+  if (loan.status !== 'active') {
+    throw createError(`Loan is ${loan.status}`, 'LOAN_CLOSED');
+  }
+
+  const open = loan.schedule.filter(installment => installment.status === 'scheduled' || installment.status === 'overdue');
+  let installments = open.filter(installment => new Date(installment.dueDate).getTime() <= now);
+  if (payoff) installments = open;
+  else if (installments.length === 0) installments = open.slice(0, 1);
+
+  const due = installments.map(installment => {
+    const early = payoff && new Date(installment.dueDate).getTime() > now;
+    return { installment, principal: installment.principal, interest: early ? 0 : installment.interest, penalty: installment.penalty };
+  });
+  if (!collect(economy, loan, due, now, payoff ? 'Loan paid off' : 'Loan repayment')) {
+    throw createError('Not enough money in the balance and bank accounts', 'INSUFFICIENT_FUNDS');
+  }
+  loans.set(loan.id, loan);
+  return loan;
+}
+
+// Interest, loan collection, penalties and defaults for one economy.
+// Returns a summary of what happened.
+function processBanking(economy, now = Date.now()) {
+  const settings = bankingSettings(economy);
+  const summary = { interestPaid: 0, accounts: 0, installmentsCollected: 0, installmentsOverdue: 0, penalties: 0, defaulted: [] };
+
+  economy.players.forEach(player => {
+    Object.values(player.bankAccounts || {}).forEach(account => {
+      const interest = accrueAccountInterest(economy, player.id, account, now);
+      if (interest > 0) {
+        summary.interestPaid = roundAmount(summary.interestPaid + interest);
+        summary.accounts++;
+      }
+    });
+  });
+
+  listLoans({ economyId: economy.id, status: 'active' }).forEach(loan => {
+    const dueNow = loan.schedule.filter(installment => (installment.status === 'scheduled' || installment.status === 'overdue') &&
+      new Date(installment.dueDate).getTime() <= now);
+
+    // Installments are collected in order; a missed one blocks the rest
+    for (const installment of dueNow) {
+      const paid = collect(economy, loan, [{ installment, principal: installment.principal, interest: installment.interest, penalty: installment.penalty }], now, 'Scheduled loan repayment');
+      if (paid) {
+        summary.installmentsCollected++;
+        continue;
+      }
+      dueNow.filter(entry => entry.status === 'scheduled').forEach(entry => {
+        entry.status = 'overdue';
+        entry.penalty = roundAmount(entry.payment * settings.penaltyRate);
+        loan.penalties = roundAmount(loan.penalties + entry.penalty);
+        loan.missedPayments++;
+        summary.penalties = roundAmount(summary.penalties + entry.penalty);
+      });
+      break;
+    }
+
+    const overdue = loan.schedule.filter(installment => installment.status === 'overdue').length;
+    summary.installmentsOverdue += overdue;
+    if (overdue >= settings.defaultAfter) {
+      defaultLoan(economy, loan, now);
+      summary.defaulted.push(loan.id);
+    }
+    loans.set(loan.id, loan);
+  });
+
+  economy.bankingLastRun = new Date(now).toISOString();
+  return summary;
+}
+
+// Deposits, debt and interest figures for analytics
+function summarizeBanking(economy) {
+  let deposits = 0;
+  let accounts = 0;
+  economy.players.forEach(player => Object.values(player.bankAccounts || {}).forEach(account => {
+    deposits += ledger.balanceOf(economy, ledger.bankAccount(player.id, account.type));
+    accounts++;
+  }));
+  const economyLoans = listLoans({ economyId: economy.id });
+  const active = economyLoans.filter(loan => loan.status === 'active');
+
+  return {
+    accounts,
+    deposits: roundAmount(deposits),
+    totalDebt: roundAmount(active.reduce((sum, loan) => sum + loan.outstanding, 0)),
+    loans: {
+      active: active.length,
+      paid: economyLoans.filter(loan => loan.status === 'paid').length,
+      defaulted: economyLoans.filter(loan => loan.status === 'defaulted').length,
+      overdueInstallments: active.reduce((sum, loan) => sum + loan.schedule.filter(installment => installment.status === 'overdue').length, 0),
+      lent: roundAmount(economyLoans.reduce((sum, loan) => sum + loan.principal, 0)),
+      writtenOff: roundAmount(economyLoans.reduce((sum, loan) => sum + (loan.writtenOff || 0), 0))
+    },
+    interestCollected: ledger.balanceOf(economy, ledger.SYSTEM_ACCOUNTS.interest),
+    interestPaid: roundAmount(ledger.getPostings(economy)
+      .filter(posting => posting.type === 'bank_interest')
+      .reduce((sum, posting) => sum + posting.entries.find(entry => entry.amount > 0).amount, 0)),
+    lastRun: economy.bankingLastRun || null
+  };
+}
+
+// Helper functions
+
+// Take the installments' total from the borrower's balance, then bank
+// accounts, in one posting. Returns false when they can't cover it.
+function collect(economy, loan, due, now, reason) {
+  const principal = roundAmount(due.reduce((sum, entry) => sum + entry.principal, 0));
+  const interest = roundAmount(due.reduce((sum, entry) => sum + entry.interest, 0));
+  const penalty = roundAmount(due.reduce((sum, entry) => sum + entry.penalty, 0));
+  const total = roundAmount(principal + interest + penalty);
+  if (total <= 0) return true;
+
+  const sources = fundingSources(economy, loan.playerId, total);
+  if (!sources) return false;
+
+  ledger.post(economy, {
+    type: 'loan_repayment',
+    entries: [
+      ...sources.map(({ account, amount }) => ({ account, amount: -amount })),
+      { account: loanAccount(loan.id), amount: principal },
+      { account: ledger.SYSTEM_ACCOUNTS.interest, amount: interest },
+      { account: ledger.SYSTEM_ACCOUNTS.fees, amount: penalty }
+    ],
+    reason,
+    metadata: { loanId: loan.id, installments: due.map(entry => entry.installment.number), principal, interest, penalty }
+  });
+  syncBankAccounts(economy, loan.playerId);
+
+  const paidAt = new Date(now).toISOString();
+  due.forEach(entry => {
+    entry.installment.status = 'paid';
+    entry.installment.paidAt = paidAt;
+    entry.installment.interest = entry.interest;
+  });
+  loan.outstanding = roundAmount(loan.outstanding - principal);
+  if (loan.schedule.every(installment => installment.status === 'paid')) {
+    loan.status = 'paid';
+    loan.closed = paidAt;
+  }
+  return true;
+}
+
+// Seize what the borrower has towards the principal and write off the rest
+function defaultLoan(economy, loan, now) {
+  const available = fundingSources(economy, loan.playerId, Infinity);
+  const seized = roundAmount(Math.min(loan.outstanding, available.reduce((sum, source) => sum + source.amount, 0)));
+
+  if (seized > 0) {
+    let remaining = seized;
+    const sources = available.map(source => {
+      const amount = roundAmount(Math.min(source.amount, remaining));
+      remaining = roundAmount(remaining - amount);
+      return { account: source.account, amount };
+    }).filter(source => source.amount > 0);
+    ledger.post(economy, {
+      type: 'loan_default',
+      entries: [
+        ...sources.map(({ account, amount }) => ({ account, amount: -amount })),
+        { account: loanAccount(loan.id), amount: seized }
+      ],
+      reason: 'Balance seized for a defaulted loan',
+      metadata: { loanId: loan.id }
+    });
+    syncBankAccounts(economy, loan.playerId);
+  }
+
+  // Money that was lent and never repaid stays in circulation
+  const writtenOff = roundAmount(loan.outstanding - seized);
+  if (writtenOff > 0) {
+    ledger.post(economy, {
+      type: 'loan_write_off',
+      entries: [
+        { account: ledger.SYSTEM_ACCOUNTS.issuance, amount: -writtenOff },
+        { account: loanAccount(loan.id), amount: writtenOff }
+      ],
+      reason: 'Defaulted loan written off',
+      metadata: { loanId: loan.id }
+    });
+  }
+
+  loan.schedule.forEach(installment => {
+    if (installment.status !== 'paid') installment.status = 'written_off';
+  });
+  loan.outstanding = 0;
+  loan.seized = seized;
+  loan.writtenOff = writtenOff;
+  loan.status = 'defaulted';
+  loan.closed = new Date(now).toISOString();
+  const player = economy.players.get(loan.playerId);
+  if (player) player.creditStatus = 'defaulted';
+}
+
+// Accounts to take `total` from: [{ account, amount }], or null when the
+// player can't cover it. Infinity returns everything available.
+function fundingSources(economy, playerId, total) {
+  const player = economy.players.get(playerId);
+  const wallet = ledger.balanceOf(economy, ledger.playerAccount(playerId));
+  const candidates = [{ account: ledger.playerAccount(playerId), available: roundAmount(wallet - economy.settings.minBalance) }];
+  Object.values(player?.bankAccounts || {}).forEach(account => {
+    const name = ledger.bankAccount(playerId, account.type);
+    candidates.push({ account: name, available: ledger.balanceOf(economy, name) });
+  });
+
+  const sources = [];
+  let remaining = total;
+  for (const { account, available } of candidates) {
+    if (remaining <= 0) break;
+    if (available <= 0) continue;
+    const amount = roundAmount(Math.min(available, remaining));
+    sources.push({ account, amount });
+    remaining = roundAmount(remaining - amount);
+  }
+  if (total === Infinity) return sources;
+  return remaining > 0 ? null : sources;
+}
+
+function syncBankAccounts(economy, playerId) {
+  const player = economy.players.get(playerId);
+  Object.values(player?.bankAccounts || {}).forEach(account => {
+    account.balance = ledger.balanceOf(economy, ledger.bankAccount(playerId, account.type));
+  });
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_BANKING,
+  FREQUENCIES,
+  LOAN_STATUSES,
+  loanAccount,
+  bankingSettings,
+  accrueAccountInterest,
+  amortize,
+  issueLoan,
+  getLoan,
+  listLoans,
+  repayLoan,
+  processBanking,
+  summarizeBanking
+};
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const { createCollection } = require('../storage');
+const { createError } = require('../helpers');
+
+// Double-entry ledger for the economy module. Every movement of money is
+// a posting: entries on named accounts whose amounts sum to zero. Each
+// economy has its own ledger; account balances are running totals that
+// reconcile() checks against the postings.
+//
+// Accounts:
+//   player:<playerId>  a player's spendable balance
+//   bank:<playerId>:<accountType>  a player's bank account
+//   system:issuance    where new money comes from and destroyed money goes;
+//                      minus its balance is the money created so far
+//   system:taxes       collected taxes
+//   system:fees        collected fees
+//   system:interest    interest paid on loans
+//   system:loan:<loanId>  a loan; minus its balance is the principal owed
+//   escrow:auction:<auctionId>  bids held until the auction closes
+// Only system accounts may go negative; player accounts stay within the
+// economy's minBalance and maxBalance.
+//
+// Amounts have at most two decimals and are added up in cents.
+//
+// Postings never change once recorded, so they are stored one per entry
+// in their own collection rather than inside the ledger record; a flush
+// then only writes the new ones.
+
+const SYSTEM_ACCOUNTS = {
+  issuance: 'system:issuance',
+  taxes: 'system:taxes',
+  fees: 'system:fees',
+  interest: 'system:interest'
+};
+const MAX_LIST_LIMIT = 1000;
+
+const ledgers = createCollection('economy.ledgers');
+const postings = createCollection('economy.postings'); // postingId -> posting
+const postingsByEconomy = new Map(); // economyId -> postings in sequence order
+
+Array.from(postings.values())
+  .sort((a, b) => a.sequence - b.sequence)
+  .forEach(indexPosting);
+// Ledgers saved before postings had their own collection carry them inline
+ledgers.forEach((ledger, economyId) => {
+  if (!Array.isArray(ledger.postings)) return;
+  ledger.postings.forEach(posting => {
+    postings.set(posting.id, posting);
+    indexPosting(posting);
+  });
+  delete ledger.postings;
+  ledgers.set(economyId, ledger);
+});
+
+function playerAccount(playerId) {
+  return `player:${playerId}`;
+}
+
+function bankAccount(playerId, accountType) {
+  return `bank:${playerId}:${accountType}`;
+}
+
+// The ledger of an economy. Economies that predate the ledger get an
+// opening posting for every stored player and bank balance.
+function getLedger(economy) {
+  let ledger = ledgers.get(economy.id);
+  if (ledger) return ledger;
+
+  ledger = {
+    economyId: economy.id,
+    accounts: new Map(),
+    idempotencyKeys: new Map(),
+    created: new Date().toISOString()
+  };
+  ledgers.set(economy.id, ledger);
+
+  const carryOver = (account, balance) => post(economy, {
+    type: 'opening',
+    entries: [
+      { account: SYSTEM_ACCOUNTS.issuance, amount: -balance },
+      { account, amount: balance }
+    ],
+    reason: 'Balance carried over into the ledger'
+  });
+  economy.players.forEach(player => {
+    if (toCents(player.balance) > 0) carryOver(playerAccount(player.id), player.balance);
+    Object.values(player.bankAccounts || {}).forEach(account => {
+      if (toCents(account.balance) > 0) carryOver(bankAccount(player.id, account.type), account.balance);
+    });
+  });
+  return ledger;
+}
+
+// Record a posting. entries: [{ account, amount }] summing to zero.
+// A repeated idempotencyKey returns the original posting ({ replayed:
+// true }) or throws IDEMPOTENCY_CONFLICT when the movement differs.
+// Throws LEDGER_INVALID, LEDGER_UNBALANCED, INSUFFICIENT_FUNDS and
+// BALANCE_LIMIT; nothing is recorded when it throws. ignoreMaxBalance
+// lets money owed to a player (refunds, sale proceeds) through even when
+// it takes them past maxBalance.
+function post(economy, { type, entries, reason = '', metadata = {}, idempotencyKey = null, ignoreMaxBalance = false }) {
+  const ledger = getLedger(economy);
+
+  if (!type || typeof type !== 'string') {
+    throw createError('Posting type is required', 'LEDGER_INVALID');
+  }
+  const cents = toCentEntries(entries);
+
+  const fingerprint = JSON.stringify([type, cents]);
+  if (idempotencyKey) {
+    const existing = ledger.idempotencyKeys.get(String(idempotencyKey));
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        throw createError('Idempotency key was already used for a different posting', 'IDEMPOTENCY_CONFLICT');
+      }
+      return { posting: postings.get(existing.postingId), replayed: true };
+    }
+  }
+
+  // Check every account before touching any of them
+  const changes = accountChanges(cents);
+  changes.forEach((change, account) => checkLimits(economy, account, (ledger.accounts.get(account) || 0) + change, change, ignoreMaxBalance));
+
+  changes.forEach((change, account) => ledger.accounts.set(account, (ledger.accounts.get(account) || 0) + change));
+  const history = getPostings(economy);
+  const posting = {
+    id: crypto.randomUUID(),
+    economyId: economy.id,
+    sequence: history.length + 1,
+    type,
+    entries: cents.map(({ account, amount }) => ({ account, amount: fromCents(amount) })),
+    reason,
+    metadata,
+    idempotencyKey: idempotencyKey ? String(idempotencyKey) : null,
+    timestamp: new Date().toISOString()
+  };
+  postings.set(posting.id, posting);
+  indexPosting(posting);
+  if (idempotencyKey) {
+    ledger.idempotencyKeys.set(String(idempotencyKey), { postingId: posting.id, fingerprint });
+  }
+
+  // Player objects carry a copy of their balance for the other routes
+  changes.forEach((change, account) => {
+    const player = account.startsWith('player:') && economy.players.get(account.slice(7));
+    if (player) player.balance = fromCents(ledger.accounts.get(account));
+  });
+  economy.statistics.totalTransactions = history.length;
+  economy.statistics.totalMoney = -fromCents(ledger.accounts.get(SYSTEM_ACCOUNTS.issuance) || 0);
+
+  ledgers.set(economy.id, ledger);
+  return { posting, replayed: false };
+}
+
+// Throw what post() would throw for these entries, without recording
+// anything (idempotency keys aside)
+function check(economy, { entries, ignoreMaxBalance = false }) {
+  const ledger = getLedger(economy);
+  accountChanges(toCentEntries(entries)).forEach((change, account) => {
+    checkLimits(economy, account, (ledger.accounts.get(account) || 0) + change, change, ignoreMaxBalance);
+  });
+}
+
+// All postings of an economy, oldest first. The array is shared; don't
+// modify it.
+function getPostings(economy) {
+  getLedger(economy);
+  return postingsByEconomy.get(economy.id) || [];
+}
+
+// The posting recorded under an idempotency key, if any
+function findIdempotentPosting(economy, idempotencyKey) {
+  if (!idempotencyKey) return null;
+  const existing = getLedger(economy).idempotencyKeys.get(String(idempotencyKey));
+  return existing ? postings.get(existing.postingId) || null : null;
+}
+
+function balanceOf(economy, account) {
+  return fromCents(getLedger(economy).accounts.get(account) || 0);
+}
+
+// Postings newest first. filters: account (exact, or a prefix ending in
+// ':'), type, dateFrom, dateTo, limit.
+function listPostings(economy, { account, type, dateFrom, dateTo, limit = 50 } = {}) {
+  const from = dateFrom ? new Date(dateFrom) : null;
+  const to = dateTo ? new Date(dateTo) : null;
+  const matchesAccount = entry => (account.endsWith(':') ? entry.account.startsWith(account) : entry.account === account);
+
+  return getPostings(economy)
+    .filter(posting => (!account || posting.entries.some(matchesAccount)) &&
+      (!type || posting.type === type) &&
+      (!from || new Date(posting.timestamp) >= from) &&
+      (!to || new Date(posting.timestamp) <= to))
+    .reverse()
+    .slice(0, Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIST_LIMIT));
+}
+
+// Recompute every balance from the postings and compare it with the
+// running balances and the players' copies.
+function reconcile(economy) {
+  const ledger = getLedger(economy);
+  const computed = new Map();
+  const unbalanced = [];
+
+  const history = getPostings(economy);
+  history.forEach(posting => {
+    let sum = 0;
+    posting.entries.forEach(({ account, amount }) => {
+      const value = toCents(amount);
+      sum += value;
+      computed.set(account, (computed.get(account) || 0) + value);
+    });
+    if (sum !== 0) unbalanced.push({ postingId: posting.id, difference: fromCents(sum) });
+  });
+
+  const accounts = new Set([...ledger.accounts.keys(), ...computed.keys()]);
+  const mismatches = Array.from(accounts)
+    .filter(account => (ledger.accounts.get(account) || 0) !== (computed.get(account) || 0))
+    .map(account => ({
+      account,
+      recorded: fromCents(ledger.accounts.get(account) || 0),
+      computed: fromCents(computed.get(account) || 0)
+    }));
+  const playerMismatches = Array.from(economy.players.values())
+    .filter(player => toCents(player.balance) !== (computed.get(playerAccount(player.id)) || 0))
+    .map(player => ({
+      playerId: player.id,
+      balance: player.balance,
+      ledger: fromCents(computed.get(playerAccount(player.id)) || 0)
+    }));
+  const total = Array.from(computed.values()).reduce((sum, value) => sum + value, 0);
+  const moneySupply = Array.from(computed.entries())
+    .filter(([account]) => !account.startsWith('system:'))
+    .reduce((sum, [, value]) => sum + value, 0);
+
+  return {
+    consistent: unbalanced.length === 0 && mismatches.length === 0 && playerMismatches.length === 0 && total === 0,
+    postings: history.length,
+    accounts: accounts.size,
+    total: fromCents(total),
+    moneySupply: fromCents(moneySupply),
+    issued: -fromCents(computed.get(SYSTEM_ACCOUNTS.issuance) || 0),
+    unbalancedPostings: unbalanced,
+    mismatches,
+    playerMismatches
+  };
+}
+
+// Helper functions
+function indexPosting(posting) {
+  if (!postingsByEconomy.has(posting.economyId)) postingsByEconomy.set(posting.economyId, []);
+  postingsByEconomy.get(posting.economyId).push(posting);
+}
+
+function toCentEntries(entries) {
+  if (!Array.isArray(entries) || entries.length < 2) {
+    throw createError('A posting needs at least two entries', 'LEDGER_INVALID');
+  }
+  const cents = entries.map(entry => {
+    if (!entry || typeof entry.account !== 'string' || !entry.account.includes(':')) {
+      throw createError('Every entry needs an account such as player:<id>', 'LEDGER_INVALID');
+    }
+    if (typeof entry.amount !== 'number' || !Number.isFinite(entry.amount)) {
+      throw createError(`Amount for ${entry.account} must be a number`, 'LEDGER_INVALID');
+    }
+    return { account: entry.account, amount: toCents(entry.amount) };
+  }).filter(entry => entry.amount !== 0);
+  if (cents.reduce((sum, entry) => sum + entry.amount, 0) !== 0) {
+    throw createError('Posting entries must sum to zero', 'LEDGER_UNBALANCED');
+  }
+  return cents;
+}
+
+// Net change per account
+function accountChanges(cents) {
+  const changes = new Map();
+  cents.forEach(({ account, amount }) => changes.set(account, (changes.get(account) || 0) + amount));
+  return changes;
+}
+
+function checkLimits(economy, account, balance, change, ignoreMaxBalance) {
+  if (account.startsWith('system:')) return;
+
+  if (account.startsWith('player:')) {
+    const { minBalance, maxBalance } = economy.settings;
+    if (change < 0 && balance < toCents(minBalance)) {
+      throw createError(`Insufficient funds in ${account}`, 'INSUFFICIENT_FUNDS');
+    }
+    if (change > 0 && !ignoreMaxBalance && balance > toCents(maxBalance)) {
+      throw createError(`${account} would exceed the maximum balance of ${maxBalance}`, 'BALANCE_LIMIT');
+    }
+    return;
+  }
+
+  if (change < 0 && balance < 0) {
+    throw createError(`Insufficient funds in ${account}`, 'INSUFFICIENT_FUNDS');
+  }
+}
+
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  playerAccount,
+  bankAccount,
+  getLedger,
+  getPostings,
+  post,
+  check,
+  findIdempotentPosting,
+  balanceOf,
+  listPostings,
+  reconcile
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const ledger = require('./ledger');
+const { createError } = require('../helpers');
+
+// Shop trades. Players buy items from a shop (money to the owner, minus
+// the shop's taxRate which goes to system:taxes) and sell items to it
+// (money from the owner). Admin shops (settings.adminShop) have unlimited
+// stock and trade with system:issuance instead of an owner.
+//
+// Item fields used here: price (buy price per unit), sellPrice (what the
+// shop pays per unit; null means it doesn't buy), stock, maxStock (stock
+// the shop won't buy beyond), maxPerTransaction and dailyLimit (units
+// per player per day, buying and selling counted separately).
+//
+// With settings.dynamicPricing enabled prices follow supply and demand:
+//   multiplier = (targetStock / stock) ^ elasticity
+//              * (1 + volumeWeight * (bought - sold) / targetStock)
+// where bought and sold are units traded over the last window seconds,
+// clamped to [minMultiplier, maxMultiplier]. targetStock defaults to the
+// stock the item was listed with. Recent volume only moves a price
+// against the trader: net buying raises the buy price, net selling lowers
+// the sell price.
+//
+// A trade is priced unit by unit along the stock it moves through, so a
+// large order pays for the stock it uses up. The sell price is never above
+// the buy price at the same stock, which keeps a buy followed by a sell
+// from making money.
+
+const DEFAULT_DYNAMIC_PRICING = {
+  enabled: false,
+  elasticity: 0.5,
+  volumeWeight: 0.5,
+  window: 86400,
+  minMultiplier: 0.25,
+  maxMultiplier: 4
+};
+const DEFAULT_MAX_PER_TRANSACTION = 2304; // a full inventory of 64-stacks
+const MAX_HISTORY = 1000;
+const MAX_PRICE_HISTORY = 500;
+const DAY = 86400000;
+
+// Current buy and sell price of one unit of an item
+function quote(shop, item, now = Date.now()) {
+  const state = pricingState(shop, item, now);
+  return unitPrices(item, state, item.stock, state?.netDemand);
+}
+
+// A player buys quantity units. Throws SHOP_ITEM_NOT_FOUND, SHOP_INVALID,
+// SHOP_OUT_OF_STOCK, SHOP_LIMIT and the ledger errors. beforePost(posting)
+// is called once the trade is valid, with the posting about to be made;
+// it may throw to stop the trade.
+function buy(economy, shop, { playerId, itemId, quantity = 1, idempotencyKey = null, beforePost = null }) {
+  return trade(economy, shop, 'buy', { playerId, itemId, quantity, idempotencyKey, beforePost });
+}
+
+// A player sells quantity units to the shop. Also throws SHOP_NOT_BUYING.
+function sell(economy, shop, { playerId, itemId, quantity = 1, idempotencyKey = null, beforePost = null }) {
+  return trade(economy, shop, 'sell', { playerId, itemId, quantity, idempotencyKey, beforePost });
+}
+
+// Sales history, newest first. filters: type (buy or sell), playerId,
+// itemId, limit
+function salesHistory(shop, { type, playerId, itemId, limit = 50 } = {}) {
+  return (shop.history || [])
+    .filter(entry => (!type || entry.type === type) &&
+      (!playerId || entry.playerId === playerId) &&
+      (!itemId || entry.itemId === itemId))
+    .slice()
+    .reverse()
+    .slice(0, Math.min(Math.max(parseInt(limit) || 50, 1), MAX_HISTORY));
+}
+
+// Helper functions
+function trade(economy, shop, type, { playerId, itemId, quantity, idempotencyKey, beforePost }) {
+  const replayed = ledger.findIdempotentPosting(economy, idempotencyKey);
+  if (replayed) {
+    const entry = (shop.history || []).find(sale => sale.transactionId === replayed.id) || null;
+    return { sale: entry, item: entry && findItem(shop, entry.itemId), transaction: replayed, replayed: true };
+  }
+
+  const item = findItem(shop, itemId);
+  if (!item) throw createError('Item not found in this shop', 'SHOP_ITEM_NOT_FOUND');
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw createError('Quantity must be a positive whole number', 'SHOP_INVALID');
+  }
+  const adminShop = !!shop.settings.adminShop;
+  if (!adminShop && playerId === shop.ownerId) {
+    throw createError('Owners cannot trade with their own shop', 'SHOP_INVALID');
+  }
+  const maxPerTransaction = item.maxPerTransaction ?? shop.settings.maxPerTransaction ?? DEFAULT_MAX_PER_TRANSACTION;
+  if (quantity > maxPerTransaction) {
+    throw createError(`At most ${maxPerTransaction} per transaction`, 'SHOP_LIMIT');
+  }
+
+  const now = Date.now();
+  if (item.dailyLimit) {
+    const traded = (shop.history || [])
+      .filter(entry => entry.type === type && entry.playerId === playerId && entry.itemId === item.id && now - new Date(entry.timestamp).getTime() < DAY)
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+    if (traded + quantity > item.dailyLimit) {
+      throw createError(`Daily limit of ${item.dailyLimit} reached (${Math.max(0, item.dailyLimit - traded)} left)`, 'SHOP_LIMIT');
+    }
+  }
+
+  if (type === 'buy') {
+    if (!adminShop && item.stock < quantity) {
+      throw createError(`Only ${item.stock} in stock`, 'SHOP_OUT_OF_STOCK');
+    }
+  } else {
+    if (item.sellPrice == null) throw createError('This shop does not buy this item', 'SHOP_NOT_BUYING');
+    if (!adminShop && item.maxStock != null && item.stock + quantity > item.maxStock) {
+      throw createError(`The shop only buys ${Math.max(0, item.maxStock - item.stock)} more`, 'SHOP_LIMIT');
+    }
+  }
+
+  const total = tradeTotal(shop, item, type, quantity, now);
+  const unitPrice = roundAmount(total / quantity);
+  const tax = type === 'buy' ? roundAmount(total * (shop.settings.taxRate || 0)) : 0;
+  const counterparty = adminShop ? ledger.SYSTEM_ACCOUNTS.issuance : ledger.playerAccount(shop.ownerId);
+  const entries = type === 'buy'
+    ? [
+      { account: ledger.playerAccount(playerId), amount: -total },
+      { account: counterparty, amount: roundAmount(total - tax) },
+      { account: ledger.SYSTEM_ACCOUNTS.taxes, amount: tax }
+    ]
+    : [
+      { account: counterparty, amount: -total },
+      { account: ledger.playerAccount(playerId), amount: total }
+    ];
+
+  const request = {
+    type: type === 'buy' ? 'shop_purchase' : 'shop_sale',
+    entries,
+    reason: `${type === 'buy' ? 'Bought' : 'Sold'} ${quantity} x ${item.name || item.id} ${type === 'buy' ? 'from' : 'to'} ${shop.name}`,
+    metadata: { shopId: shop.id, itemId: item.id, quantity, unitPrice, tax },
+    idempotencyKey,
+    ignoreMaxBalance: type === 'buy'
+  };
+  if (beforePost) beforePost(request);
+  const { posting } = ledger.post(economy, request);
+
+  // Admin shops keep their listed stock
+  if (!adminShop) item.stock += type === 'buy' ? -quantity : quantity;
+  const sale = {
+    id: crypto.randomUUID(),
+    type,
+    playerId,
+    itemId: item.id,
+    itemName: item.name || null,
+    quantity,
+    unitPrice,
+    total,
+    tax,
+    transactionId: posting.id,
+    timestamp: new Date(now).toISOString()
+  };
+  shop.history = shop.history || [];
+  shop.history.push(sale);
+  if (shop.history.length > MAX_HISTORY) shop.history.splice(0, shop.history.length - MAX_HISTORY);
+
+  if (type === 'buy') {
+    shop.statistics.totalSales += quantity;
+    shop.statistics.totalRevenue = roundAmount(shop.statistics.totalRevenue + total);
+    shop.statistics.customers.add(playerId);
+  } else {
+    shop.statistics.totalPurchases = (shop.statistics.totalPurchases || 0) + quantity;
+    shop.statistics.totalSpent = roundAmount((shop.statistics.totalSpent || 0) + total);
+  }
+
+  const after = quote(shop, item, now);
+  item.priceHistory = item.priceHistory || [];
+  item.priceHistory.push({ buyPrice: after.buyPrice, sellPrice: after.sellPrice, timestamp: sale.timestamp });
+  if (item.priceHistory.length > MAX_PRICE_HISTORY) item.priceHistory.splice(0, item.priceHistory.length - MAX_PRICE_HISTORY);
+
+  return { sale, item, transaction: posting, replayed: false };
+}
+
+// Sum of the unit prices of a trade. Every unit moves the stock and the
+// recent volume one step, so each is priced at the state it is taken from.
+function tradeTotal(shop, item, type, quantity, now) {
+  const state = pricingState(shop, item, now);
+  if (!state) {
+    const prices = unitPrices(item, null);
+    return roundAmount((type === 'buy' ? prices.buyPrice : prices.sellPrice) * quantity);
+  }
+
+  const step = type === 'buy' ? 1 : -1;
+  let total = 0;
+  for (let unit = 0; unit < quantity; unit++) {
+    const prices = unitPrices(item, state, item.stock - step * unit, state.netDemand + step * unit);
+    total += type === 'buy' ? prices.buyPrice : prices.sellPrice;
+  }
+  return roundAmount(total);
+}
+
+// Buy and sell price of one unit at a given stock and recent net demand
+function unitPrices(item, state, stock, netDemand) {
+  const buyMultiplier = state ? priceMultiplier(state, stock, netDemand, 'buy') : 1;
+  const buyPrice = roundAmount(item.price * buyMultiplier);
+  if (item.sellPrice == null) return { multiplier: buyMultiplier, buyPrice, sellPrice: null };
+
+  const sellMultiplier = state ? priceMultiplier(state, stock, netDemand, 'sell') : 1;
+  return { multiplier: buyMultiplier, buyPrice, sellPrice: Math.min(buyPrice, roundAmount(item.sellPrice * sellMultiplier)) };
+}
+
+// Dynamic pricing settings with the item's target stock and the units
+// bought minus sold over the window; null when prices are fixed
+function pricingState(shop, item, now) {
+  const pricing = { ...DEFAULT_DYNAMIC_PRICING, ...shop.settings.dynamicPricing };
+  if (!shop.settings.dynamicPricing || !pricing.enabled || shop.settings.adminShop) return null;
+
+  const recent = (shop.history || []).filter(entry => entry.itemId === item.id && now - new Date(entry.timestamp).getTime() < pricing.window * 1000);
+  return {
+    pricing,
+    targetStock: Math.max(item.targetStock ?? item.initialStock ?? item.stock, 1),
+    netDemand: recent.reduce((sum, entry) => sum + (entry.type === 'buy' ? entry.quantity : -entry.quantity), 0)
+  };
+}
+
+function priceMultiplier({ pricing, targetStock }, stock, netDemand, type) {
+  const stockFactor = Math.pow(targetStock / Math.max(stock, 1), pricing.elasticity);
+  const demand = 1 + pricing.volumeWeight * (netDemand / targetStock);
+  const demandFactor = type === 'buy' ? Math.max(1, demand) : Math.min(1, Math.max(0, demand));
+
+  const multiplier = Math.min(pricing.maxMultiplier, Math.max(pricing.minMultiplier, stockFactor * demandFactor));
+  return Math.round(multiplier * 1000) / 1000;
+}
+
+function findItem(shop, itemId) {
+  return shop.inventory.find(item => item.id === itemId) || null;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_DYNAMIC_PRICING,
+  quote,
+  buy,
+  sell,
+  salesHistory
+};
@@ -0,0 +1,17 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus that lets route modules react to each other without
+// requiring one another (config.js is already required by automation.js).
+//
+// Events:
+//   server:check  { serverId, server, checkResult, monitoring }
+//   server:alert  { serverId, server, alert }
+
+const serverEvents = new EventEmitter();
+
+// Dashboards, rules and notification channels all subscribe here
+serverEvents.setMaxListeners(100);
+
+module.exports = {
+  serverEvents
+};
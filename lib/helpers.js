@@ -0,0 +1,26 @@
+// Small helpers shared by the lib modules and the routes
+
+// An Error with a machine-readable code (e.g. 'NBT_PARSE_ERROR') that the
+// routes map to HTTP statuses
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Base64 from a JSON body (plain, URL-safe or a data: URL) -> Buffer, or
+// null when it is missing or not base64
+function decodeBase64(data) {
+  if (typeof data !== 'string' || data.length === 0) return null;
+
+  const cleaned = data.replace(/^data:[^;]+;base64,/, '').replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(cleaned)) return null;
+
+  const buffer = Buffer.from(cleaned, 'base64');
+  return buffer.length > 0 ? buffer : null;
+}
+
+module.exports = {
+  createError,
+  decodeBase64
+};
@@ -0,0 +1,163 @@
+const net = require('net');
+const { RconClient, PACKET_TYPE, encodePacket, decodePacket, executeRconCommands } = require('../rcon');
+
+const PASSWORD = 'secret';
+
+// Minimal Minecraft-like RCON server. Commands are answered through
+// handlers[command](packet, socket); anything else is echoed back. Packets
+// of other types get the "Unknown request" reply vanilla servers send,
+// which is what the client uses as its end-of-response sentinel. A handler
+// can set socket.stalled to stop the server answering at all.
+function startFakeServer(handlers = {}) {
+  return new Promise((resolve) => {
+    const received = [];
+    const server = net.createServer((socket) => {
+      let buffer = Buffer.alloc(0);
+      let authenticated = false;
+
+      socket.on('error', () => {});
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 4) {
+          const length = buffer.readInt32LE(0);
+          if (buffer.length < length + 4) return;
+          const packet = decodePacket(buffer.subarray(0, length + 4));
+          buffer = buffer.subarray(length + 4);
+          received.push(packet);
+          if (socket.stalled) continue;
+
+          if (packet.type === PACKET_TYPE.AUTH) {
+            authenticated = packet.body === PASSWORD;
+            // Vanilla sends an empty RESPONSE_VALUE ahead of the auth result
+            socket.write(encodePacket(packet.requestId, PACKET_TYPE.RESPONSE_VALUE, ''));
+            socket.write(encodePacket(authenticated ? packet.requestId : -1, PACKET_TYPE.AUTH_RESPONSE, ''));
+          } else if (packet.type === PACKET_TYPE.EXEC_COMMAND && authenticated) {
+            const handler = handlers[packet.body];
+            if (handler) {
+              handler(packet, socket);
+            } else {
+              socket.write(encodePacket(packet.requestId, PACKET_TYPE.RESPONSE_VALUE, `ran: ${packet.body}`));
+            }
+          } else {
+            socket.write(encodePacket(packet.requestId, PACKET_TYPE.RESPONSE_VALUE, `Unknown request ${packet.type.toString(16)}`));
+          }
+        }
+      });
+    });
+
+    server.received = received;
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('RconClient', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    if (client) client.close();
+    client = null;
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  async function connect(handlers, options) {
+    server = await startFakeServer(handlers);
+    client = new RconClient('127.0.0.1', server.address().port, options);
+    await client.connect();
+    return client;
+  }
+
+  test('authenticates with the right password', async () => {
+    await connect();
+
+    await expect(client.authenticate(PASSWORD)).resolves.toBe(true);
+    expect(client.authenticated).toBe(true);
+    expect(server.received[0]).toMatchObject({ type: PACKET_TYPE.AUTH, body: PASSWORD });
+  });
+
+  test('rejects a wrong password with RCON_AUTH_FAILED', async () => {
+    await connect();
+
+    await expect(client.authenticate('wrong')).rejects.toMatchObject({ code: 'RCON_AUTH_FAILED' });
+    expect(client.authenticated).toBe(false);
+    await expect(client.execute('list')).rejects.toMatchObject({ code: 'RCON_NOT_AUTHENTICATED' });
+  });
+
+  test('runs a command and returns its output', async () => {
+    await connect();
+    await client.authenticate(PASSWORD);
+
+    await expect(client.execute('list')).resolves.toBe('ran: list');
+  });
+
+  test('reassembles output split over several packets up to the sentinel reply', async () => {
+    const parts = ['a'.repeat(4096), 'b'.repeat(4096), 'c'.repeat(100)];
+    await connect({
+      big: (packet, socket) => {
+        // Written in odd slices so packets straddle writes
+        const data = Buffer.concat(parts.map(part => encodePacket(packet.requestId, PACKET_TYPE.RESPONSE_VALUE, part)));
+        for (let offset = 0; offset < data.length; offset += 1000) {
+          socket.write(data.subarray(offset, offset + 1000));
+        }
+      }
+    });
+    await client.authenticate(PASSWORD);
+
+    await expect(client.execute('big')).resolves.toBe(parts.join(''));
+    // The next command is not mixed up with the previous response
+    await expect(client.execute('list')).resolves.toBe('ran: list');
+  });
+
+  test('times out when the server never answers', async () => {
+    await connect({ hang: (packet, socket) => { socket.stalled = true; } }, { timeout: 200 });
+    await client.authenticate(PASSWORD);
+
+    await expect(client.execute('hang')).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    expect(client.pending.size).toBe(0);
+  });
+
+  test('rejects pending commands when the connection closes', async () => {
+    await connect({ drop: (packet, socket) => socket.destroy() });
+    await client.authenticate(PASSWORD);
+
+    await expect(client.execute('drop')).rejects.toMatchObject({ code: 'ECONNRESET' });
+  });
+});
+
+describe('executeRconCommands', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  test('runs commands in order without the leading slash', async () => {
+    server = await startFakeServer();
+
+    const results = await executeRconCommands({
+      host: '127.0.0.1',
+      port: server.address().port,
+      password: PASSWORD,
+      commands: ['/say hi', 'list']
+    });
+
+    expect(results.map(result => [result.command, result.response])).toEqual([
+      ['/say hi', 'ran: say hi'],
+      ['list', 'ran: list']
+    ]);
+  });
+
+  test('fails before running anything when authentication fails', async () => {
+    server = await startFakeServer();
+
+    await expect(executeRconCommands({
+      host: '127.0.0.1',
+      port: server.address().port,
+      password: 'wrong',
+      commands: ['stop']
+    })).rejects.toMatchObject({ code: 'RCON_AUTH_FAILED' });
+    expect(server.received.some(packet => packet.type === PACKET_TYPE.EXEC_COMMAND)).toBe(false);
+  });
+});
@@ -0,0 +1,273 @@
+const zlib = require('zlib');
+const nbt = require('./nbt');
+const { createError } = require('../helpers');
+
+// Anvil region files (r.<x>.<z>.mca): 32x32 chunks per file.
+//
+// The first 4 KiB sector holds one location per chunk (3-byte sector offset
+// and 1-byte sector count), the second one the last-save timestamps. Each
+// chunk record is a 4-byte length, a compression byte and the compressed
+// NBT. Compression types with bit 128 set live in an external c.<x>.<z>.mcc
+// file because they did not fit in 255 sectors.
+
+const SECTOR_SIZE = 4096;
+const HEADER_SIZE = 2 * SECTOR_SIZE;
+const CHUNKS_PER_REGION = 1024;
+const EXTERNAL_FLAG = 0x80;
+const COMPRESSION_TYPES = { 1: 'gzip', 2: 'zlib', 3: 'none', 4: 'lz4', 127: 'custom' };
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+function parseRegionName(path) {
+  const match = String(path).match(/(?:^|\/)r\.(-?\d+)\.(-?\d+)\.mca$/);
+  return match ? { x: parseInt(match[1]), z: parseInt(match[2]) } : null;
+}
+
+// Region header entries for all 1024 chunk slots (sectors 0 = not generated)
+function readRegionHeader(buffer) {
+  const entries = [];
+  if (buffer.length < HEADER_SIZE) return entries;
+
+  for (let index = 0; index < CHUNKS_PER_REGION; index++) {
+    const location = buffer.readUInt32BE(index * 4);
+    entries.push({
+      index,
+      localX: index & 31,
+      localZ: index >> 5,
+      offset: location >>> 8,
+      sectors: location & 0xff,
+      timestamp: buffer.readUInt32BE(SECTOR_SIZE + index * 4)
+    });
+  }
+  return entries;
+}
+
+// Raw chunk record (length + compression byte + data) as stored in the file
+function readChunkRecord(buffer, entry) {
+  const start = entry.offset * SECTOR_SIZE;
+  const length = buffer.readUInt32BE(start);
+  return buffer.subarray(start, start + 4 + length);
+}
+
+function decompressChunk(type, data) {
+  const options = { maxOutputLength: MAX_CHUNK_SIZE };
+  switch (type) {
+    case 'gzip': return zlib.gunzipSync(data, options);
+    case 'zlib': return zlib.inflateSync(data, options);
+    case 'none': return data;
+    default: throw createError(`Unsupported chunk compression: ${type}`, 'CHUNK_UNSUPPORTED_COMPRESSION');
+  }
+}
+
+// Coordinates, status, inhabited time, structure starts and biome names
+// from a chunk, entity or POI root. Chunks before 1.18 keep their fields
+// under "Level" (and numeric biome ids, which are not reported).
+function summarizeChunkTag(root) {
+  const value = root.value || {};
+  const level = value.Level?.type === 'compound' ? value.Level.value : value;
+  const read = (source, name) => source[name]?.value;
+  const position = read(value, 'Position');
+
+  const inhabited = read(level, 'InhabitedTime');
+  return {
+    x: read(level, 'xPos') ?? position?.[0] ?? null,
+    z: read(level, 'zPos') ?? position?.[1] ?? null,
+    dataVersion: read(value, 'DataVersion') ?? null,
+    status: read(level, 'Status') ?? null,
+    inhabitedTime: inhabited === undefined ? null : Number(inhabited),
+    lastUpdate: read(level, 'LastUpdate') === undefined ? null : Number(read(level, 'LastUpdate')),
+    entities: read(value, 'Entities')?.value?.length ?? read(level, 'Entities')?.value?.length ?? null,
+    blockEntities: read(level, 'block_entities')?.value?.length ?? read(level, 'TileEntities')?.value?.length ?? null,
+    structures: readStructureStarts(read(value, 'structures') ?? read(level, 'Structures')),
+    biomes: readBiomeNames(read(value, 'sections') ?? read(level, 'Sections'))
+  };
+}
+
+// Structures starting in this chunk ("INVALID" marks an empty start)
+function readStructureStarts(structures) {
+  const starts = structures?.starts?.value ?? structures?.Starts?.value;
+  if (!starts) return [];
+  return Object.keys(starts).filter(name => {
+    const id = starts[name].value?.id?.value;
+    return id !== undefined && id !== 'INVALID';
+  });
+}
+
+function readBiomeNames(sections) {
+  if (!sections || sections.type !== 'compound') return [];
+  const names = new Set();
+  sections.value.forEach(section => {
+    const palette = section.biomes?.value?.palette?.value;
+    if (palette?.type === 'string') palette.value.forEach(name => names.add(name));
+  });
+  return [...names];
+}
+
+// Check every chunk of a region file and summarize the generated ones.
+// options.regionX/regionZ come from the file name; getExternalChunk(x, z)
+// returns the .mcc file for oversized chunks (or null when missing).
+// onChunk(root, chunk) is called with the decoded NBT of each readable chunk.
+function analyzeRegion(buffer, { regionX = null, regionZ = null, getExternalChunk = () => null, decode = true, onChunk = null } = {}) {
+  const issues = [];
+  const chunks = [];
+  const addIssue = (entry, type, severity, message) => issues.push({
+    type,
+    severity,
+    message,
+    ...(entry && { chunk: chunkCoordinates(entry, regionX, regionZ) })
+  });
+
+  if (buffer.length === 0) {
+    return { chunks, issues, fileSize: 0, sectorsUsed: 0, sectorsTotal: 0 };
+  }
+  if (buffer.length < HEADER_SIZE) {
+    addIssue(null, 'truncated_header', 'error', `File is ${buffer.length} bytes, smaller than the ${HEADER_SIZE}-byte header`);
+    return { chunks, issues, fileSize: buffer.length, sectorsUsed: 0, sectorsTotal: 0 };
+  }
+  if (buffer.length % SECTOR_SIZE !== 0) {
+    addIssue(null, 'unaligned_size', 'warning', `File size ${buffer.length} is not a multiple of ${SECTOR_SIZE}`);
+  }
+
+  const sectorsTotal = Math.ceil(buffer.length / SECTOR_SIZE);
+  const owners = new Array(sectorsTotal).fill(-1);
+  let sectorsUsed = 2;
+
+  for (const entry of readRegionHeader(buffer)) {
+    if (entry.offset === 0 && entry.sectors === 0) continue;
+
+    if (entry.sectors === 0 || entry.offset < 2) {
+      addIssue(entry, 'bad_offset', 'error', `Invalid location (offset ${entry.offset}, ${entry.sectors} sectors)`);
+      continue;
+    }
+    if (entry.offset + entry.sectors > sectorsTotal) {
+      addIssue(entry, 'bad_offset', 'error', `Sectors ${entry.offset}-${entry.offset + entry.sectors - 1} are past the end of the file (${sectorsTotal} sectors)`);
+      continue;
+    }
+
+    const overlapping = owners.slice(entry.offset, entry.offset + entry.sectors).find(owner => owner !== -1);
+    if (overlapping !== undefined) {
+      addIssue(entry, 'overlapping_sectors', 'error', `Shares sectors with chunk slot ${overlapping}`);
+      continue;
+    }
+    owners.fill(entry.index, entry.offset, entry.offset + entry.sectors);
+    sectorsUsed += entry.sectors;
+
+    const start = entry.offset * SECTOR_SIZE;
+    const length = buffer.readUInt32BE(start);
+    const allocated = entry.sectors * SECTOR_SIZE;
+    if (length === 0 || length > allocated - 4) {
+      addIssue(entry, 'oversized_sectors', 'error', `Chunk length ${length} does not fit its ${entry.sectors} allocated sectors`);
+      continue;
+    }
+    // More sectors than the data needs is harmless but wastes space
+    if (Math.ceil((length + 4) / SECTOR_SIZE) < entry.sectors) {
+      addIssue(entry, 'wasted_sectors', 'warning', `Uses ${entry.sectors} sectors for ${length + 4} bytes`);
+    }
+
+    const typeByte = buffer[start + 4];
+    const external = (typeByte & EXTERNAL_FLAG) !== 0;
+    const compression = COMPRESSION_TYPES[typeByte & ~EXTERNAL_FLAG];
+    if (!compression) {
+      addIssue(entry, 'unknown_compression', 'error', `Unknown compression type ${typeByte}`);
+      continue;
+    }
+
+    const chunk = {
+      ...chunkCoordinates(entry, regionX, regionZ),
+      index: entry.index,
+      sectors: entry.sectors,
+      size: length + 4,
+      compression,
+      external,
+      timestamp: entry.timestamp ? new Date(entry.timestamp * 1000).toISOString() : null
+    };
+    chunks.push(chunk);
+
+    if (!decode) continue;
+    if (compression === 'lz4' || compression === 'custom') {
+      addIssue(entry, 'unsupported_compression', 'warning', `${compression} chunks are not inspected`);
+      continue;
+    }
+
+    let data = buffer.subarray(start + 5, start + 4 + length);
+    if (external) {
+      data = getExternalChunk(chunk.x, chunk.z);
+      if (!data) {
+        addIssue(entry, 'missing_external_chunk', 'error', `Oversized chunk stored in c.${chunk.x}.${chunk.z}.mcc, which is missing`);
+        continue;
+      }
+    }
+
+    let decompressed;
+    try {
+      decompressed = decompressChunk(compression, data);
+    } catch (error) {
+      addIssue(entry, 'decompression_failed', 'error', `Could not decompress ${compression} data: ${error.message}`);
+      continue;
+    }
+
+    let root;
+    try {
+      root = nbt.decode(decompressed, { endian: 'big', compression: 'none' });
+    } catch (error) {
+      addIssue(entry, 'invalid_nbt', 'error', `Chunk NBT is unreadable: ${error.message}`);
+      continue;
+    }
+
+    // The slot decides where the game loads the chunk; the stored position is only checked
+    const stored = summarizeChunkTag(root);
+    Object.assign(chunk, stored, { x: chunk.x ?? stored.x, z: chunk.z ?? stored.z });
+    if (stored.x !== null && stored.z !== null && chunk.x !== null && (stored.x !== chunk.x || stored.z !== chunk.z)) {
+      addIssue(entry, 'coordinate_mismatch', 'error', `Chunk data says ${stored.x},${stored.z} but is stored in the slot for ${chunk.x},${chunk.z}`);
+      chunk.storedPosition = { x: stored.x, z: stored.z };
+    }
+    if (onChunk) onChunk(root, chunk);
+  }
+
+  return { chunks, issues, fileSize: buffer.length, sectorsUsed, sectorsTotal };
+}
+
+function chunkCoordinates(entry, regionX, regionZ) {
+  if (regionX === null || regionZ === null) {
+    return { x: null, z: null, localX: entry.localX, localZ: entry.localZ };
+  }
+  return { x: regionX * 32 + entry.localX, z: regionZ * 32 + entry.localZ };
+}
+
+// Build a compact region file from { index, timestamp, record } entries,
+// where record is the raw chunk record from readChunkRecord
+function writeRegion(chunks) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const bodies = [];
+  let sector = 2;
+
+  chunks.forEach(({ index, timestamp, record }) => {
+    const sectors = Math.ceil(record.length / SECTOR_SIZE);
+    if (sectors > 255) {
+      throw createError(`Chunk slot ${index} needs ${sectors} sectors`, 'CHUNK_TOO_LARGE');
+    }
+
+    header.writeUInt32BE(((sector << 8) | sectors) >>> 0, index * 4);
+    header.writeUInt32BE(timestamp >>> 0, SECTOR_SIZE + index * 4);
+
+    const body = Buffer.alloc(sectors * SECTOR_SIZE);
+    record.copy(body);
+    bodies.push(body);
+    sector += sectors;
+  });
+
+  return Buffer.concat([header, ...bodies]);
+}
+
+module.exports = {
+  SECTOR_SIZE,
+  HEADER_SIZE,
+  CHUNKS_PER_REGION,
+  COMPRESSION_TYPES,
+  parseRegionName,
+  readRegionHeader,
+  readChunkRecord,
+  decompressChunk,
+  summarizeChunkTag,
+  analyzeRegion,
+  writeRegion
+};
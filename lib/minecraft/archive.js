@@ -0,0 +1,290 @@
+const zlib = require('zlib');
+const { createError } = require('../helpers');
+
+// Minimal readers for uploaded world archives: zip (stored/deflate, zip64)
+// and tar, optionally gzip-compressed. Entries are decompressed on demand
+// so only the files an analysis needs are inflated. writeZip() packs
+// rewritten files for download.
+
+const MAX_UNCOMPRESSED_SIZE = (parseInt(process.env.WORLD_MAX_UNCOMPRESSED_MB) || 512) * 1024 * 1024;
+
+const ZIP_EOCD = 0x06054b50;
+const ZIP64_EOCD = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_LOCAL = 0x04034b50;
+
+function detectArchiveType(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL) return 'zip';
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_EOCD) return 'zip'; // empty zip
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz';
+  if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') return 'tar';
+  return null;
+}
+
+// Returns [{ path, size, read() }] for the files in a zip, tar or tar.gz
+function readArchive(buffer, type = detectArchiveType(buffer)) {
+  if (type === 'zip') return readZip(buffer);
+  if (type === 'tar') return readTar(buffer);
+  if (type === 'tar.gz') {
+    let tar;
+    try {
+      tar = zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNCOMPRESSED_SIZE });
+    } catch (error) {
+      throw createError(`Could not decompress archive: ${error.message}`, 'ARCHIVE_CORRUPT');
+    }
+    return readTar(tar);
+  }
+  throw createError('Unsupported archive format (expected zip, tar or tar.gz)', 'ARCHIVE_UNSUPPORTED');
+}
+
+function readZip(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  // Zip64 archives keep the real values in a separate record
+  if ((count === 0xffff || offset === 0xffffffff) && eocd >= 20 && buffer.readUInt32LE(eocd - 20) === ZIP64_LOCATOR) {
+    const zip64 = Number(buffer.readBigUInt64LE(eocd - 12));
+    if (buffer.readUInt32LE(zip64) !== ZIP64_EOCD) {
+      throw createError('Corrupt zip64 end of central directory', 'ARCHIVE_CORRUPT');
+    }
+    count = Number(buffer.readBigUInt64LE(zip64 + 32));
+    offset = Number(buffer.readBigUInt64LE(zip64 + 48));
+  }
+
+  const entries = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL) {
+      throw createError(`Corrupt zip central directory at entry ${i}`, 'ARCHIVE_CORRUPT');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    let compressedSize = buffer.readUInt32LE(offset + 20);
+    let size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    let localOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const zip64 = readZip64Extra(buffer.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength));
+    if (zip64) {
+      if (size === 0xffffffff) size = zip64.shift();
+      if (compressedSize === 0xffffffff) compressedSize = zip64.shift();
+      if (localOffset === 0xffffffff) localOffset = zip64.shift();
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+
+    total += size;
+    if (total > MAX_UNCOMPRESSED_SIZE) {
+      throw createError(`Archive expands beyond ${MAX_UNCOMPRESSED_SIZE / 1024 / 1024} MB`, 'ARCHIVE_TOO_LARGE');
+    }
+
+    entries.push({
+      path: normalizePath(path),
+      size,
+      compressedSize,
+      read: () => readZipEntry(buffer, { path, flags, method, compressedSize, size, localOffset })
+    });
+  }
+
+  return entries;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_EOCD) return offset;
+  }
+  throw createError('Not a zip archive (no end of central directory)', 'ARCHIVE_CORRUPT');
+}
+
+function readZip64Extra(extra) {
+  for (let offset = 0; offset + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(offset);
+    const length = extra.readUInt16LE(offset + 2);
+    if (id === 0x0001) {
+      const values = [];
+      for (let i = 0; i + 8 <= length; i += 8) {
+        values.push(Number(extra.readBigUInt64LE(offset + 4 + i)));
+      }
+      return values;
+    }
+    offset += 4 + length;
+  }
+  return null;
+}
+
+function readZipEntry(buffer, { path, flags, method, compressedSize, size, localOffset }) {
+  if (flags & 0x1) {
+    throw createError(`${path} is encrypted`, 'ARCHIVE_UNSUPPORTED');
+  }
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL) {
+    throw createError(`Corrupt local header for ${path}`, 'ARCHIVE_CORRUPT');
+  }
+
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + compressedSize);
+  if (data.length < compressedSize) {
+    throw createError(`${path} is truncated`, 'ARCHIVE_CORRUPT');
+  }
+
+  if (method === 0) return data;
+  if (method === 8) {
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      throw createError(`Could not inflate ${path}: ${error.message}`, 'ARCHIVE_CORRUPT');
+    }
+  }
+  throw createError(`${path} uses unsupported compression method ${method}`, 'ARCHIVE_UNSUPPORTED');
+}
+
+function readTar(buffer) {
+  const entries = [];
+  let longName = null;
+  let total = 0;
+
+  for (let offset = 0; offset + 512 <= buffer.length;) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = readTarNumber(header.subarray(124, 136));
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (data.length < size) {
+      throw createError('Tar archive is truncated', 'ARCHIVE_CORRUPT');
+    }
+
+    // GNU long names and pax headers name the entry that follows
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0.*$/s, '');
+      continue;
+    }
+    if (type === 'x') {
+      const match = data.toString('utf8').match(/\d+ path=([^\n]*)\n/);
+      if (match) longName = match[1];
+      continue;
+    }
+
+    const prefix = readTarString(header.subarray(345, 500));
+    const name = longName || (prefix ? `${prefix}/${readTarString(header.subarray(0, 100))}` : readTarString(header.subarray(0, 100)));
+    longName = null;
+
+    if (type !== '0' && type !== '\0' && type !== '7') continue;
+
+    total += size;
+    if (total > MAX_UNCOMPRESSED_SIZE) {
+      throw createError(`Archive expands beyond ${MAX_UNCOMPRESSED_SIZE / 1024 / 1024} MB`, 'ARCHIVE_TOO_LARGE');
+    }
+    entries.push({ path: normalizePath(name), size, compressedSize: size, read: () => data });
+  }
+
+  return entries;
+}
+
+function readTarString(bytes) {
+  const end = bytes.indexOf(0);
+  return bytes.toString('utf8', 0, end === -1 ? bytes.length : end);
+}
+
+// Octal, or base-256 when the high bit of the first byte is set
+function readTarNumber(bytes) {
+  if (bytes[0] & 0x80) {
+    let value = bytes[0] & 0x7f;
+    for (let i = 1; i < bytes.length; i++) value = value * 256 + bytes[i];
+    return value;
+  }
+  return parseInt(readTarString(bytes).trim() || '0', 8);
+}
+
+function normalizePath(path) {
+  return path.replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+// Deflated zip of [{ path, data }] (no zip64, so under 4 GB)
+function writeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ path, data }) => {
+    const name = Buffer.from(path, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(ZIP_LOCAL, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(ZIP_CENTRAL, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(ZIP_EOCD, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+  MAX_UNCOMPRESSED_SIZE,
+  detectArchiveType,
+  readArchive,
+  readZip,
+  readTar,
+  writeZip
+};
@@ -0,0 +1,303 @@
+const { createError } = require('../../helpers');
+
+// Binary NBT reader and writer.
+//
+// Tags are represented as { type, value } objects:
+//   byte/short/int/float/double -> number, long -> BigInt, string -> string
+//   byteArray -> Int8Array, intArray -> Int32Array, longArray -> BigInt64Array
+//   (plain arrays of numbers or BigInts are accepted when writing)
+//   list -> { type: <element type>, value: [<element payloads>] }
+//   compound -> { <name>: { type, value } }
+//
+// Java Edition uses big-endian numbers and modified UTF-8 strings, Bedrock
+// Edition little-endian numbers and plain UTF-8.
+
+const TAG_TYPES = [
+  'end', 'byte', 'short', 'int', 'long', 'float', 'double',
+  'byteArray', 'string', 'list', 'compound', 'intArray', 'longArray'
+];
+const TAG_IDS = Object.fromEntries(TAG_TYPES.map((type, id) => [type, id]));
+// Typed arrays keep large arrays at the size of the data; plain arrays of
+// boxed numbers take many times that
+const ARRAY_TYPES = { byteArray: Int8Array, intArray: Int32Array, longArray: BigInt64Array };
+
+// Minecraft refuses to read deeper structures as well
+const MAX_DEPTH = 512;
+
+class NbtReader {
+  constructor(buffer, { endian = 'big', offset = 0 } = {}) {
+    this.buffer = buffer;
+    this.offset = offset;
+    this.little = endian === 'little';
+  }
+
+  // Root tag: type, name and payload
+  readRoot() {
+    const type = this.readType();
+    if (type === 'end') {
+      throw createError('NBT data starts with an end tag', 'NBT_PARSE_ERROR');
+    }
+
+    const name = this.readString();
+    return { name, type, value: this.readPayload(type, 0) };
+  }
+
+  readPayload(type, depth) {
+    if (depth > MAX_DEPTH) {
+      throw createError(`NBT nesting exceeds ${MAX_DEPTH} levels`, 'NBT_PARSE_ERROR');
+    }
+
+    switch (type) {
+      case 'byte': return this.read(1, 'readInt8');
+      case 'short': return this.read(2, this.little ? 'readInt16LE' : 'readInt16BE');
+      case 'int': return this.readInt();
+      case 'long': return this.read(8, this.little ? 'readBigInt64LE' : 'readBigInt64BE');
+      case 'float': return this.read(4, this.little ? 'readFloatLE' : 'readFloatBE');
+      case 'double': return this.read(8, this.little ? 'readDoubleLE' : 'readDoubleBE');
+      case 'string': return this.readString();
+      case 'byteArray':
+      case 'intArray':
+      case 'longArray':
+        return this.readArray(type);
+      case 'list': {
+        const elementType = this.readType();
+        const length = this.readLength(1);
+        if (elementType === 'end' && length > 0) {
+          throw createError(`List of end tags with ${length} elements at byte ${this.offset}`, 'NBT_PARSE_ERROR');
+        }
+
+        const value = [];
+        for (let i = 0; i < length; i++) {
+          value.push(this.readPayload(elementType, depth + 1));
+        }
+        return { type: elementType, value };
+      }
+      case 'compound': {
+        const value = {};
+        for (;;) {
+          const entryType = this.readType();
+          if (entryType === 'end') break;
+          const name = this.readString();
+          setEntry(value, name, { type: entryType, value: this.readPayload(entryType, depth + 1) });
+        }
+        return value;
+      }
+      default:
+        throw createError(`Cannot read tag type ${type}`, 'NBT_PARSE_ERROR');
+    }
+  }
+
+  read(size, method) {
+    this.ensure(size);
+    const value = this.buffer[method](this.offset);
+    this.offset += size;
+    return value;
+  }
+
+  readInt() {
+    return this.read(4, this.little ? 'readInt32LE' : 'readInt32BE');
+  }
+
+  readType() {
+    const id = this.read(1, 'readUInt8');
+    if (id >= TAG_TYPES.length) {
+      throw createError(`Unknown tag type ${id} at byte ${this.offset - 1}`, 'NBT_PARSE_ERROR');
+    }
+    return TAG_TYPES[id];
+  }
+
+  // Array and list lengths are checked against the remaining bytes so a
+  // corrupt length cannot trigger a huge allocation
+  readLength(elementSize) {
+    const length = this.readInt();
+    if (length < 0) {
+      throw createError(`Negative length ${length} at byte ${this.offset - 4}`, 'NBT_PARSE_ERROR');
+    }
+    this.ensure(length * elementSize);
+    return length;
+  }
+
+  readArray(type) {
+    const ArrayType = ARRAY_TYPES[type];
+    const size = ArrayType.BYTES_PER_ELEMENT;
+    const length = this.readLength(size);
+    const value = new ArrayType(length);
+    if (type === 'byteArray') {
+      value.set(new Int8Array(this.buffer.buffer, this.buffer.byteOffset + this.offset, length));
+    } else {
+      const method = type === 'intArray'
+        ? (this.little ? 'readInt32LE' : 'readInt32BE')
+        : (this.little ? 'readBigInt64LE' : 'readBigInt64BE');
+      for (let i = 0; i < length; i++) {
+        value[i] = this.buffer[method](this.offset + i * size);
+      }
+    }
+    this.offset += length * size;
+    return value;
+  }
+
+  readString() {
+    const length = this.read(2, this.little ? 'readUInt16LE' : 'readUInt16BE');
+    this.ensure(length);
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return this.little ? bytes.toString('utf8') : decodeModifiedUtf8(bytes);
+  }
+
+  ensure(size) {
+    if (this.offset + size > this.buffer.length) {
+      throw createError(`Unexpected end of NBT data at byte ${this.offset} (needed ${size} more)`, 'NBT_TRUNCATED');
+    }
+  }
+}
+
+class NbtWriter {
+  constructor({ endian = 'big' } = {}) {
+    this.little = endian === 'little';
+    this.buffer = Buffer.alloc(1024);
+    this.offset = 0;
+  }
+
+  writeRoot({ name = '', type, value }) {
+    this.writeType(type);
+    this.writeString(name);
+    this.writePayload(type, value);
+    return this.buffer.subarray(0, this.offset);
+  }
+
+  writePayload(type, value) {
+    switch (type) {
+      case 'byte': return this.write(1, 'writeInt8', value);
+      case 'short': return this.write(2, this.little ? 'writeInt16LE' : 'writeInt16BE', value);
+      case 'int': return this.writeInt(value);
+      case 'long': return this.write(8, this.little ? 'writeBigInt64LE' : 'writeBigInt64BE', BigInt(value));
+      case 'float': return this.write(4, this.little ? 'writeFloatLE' : 'writeFloatBE', value);
+      case 'double': return this.write(8, this.little ? 'writeDoubleLE' : 'writeDoubleBE', value);
+      case 'string': return this.writeString(value);
+      case 'byteArray':
+      case 'intArray':
+      case 'longArray': {
+        const elementType = type.replace('Array', '');
+        this.writeInt(value.length);
+        value.forEach(element => this.writePayload(elementType, element));
+        return;
+      }
+      case 'list': {
+        this.writeType(value.type);
+        this.writeInt(value.value.length);
+        value.value.forEach(element => this.writePayload(value.type, element));
+        return;
+      }
+      case 'compound': {
+        Object.keys(value).forEach(name => {
+          const entry = value[name];
+          this.writeType(entry.type);
+          this.writeString(name);
+          this.writePayload(entry.type, entry.value);
+        });
+        this.writeType('end');
+        return;
+      }
+      default:
+        throw createError(`Cannot write tag type ${type}`, 'NBT_INVALID_TAG');
+    }
+  }
+
+  write(size, method, value) {
+    this.reserve(size);
+    this.buffer[method](value, this.offset);
+    this.offset += size;
+  }
+
+  writeInt(value) {
+    this.write(4, this.little ? 'writeInt32LE' : 'writeInt32BE', value);
+  }
+
+  writeType(type) {
+    this.write(1, 'writeUInt8', TAG_IDS[type]);
+  }
+
+  writeString(value) {
+    const bytes = this.little ? Buffer.from(value, 'utf8') : encodeModifiedUtf8(value);
+    if (bytes.length > 0xffff) {
+      throw createError(`String of ${bytes.length} bytes exceeds the NBT limit of 65535`, 'NBT_INVALID_TAG');
+    }
+
+    this.write(2, this.little ? 'writeUInt16LE' : 'writeUInt16BE', bytes.length);
+    this.reserve(bytes.length);
+    bytes.copy(this.buffer, this.offset);
+    this.offset += bytes.length;
+  }
+
+  reserve(size) {
+    if (this.offset + size <= this.buffer.length) return;
+
+    const grown = Buffer.alloc(Math.max(this.buffer.length * 2, this.offset + size));
+    this.buffer.copy(grown, 0, 0, this.offset);
+    this.buffer = grown;
+  }
+}
+
+// Java's DataOutput.writeUTF: NUL is two bytes and characters outside the
+// BMP are written as two three-byte surrogates
+function encodeModifiedUtf8(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    if (code !== 0 && code <= 0x7f) {
+      bytes.push(code);
+    } else if (code <= 0x7ff) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeModifiedUtf8(bytes) {
+  const units = [];
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    if (byte < 0x80) {
+      units.push(byte);
+      i += 1;
+    } else if ((byte & 0xe0) === 0xc0 && i + 1 < bytes.length) {
+      units.push(((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f));
+      i += 2;
+    } else if ((byte & 0xf0) === 0xe0 && i + 2 < bytes.length) {
+      units.push(((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f));
+      i += 3;
+    } else {
+      // Plain UTF-8 four-byte sequences show up in files written by other tools
+      return bytes.toString('utf8');
+    }
+  }
+
+  let result = '';
+  for (let i = 0; i < units.length; i += 8192) {
+    result += String.fromCharCode(...units.slice(i, i + 8192));
+  }
+  return result;
+}
+
+// Compound names come from the data; keep "__proto__" an own property
+function setEntry(target, name, value) {
+  if (name === '__proto__') {
+    Object.defineProperty(target, name, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    target[name] = value;
+  }
+}
+
+module.exports = {
+  TAG_TYPES,
+  TAG_IDS,
+  ARRAY_TYPES,
+  MAX_DEPTH,
+  NbtReader,
+  NbtWriter,
+  encodeModifiedUtf8,
+  decodeModifiedUtf8,
+  setEntry
+};
@@ -0,0 +1,284 @@
+const zlib = require('zlib');
+const { TAG_TYPES, ARRAY_TYPES, NbtReader, NbtWriter, setEntry } = require('./binary');
+const { createError } = require('../../helpers');
+const snbt = require('./snbt');
+
+// NBT (Named Binary Tag) codec for world, player and structure files.
+//
+// decode() detects gzip/zlib compression, big-endian Java and little-endian
+// Bedrock data and the 8-byte header of Bedrock level.dat files. Tags use the
+// { type, value } representation described in binary.js.
+
+const COMPRESSIONS = ['none', 'gzip', 'zlib'];
+const ENDIANS = ['big', 'little'];
+// Chunks and level.dat are far smaller; this only stops decompression bombs
+const MAX_DECOMPRESSED_SIZE = 64 * 1024 * 1024;
+
+const INTEGER_RANGES = {
+  byte: [-128, 127],
+  short: [-32768, 32767],
+  int: [-2147483648, 2147483647]
+};
+const LONG_RANGE = [-(2n ** 63n), 2n ** 63n - 1n];
+
+function detectCompression(buffer) {
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) return 'gzip';
+  if (buffer[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].includes(buffer[1])) return 'zlib';
+  return 'none';
+}
+
+function decompress(buffer, compression) {
+  const options = { maxOutputLength: MAX_DECOMPRESSED_SIZE };
+  try {
+    if (compression === 'gzip') return zlib.gunzipSync(buffer, options);
+    if (compression === 'zlib') return zlib.inflateSync(buffer, options);
+    return buffer;
+  } catch (error) {
+    throw createError(`Could not decompress ${compression} data: ${error.message}`, 'NBT_DECOMPRESS_ERROR');
+  }
+}
+
+function compress(buffer, compression) {
+  if (compression === 'gzip') return zlib.gzipSync(buffer);
+  if (compression === 'zlib') return zlib.deflateSync(buffer);
+  return buffer;
+}
+
+// Bedrock level.dat: int32 LE storage version, int32 LE payload length
+function readBedrockHeader(buffer) {
+  if (buffer.length < 9 || buffer[8] !== 0x0a) return null;
+  const length = buffer.readInt32LE(4);
+  if (length !== buffer.length - 8) return null;
+  return { version: buffer.readInt32LE(0), length };
+}
+
+// The root name length tells the byte orders apart unless it is 0 or
+// reads the same both ways
+function guessEndian(buffer) {
+  if (buffer.length < 3) return null;
+  const big = buffer.readUInt16BE(1);
+  const little = buffer.readUInt16LE(1);
+  if (big === little) return null;
+
+  const remaining = buffer.length - 3;
+  if (big > remaining && little <= remaining) return 'little';
+  if (little > remaining && big <= remaining) return 'big';
+  return null;
+}
+
+// Decode a binary NBT file. options.endian and options.compression default
+// to 'auto'. Returns the root tag with the detected format.
+function decode(buffer, { endian = 'auto', compression = 'auto' } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw createError('NBT data is empty', 'NBT_PARSE_ERROR');
+  }
+  if (endian !== 'auto' && !ENDIANS.includes(endian)) {
+    throw createError(`endian must be one of: auto, ${ENDIANS.join(', ')}`, 'NBT_INVALID_OPTION');
+  }
+  if (compression !== 'auto' && !COMPRESSIONS.includes(compression)) {
+    throw createError(`compression must be one of: auto, ${COMPRESSIONS.join(', ')}`, 'NBT_INVALID_OPTION');
+  }
+
+  const detectedCompression = compression === 'auto' ? detectCompression(buffer) : compression;
+  let data = decompress(buffer, detectedCompression);
+
+  const bedrockHeader = endian === 'big' ? null : readBedrockHeader(data);
+  if (bedrockHeader) {
+    data = data.subarray(8);
+  }
+
+  let candidates;
+  if (bedrockHeader) {
+    candidates = ['little'];
+  } else if (endian === 'auto') {
+    const guess = guessEndian(data);
+    candidates = guess ? [guess] : ENDIANS;
+  } else {
+    candidates = [endian];
+  }
+
+  let firstError = null;
+  let partial = null;
+  for (const candidate of candidates) {
+    try {
+      const reader = new NbtReader(data, { endian: candidate });
+      const root = reader.readRoot();
+      const result = {
+        ...root,
+        endian: candidate,
+        compression: detectedCompression,
+        bedrockHeader,
+        size: data.length,
+        trailingBytes: data.length - reader.offset
+      };
+      // With both byte orders possible, prefer the one that uses all bytes
+      if (result.trailingBytes === 0) return result;
+      partial = partial || result;
+    } catch (error) {
+      firstError = firstError || error;
+    }
+  }
+
+  if (partial) return partial;
+  throw firstError;
+}
+
+// Encode a root tag ({ name, type, value }, usually a compound).
+// bedrockHeader: storage version to prepend, as in Bedrock level.dat
+function encode(root, { endian = 'big', compression = 'none', bedrockHeader = null } = {}) {
+  if (!ENDIANS.includes(endian)) {
+    throw createError(`endian must be one of: ${ENDIANS.join(', ')}`, 'NBT_INVALID_OPTION');
+  }
+  if (!COMPRESSIONS.includes(compression)) {
+    throw createError(`compression must be one of: ${COMPRESSIONS.join(', ')}`, 'NBT_INVALID_OPTION');
+  }
+
+  const tag = normalizeTag(root);
+  let data = new NbtWriter({ endian }).writeRoot({ name: root.name || '', ...tag });
+
+  if (bedrockHeader !== null && bedrockHeader !== undefined && bedrockHeader !== false) {
+    const header = Buffer.alloc(8);
+    header.writeInt32LE(parseInt(bedrockHeader) || 0, 0);
+    header.writeInt32LE(data.length, 4);
+    data = Buffer.concat([header, data]);
+  }
+
+  return compress(data, compression);
+}
+
+// Validate a { type, value } tag from JSON and convert longs to BigInt.
+// Throws NBT_INVALID_TAG with the path of the first bad value.
+function normalizeTag(tag, path = 'root') {
+  if (!tag || typeof tag !== 'object' || !TAG_TYPES.includes(tag.type) || tag.type === 'end') {
+    throw createError(`${path}: expected { type, value } with type one of ${TAG_TYPES.slice(1).join(', ')}`, 'NBT_INVALID_TAG');
+  }
+  return { type: tag.type, value: normalizePayload(tag.type, tag.value, path) };
+}
+
+function normalizePayload(type, value, path) {
+  const fail = (expected) => {
+    throw createError(`${path}: expected ${expected} for ${type}`, 'NBT_INVALID_TAG');
+  };
+
+  switch (type) {
+    case 'byte':
+    case 'short':
+    case 'int': {
+      const [min, max] = INTEGER_RANGES[type];
+      if (!Number.isInteger(value) || value < min || value > max) fail(`an integer between ${min} and ${max}`);
+      return value;
+    }
+    case 'long': {
+      let long;
+      try {
+        if (!['string', 'number', 'bigint'].includes(typeof value)) throw new TypeError();
+        long = BigInt(value);
+      } catch (error) {
+        fail('an integer (numbers above 2^53 as strings)');
+      }
+      if (typeof value === 'number' && !Number.isSafeInteger(value)) fail('an integer (numbers above 2^53 as strings)');
+      if (long < LONG_RANGE[0] || long > LONG_RANGE[1]) fail('a 64-bit integer');
+      return long;
+    }
+    case 'float':
+    case 'double':
+      if (typeof value !== 'number') fail('a number');
+      return type === 'float' ? Math.fround(value) : value;
+    case 'string':
+      if (typeof value !== 'string') fail('a string');
+      return value;
+    case 'byteArray':
+    case 'intArray':
+    case 'longArray': {
+      const ArrayType = ARRAY_TYPES[type];
+      // Decoded arrays are already typed and need no checks
+      if (value instanceof ArrayType) return value;
+      if (!Array.isArray(value)) fail('an array');
+      const elementType = type.replace('Array', '');
+      return ArrayType.from(value, (element, index) => normalizePayload(elementType, element, `${path}[${index}]`));
+    }
+    case 'list': {
+      if (!value || !Array.isArray(value.value)) fail('{ type, value: [] }');
+      const elementType = value.value.length === 0 ? (value.type || 'end') : value.type;
+      if (!TAG_TYPES.includes(elementType) || (elementType === 'end' && value.value.length > 0)) {
+        fail('a valid element type');
+      }
+      return {
+        type: elementType,
+        value: value.value.map((element, index) => normalizePayload(elementType, element, `${path}[${index}]`))
+      };
+    }
+    case 'compound': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) fail('an object of named tags');
+      const result = {};
+      Object.keys(value).forEach(name => {
+        setEntry(result, name, normalizeTag(value[name], `${path}.${name}`));
+      });
+      return result;
+    }
+    default:
+      return fail('a known tag type');
+  }
+}
+
+// Plain values without type information (longs stay BigInt)
+function simplify(tag) {
+  return simplifyPayload(tag.type, tag.value);
+}
+
+function simplifyPayload(type, value) {
+  if (type === 'compound') {
+    const result = {};
+    Object.keys(value).forEach(name => setEntry(result, name, simplify(value[name])));
+    return result;
+  }
+  if (type === 'list') {
+    return value.value.map(element => simplifyPayload(value.type, element));
+  }
+  return value;
+}
+
+// JSON cannot hold BigInt; longs become decimal strings and typed arrays
+// plain arrays
+function toJSON(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (ArrayBuffer.isView(value)) return Array.from(value, toJSON);
+  if (Array.isArray(value)) return value.map(toJSON);
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => setEntry(result, key, toJSON(value[key])));
+    return result;
+  }
+  return value;
+}
+
+// Read a path like "Data.Player.Pos" from a compound (list indexes allowed)
+function getPath(tag, path) {
+  return String(path).split('.').filter(Boolean).reduce((current, key) => {
+    if (!current) return null;
+    if (current.type === 'compound') {
+      return Object.prototype.hasOwnProperty.call(current.value, key) ? current.value[key] : null;
+    }
+    if (current.type === 'list') {
+      const element = current.value.value[parseInt(key)];
+      return element === undefined ? null : { type: current.value.type, value: element };
+    }
+    return null;
+  }, tag);
+}
+
+module.exports = {
+  TAG_TYPES,
+  COMPRESSIONS,
+  ENDIANS,
+  decode,
+  encode,
+  normalizeTag,
+  simplify,
+  toJSON,
+  getPath,
+  detectCompression,
+  decompress,
+  stringifySnbt: snbt.stringify,
+  parseSnbt: snbt.parse
+};
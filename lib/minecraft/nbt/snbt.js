@@ -0,0 +1,298 @@
+const { ARRAY_TYPES, MAX_DEPTH, setEntry } = require('./binary');
+const { createError } = require('../../helpers');
+
+// Stringified NBT, the text format used by /data and /give:
+//   {Name:"Steve",Pos:[0.5d,64.0d,0.5d],Health:20.0f,Inventory:[],UUID:[I;1,2,3,4]}
+// Number suffixes: b byte, s short, L long, f float, d double (a bare
+// decimal is a double, a bare integer an int). true/false are bytes.
+
+const UNQUOTED = /^[0-9A-Za-z_\-.+]+$/;
+const NUMBER_PATTERNS = [
+  { type: 'double', pattern: /^[-+]?(?:[0-9]+[.]|[0-9]*[.][0-9]+)(?:e[-+]?[0-9]+)?$/i },
+  { type: 'double', pattern: /^[-+]?(?:[0-9]+[.]?|[0-9]*[.][0-9]+)(?:e[-+]?[0-9]+)?d$/i },
+  { type: 'float', pattern: /^[-+]?(?:[0-9]+[.]?|[0-9]*[.][0-9]+)(?:e[-+]?[0-9]+)?f$/i },
+  { type: 'byte', pattern: /^[-+]?(?:0|[1-9][0-9]*)b$/i },
+  { type: 'short', pattern: /^[-+]?(?:0|[1-9][0-9]*)s$/i },
+  { type: 'long', pattern: /^[-+]?(?:0|[1-9][0-9]*)l$/i },
+  { type: 'int', pattern: /^[-+]?(?:0|[1-9][0-9]*)$/ }
+];
+const INTEGER_RANGES = {
+  byte: [-128, 127],
+  short: [-32768, 32767],
+  int: [-2147483648, 2147483647]
+};
+const LONG_RANGE = [-(2n ** 63n), 2n ** 63n - 1n];
+const ARRAY_PREFIXES = { B: 'byteArray', I: 'intArray', L: 'longArray' };
+
+function stringify(tag, { pretty = false, indent = '  ' } = {}) {
+  return stringifyPayload(tag.type, tag.value, pretty ? indent : null, 0);
+}
+
+function stringifyPayload(type, value, indent, depth) {
+  switch (type) {
+    case 'byte': return `${value}b`;
+    case 'short': return `${value}s`;
+    case 'int': return String(value);
+    case 'long': return `${value}L`;
+    case 'float': return `${formatDecimal(value, true)}f`;
+    case 'double': return `${formatDecimal(value)}d`;
+    case 'string': return quote(value);
+    case 'byteArray': return `[B;${Array.from(value, element => `${element}B`).join(',')}]`;
+    case 'intArray': return `[I;${Array.from(value).join(',')}]`;
+    case 'longArray': return `[L;${Array.from(value, element => `${element}L`).join(',')}]`;
+    case 'list':
+      return wrap('[', ']', value.value.map(element => stringifyPayload(value.type, element, indent, depth + 1)), indent, depth);
+    case 'compound':
+      return wrap('{', '}', Object.keys(value).map(name => {
+        const entry = value[name];
+        return `${quoteKey(name)}:${indent ? ' ' : ''}${stringifyPayload(entry.type, entry.value, indent, depth + 1)}`;
+      }), indent, depth);
+    default:
+      throw createError(`Cannot stringify tag type ${type}`, 'NBT_INVALID_TAG');
+  }
+}
+
+function wrap(open, close, items, indent, depth) {
+  if (items.length === 0) return open + close;
+  if (!indent) return open + items.join(',') + close;
+
+  const inner = indent.repeat(depth + 1);
+  return `${open}\n${items.map(item => inner + item).join(',\n')}\n${indent.repeat(depth)}${close}`;
+}
+
+// Shortest text that reads back as the same number; floats only need the
+// precision of a 32-bit float
+function formatDecimal(value, float = false) {
+  let text = String(value);
+  if (float && Number.isFinite(value)) {
+    for (let precision = 1; precision <= 9; precision++) {
+      const candidate = String(Number(value.toPrecision(precision)));
+      if (Math.fround(Number(candidate)) === value) {
+        text = candidate;
+        break;
+      }
+    }
+  }
+  return /^[-+]?[0-9]+$/.test(text) ? `${text}.0` : text;
+}
+
+function quote(value) {
+  const quoteChar = value.includes('"') && !value.includes("'") ? "'" : '"';
+  const escaped = value.replace(/\\/g, '\\\\').replace(new RegExp(quoteChar, 'g'), `\\${quoteChar}`);
+  return quoteChar + escaped + quoteChar;
+}
+
+function quoteKey(name) {
+  return UNQUOTED.test(name) ? name : quote(name);
+}
+
+function parse(text) {
+  const parser = new SnbtParser(String(text));
+  return parser.parseRoot();
+}
+
+class SnbtParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  parseRoot() {
+    const tag = this.readValue(0);
+    this.skipWhitespace();
+    if (this.pos < this.text.length) {
+      this.fail('Unexpected trailing data');
+    }
+    return tag;
+  }
+
+  readValue(depth) {
+    if (depth > MAX_DEPTH) {
+      this.fail(`Nesting exceeds ${MAX_DEPTH} levels`);
+    }
+
+    this.skipWhitespace();
+    const char = this.peek();
+    if (char === '{') return this.readCompound(depth);
+    if (char === '[') {
+      return /^\[[BIL];/.test(this.text.slice(this.pos, this.pos + 3)) ? this.readArray() : this.readList(depth);
+    }
+    if (char === '"' || char === "'") return { type: 'string', value: this.readQuoted() };
+
+    const token = this.readUnquoted();
+    if (!token) this.fail('Expected a value');
+    return typeUnquoted(token);
+  }
+
+  readCompound(depth) {
+    this.expect('{');
+    const value = {};
+    this.skipWhitespace();
+    if (this.peek() === '}') {
+      this.pos++;
+      return { type: 'compound', value };
+    }
+
+    for (;;) {
+      this.skipWhitespace();
+      const char = this.peek();
+      const key = char === '"' || char === "'" ? this.readQuoted() : this.readUnquoted();
+      if (!key && char !== '"' && char !== "'") this.fail('Expected a key');
+
+      this.skipWhitespace();
+      this.expect(':');
+      setEntry(value, key, this.readValue(depth + 1));
+
+      if (this.readSeparator('}')) break;
+    }
+    return { type: 'compound', value };
+  }
+
+  readList(depth) {
+    this.expect('[');
+    const elements = [];
+    let elementType = 'end';
+    this.skipWhitespace();
+    if (this.peek() === ']') {
+      this.pos++;
+      return { type: 'list', value: { type: elementType, value: elements } };
+    }
+
+    for (;;) {
+      const start = this.pos;
+      const element = this.readValue(depth + 1);
+      if (elementType !== 'end' && element.type !== elementType) {
+        this.pos = start;
+        this.fail(`Cannot insert ${element.type} into a list of ${elementType}`);
+      }
+      elementType = element.type;
+      elements.push(element.value);
+
+      if (this.readSeparator(']')) break;
+    }
+    return { type: 'list', value: { type: elementType, value: elements } };
+  }
+
+  readArray() {
+    const arrayType = ARRAY_PREFIXES[this.text[this.pos + 1]];
+    const elementType = arrayType.replace('Array', '');
+    this.pos += 3;
+
+    const value = [];
+    this.skipWhitespace();
+    if (this.peek() === ']') {
+      this.pos++;
+      return { type: arrayType, value: new ARRAY_TYPES[arrayType](0) };
+    }
+
+    for (;;) {
+      this.skipWhitespace();
+      const start = this.pos;
+      const token = this.readUnquoted();
+      const element = token ? typeUnquoted(token) : null;
+      if (!element || element.type !== elementType) {
+        this.pos = start;
+        this.fail(`Expected ${elementType} values in ${arrayType}`);
+      }
+      value.push(element.value);
+
+      if (this.readSeparator(']')) break;
+    }
+    return { type: arrayType, value: ARRAY_TYPES[arrayType].from(value) };
+  }
+
+  readQuoted() {
+    const quoteChar = this.text[this.pos++];
+    let value = '';
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === '\\') {
+        const next = this.text[this.pos++];
+        if (next !== '\\' && next !== quoteChar) {
+          this.pos--;
+          this.fail(`Invalid escape sequence \\${next ?? ''}`);
+        }
+        value += next;
+      } else if (char === quoteChar) {
+        return value;
+      } else {
+        value += char;
+      }
+    }
+    this.fail('Unterminated string');
+  }
+
+  readUnquoted() {
+    const start = this.pos;
+    while (this.pos < this.text.length && /[0-9A-Za-z_\-.+]/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  // After an element: true at the closing bracket, false after a comma
+  readSeparator(close) {
+    this.skipWhitespace();
+    const char = this.peek();
+    if (char === ',') {
+      this.pos++;
+      return false;
+    }
+    if (char === close) {
+      this.pos++;
+      return true;
+    }
+    this.fail(`Expected ',' or '${close}'`);
+  }
+
+  expect(char) {
+    if (this.peek() !== char) this.fail(`Expected '${char}'`);
+    this.pos++;
+  }
+
+  peek() {
+    return this.text[this.pos];
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  fail(message) {
+    const context = this.text.slice(Math.max(0, this.pos - 20), this.pos);
+    throw createError(`${message} at position ${this.pos}: ...${context}<--[HERE]`, 'SNBT_PARSE_ERROR');
+  }
+}
+
+// Numbers that do not fit their type stay strings, as in Minecraft
+function typeUnquoted(token) {
+  if (/^true$/i.test(token)) return { type: 'byte', value: 1 };
+  if (/^false$/i.test(token)) return { type: 'byte', value: 0 };
+
+  const match = NUMBER_PATTERNS.find(({ pattern }) => pattern.test(token));
+  if (match) {
+    const digits = /[bslfd]$/i.test(token) && match.type !== 'int' ? token.slice(0, -1) : token;
+    if (match.type === 'long') {
+      const value = BigInt(digits);
+      if (value >= LONG_RANGE[0] && value <= LONG_RANGE[1]) return { type: 'long', value };
+    } else if (INTEGER_RANGES[match.type]) {
+      const value = parseInt(digits);
+      const [min, max] = INTEGER_RANGES[match.type];
+      if (value >= min && value <= max) return { type: match.type, value };
+    } else {
+      const value = parseFloat(digits);
+      if (Number.isFinite(value)) {
+        return { type: match.type, value: match.type === 'float' ? Math.fround(value) : value };
+      }
+    }
+  }
+
+  return { type: 'string', value: token };
+}
+
+module.exports = {
+  stringify,
+  parse
+};
@@ -0,0 +1,363 @@
+const nbt = require('./nbt');
+const { findWorldRoot } = require('./world');
+const { LEGACY_BLOCKS } = require('./upgrade/mappings');
+const { createError } = require('../helpers');
+
+// Per-player statistics of a Java world: stats/<uuid>.json,
+// advancements/<uuid>.json and playerdata/<uuid>.dat, read in both the
+// current format and the flat "stat.*" / "achievement.*" format used
+// before 1.13. Players are keyed by the UUID in the file name.
+
+const TICKS_PER_SECOND = 20;
+const TOP_BLOCKS = 10;
+const DIMENSIONS = { '-1': 'minecraft:the_nether', 0: 'minecraft:overworld', 1: 'minecraft:the_end' };
+const GAME_MODES = ['survival', 'creative', 'adventure', 'spectator'];
+// Legacy distance stat names that were renamed rather than just re-cased
+const LEGACY_DISTANCES = { dive: 'walk_under_water' };
+
+// Every block ID before the flattening, by old and new name. Used to tell
+// placed blocks apart from other used items.
+const KNOWN_BLOCKS = new Set([...LEGACY_BLOCKS.values()].flatMap(block => [
+  block.name,
+  ...[].concat(block.flattened).map(name => `minecraft:${name}`)
+]));
+
+// Read every player file of a world. Returns { players, advancementsKnown,
+// unreadable, notes }; players are per-player summaries, most played first.
+function readPlayerStats(files) {
+  const root = findWorldRoot(files);
+  const players = new Map();
+  const notes = [];
+  const unreadable = [];
+
+  const playerFor = (key) => {
+    if (!players.has(key)) {
+      players.set(key, { key, stats: null, advancements: null, data: null, name: null, dataVersion: null });
+    }
+    return players.get(key);
+  };
+
+  files.forEach(file => {
+    const relativePath = file.path.startsWith(root) ? file.path.slice(root.length) : null;
+    if (relativePath === null) return;
+
+    const match = relativePath.match(/^(stats|advancements|playerdata|players)\/([^/]+)\.(json|dat)$/);
+    if (!match) return;
+    const [, folder, key, extension] = match;
+
+    try {
+      if (folder === 'stats' && extension === 'json') {
+        const stats = parseStats(JSON.parse(file.read().toString('utf8')));
+        playerFor(normalizeUuid(key) || key).stats = stats;
+      } else if (folder === 'advancements' && extension === 'json') {
+        const advancements = parseAdvancements(JSON.parse(file.read().toString('utf8')));
+        playerFor(normalizeUuid(key) || key).advancements = advancements;
+      } else if (extension === 'dat') {
+        const data = parsePlayerData(nbt.decode(file.read()));
+        // players/<name>.dat predates UUIDs (before 1.7.6)
+        const player = playerFor(folder === 'playerdata' ? (normalizeUuid(key) || key) : key);
+        player.data = data;
+        if (folder === 'players') player.name = key;
+      }
+    } catch (error) {
+      unreadable.push({ file: relativePath, error: error.message });
+    }
+  });
+
+  // Servers keep usercache.json next to the world folder
+  const names = readUserCache(files);
+
+  // Blocks anyone mined are blocks too, which covers IDs added after 1.13
+  const blocks = new Set(KNOWN_BLOCKS);
+  players.forEach(player => Object.keys(player.stats?.mined || {}).forEach(id => blocks.add(id)));
+
+  // No list of every advancement ships with a world, so completion is
+  // measured against the advancements anyone here has started
+  const knownAdvancements = new Set();
+  players.forEach(player => (player.advancements?.started || []).forEach(id => knownAdvancements.add(id)));
+
+  const summaries = Array.from(players.values()).map(player => summarizePlayer(player, {
+    name: player.name || player.data?.lastKnownName || names.get(player.key) || null,
+    blocks,
+    knownAdvancements: knownAdvancements.size
+  }));
+
+  if (unreadable.length > 0) {
+    notes.push(`${unreadable.length} player file(s) could not be read`);
+  }
+  if (summaries.some(player => player.offline)) {
+    notes.push('Some UUIDs are offline-mode UUIDs and have no Mojang account');
+  }
+
+  return {
+    players: summaries.sort((a, b) => b.playTime.ticks - a.playTime.ticks),
+    advancementsKnown: knownAdvancements.size,
+    unreadable,
+    notes
+  };
+}
+
+// Totals across player summaries
+function totalPlayerStats(players) {
+  const totals = {
+    players: players.length,
+    playTime: { ticks: 0, hours: 0 },
+    blocks: { mined: 0, placed: 0 },
+    deaths: 0,
+    mobKills: 0,
+    playerKills: 0,
+    distance: { blocks: 0, byMode: {} },
+    advancements: { completed: 0 }
+  };
+
+  players.forEach(player => {
+    totals.playTime.ticks += player.playTime.ticks;
+    totals.blocks.mined += player.blocks.mined;
+    totals.blocks.placed += player.blocks.placed;
+    totals.deaths += player.deaths;
+    totals.mobKills += player.mobKills;
+    totals.playerKills += player.playerKills;
+    totals.distance.blocks += player.distance.blocks;
+    Object.entries(player.distance.byMode).forEach(([mode, blocks]) => {
+      totals.distance.byMode[mode] = (totals.distance.byMode[mode] || 0) + blocks;
+    });
+    totals.advancements.completed += player.advancements.completed;
+  });
+
+  totals.playTime.hours = ticksToHours(totals.playTime.ticks);
+  totals.distance.blocks = round(totals.distance.blocks);
+  Object.keys(totals.distance.byMode).forEach(mode => {
+    totals.distance.byMode[mode] = round(totals.distance.byMode[mode]);
+  });
+  return totals;
+}
+
+// stats/<uuid>.json in either format, as namespaced IDs:
+// { dataVersion, custom, mined, used, killed, killedBy }
+function parseStats(json) {
+  if (!json || typeof json !== 'object') {
+    throw createError('Stats file is not a JSON object', 'PLAYER_INVALID_STATS');
+  }
+
+  if (json.stats && typeof json.stats === 'object') {
+    const category = (name) => json.stats[`minecraft:${name}`] || {};
+    return {
+      dataVersion: json.DataVersion ?? null,
+      custom: category('custom'),
+      mined: category('mined'),
+      used: category('used'),
+      killed: category('killed'),
+      killedBy: category('killed_by')
+    };
+  }
+
+  // Before 1.13: { "stat.playOneMinute": 1200, "stat.mineBlock.minecraft.stone": 4, ... }
+  const result = { dataVersion: null, custom: {}, mined: {}, used: {}, killed: {}, killedBy: {}, achievements: {} };
+  Object.entries(json).forEach(([key, value]) => {
+    if (key.startsWith('achievement.')) {
+      result.achievements[key] = value;
+      return;
+    }
+    if (typeof value !== 'number' || !key.startsWith('stat.')) return;
+
+    const [, name, ...rest] = key.split('.');
+    const target = { mineBlock: 'mined', useItem: 'used', killEntity: 'killed', entityKilledBy: 'killedBy' }[name];
+    if (target) {
+      const id = legacyStatId(rest.join('.'));
+      result[target][id] = (result[target][id] || 0) + value;
+    } else if (rest.length === 0) {
+      result.custom[`minecraft:${camelToSnake(name)}`] = value;
+    }
+  });
+  return result;
+}
+
+// advancements/<uuid>.json: { completed: [ids], started: [ids], dataVersion }
+function parseAdvancements(json) {
+  if (!json || typeof json !== 'object') {
+    throw createError('Advancements file is not a JSON object', 'PLAYER_INVALID_ADVANCEMENTS');
+  }
+
+  const completed = [];
+  const started = [];
+  Object.entries(json).forEach(([id, progress]) => {
+    if (id === 'DataVersion' || !progress || typeof progress !== 'object') return;
+    if (/^[^:]+:recipes\//.test(id)) return;
+    started.push(id);
+    if (progress.done) completed.push(id);
+  });
+
+  return { completed, started, dataVersion: json.DataVersion ?? null };
+}
+
+// playerdata/<uuid>.dat: position, dimension, level and health
+function parsePlayerData(root) {
+  const data = nbt.simplify(root);
+  const pos = Array.isArray(data.Pos) ? data.Pos.map(value => Math.floor(value)) : null;
+  const dimension = typeof data.Dimension === 'string' ? data.Dimension : (DIMENSIONS[data.Dimension] ?? null);
+  const bukkit = data.bukkit || {};
+
+  return {
+    dataVersion: data.DataVersion ?? null,
+    position: pos ? { x: pos[0], y: pos[1], z: pos[2] } : null,
+    dimension,
+    gamemode: GAME_MODES[data.playerGameType] ?? null,
+    xpLevel: data.XpLevel ?? null,
+    health: data.Health ?? null,
+    // Spigot and Paper remember the name and last login
+    lastKnownName: bukkit.lastKnownName ?? null,
+    lastPlayed: bukkit.lastPlayed !== undefined ? new Date(Number(bukkit.lastPlayed)).toISOString() : null
+  };
+}
+
+function summarizePlayer(player, { name, blocks, knownAdvancements }) {
+  const stats = player.stats || { custom: {}, mined: {}, used: {}, killed: {}, killedBy: {} };
+  const custom = (id) => stats.custom[`minecraft:${id}`] || 0;
+  const uuid = normalizeUuid(player.key);
+
+  // play_one_minute was renamed play_time in 1.17; both count ticks
+  const ticks = custom('play_time') || custom('play_one_minute');
+
+  const placedByBlock = {};
+  Object.entries(stats.used).forEach(([id, count]) => {
+    if (blocks.has(id)) placedByBlock[id] = count;
+  });
+
+  const byMode = {};
+  Object.entries(stats.custom).forEach(([id, value]) => {
+    const mode = id.match(/^minecraft:(.+)_one_cm$/);
+    if (mode) {
+      const key = LEGACY_DISTANCES[mode[1]] || mode[1];
+      byMode[key] = round((byMode[key] || 0) + value / 100);
+    }
+  });
+
+  const advancements = summarizeAdvancements(player.advancements, stats.achievements, knownAdvancements);
+
+  return {
+    uuid,
+    name,
+    offline: uuid ? uuid[14] === '3' : false,
+    dataVersion: player.data?.dataVersion ?? stats.dataVersion ?? player.advancements?.dataVersion ?? null,
+    sources: {
+      stats: Boolean(player.stats),
+      advancements: Boolean(player.advancements),
+      playerData: Boolean(player.data)
+    },
+    playTime: { ticks, hours: ticksToHours(ticks) },
+    blocks: {
+      mined: sum(stats.mined),
+      placed: sum(placedByBlock),
+      topMined: top(stats.mined),
+      topPlaced: top(placedByBlock)
+    },
+    deaths: custom('deaths'),
+    mobKills: custom('mob_kills'),
+    playerKills: custom('player_kills'),
+    topKilled: top(stats.killed),
+    distance: {
+      blocks: round(Object.values(byMode).reduce((total, value) => total + value, 0)),
+      byMode
+    },
+    advancements,
+    position: player.data?.position ?? null,
+    dimension: player.data?.dimension ?? null,
+    gamemode: player.data?.gamemode ?? null,
+    xpLevel: player.data?.xpLevel ?? null,
+    health: player.data?.health ?? null,
+    lastPlayed: player.data?.lastPlayed ?? null
+  };
+}
+
+function summarizeAdvancements(advancements, achievements, knownAdvancements) {
+  if (advancements) {
+    const byTab = {};
+    advancements.completed.forEach(id => {
+      const tab = id.replace(/^minecraft:/, '').split('/')[0];
+      byTab[tab] = (byTab[tab] || 0) + 1;
+    });
+    return {
+      completed: advancements.completed.length,
+      inProgress: advancements.started.length - advancements.completed.length,
+      completion: knownAdvancements > 0 ? round((advancements.completed.length / knownAdvancements) * 100) : 0,
+      byTab
+    };
+  }
+
+  // Achievements (before 1.12) are counters, or { value, progress } while in progress
+  const entries = Object.values(achievements || {});
+  const completed = entries.filter(value => (typeof value === 'number' ? value : value?.value) > 0).length;
+  return {
+    completed,
+    inProgress: entries.length - completed,
+    completion: null,
+    byTab: completed > 0 ? { achievements: completed } : {}
+  };
+}
+
+function readUserCache(files) {
+  const names = new Map();
+  const cache = files.find(file => /(^|\/)usercache\.json$/.test(file.path));
+  if (!cache) return names;
+
+  try {
+    const entries = JSON.parse(cache.read().toString('utf8'));
+    if (Array.isArray(entries)) {
+      entries.forEach(entry => {
+        const uuid = normalizeUuid(entry?.uuid);
+        if (uuid && typeof entry.name === 'string') names.set(uuid, entry.name);
+      });
+    }
+  } catch (error) {
+    // A broken cache only costs us the names
+  }
+  return names;
+}
+
+// "stat.mineBlock.minecraft.stone" (1.8+) or "stat.mineBlock.1" (before 1.8)
+function legacyStatId(id) {
+  if (/^\d+$/.test(id)) {
+    return LEGACY_BLOCKS.get(parseInt(id))?.name || `legacy:${id}`;
+  }
+  const dot = id.indexOf('.');
+  return dot === -1 ? `minecraft:${id}` : `${id.slice(0, dot)}:${id.slice(dot + 1)}`;
+}
+
+// Dashed lower-case UUID, or null
+function normalizeUuid(value) {
+  const hex = String(value ?? '').replace(/-/g, '').toLowerCase();
+  if (!/^[0-9a-f]{32}$/.test(hex)) return null;
+  return hex.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+}
+
+function camelToSnake(name) {
+  return name.replace(/([A-Z])/g, '_$1').toLowerCase();
+}
+
+function top(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_BLOCKS)
+    .map(([id, count]) => ({ id, count }));
+}
+
+function sum(counts) {
+  return Object.values(counts).reduce((total, value) => total + value, 0);
+}
+
+function ticksToHours(ticks) {
+  return round(ticks / TICKS_PER_SECOND / 3600);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  readPlayerStats,
+  totalPlayerStats,
+  parseStats,
+  parseAdvancements,
+  parsePlayerData,
+  normalizeUuid
+};
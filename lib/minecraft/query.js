@@ -0,0 +1,201 @@
+const dgram = require('dgram');
+const dns = require('dns').promises;
+const net = require('net');
+
+// Minecraft Query protocol client (GameSpy4 over UDP)
+// Requires enable-query=true in server.properties. The full stat response
+// carries what the status ping does not: player names, plugins and the map.
+
+const MAGIC = Buffer.from([0xfe, 0xfd]);
+const TYPE_HANDSHAKE = 0x09;
+const TYPE_STAT = 0x00;
+const DEFAULT_TIMEOUT = 5000;
+
+async function queryServer(host, port = 25565, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT, full = true } = options;
+  const address = net.isIP(host) ? host : (await dns.lookup(host)).address;
+  const sessionId = generateSessionId();
+
+  const startTime = Date.now();
+  return withUdpSocket(address, parseInt(port), timeout, async (send) => {
+    const handshake = await send(createRequest(TYPE_HANDSHAKE, sessionId), TYPE_HANDSHAKE, sessionId);
+    const challengeToken = parseInt(readNullTerminated(handshake, 0).value);
+    if (isNaN(challengeToken)) {
+      throw new Error('Server returned an invalid challenge token');
+    }
+
+    const token = Buffer.alloc(4);
+    token.writeInt32BE(challengeToken | 0);
+    const payload = full ? Buffer.concat([token, Buffer.alloc(4)]) : token;
+
+    const stat = await send(createRequest(TYPE_STAT, sessionId, payload), TYPE_STAT, sessionId);
+    const result = full ? parseFullStat(stat) : parseBasicStat(stat);
+
+    return {
+      ...result,
+      host,
+      port: parseInt(port),
+      latency: Date.now() - startTime
+    };
+  });
+}
+
+function withUdpSocket(address, port, timeout, handler) {
+  const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+  let pending = null;
+
+  socket.on('message', (message) => {
+    if (!pending) return;
+    if (message.length < 5 || message[0] !== pending.type || message.readInt32BE(1) !== pending.sessionId) {
+      return;
+    }
+    const { resolve } = pending;
+    pending = null;
+    resolve(message.subarray(5));
+  });
+
+  socket.on('error', (error) => {
+    if (pending) {
+      const { reject } = pending;
+      pending = null;
+      reject(error);
+    }
+  });
+
+  // Send a request and wait for the matching response type/session
+  const send = (request, type, sessionId) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pending = null;
+      const error = new Error(`Query timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeout);
+
+    pending = {
+      type,
+      sessionId,
+      resolve: (data) => { clearTimeout(timer); resolve(data); },
+      reject: (error) => { clearTimeout(timer); reject(error); }
+    };
+
+    socket.send(request, port, address, (error) => {
+      if (error && pending) pending.reject(error);
+    });
+  });
+
+  return handler(send).finally(() => socket.close());
+}
+
+function createRequest(type, sessionId, payload = Buffer.alloc(0)) {
+  const header = Buffer.alloc(7);
+  MAGIC.copy(header, 0);
+  header[2] = type;
+  header.writeInt32BE(sessionId, 3);
+  return Buffer.concat([header, payload]);
+}
+
+// Session IDs must only use the lower 4 bits of each byte
+function generateSessionId() {
+  return (Math.floor(Math.random() * 0x7fffffff) & 0x0f0f0f0f);
+}
+
+function readNullTerminated(buffer, offset) {
+  const end = buffer.indexOf(0x00, offset);
+  if (end === -1) throw new Error('Malformed query response');
+  return { value: buffer.toString('utf8', offset, end), next: end + 1 };
+}
+
+function parseBasicStat(data) {
+  const fields = [];
+  let offset = 0;
+  for (let i = 0; i < 5; i++) {
+    const field = readNullTerminated(data, offset);
+    fields.push(field.value);
+    offset = field.next;
+  }
+
+  const [motd, gametype, map, numplayers, maxplayers] = fields;
+  const hostport = data.readUInt16LE(offset);
+  const hostip = readNullTerminated(data, offset + 2).value;
+
+  return {
+    motd,
+    gametype,
+    map,
+    players: { online: parseInt(numplayers) || 0, max: parseInt(maxplayers) || 0, list: [] },
+    hostport,
+    hostip
+  };
+}
+
+function parseFullStat(data) {
+  // 11 bytes of constant padding ("splitnum\0\x80\0") precede the K/V section
+  let offset = 11;
+  const values = {};
+
+  while (offset < data.length) {
+    const key = readNullTerminated(data, offset);
+    offset = key.next;
+    if (key.value === '') break;
+    const value = readNullTerminated(data, offset);
+    offset = value.next;
+    values[key.value] = value.value;
+  }
+
+  // 10 bytes of padding ("\x01player_\0\0") precede the player list
+  offset += 10;
+  const players = [];
+  while (offset < data.length) {
+    const player = readNullTerminated(data, offset);
+    offset = player.next;
+    if (player.value === '') break;
+    players.push(player.value);
+  }
+
+  const { software, plugins } = parsePluginString(values.plugins || '');
+
+  return {
+    motd: values.hostname || '',
+    gametype: values.gametype || null,
+    gameId: values.game_id || null,
+    version: values.version || null,
+    software,
+    plugins,
+    map: values.map || null,
+    players: {
+      online: parseInt(values.numplayers) || 0,
+      max: parseInt(values.maxplayers) || 0,
+      list: players
+    },
+    hostport: parseInt(values.hostport) || null,
+    hostip: values.hostip || null,
+    raw: values
+  };
+}
+
+// Bukkit-style servers report "Software: PluginA 1.0; PluginB 2.1"
+function parsePluginString(value) {
+  if (!value) return { software: null, plugins: [] };
+
+  const separator = value.indexOf(':');
+  const software = separator === -1 ? value.trim() : value.slice(0, separator).trim();
+  const list = separator === -1 ? '' : value.slice(separator + 1);
+
+  const plugins = list.split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const lastSpace = entry.lastIndexOf(' ');
+      if (lastSpace === -1) return { name: entry, version: null };
+      return { name: entry.slice(0, lastSpace), version: entry.slice(lastSpace + 1) };
+    });
+
+  return { software: software || null, plugins };
+}
+
+module.exports = {
+  queryServer,
+  parseFullStat,
+  parseBasicStat,
+  parsePluginString
+};
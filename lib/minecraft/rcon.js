@@ -0,0 +1,231 @@
+const net = require('net');
+const { createError } = require('../helpers');
+
+// Source RCON protocol client as implemented by Minecraft servers
+// Packets are little-endian: length, request ID, type, ASCII body and two NULs.
+
+const PACKET_TYPE = {
+  RESPONSE_VALUE: 0,
+  EXEC_COMMAND: 2,
+  AUTH_RESPONSE: 2,
+  AUTH: 3
+};
+
+const DEFAULT_TIMEOUT = 5000;
+const MAX_COMMAND_LENGTH = 1446;
+
+class RconClient {
+  constructor(host, port = 25575, options = {}) {
+    this.host = host;
+    this.port = parseInt(port);
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.nextRequestId = 1;
+    this.pending = new Map();
+    this.authenticated = false;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(createError(`Connection timed out after ${this.timeout}ms`, 'ETIMEDOUT'));
+      }, this.timeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve(this);
+      });
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      socket.on('data', (chunk) => this.handleData(chunk));
+      socket.on('close', () => this.rejectAll(createError('RCON connection closed', 'ECONNRESET')));
+      socket.on('error', (error) => this.rejectAll(error));
+    });
+  }
+
+  async authenticate(password) {
+    const requestId = this.allocateRequestId();
+    const response = await this.request(requestId, PACKET_TYPE.AUTH, password, { expectAuth: true });
+
+    // A failed login is answered with request ID -1
+    if (response.requestId === -1) {
+      throw createError('RCON authentication failed', 'RCON_AUTH_FAILED');
+    }
+
+    this.authenticated = true;
+    return true;
+  }
+
+  // Run a command and reassemble responses that span several packets. A
+  // second (invalid type) packet is sent right behind the command; since
+  // the server answers in order, its reply marks the end of the output.
+  async execute(command) {
+    if (!this.authenticated) {
+      throw createError('RCON client is not authenticated', 'RCON_NOT_AUTHENTICATED');
+    }
+    if (Buffer.byteLength(command) > MAX_COMMAND_LENGTH) {
+      throw createError(`Command exceeds ${MAX_COMMAND_LENGTH} bytes`, 'RCON_COMMAND_TOO_LONG');
+    }
+
+    const requestId = this.allocateRequestId();
+    const sentinelId = this.allocateRequestId();
+
+    return new Promise((resolve, reject) => {
+      const fragments = [];
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        this.pending.delete(sentinelId);
+        reject(createError(`RCON command timed out after ${this.timeout}ms`, 'ETIMEDOUT'));
+      }, this.timeout);
+
+      const fail = (error) => {
+        clearTimeout(timer);
+        this.pending.delete(requestId);
+        this.pending.delete(sentinelId);
+        reject(error);
+      };
+
+      this.pending.set(requestId, {
+        onPacket: (packet) => fragments.push(packet.body),
+        reject: fail
+      });
+      this.pending.set(sentinelId, {
+        onPacket: () => {
+          clearTimeout(timer);
+          this.pending.delete(requestId);
+          this.pending.delete(sentinelId);
+          resolve(fragments.join(''));
+        },
+        reject: fail
+      });
+
+      this.socket.write(encodePacket(requestId, PACKET_TYPE.EXEC_COMMAND, command));
+      this.socket.write(encodePacket(sentinelId, PACKET_TYPE.RESPONSE_VALUE, ''));
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.authenticated = false;
+  }
+
+  request(requestId, type, body, { expectAuth = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        this.pending.delete(-1);
+        reject(createError(`RCON request timed out after ${this.timeout}ms`, 'ETIMEDOUT'));
+      }, this.timeout);
+
+      const entry = {
+        onPacket: (packet) => {
+          // Servers may send an empty RESPONSE_VALUE before the auth response
+          if (expectAuth && packet.type !== PACKET_TYPE.AUTH_RESPONSE) return;
+          clearTimeout(timer);
+          this.pending.delete(requestId);
+          this.pending.delete(-1);
+          resolve(packet);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          this.pending.delete(requestId);
+          this.pending.delete(-1);
+          reject(error);
+        }
+      };
+
+      this.pending.set(requestId, entry);
+      if (expectAuth) this.pending.set(-1, entry);
+
+      this.socket.write(encodePacket(requestId, type, body));
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readInt32LE(0);
+      if (length < 10) {
+        this.rejectAll(createError('Received malformed RCON packet', 'RCON_PROTOCOL_ERROR'));
+        this.close();
+        return;
+      }
+      if (this.buffer.length < length + 4) return;
+
+      const packet = decodePacket(this.buffer.subarray(0, length + 4));
+      this.buffer = this.buffer.subarray(length + 4);
+
+      const entry = this.pending.get(packet.requestId);
+      if (entry) entry.onPacket(packet);
+    }
+  }
+
+  rejectAll(error) {
+    const entries = new Set(this.pending.values());
+    this.pending.clear();
+    entries.forEach(entry => entry.reject(error));
+  }
+
+  allocateRequestId() {
+    const id = this.nextRequestId;
+    this.nextRequestId = this.nextRequestId >= 0x7fffffff ? 1 : this.nextRequestId + 1;
+    return id;
+  }
+}
+
+function encodePacket(requestId, type, body) {
+  const payload = Buffer.from(body, 'utf8');
+  const packet = Buffer.alloc(14 + payload.length);
+  packet.writeInt32LE(10 + payload.length, 0);
+  packet.writeInt32LE(requestId, 4);
+  packet.writeInt32LE(type, 8);
+  payload.copy(packet, 12);
+  return packet;
+}
+
+function decodePacket(buffer) {
+  const length = buffer.readInt32LE(0);
+  return {
+    requestId: buffer.readInt32LE(4),
+    type: buffer.readInt32LE(8),
+    body: buffer.toString('utf8', 12, 4 + length - 2)
+  };
+}
+
+// Connect, authenticate, run the commands in order and disconnect
+async function executeRconCommands({ host, port, password, commands, timeout = DEFAULT_TIMEOUT }) {
+  const client = new RconClient(host, port, { timeout });
+  try {
+    await client.connect();
+    await client.authenticate(password);
+
+    const results = [];
+    for (const command of commands) {
+      const startTime = Date.now();
+      const response = await client.execute(command.replace(/^\//, ''));
+      results.push({ command, response, duration: Date.now() - startTime });
+    }
+    return results;
+  } finally {
+    client.close();
+  }
+}
+
+module.exports = {
+  RconClient,
+  PACKET_TYPE,
+  encodePacket,
+  decodePacket,
+  executeRconCommands
+};
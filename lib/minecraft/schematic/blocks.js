@@ -0,0 +1,253 @@
+const { LEGACY_BLOCKS } = require('../upgrade/mappings');
+const { CHANGES } = require('../upgrade');
+const { FLATTENING } = require('../upgrade/versions');
+const { createError } = require('../../helpers');
+
+// Block states, the schematic model and the bit packing shared by the
+// schematic formats.
+//
+// A schematic is { size: { x, y, z }, offset, palette: [block state
+// strings], blocks: Uint32Array of palette indexes in YZX order
+// (x + z * size.x + y * size.x * size.z), blockEntities: [{ pos, id, data }],
+// entities: [{ pos, id, data }], dataVersion, metadata, warnings }. `data`
+// is the compound payload without the position and ID tags.
+
+const AIR = 'minecraft:air';
+const MAX_VOLUME = parseInt(process.env.SCHEMATIC_MAX_VOLUME) || 256 * 256 * 256;
+const POSITION_TAGS = ['x', 'y', 'z', 'Pos', 'pos', 'id', 'Id'];
+
+const BLOCK_RENAMES = CHANGES.filter(change => change.kind === 'block' && change.type !== 'removed');
+const BLOCK_REMOVALS = CHANGES.filter(change => change.kind === 'block' && change.type === 'removed');
+
+// 1.13 block name -> { id, data } of the first legacy variant that became
+// it. Water and lava come from their flowing and still IDs; still wins.
+const LEGACY_BY_STATE = new Map([
+  ['minecraft:water', { id: 9, data: 0 }],
+  ['minecraft:lava', { id: 11, data: 0 }]
+]);
+LEGACY_BLOCKS.forEach((block, id) => {
+  for (let data = 0; data < 16; data++) {
+    const name = Array.isArray(block.flattened) ? block.flattened[data & block.mask] : block.flattened;
+    if (name && !LEGACY_BY_STATE.has(`minecraft:${name}`)) {
+      LEGACY_BY_STATE.set(`minecraft:${name}`, { id, data });
+    }
+  }
+});
+
+function createSchematic({ size, offset = null, palette, blocks, blockEntities = [], entities = [], dataVersion = null, metadata = {}, warnings = [] }) {
+  const volume = size.x * size.y * size.z;
+  if (![size.x, size.y, size.z].every(value => Number.isInteger(value) && value > 0)) {
+    throw createError(`Invalid schematic size ${size.x}x${size.y}x${size.z}`, 'SCHEMATIC_INVALID');
+  }
+  if (volume > MAX_VOLUME) {
+    throw createError(`Schematic volume ${volume} exceeds the limit of ${MAX_VOLUME} blocks`, 'SCHEMATIC_TOO_LARGE');
+  }
+  if (blocks.length !== volume) {
+    throw createError(`Expected ${volume} blocks, found ${blocks.length}`, 'SCHEMATIC_INVALID');
+  }
+
+  return {
+    size,
+    offset: offset || { x: 0, y: 0, z: 0 },
+    palette,
+    blocks,
+    blockEntities,
+    entities,
+    dataVersion,
+    metadata,
+    warnings
+  };
+}
+
+// Grows a palette while block states are added; returns their indexes
+function createPaletteBuilder(initial = [AIR]) {
+  const palette = [];
+  const indexes = new Map();
+  const add = (state) => {
+    if (!indexes.has(state)) {
+      indexes.set(state, palette.length);
+      palette.push(state);
+    }
+    return indexes.get(state);
+  };
+  initial.forEach(add);
+  return { palette, add };
+}
+
+// "minecraft:oak_stairs[facing=north,half=top]" -> { name, properties }
+function parseBlockState(state) {
+  const match = String(state).trim().match(/^([^[\]]+)(?:\[(.*)\])?$/);
+  if (!match) throw createError(`Invalid block state "${state}"`, 'SCHEMATIC_INVALID_BLOCK');
+
+  const name = match[1].includes(':') ? match[1].toLowerCase() : `minecraft:${match[1].toLowerCase()}`;
+  const properties = {};
+  (match[2] || '').split(',').filter(Boolean).forEach(pair => {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined) properties[key.trim()] = value.trim();
+  });
+  return { name, properties };
+}
+
+function stringifyBlockState(name, properties = {}) {
+  const keys = Object.keys(properties).sort();
+  return keys.length > 0 ? `${name}[${keys.map(key => `${key}=${properties[key]}`).join(',')}]` : name;
+}
+
+// Block state from a palette compound ({ Name, Properties }), as used by
+// structure files and Litematica
+function stateFromCompound(entry) {
+  const name = entry?.Name?.value;
+  if (typeof name !== 'string') throw createError('Palette entry without a Name', 'SCHEMATIC_INVALID');
+  const properties = {};
+  Object.entries(entry.Properties?.value || {}).forEach(([key, tag]) => {
+    properties[key] = String(tag.value);
+  });
+  return stringifyBlockState(parseBlockState(name).name, properties);
+}
+
+function compoundFromState(state) {
+  const { name, properties } = parseBlockState(state);
+  const compound = { Name: { type: 'string', value: name } };
+  if (Object.keys(properties).length > 0) {
+    compound.Properties = {
+      type: 'compound',
+      value: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, { type: 'string', value }]))
+    };
+  }
+  return compound;
+}
+
+// Flattened (1.13) name of a numeric block ID and data value, or null
+function legacyToState(id, data) {
+  const block = LEGACY_BLOCKS.get(id);
+  if (!block) return null;
+  if (!Array.isArray(block.flattened)) return `minecraft:${block.flattened}`;
+  // Upper plant halves (null) take the first variant
+  const name = block.flattened[data & block.mask] ?? block.flattened.find(Boolean);
+  return `minecraft:${name}`;
+}
+
+// Numeric block ID and data value of a 1.13 block state, or null
+function stateToLegacy(state) {
+  return LEGACY_BY_STATE.get(parseBlockState(state).name) || null;
+}
+
+// The name a block ID has in another DataVersion: renames are applied
+// forwards or undone backwards. Returns null for blocks removed on the way.
+function renameBlock(name, fromVersion, toVersion) {
+  let current = name;
+  if (toVersion > fromVersion) {
+    BLOCK_REMOVALS.forEach(change => {
+      if (change.from === current && change.dataVersion > fromVersion && change.dataVersion <= toVersion) current = null;
+    });
+    if (current === null) return null;
+    BLOCK_RENAMES
+      .filter(change => change.dataVersion > fromVersion && change.dataVersion <= toVersion)
+      .forEach(change => {
+        if (change.from === current) current = change.to;
+      });
+  } else if (toVersion < fromVersion) {
+    BLOCK_RENAMES
+      .filter(change => change.dataVersion > toVersion && change.dataVersion <= fromVersion)
+      .reverse()
+      .forEach(change => {
+        if (change.to === current && change.type === 'renamed') current = change.from;
+      });
+  }
+  return current;
+}
+
+// Palette entries renamed between two DataVersions; removed blocks become
+// air. Returns { palette, changes: [{ from, to }] }.
+function renamePalette(palette, fromVersion, toVersion) {
+  const changes = [];
+  const renamed = palette.map(state => {
+    const { name, properties } = parseBlockState(state);
+    const target = renameBlock(name, fromVersion ?? FLATTENING, toVersion);
+    if (target === name) return state;
+    const next = target === null ? AIR : stringifyBlockState(target, properties);
+    changes.push({ from: state, to: next });
+    return next;
+  });
+  return { palette: renamed, changes };
+}
+
+// Entries of `width` bits packed into longs, continuing into the next long
+// where needed (Litematica, chunks before 1.16)
+function unpackSpanned(longs, width, count) {
+  const values = new Uint32Array(count);
+  const mask = (1 << width) - 1;
+  const low = new Uint32Array(longs.length);
+  const high = new Uint32Array(longs.length);
+  longs.forEach((long, index) => {
+    low[index] = Number(BigInt.asUintN(32, long));
+    high[index] = Number(BigInt.asUintN(32, long >> 32n));
+  });
+
+  // `bits` bits (at most 31) of a long starting at `offset`
+  const read = (long, offset, bits) => {
+    const bitsMask = bits === 32 ? 0xffffffff : (1 << bits) - 1;
+    if (offset >= 32) return (high[long] >>> (offset - 32)) & bitsMask;
+    if (offset + bits <= 32) return (low[long] >>> offset) & bitsMask;
+    return ((low[long] >>> offset) | (high[long] << (32 - offset))) & bitsMask;
+  };
+
+  for (let index = 0; index < count; index++) {
+    const bit = index * width;
+    const long = Math.floor(bit / 64);
+    const offset = bit % 64;
+    if (long >= longs.length) break;
+    values[index] = offset + width <= 64
+      ? read(long, offset, width)
+      : (read(long, offset, 64 - offset) | (long + 1 < longs.length ? read(long + 1, 0, width - (64 - offset)) << (64 - offset) : 0)) & mask;
+  }
+  return values;
+}
+
+function packSpanned(values, width) {
+  const longs = new Array(Math.ceil((values.length * width) / 64)).fill(0n);
+  for (let index = 0; index < values.length; index++) {
+    const bit = index * width;
+    const long = Math.floor(bit / 64);
+    const offset = bit % 64;
+    const value = BigInt(values[index]);
+    longs[long] |= value << BigInt(offset);
+    if (offset + width > 64) longs[long + 1] |= value >> (64n - BigInt(offset));
+  }
+  // Stored as signed longs
+  return longs.map(long => BigInt.asIntN(64, long));
+}
+
+// Bits per palette index, at least `minimum`
+function bitsFor(paletteSize, minimum) {
+  return Math.max(minimum, 32 - Math.clz32(Math.max(1, paletteSize - 1)));
+}
+
+// Payload of a block entity or entity without the tags the formats store
+// separately
+function stripPositionTags(payload) {
+  const data = {};
+  Object.entries(payload || {}).forEach(([name, tag]) => {
+    if (!POSITION_TAGS.includes(name)) data[name] = tag;
+  });
+  return data;
+}
+
+module.exports = {
+  AIR,
+  MAX_VOLUME,
+  createSchematic,
+  createPaletteBuilder,
+  parseBlockState,
+  stringifyBlockState,
+  stateFromCompound,
+  compoundFromState,
+  legacyToState,
+  stateToLegacy,
+  renameBlock,
+  renamePalette,
+  unpackSpanned,
+  packSpanned,
+  bitsFor,
+  stripPositionTags
+};
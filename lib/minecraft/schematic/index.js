@@ -0,0 +1,206 @@
+const nbt = require('../nbt');
+const { resolveVersion, versionName, FLATTENING } = require('../upgrade/versions');
+const {
+  AIR,
+  MAX_VOLUME,
+  createPaletteBuilder,
+  parseBlockState,
+  stringifyBlockState,
+  renamePalette
+} = require('./blocks');
+const sponge = require('./sponge');
+const mcedit = require('./mcedit');
+const litematic = require('./litematic');
+const structure = require('./structure');
+const { createError } = require('../../helpers');
+
+// Schematic conversion between Sponge (.schem), MCEdit (.schematic),
+// Litematica (.litematic) and vanilla structure (.nbt) files. Every format
+// is read into the block state model in blocks.js and written from it.
+
+const FORMATS = {
+  sponge: { codec: sponge, extension: '.schem', description: 'Sponge schematic (WorldEdit 7, FAWE); reads version 1-3, writes 2 or 3' },
+  mcedit: { codec: mcedit, extension: '.schematic', description: 'MCEdit / WorldEdit 6 schematic with numeric pre-1.13 block IDs' },
+  litematic: { codec: litematic, extension: '.litematic', description: 'Litematica schematic; regions are merged on read' },
+  structure: { codec: structure, extension: '.nbt', description: 'Vanilla structure block file' }
+};
+// Detection order: structure files are the least specific
+const DETECTION_ORDER = ['litematic', 'sponge', 'mcedit', 'structure'];
+
+// Decode a schematic file (gzip or plain NBT). format 'auto' detects it.
+// Throws SCHEMATIC_UNKNOWN_FORMAT, SCHEMATIC_INVALID or the NBT_ errors.
+function readSchematic(buffer, { format = 'auto' } = {}) {
+  if (format !== 'auto' && !FORMATS[format]) {
+    throw createError(`format must be one of: auto, ${Object.keys(FORMATS).join(', ')}`, 'SCHEMATIC_INVALID_OPTION');
+  }
+
+  const root = nbt.decode(buffer, { endian: 'big' });
+  if (root.type !== 'compound') {
+    throw createError('A schematic must have a compound root tag', 'SCHEMATIC_INVALID');
+  }
+
+  const detected = format === 'auto' ? DETECTION_ORDER.find(name => FORMATS[name].codec.detect(root)) : format;
+  if (!detected) {
+    throw createError('Not a Sponge, MCEdit, Litematica or structure file', 'SCHEMATIC_UNKNOWN_FORMAT');
+  }
+
+  let schematic;
+  try {
+    schematic = FORMATS[detected].codec.read(root);
+  } catch (error) {
+    if (error.code) throw error;
+    // Missing or mistyped tags surface as TypeErrors
+    throw createError(`Invalid ${detected} file: ${error.message}`, 'SCHEMATIC_INVALID');
+  }
+  return { format: detected, schematic };
+}
+
+// Encode a schematic as a gzip file. options: spongeVersion (2 or 3),
+// includeAir (structure files). Returns { buffer, warnings }.
+function writeSchematic(schematic, format, { spongeVersion = 3, includeAir = true } = {}) {
+  if (!FORMATS[format]) {
+    throw createError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`, 'SCHEMATIC_INVALID_OPTION');
+  }
+
+  const warnings = [];
+  const withoutId = schematic.blockEntities.filter(entry => !entry.id).length + schematic.entities.filter(entry => !entry.id).length;
+  if (withoutId > 0) warnings.push(`${withoutId} block entit(ies) or entit(ies) without an ID were left out`);
+  let source = {
+    ...schematic,
+    blockEntities: schematic.blockEntities.filter(entry => entry.id),
+    entities: schematic.entities.filter(entry => entry.id)
+  };
+
+  // MCEdit files hold pre-1.13 blocks; undo later renames first
+  if (format === 'mcedit' && (source.dataVersion ?? FLATTENING) > FLATTENING) {
+    source = { ...source, palette: renamePalette(source.palette, source.dataVersion, FLATTENING).palette };
+  }
+
+  const { root, warnings: formatWarnings } = FORMATS[format].codec.write(source, { version: parseInt(spongeVersion), includeAir });
+  return {
+    buffer: nbt.encode(root, { compression: 'gzip' }),
+    warnings: [...warnings, ...formatWarnings]
+  };
+}
+
+// Rename blocks for another game version and apply replacements
+// ({ "minecraft:stone": "minecraft:andesite" }; a name without properties
+// matches every state of that block and keeps the properties). Returns
+// { schematic, remapped: [{ from, to, blocks }] }.
+function remapSchematic(schematic, { version = null, replace = {} } = {}) {
+  const target = version === null || version === undefined || version === ''
+    ? { version: versionName(schematic.dataVersion), dataVersion: schematic.dataVersion }
+    : resolveVersion(version);
+
+  if (!replace || typeof replace !== 'object' || Array.isArray(replace)) {
+    throw createError('replace must be an object of { "from": "to" } block states', 'SCHEMATIC_INVALID_OPTION');
+  }
+  const replacements = Object.entries(replace).map(([from, to]) => {
+    if (typeof to !== 'string') throw createError(`replace["${from}"] must be a block state`, 'SCHEMATIC_INVALID_OPTION');
+    const source = parseBlockState(from);
+    return { source, exact: from.includes('['), target: parseBlockState(to), targetHasProperties: to.includes('[') };
+  });
+
+  // Names before the flattening are handled by the MCEdit codec
+  const renameTo = Math.max(target.dataVersion, FLATTENING);
+  const renamed = renameTo === schematic.dataVersion
+    ? schematic.palette
+    : renamePalette(schematic.palette, schematic.dataVersion, renameTo).palette;
+
+  const replaced = renamed.map(state => {
+    const parsed = parseBlockState(state);
+    const match = replacements.find(({ source, exact }) => (exact
+      ? stringifyBlockState(source.name, source.properties) === stringifyBlockState(parsed.name, parsed.properties)
+      : source.name === parsed.name));
+    if (!match) return stringifyBlockState(parsed.name, parsed.properties);
+    return stringifyBlockState(match.target.name, match.targetHasProperties ? match.target.properties : parsed.properties);
+  });
+
+  // Merge palette entries that now name the same state
+  const { palette, add } = createPaletteBuilder([]);
+  const indexes = replaced.map(state => add(state));
+  const counts = new Array(schematic.palette.length).fill(0);
+  const blocks = new Uint32Array(schematic.blocks.length);
+  for (let index = 0; index < blocks.length; index++) {
+    counts[schematic.blocks[index]]++;
+    blocks[index] = indexes[schematic.blocks[index]];
+  }
+
+  const remapped = [];
+  schematic.palette.forEach((state, index) => {
+    if (replaced[index] !== state && counts[index] > 0) {
+      remapped.push({ from: state, to: replaced[index], blocks: counts[index] });
+    }
+  });
+
+  return {
+    schematic: { ...schematic, palette, blocks, dataVersion: target.dataVersion },
+    remapped
+  };
+}
+
+// Size, bounding box of the non-air blocks and block counts by ID
+function summarizeSchematic(schematic) {
+  const { size, palette, blocks } = schematic;
+  const counts = new Array(palette.length).fill(0);
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  const empty = palette.map(state => {
+    const { name } = parseBlockState(state);
+    return name === AIR || name === 'minecraft:cave_air' || name === 'minecraft:void_air' || name === 'minecraft:structure_void';
+  });
+
+  let index = 0;
+  for (let y = 0; y < size.y; y++) {
+    for (let z = 0; z < size.z; z++) {
+      for (let x = 0; x < size.x; x++, index++) {
+        const paletteIndex = blocks[index];
+        counts[paletteIndex]++;
+        if (empty[paletteIndex]) continue;
+        if (x < min.x) min.x = x;
+        if (y < min.y) min.y = y;
+        if (z < min.z) min.z = z;
+        if (x > max.x) max.x = x;
+        if (y > max.y) max.y = y;
+        if (z > max.z) max.z = z;
+      }
+    }
+  }
+
+  const materials = new Map();
+  palette.forEach((state, paletteIndex) => {
+    if (empty[paletteIndex] || counts[paletteIndex] === 0) return;
+    const { name } = parseBlockState(state);
+    materials.set(name, (materials.get(name) || 0) + counts[paletteIndex]);
+  });
+  const solidBlocks = Array.from(materials.values()).reduce((sum, count) => sum + count, 0);
+
+  return {
+    size,
+    volume: size.x * size.y * size.z,
+    offset: schematic.offset,
+    dataVersion: schematic.dataVersion,
+    version: versionName(schematic.dataVersion),
+    blocks: solidBlocks,
+    air: size.x * size.y * size.z - solidBlocks,
+    boundingBox: solidBlocks > 0
+      ? { min, max, size: { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 } }
+      : null,
+    paletteSize: palette.length,
+    materials: Array.from(materials.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, count]) => ({ id, count, percentage: Math.round((count / solidBlocks) * 10000) / 100 })),
+    blockEntities: schematic.blockEntities.length,
+    entities: schematic.entities.length,
+    metadata: schematic.metadata
+  };
+}
+
+module.exports = {
+  FORMATS,
+  MAX_VOLUME,
+  readSchematic,
+  writeSchematic,
+  remapSchematic,
+  summarizeSchematic
+};
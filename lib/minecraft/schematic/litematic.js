@@ -0,0 +1,220 @@
+const { DATA_VERSIONS, FLATTENING } = require('../upgrade/versions');
+const {
+  AIR,
+  createSchematic,
+  createPaletteBuilder,
+  stateFromCompound,
+  compoundFromState,
+  unpackSpanned,
+  packSpanned,
+  bitsFor,
+  stripPositionTags
+} = require('./blocks');
+const { createError } = require('../../helpers');
+
+// Litematica schematics (.litematic). A file holds one or more named
+// regions, each with its own palette and block states packed at
+// max(2, log2(palette size)) bits into spanning longs, in YZX order. A
+// negative region size extends the region from its position towards
+// lower coordinates.
+//
+// Regions are merged into one box on read; writing produces one region.
+
+// Litematica bumped its format for the 1.20.5 item components
+const COMPONENTS_VERSION = DATA_VERSIONS['1.20.5'];
+
+function detect(root) {
+  return root.value.Regions?.type === 'compound' && root.value.Metadata?.type === 'compound';
+}
+
+function read(root) {
+  const data = root.value;
+  const regions = Object.entries(data.Regions.value).map(([name, tag]) => readRegion(name, tag.value));
+  if (regions.length === 0) {
+    throw createError('Litematic has no regions', 'SCHEMATIC_INVALID');
+  }
+
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  regions.forEach(region => ['x', 'y', 'z'].forEach(axis => {
+    min[axis] = Math.min(min[axis], region.min[axis]);
+    max[axis] = Math.max(max[axis], region.min[axis] + region.size[axis] - 1);
+  }));
+  const size = { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+
+  const { palette, add } = createPaletteBuilder();
+  const blocks = new Uint32Array(size.x * size.y * size.z);
+  const blockEntities = [];
+  const entities = [];
+  const warnings = [];
+
+  // Check the merged size before filling it
+  createSchematic({ size, palette, blocks });
+
+  regions.forEach(region => {
+    const remap = region.palette.map(state => add(state));
+    const dx = region.min.x - min.x;
+    const dy = region.min.y - min.y;
+    const dz = region.min.z - min.z;
+    for (let y = 0; y < region.size.y; y++) {
+      for (let z = 0; z < region.size.z; z++) {
+        for (let x = 0; x < region.size.x; x++) {
+          const state = remap[region.blocks[x + z * region.size.x + y * region.size.x * region.size.z]];
+          if (state === undefined || palette[state] === AIR) continue;
+          blocks[(x + dx) + (z + dz) * size.x + (y + dy) * size.x * size.z] = state;
+        }
+      }
+    }
+    region.blockEntities.forEach(entry => blockEntities.push({
+      ...entry,
+      pos: { x: entry.pos.x + dx, y: entry.pos.y + dy, z: entry.pos.z + dz }
+    }));
+    region.entities.forEach(entry => entities.push({
+      ...entry,
+      pos: { x: entry.pos.x + dx, y: entry.pos.y + dy, z: entry.pos.z + dz }
+    }));
+  });
+  if (regions.length > 1) {
+    warnings.push(`${regions.length} regions (${regions.map(region => region.name).join(', ')}) were merged into one`);
+  }
+
+  const metadata = data.Metadata.value;
+  return createSchematic({
+    size,
+    palette,
+    blocks,
+    blockEntities,
+    entities,
+    dataVersion: data.MinecraftDataVersion?.value ?? FLATTENING,
+    metadata: {
+      name: metadata.Name?.value ?? null,
+      author: metadata.Author?.value ?? null,
+      description: metadata.Description?.value ?? null,
+      date: metadata.TimeCreated?.value !== undefined ? new Date(Number(metadata.TimeCreated.value)).toISOString() : null,
+      regions: regions.map(region => ({ name: region.name, position: region.min, size: region.size }))
+    },
+    warnings
+  });
+}
+
+function readRegion(name, region) {
+  const position = readVector(region.Position?.value);
+  const rawSize = readVector(region.Size?.value);
+  const size = { x: Math.abs(rawSize.x), y: Math.abs(rawSize.y), z: Math.abs(rawSize.z) };
+  const min = {
+    x: position.x + (rawSize.x < 0 ? rawSize.x + 1 : 0),
+    y: position.y + (rawSize.y < 0 ? rawSize.y + 1 : 0),
+    z: position.z + (rawSize.z < 0 ? rawSize.z + 1 : 0)
+  };
+  const palette = (region.BlockStatePalette?.value.value || []).map(stateFromCompound);
+  if (palette.length === 0) {
+    throw createError(`Region ${name} has no block palette`, 'SCHEMATIC_INVALID');
+  }
+
+  const volume = size.x * size.y * size.z;
+  const blocks = unpackSpanned(region.BlockStates?.value || [], bitsFor(palette.length, 2), volume);
+
+  return {
+    name,
+    min,
+    size,
+    palette,
+    blocks,
+    blockEntities: (region.TileEntities?.value.value || []).map(entry => ({
+      pos: { x: entry.x?.value ?? 0, y: entry.y?.value ?? 0, z: entry.z?.value ?? 0 },
+      id: entry.id?.value ?? null,
+      data: stripPositionTags(entry)
+    })),
+    entities: (region.Entities?.value.value || []).map(entry => ({
+      pos: { x: entry.Pos?.value.value[0] ?? 0, y: entry.Pos?.value.value[1] ?? 0, z: entry.Pos?.value.value[2] ?? 0 },
+      id: entry.id?.value ?? null,
+      data: stripPositionTags(entry)
+    }))
+  };
+}
+
+// { root, warnings } with a single region named after the schematic
+function write(schematic) {
+  const { size, palette } = schematic;
+  const dataVersion = schematic.dataVersion ?? FLATTENING;
+  const name = schematic.metadata.name || 'Converted';
+  const airIndex = palette.indexOf(AIR);
+  const totalBlocks = airIndex === -1
+    ? schematic.blocks.length
+    : schematic.blocks.reduce((count, index) => count + (index === airIndex ? 0 : 1), 0);
+  const now = BigInt(Date.now());
+  const vector = (x, y, z) => ({
+    type: 'compound',
+    value: { x: { type: 'int', value: x }, y: { type: 'int', value: y }, z: { type: 'int', value: z } }
+  });
+  const emptyList = { type: 'list', value: { type: 'end', value: [] } };
+
+  const region = {
+    Position: vector(0, 0, 0),
+    Size: vector(size.x, size.y, size.z),
+    BlockStatePalette: { type: 'list', value: { type: 'compound', value: palette.map(compoundFromState) } },
+    BlockStates: { type: 'longArray', value: packSpanned(schematic.blocks, bitsFor(palette.length, 2)) },
+    TileEntities: {
+      type: 'list',
+      value: {
+        type: 'compound',
+        value: schematic.blockEntities.map(entry => ({
+          ...entry.data,
+          id: { type: 'string', value: entry.id },
+          x: { type: 'int', value: entry.pos.x },
+          y: { type: 'int', value: entry.pos.y },
+          z: { type: 'int', value: entry.pos.z }
+        }))
+      }
+    },
+    Entities: {
+      type: 'list',
+      value: {
+        type: 'compound',
+        value: schematic.entities.map(entry => ({
+          ...entry.data,
+          id: { type: 'string', value: entry.id },
+          Pos: { type: 'list', value: { type: 'double', value: [entry.pos.x, entry.pos.y, entry.pos.z] } }
+        }))
+      }
+    },
+    PendingBlockTicks: emptyList,
+    PendingFluidTicks: emptyList
+  };
+
+  const root = {
+    name: '',
+    type: 'compound',
+    value: {
+      Version: { type: 'int', value: dataVersion >= COMPONENTS_VERSION ? 7 : 6 },
+      SubVersion: { type: 'int', value: 1 },
+      MinecraftDataVersion: { type: 'int', value: dataVersion },
+      Metadata: {
+        type: 'compound',
+        value: {
+          Name: { type: 'string', value: name },
+          Author: { type: 'string', value: schematic.metadata.author || 'ShrekAPI' },
+          Description: { type: 'string', value: schematic.metadata.description || '' },
+          RegionCount: { type: 'int', value: 1 },
+          TotalBlocks: { type: 'int', value: totalBlocks },
+          TotalVolume: { type: 'int', value: size.x * size.y * size.z },
+          EnclosingSize: vector(size.x, size.y, size.z),
+          TimeCreated: { type: 'long', value: now },
+          TimeModified: { type: 'long', value: now }
+        }
+      },
+      Regions: { type: 'compound', value: { [name]: { type: 'compound', value: region } } }
+    }
+  };
+  return { root, warnings: [] };
+}
+
+function readVector(compound) {
+  return { x: compound?.x?.value ?? 0, y: compound?.y?.value ?? 0, z: compound?.z?.value ?? 0 };
+}
+
+module.exports = {
+  detect,
+  read,
+  write
+};
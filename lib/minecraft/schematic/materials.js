@@ -0,0 +1,259 @@
+const { parseBlockState } = require('./blocks');
+const { RECIPES } = require('./recipes');
+
+// Material bills for schematics: the items a survival player needs to
+// place every block, grouped by item so that orientation, waterlogging
+// and other block state properties don't split a material into several
+// lines. Counts come with stack and shulker box breakdowns and an
+// estimate of the crafting inputs from the recipe table in recipes.js.
+
+const SHULKER_SLOTS = 27;
+// Blocks that never need an item: air, fluids in motion, portals and the
+// parts of multi-block structures that are placed with the other part
+const NO_ITEM = new Set([
+  'air', 'cave_air', 'void_air', 'structure_void', 'fire', 'soul_fire', 'nether_portal', 'end_portal',
+  'end_gateway', 'bubble_column', 'moving_piston', 'piston_head', 'frosted_ice', 'light'
+]);
+// Blocks that drop or are placed from another item
+const BLOCK_ITEMS = {
+  redstone_wire: 'redstone',
+  tripwire: 'string',
+  wheat: 'wheat_seeds',
+  carrots: 'carrot',
+  potatoes: 'potato',
+  beetroots: 'beetroot_seeds',
+  melon_stem: 'melon_seeds',
+  attached_melon_stem: 'melon_seeds',
+  pumpkin_stem: 'pumpkin_seeds',
+  attached_pumpkin_stem: 'pumpkin_seeds',
+  cocoa: 'cocoa_beans',
+  sweet_berry_bush: 'sweet_berries',
+  torchflower_crop: 'torchflower_seeds',
+  pitcher_crop: 'pitcher_pod',
+  cave_vines: 'glow_berries',
+  cave_vines_plant: 'glow_berries',
+  kelp_plant: 'kelp',
+  weeping_vines_plant: 'weeping_vines',
+  twisting_vines_plant: 'twisting_vines',
+  bamboo_sapling: 'bamboo',
+  big_dripleaf_stem: 'big_dripleaf',
+  tall_seagrass: 'seagrass',
+  farmland: 'dirt',
+  dirt_path: 'dirt',
+  water: 'water_bucket',
+  lava: 'lava_bucket',
+  powder_snow: 'powder_snow_bucket',
+  wall_torch: 'torch',
+  soul_wall_torch: 'soul_torch',
+  redstone_wall_torch: 'redstone_torch',
+  skeleton_wall_skull: 'skeleton_skull',
+  wither_skeleton_wall_skull: 'wither_skeleton_skull'
+};
+// Properties that say how many items one block holds
+const COUNT_PROPERTIES = { candle: 'candles', sea_pickle: 'pickles', turtle_egg: 'eggs', snow: 'layers', pink_petals: 'flower_amount' };
+const STACK_SIZES = [
+  [/_(sign|hanging_sign|banner)$/, 16],
+  [/^(snowball|ender_pearl|egg|bucket|armor_stand)$/, 16],
+  [/_(bed|shulker_box|bucket)$/, 1],
+  [/^(shulker_box|cake)$/, 1]
+];
+
+// Item counts for every block in the schematic. Returns { items, blocks,
+// skipped } where items is [{ id, count, blocks: { blockId: count } }]
+// sorted by count, blocks the number of blocks that need an item and
+// skipped the blocks that need none (air included).
+function countItems(schematic) {
+  const counts = new Array(schematic.palette.length).fill(0);
+  for (let index = 0; index < schematic.blocks.length; index++) {
+    counts[schematic.blocks[index]]++;
+  }
+
+  const items = new Map();
+  let blocks = 0;
+  let skipped = 0;
+  schematic.palette.forEach((state, paletteIndex) => {
+    const count = counts[paletteIndex];
+    if (count === 0) return;
+
+    const drops = itemsForBlock(state);
+    if (drops.length === 0) {
+      skipped += count;
+      return;
+    }
+    blocks += count;
+    const { name } = parseBlockState(state);
+    drops.forEach(({ id, amount }) => {
+      const item = items.get(id) || { id, count: 0, blocks: {} };
+      item.count += amount * count;
+      item.blocks[name] = (item.blocks[name] || 0) + count;
+      items.set(id, item);
+    });
+  });
+
+  return {
+    items: Array.from(items.values()).sort((a, b) => b.count - a.count || a.id.localeCompare(b.id)),
+    blocks,
+    skipped
+  };
+}
+
+// The items one block state stands for: [{ id, amount }]. Upper halves of
+// doors, tall plants and the heads of beds are free with the lower part,
+// flowing fluids need no bucket and a double slab takes two slabs.
+function itemsForBlock(state) {
+  const { name, properties } = parseBlockState(state);
+  const [namespace, id] = name.includes(':') ? name.split(':') : ['minecraft', name];
+  const item = (itemId, amount = 1) => ({ id: `${namespace}:${itemId}`, amount });
+
+  if (namespace === 'minecraft' && NO_ITEM.has(id)) return [];
+  if (properties.half === 'upper' && !id.endsWith('_trapdoor') && !id.endsWith('_stairs')) return [];
+  if (properties.part === 'head' && id.endsWith('_bed')) return [];
+  if ((id === 'water' || id === 'lava') && properties.level && properties.level !== '0') return [];
+
+  if (id.endsWith('_slab') && properties.type === 'double') return [item(id, 2)];
+  if (COUNT_PROPERTIES[id] || id.endsWith('_candle')) {
+    return [item(id, parseInt(properties[COUNT_PROPERTIES[id] || 'candles']) || 1)];
+  }
+  if (id.endsWith('candle_cake')) return [item('cake'), item(id.replace(/_cake$/, ''))];
+  if (id.startsWith('potted_')) return [item('flower_pot'), item(BLOCK_ITEMS[id.slice(7)] || id.slice(7))];
+  if (BLOCK_ITEMS[id]) return [item(BLOCK_ITEMS[id])];
+  // Wall-mounted variants are placed from the standing item
+  if (/_wall_(sign|hanging_sign|banner|head|skull|fan|torch)$/.test(id)) return [item(id.replace('_wall_', '_'))];
+
+  return [item(id)];
+}
+
+// Stacks and shulker boxes for an item count
+function stackBreakdown(id, count) {
+  const stackSize = stackSizeFor(id);
+  const stacks = Math.floor(count / stackSize);
+  const remainder = count % stackSize;
+  const slots = stacks + (remainder > 0 ? 1 : 0);
+  // Shulker boxes don't go inside shulker boxes
+  const fitsShulker = !/(^|_)shulker_box$/.test(id.split(':').pop());
+
+  return {
+    stackSize,
+    stacks,
+    remainder,
+    slots,
+    shulkerBoxes: fitsShulker ? Math.round((slots / SHULKER_SLOTS) * 100) / 100 : null,
+    display: formatBreakdown(count, stackSize)
+  };
+}
+
+// Expand items into crafting inputs. Items made by several others are
+// crafted once for the combined demand, so a build of stairs, slabs and
+// fences rounds up its planks only once. options.keep lists items to
+// treat as raw (e.g. stone from a stone farm); options.maxDepth limits
+// the number of recipe steps (1 = direct inputs only).
+// Returns { raw, steps }: raw is [{ id, count }] sorted by count and
+// steps is [{ id, method, crafts, produced, needed, surplus }] in the
+// order they have to be done.
+function estimateInputs(items, { keep = [], maxDepth = Infinity } = {}) {
+  const keepSet = new Set(keep);
+  const demand = new Map();
+  const depth = new Map();
+  items.forEach(({ id, count }) => {
+    demand.set(id, (demand.get(id) || 0) + count);
+    depth.set(id, 0);
+  });
+
+  // Items further from raw materials are crafted first, so their
+  // ingredients are known in full before those are crafted in turn
+  const levels = new Map();
+  const levelOf = id => {
+    if (levels.has(id)) return levels.get(id);
+    const recipe = keepSet.has(id) ? null : RECIPES.get(id);
+    const level = recipe ? 1 + Math.max(...Object.keys(recipe.ingredients).map(levelOf)) : 0;
+    levels.set(id, level);
+    return level;
+  };
+
+  const steps = [];
+  for (;;) {
+    const next = Array.from(demand.keys())
+      .filter(id => levelOf(id) > 0 && depth.get(id) < maxDepth)
+      .sort((a, b) => levelOf(b) - levelOf(a))[0];
+    if (!next) break;
+
+    const recipe = RECIPES.get(next);
+    const needed = demand.get(next);
+    const crafts = Math.ceil(needed / recipe.count);
+    demand.delete(next);
+    steps.push({
+      id: next,
+      method: recipe.method,
+      crafts,
+      produced: crafts * recipe.count,
+      needed,
+      surplus: crafts * recipe.count - needed
+    });
+    Object.entries(recipe.ingredients).forEach(([ingredient, amount]) => {
+      demand.set(ingredient, (demand.get(ingredient) || 0) + crafts * amount);
+      depth.set(ingredient, Math.max(depth.get(ingredient) || 0, depth.get(next) + 1));
+    });
+  }
+
+  return {
+    raw: Array.from(demand.entries())
+      .map(([id, count]) => ({ id, count }))
+      .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id)),
+    steps: steps.reverse()
+  };
+}
+
+// Material bill for a schematic: item counts with stack and shulker box
+// breakdowns, totals and the crafting estimate.
+function materialBill(schematic, { keep = [], maxDepth = Infinity } = {}) {
+  const { items, blocks, skipped } = countItems(schematic);
+  const list = items.map(item => ({ ...item, ...stackBreakdown(item.id, item.count) }));
+  const slots = list.reduce((sum, item) => sum + item.slots, 0);
+  const crafting = estimateInputs(items, { keep, maxDepth });
+
+  return {
+    items: list,
+    totals: {
+      blocks,
+      skipped,
+      items: list.reduce((sum, item) => sum + item.count, 0),
+      distinctItems: list.length,
+      slots,
+      // Unstackable items and shulker boxes travel outside of boxes
+      shulkerBoxes: Math.ceil(list.filter(item => item.shulkerBoxes !== null).reduce((sum, item) => sum + item.slots, 0) / SHULKER_SLOTS)
+    },
+    crafting: {
+      raw: crafting.raw.map(item => ({ ...item, ...stackBreakdown(item.id, item.count) })),
+      steps: crafting.steps,
+      gathered: items.filter(item => !RECIPES.has(item.id)).map(item => item.id)
+    }
+  };
+}
+
+// Helper functions
+function stackSizeFor(id) {
+  const name = id.split(':').pop();
+  const match = STACK_SIZES.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : 64;
+}
+
+function formatBreakdown(count, stackSize) {
+  const perShulker = stackSize * SHULKER_SLOTS;
+  const shulkers = Math.floor(count / perShulker);
+  const stacks = Math.floor((count % perShulker) / stackSize);
+  const remainder = count % stackSize;
+  const parts = [];
+  if (shulkers > 0) parts.push(`${shulkers} SB`);
+  if (stacks > 0) parts.push(`${stacks} x ${stackSize}`);
+  if (remainder > 0 || parts.length === 0) parts.push(`${remainder}`);
+  return parts.join(' + ');
+}
+
+module.exports = {
+  SHULKER_SLOTS,
+  countItems,
+  itemsForBlock,
+  stackBreakdown,
+  estimateInputs,
+  materialBill
+};
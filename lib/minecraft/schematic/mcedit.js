@@ -0,0 +1,175 @@
+const { LEGACY_BLOCKS_BY_NAME } = require('../upgrade/mappings');
+const { FLATTENING } = require('../upgrade/versions');
+const {
+  AIR,
+  createSchematic,
+  createPaletteBuilder,
+  legacyToState,
+  stateToLegacy,
+  stripPositionTags
+} = require('./blocks');
+const { createError } = require('../../helpers');
+
+// MCEdit / WorldEdit 6 schematics (.schematic): numeric block IDs and data
+// values from before 1.13, in YZX order. IDs above 255 keep their high
+// bits in AddBlocks (two per byte) or, from Schematica, in Add (one per
+// byte). Schematica also maps IDs to names in SchematicaMapping.
+//
+// Blocks are flattened to 1.13 names on read. Only the variant picked by
+// the data value survives; orientation, growth stages and the like do not.
+
+function detect(root) {
+  return root.value.Blocks?.type === 'byteArray' && root.value.Width !== undefined && !root.value.Palette;
+}
+
+function read(root) {
+  const data = root.value;
+  const size = { x: data.Width.value & 0xffff, y: data.Height.value & 0xffff, z: data.Length.value & 0xffff };
+  const volume = size.x * size.y * size.z;
+  const ids = data.Blocks.value;
+  const values = data.Data?.value || [];
+  const addBlocks = data.AddBlocks?.value || null;
+  const add = data.Add?.value || null;
+  if (ids.length < volume) {
+    throw createError(`Expected ${volume} blocks, found ${ids.length}`, 'SCHEMATIC_INVALID');
+  }
+
+  // Schematica: name -> numeric ID as saved
+  const mapping = new Map();
+  Object.entries(data.SchematicaMapping?.value || {}).forEach(([name, tag]) => mapping.set(tag.value, name));
+
+  const { palette, add: addState } = createPaletteBuilder();
+  const states = new Map();
+  const unknownIds = new Map();
+  const blocks = new Uint32Array(volume);
+
+  for (let index = 0; index < volume; index++) {
+    let id = ids[index] & 0xff;
+    if (addBlocks && (index >> 1) < addBlocks.length) {
+      id |= index & 1 ? (addBlocks[index >> 1] & 0xf0) << 4 : (addBlocks[index >> 1] & 0x0f) << 8;
+    } else if (add && index < add.length) {
+      id |= (add[index] & 0xff) << 8;
+    }
+    const meta = (values[index] ?? 0) & 0x0f;
+
+    const key = (id << 4) | meta;
+    if (!states.has(key)) {
+      const state = stateForLegacy(id, meta, mapping);
+      if (state === null) unknownIds.set(id, (unknownIds.get(id) || 0) + 1);
+      states.set(key, addState(state ?? AIR));
+    } else if (unknownIds.has(id)) {
+      unknownIds.set(id, unknownIds.get(id) + 1);
+    }
+    blocks[index] = states.get(key);
+  }
+
+  const offset = ['WEOffsetX', 'WEOffsetY', 'WEOffsetZ'].every(name => data[name] !== undefined)
+    ? { x: data.WEOffsetX.value, y: data.WEOffsetY.value, z: data.WEOffsetZ.value }
+    : null;
+
+  return createSchematic({
+    size,
+    offset,
+    palette,
+    blocks,
+    blockEntities: (data.TileEntities?.value.value || []).map(entry => ({
+      pos: { x: entry.x?.value ?? 0, y: entry.y?.value ?? 0, z: entry.z?.value ?? 0 },
+      id: entry.id?.value ?? null,
+      data: stripPositionTags(entry)
+    })),
+    entities: (data.Entities?.value.value || []).map(entry => ({
+      pos: { x: entry.Pos?.value.value[0] ?? 0, y: entry.Pos?.value.value[1] ?? 0, z: entry.Pos?.value.value[2] ?? 0 },
+      id: entry.id?.value ?? null,
+      data: stripPositionTags(entry)
+    })),
+    dataVersion: FLATTENING,
+    metadata: { name: null, author: null, date: null, materials: data.Materials?.value ?? null },
+    warnings: [
+      'Legacy blocks were flattened to 1.13 IDs; only the variant picked by the data value is kept',
+      ...Array.from(unknownIds.entries()).map(([id, count]) => `Unknown block ID ${id} (${count} blocks) became air`)
+    ]
+  });
+}
+
+// { root, warnings } for a schematic whose palette uses 1.13 names. Blocks
+// without a legacy ID are written as air and listed in the warnings.
+function write(schematic) {
+  const { size, palette } = schematic;
+  const legacy = palette.map(state => stateToLegacy(state));
+  const unmapped = {};
+  const volume = size.x * size.y * size.z;
+  const ids = new Array(volume);
+  const values = new Array(volume);
+
+  for (let index = 0; index < volume; index++) {
+    const paletteIndex = schematic.blocks[index];
+    const block = legacy[paletteIndex];
+    if (!block) {
+      const state = palette[paletteIndex];
+      unmapped[state] = (unmapped[state] || 0) + 1;
+    }
+    ids[index] = block ? block.id << 24 >> 24 : 0;
+    values[index] = block ? block.data : 0;
+  }
+
+  const root = {
+    name: 'Schematic',
+    type: 'compound',
+    value: {
+      Width: { type: 'short', value: size.x << 16 >> 16 },
+      Height: { type: 'short', value: size.y << 16 >> 16 },
+      Length: { type: 'short', value: size.z << 16 >> 16 },
+      Materials: { type: 'string', value: 'Alpha' },
+      Blocks: { type: 'byteArray', value: ids },
+      Data: { type: 'byteArray', value: values },
+      WEOffsetX: { type: 'int', value: schematic.offset.x },
+      WEOffsetY: { type: 'int', value: schematic.offset.y },
+      WEOffsetZ: { type: 'int', value: schematic.offset.z },
+      TileEntities: {
+        type: 'list',
+        value: {
+          type: 'compound',
+          value: schematic.blockEntities.map(entry => ({
+            ...entry.data,
+            id: { type: 'string', value: entry.id },
+            x: { type: 'int', value: entry.pos.x },
+            y: { type: 'int', value: entry.pos.y },
+            z: { type: 'int', value: entry.pos.z }
+          }))
+        }
+      },
+      Entities: {
+        type: 'list',
+        value: {
+          type: 'compound',
+          value: schematic.entities.map(entry => ({
+            ...entry.data,
+            id: { type: 'string', value: entry.id },
+            Pos: { type: 'list', value: { type: 'double', value: [entry.pos.x, entry.pos.y, entry.pos.z] } }
+          }))
+        }
+      }
+    }
+  };
+
+  const warnings = ['Block states were reduced to legacy IDs and data values; orientation and other properties are lost'];
+  Object.entries(unmapped).forEach(([state, count]) => warnings.push(`${state} (${count} blocks) has no legacy ID and became air`));
+  return { root, warnings };
+}
+
+function stateForLegacy(id, meta, mapping) {
+  if (mapping.size > 0) {
+    const name = mapping.get(id);
+    const block = name ? LEGACY_BLOCKS_BY_NAME.get(name.includes(':') ? name : `minecraft:${name}`) : null;
+    if (!block) return null;
+    const flattened = Array.isArray(block.flattened) ? (block.flattened[meta & block.mask] ?? block.flattened.find(Boolean)) : block.flattened;
+    return `minecraft:${flattened}`;
+  }
+  return legacyToState(id, meta);
+}
+
+module.exports = {
+  detect,
+  read,
+  write
+};
@@ -0,0 +1,274 @@
+// Bundled recipe data for material bills: how building blocks are made,
+// one recipe per item, from the 1.21 vanilla recipes. Only the cheapest
+// or most common recipe is listed, and no recipe undoes another (no
+// ingot <-> block loops), so expanding them always ends in raw materials.
+//
+// RECIPES: item -> { count, method, ingredients: { item: amount } } where
+// method is crafting, smelting, stripping (an axe on a log) or water
+// (concrete powder). Stairs, slabs and walls use the crafting table
+// counts; a stonecutter makes them cheaper. Ingredients starting with #
+// are item tags: any member works.
+
+const COLORS = ['white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray', 'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'];
+// wood -> [log, wood, planks per log]
+const WOODS = {
+  oak: ['oak_log', 'oak_wood', 4],
+  spruce: ['spruce_log', 'spruce_wood', 4],
+  birch: ['birch_log', 'birch_wood', 4],
+  jungle: ['jungle_log', 'jungle_wood', 4],
+  acacia: ['acacia_log', 'acacia_wood', 4],
+  dark_oak: ['dark_oak_log', 'dark_oak_wood', 4],
+  mangrove: ['mangrove_log', 'mangrove_wood', 4],
+  cherry: ['cherry_log', 'cherry_wood', 4],
+  pale_oak: ['pale_oak_log', 'pale_oak_wood', 4],
+  crimson: ['crimson_stem', 'crimson_hyphae', 4],
+  warped: ['warped_stem', 'warped_hyphae', 4],
+  bamboo: ['bamboo_block', null, 2]
+};
+// [prefix, base block, shapes] for stairs, slabs and walls
+const FAMILIES = [
+  ['stone', 'stone', 'stairs slab'],
+  ['cobblestone', 'cobblestone', 'stairs slab wall'],
+  ['mossy_cobblestone', 'mossy_cobblestone', 'stairs slab wall'],
+  ['stone_brick', 'stone_bricks', 'stairs slab wall'],
+  ['mossy_stone_brick', 'mossy_stone_bricks', 'stairs slab wall'],
+  ['smooth_stone', 'smooth_stone', 'slab'],
+  ['granite', 'granite', 'stairs slab wall'],
+  ['polished_granite', 'polished_granite', 'stairs slab'],
+  ['diorite', 'diorite', 'stairs slab wall'],
+  ['polished_diorite', 'polished_diorite', 'stairs slab'],
+  ['andesite', 'andesite', 'stairs slab wall'],
+  ['polished_andesite', 'polished_andesite', 'stairs slab'],
+  ['sandstone', 'sandstone', 'stairs slab wall'],
+  ['smooth_sandstone', 'smooth_sandstone', 'stairs slab'],
+  ['cut_sandstone', 'cut_sandstone', 'slab'],
+  ['red_sandstone', 'red_sandstone', 'stairs slab wall'],
+  ['smooth_red_sandstone', 'smooth_red_sandstone', 'stairs slab'],
+  ['cut_red_sandstone', 'cut_red_sandstone', 'slab'],
+  ['brick', 'bricks', 'stairs slab wall'],
+  ['mud_brick', 'mud_bricks', 'stairs slab wall'],
+  ['nether_brick', 'nether_bricks', 'stairs slab wall'],
+  ['red_nether_brick', 'red_nether_bricks', 'stairs slab wall'],
+  ['quartz', 'quartz_block', 'stairs slab'],
+  ['smooth_quartz', 'smooth_quartz', 'stairs slab'],
+  ['prismarine', 'prismarine', 'stairs slab wall'],
+  ['prismarine_brick', 'prismarine_bricks', 'stairs slab'],
+  ['dark_prismarine', 'dark_prismarine', 'stairs slab'],
+  ['purpur', 'purpur_block', 'stairs slab'],
+  ['end_stone_brick', 'end_stone_bricks', 'stairs slab wall'],
+  ['blackstone', 'blackstone', 'stairs slab wall'],
+  ['polished_blackstone', 'polished_blackstone', 'stairs slab wall'],
+  ['polished_blackstone_brick', 'polished_blackstone_bricks', 'stairs slab wall'],
+  ['cobbled_deepslate', 'cobbled_deepslate', 'stairs slab wall'],
+  ['polished_deepslate', 'polished_deepslate', 'stairs slab wall'],
+  ['deepslate_brick', 'deepslate_bricks', 'stairs slab wall'],
+  ['deepslate_tile', 'deepslate_tiles', 'stairs slab wall'],
+  ['tuff', 'tuff', 'stairs slab wall'],
+  ['polished_tuff', 'polished_tuff', 'stairs slab wall'],
+  ['tuff_brick', 'tuff_bricks', 'stairs slab wall'],
+  ['cut_copper', 'cut_copper', 'stairs slab']
+];
+
+const RECIPES = new Map();
+
+const craft = (item, count, ingredients) => RECIPES.set(`minecraft:${item}`, { count, method: 'crafting', ingredients: namespaced(ingredients) });
+const smelt = (item, input) => RECIPES.set(`minecraft:${item}`, { count: 1, method: 'smelting', ingredients: namespaced({ [input]: 1 }) });
+const strip = (item, input) => RECIPES.set(`minecraft:${item}`, { count: 1, method: 'stripping', ingredients: namespaced({ [input]: 1 }) });
+
+// Wood sets
+Object.entries(WOODS).forEach(([wood, [log, woodBlock, planksPerLog]]) => {
+  const planks = `${wood}_planks`;
+  craft(planks, planksPerLog, { [log]: 1 });
+  strip(`stripped_${log}`, log);
+  if (woodBlock) {
+    craft(woodBlock, 3, { [log]: 4 });
+    strip(`stripped_${woodBlock}`, woodBlock);
+  }
+  craft(`${wood}_stairs`, 4, { [planks]: 6 });
+  craft(`${wood}_slab`, 6, { [planks]: 3 });
+  craft(`${wood}_fence`, 3, { [planks]: 4, stick: 2 });
+  craft(`${wood}_fence_gate`, 1, { [planks]: 2, stick: 4 });
+  craft(`${wood}_door`, 3, { [planks]: 6 });
+  craft(`${wood}_trapdoor`, 2, { [planks]: 6 });
+  craft(`${wood}_pressure_plate`, 1, { [planks]: 2 });
+  craft(`${wood}_button`, 1, { [planks]: 1 });
+  craft(`${wood}_sign`, 3, { [planks]: 6, stick: 1 });
+  craft(`${wood}_hanging_sign`, 6, { [`stripped_${log}`]: 6, chain: 2 });
+});
+craft('bamboo_block', 1, { bamboo: 9 });
+craft('bamboo_mosaic', 1, { bamboo_slab: 2 });
+craft('stick', 4, { '#planks': 2 });
+
+// Stone, brick and other block families
+FAMILIES.forEach(([prefix, base, shapes]) => {
+  const parts = shapes.split(' ');
+  if (parts.includes('stairs')) craft(`${prefix}_stairs`, 4, { [base]: 6 });
+  if (parts.includes('slab')) craft(`${prefix}_slab`, 6, { [base]: 3 });
+  if (parts.includes('wall')) craft(`${prefix}_wall`, 6, { [base]: 6 });
+});
+smelt('stone', 'cobblestone');
+smelt('smooth_stone', 'stone');
+craft('stone_bricks', 4, { stone: 4 });
+craft('mossy_stone_bricks', 1, { stone_bricks: 1, vine: 1 });
+craft('mossy_cobblestone', 1, { cobblestone: 1, vine: 1 });
+smelt('cracked_stone_bricks', 'stone_bricks');
+craft('chiseled_stone_bricks', 1, { stone_brick_slab: 2 });
+['granite', 'diorite', 'andesite'].forEach(stone => craft(`polished_${stone}`, 4, { [stone]: 4 }));
+['sandstone', 'red_sandstone'].forEach(stone => {
+  const sand = stone === 'sandstone' ? 'sand' : 'red_sand';
+  craft(stone, 1, { [sand]: 4 });
+  craft(`cut_${stone}`, 4, { [stone]: 4 });
+  craft(`chiseled_${stone}`, 1, { [`${stone}_slab`]: 2 });
+  smelt(`smooth_${stone}`, stone);
+});
+smelt('brick', 'clay_ball');
+craft('bricks', 1, { brick: 4 });
+craft('clay', 1, { clay_ball: 4 });
+craft('packed_mud', 1, { mud: 1, wheat: 1 });
+craft('mud_bricks', 4, { packed_mud: 4 });
+smelt('nether_brick', 'netherrack');
+craft('nether_bricks', 1, { nether_brick: 4 });
+craft('red_nether_bricks', 1, { nether_brick: 2, nether_wart: 2 });
+smelt('cracked_nether_bricks', 'nether_bricks');
+craft('chiseled_nether_bricks', 1, { nether_brick_slab: 2 });
+craft('nether_brick_fence', 6, { nether_bricks: 4, nether_brick: 2 });
+craft('quartz_block', 1, { quartz: 4 });
+craft('quartz_pillar', 2, { quartz_block: 2 });
+craft('quartz_bricks', 4, { quartz_block: 4 });
+craft('chiseled_quartz_block', 1, { quartz_slab: 2 });
+smelt('smooth_quartz', 'quartz_block');
+craft('prismarine', 1, { prismarine_shard: 4 });
+craft('prismarine_bricks', 1, { prismarine_shard: 9 });
+craft('dark_prismarine', 1, { prismarine_shard: 8, black_dye: 1 });
+craft('sea_lantern', 1, { prismarine_shard: 4, prismarine_crystals: 5 });
+smelt('popped_chorus_fruit', 'chorus_fruit');
+craft('purpur_block', 4, { popped_chorus_fruit: 4 });
+craft('purpur_pillar', 1, { purpur_slab: 2 });
+craft('end_stone_bricks', 4, { end_stone: 4 });
+craft('end_rod', 4, { blaze_rod: 1, popped_chorus_fruit: 1 });
+craft('polished_blackstone', 4, { blackstone: 4 });
+craft('polished_blackstone_bricks', 4, { polished_blackstone: 4 });
+smelt('cracked_polished_blackstone_bricks', 'polished_blackstone_bricks');
+craft('chiseled_polished_blackstone', 1, { polished_blackstone_slab: 2 });
+craft('polished_blackstone_button', 1, { polished_blackstone: 1 });
+craft('polished_blackstone_pressure_plate', 1, { polished_blackstone: 2 });
+craft('polished_basalt', 4, { basalt: 4 });
+smelt('smooth_basalt', 'basalt');
+smelt('deepslate', 'cobbled_deepslate');
+craft('polished_deepslate', 4, { cobbled_deepslate: 4 });
+craft('deepslate_bricks', 4, { polished_deepslate: 4 });
+craft('deepslate_tiles', 4, { deepslate_bricks: 4 });
+smelt('cracked_deepslate_bricks', 'deepslate_bricks');
+smelt('cracked_deepslate_tiles', 'deepslate_tiles');
+craft('chiseled_deepslate', 1, { cobbled_deepslate_slab: 2 });
+craft('polished_tuff', 4, { tuff: 4 });
+craft('tuff_bricks', 4, { polished_tuff: 4 });
+craft('chiseled_tuff', 1, { tuff_slab: 2 });
+craft('chiseled_tuff_bricks', 1, { tuff_brick_slab: 2 });
+craft('copper_block', 1, { copper_ingot: 9 });
+craft('cut_copper', 4, { copper_block: 4 });
+craft('lightning_rod', 1, { copper_ingot: 3 });
+
+// Colored blocks
+COLORS.forEach(color => {
+  const dye = `${color}_dye`;
+  if (color !== 'white') craft(`${color}_wool`, 1, { white_wool: 1, [dye]: 1 });
+  craft(`${color}_carpet`, 3, { [`${color}_wool`]: 2 });
+  craft(`${color}_bed`, 1, { [`${color}_wool`]: 3, '#planks': 3 });
+  craft(`${color}_banner`, 1, { [`${color}_wool`]: 6, stick: 1 });
+  craft(`${color}_stained_glass`, 8, { glass: 8, [dye]: 1 });
+  craft(`${color}_stained_glass_pane`, 16, { [`${color}_stained_glass`]: 6 });
+  craft(`${color}_terracotta`, 8, { terracotta: 8, [dye]: 1 });
+  smelt(`${color}_glazed_terracotta`, `${color}_terracotta`);
+  craft(`${color}_concrete_powder`, 8, { sand: 4, gravel: 4, [dye]: 1 });
+  RECIPES.set(`minecraft:${color}_concrete`, { count: 1, method: 'water', ingredients: { [`minecraft:${color}_concrete_powder`]: 1 } });
+  craft(`${color}_candle`, 1, { candle: 1, [dye]: 1 });
+  craft(`${color}_shulker_box`, 1, { shulker_box: 1, [dye]: 1 });
+});
+craft('white_wool', 1, { string: 4 });
+smelt('terracotta', 'clay');
+smelt('glass', 'sand');
+craft('glass_pane', 16, { glass: 6 });
+craft('tinted_glass', 2, { glass: 1, amethyst_shard: 4 });
+
+// Storage blocks and other full blocks
+[
+  ['iron_block', 'iron_ingot'], ['gold_block', 'gold_ingot'], ['diamond_block', 'diamond'],
+  ['emerald_block', 'emerald'], ['lapis_block', 'lapis_lazuli'], ['redstone_block', 'redstone'],
+  ['coal_block', 'coal'], ['netherite_block', 'netherite_ingot'], ['hay_block', 'wheat'],
+  ['dried_kelp_block', 'dried_kelp'], ['bone_block', 'bone_meal'], ['slime_block', 'slime_ball'],
+  ['packed_ice', 'ice'], ['blue_ice', 'packed_ice'], ['nether_wart_block', 'nether_wart'], ['melon', 'melon_slice']
+].forEach(([block, item]) => craft(block, 1, { [item]: 9 }));
+[
+  ['amethyst_block', 'amethyst_shard'], ['honey_block', 'honey_bottle'], ['honeycomb_block', 'honeycomb'],
+  ['snow_block', 'snowball'], ['glowstone', 'glowstone_dust'], ['magma_block', 'magma_cream']
+].forEach(([block, item]) => craft(block, 1, { [item]: 4 }));
+craft('snow', 6, { snow_block: 3 });
+craft('coarse_dirt', 4, { dirt: 2, gravel: 2 });
+craft('moss_carpet', 3, { moss_block: 2 });
+craft('jack_o_lantern', 1, { carved_pumpkin: 1, torch: 1 });
+craft('redstone_lamp', 1, { redstone: 4, glowstone: 1 });
+
+// Light sources, utility and redstone blocks
+craft('torch', 4, { coal: 1, stick: 1 });
+craft('soul_torch', 4, { coal: 1, stick: 1, soul_sand: 1 });
+craft('redstone_torch', 1, { redstone: 1, stick: 1 });
+craft('iron_nugget', 9, { iron_ingot: 1 });
+craft('lantern', 1, { iron_nugget: 8, torch: 1 });
+craft('soul_lantern', 1, { iron_nugget: 8, soul_torch: 1 });
+craft('chain', 1, { iron_nugget: 2, iron_ingot: 1 });
+craft('iron_bars', 16, { iron_ingot: 6 });
+craft('iron_door', 3, { iron_ingot: 6 });
+craft('iron_trapdoor', 1, { iron_ingot: 4 });
+craft('campfire', 1, { stick: 3, coal: 1, '#logs': 3 });
+craft('candle', 1, { string: 1, honeycomb: 1 });
+craft('ladder', 3, { stick: 7 });
+craft('scaffolding', 6, { bamboo: 6, string: 1 });
+craft('crafting_table', 1, { '#planks': 4 });
+craft('chest', 1, { '#planks': 8 });
+craft('trapped_chest', 1, { chest: 1, tripwire_hook: 1 });
+craft('barrel', 1, { '#planks': 6, '#wooden_slabs': 2 });
+craft('paper', 3, { sugar_cane: 3 });
+craft('book', 1, { paper: 3, leather: 1 });
+craft('bookshelf', 1, { '#planks': 6, book: 3 });
+craft('chiseled_bookshelf', 1, { '#planks': 6, '#wooden_slabs': 3 });
+craft('lectern', 1, { '#wooden_slabs': 4, bookshelf: 1 });
+craft('composter', 1, { '#wooden_slabs': 7 });
+craft('furnace', 1, { cobblestone: 8 });
+craft('smoker', 1, { furnace: 1, '#logs': 4 });
+craft('blast_furnace', 1, { furnace: 1, iron_ingot: 5, smooth_stone: 3 });
+craft('stonecutter', 1, { iron_ingot: 1, stone: 3 });
+craft('cauldron', 1, { iron_ingot: 7 });
+craft('hopper', 1, { iron_ingot: 5, chest: 1 });
+craft('flower_pot', 1, { brick: 3 });
+craft('decorated_pot', 1, { brick: 4 });
+craft('shulker_box', 1, { shulker_shell: 2, chest: 1 });
+craft('note_block', 1, { '#planks': 8, redstone: 1 });
+craft('piston', 1, { '#planks': 3, cobblestone: 4, iron_ingot: 1, redstone: 1 });
+craft('sticky_piston', 1, { piston: 1, slime_ball: 1 });
+craft('observer', 1, { cobblestone: 6, redstone: 2, quartz: 1 });
+craft('dropper', 1, { cobblestone: 7, redstone: 1 });
+craft('dispenser', 1, { cobblestone: 7, bow: 1, redstone: 1 });
+craft('lever', 1, { cobblestone: 1, stick: 1 });
+craft('stone_button', 1, { stone: 1 });
+craft('stone_pressure_plate', 1, { stone: 2 });
+craft('light_weighted_pressure_plate', 1, { gold_ingot: 2 });
+craft('heavy_weighted_pressure_plate', 1, { iron_ingot: 2 });
+craft('tripwire_hook', 2, { iron_ingot: 1, stick: 1, '#planks': 1 });
+craft('repeater', 1, { stone: 3, redstone_torch: 2, redstone: 1 });
+craft('comparator', 1, { stone: 3, redstone_torch: 3, quartz: 1 });
+craft('rail', 16, { iron_ingot: 6, stick: 1 });
+craft('powered_rail', 6, { gold_ingot: 6, stick: 1, redstone: 1 });
+craft('detector_rail', 6, { iron_ingot: 6, stone_pressure_plate: 1, redstone: 1 });
+craft('target', 1, { redstone: 4, hay_block: 1 });
+
+function namespaced(ingredients) {
+  return Object.fromEntries(Object.entries(ingredients).map(([item, amount]) => [
+    item.startsWith('#') ? `#minecraft:${item.slice(1)}` : `minecraft:${item}`,
+    amount
+  ]));
+}
+
+module.exports = {
+  RECIPES
+};
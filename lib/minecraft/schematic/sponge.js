@@ -0,0 +1,177 @@
+const { FLATTENING } = require('../upgrade/versions');
+const { createSchematic, stripPositionTags } = require('./blocks');
+const { createError } = require('../../helpers');
+
+// Sponge schematics (.schem), written by WorldEdit 7 and FAWE. Version 1
+// and 2 keep everything in the root compound; version 3 nests it in
+// "Schematic" and moves the palette and block entities into "Blocks".
+// Block data is a palette index per block as unsigned varints.
+
+const WRITE_VERSIONS = [2, 3];
+
+function detect(root) {
+  const data = root.value.Schematic?.type === 'compound' ? root.value.Schematic.value : root.value;
+  return data.Version?.type === 'int' && data.Width !== undefined && (data.BlockData !== undefined || data.Blocks?.type === 'compound');
+}
+
+function read(root) {
+  const data = root.value.Schematic?.type === 'compound' ? root.value.Schematic.value : root.value;
+  const version = data.Version.value;
+  if (version < 1 || version > 3) {
+    throw createError(`Sponge schematic version ${version} is not supported`, 'SCHEMATIC_UNSUPPORTED_VERSION');
+  }
+
+  const size = { x: data.Width.value & 0xffff, y: data.Height.value & 0xffff, z: data.Length.value & 0xffff };
+  const container = version >= 3 ? data.Blocks?.value : data;
+  if (!container?.Palette || !(container.Data || container.BlockData)) {
+    throw createError('Sponge schematic has no block palette or block data', 'SCHEMATIC_INVALID');
+  }
+
+  const palette = [];
+  Object.entries(container.Palette.value).forEach(([state, tag]) => {
+    palette[tag.value] = state;
+  });
+  const blocks = readVarints((version >= 3 ? container.Data : container.BlockData).value, size.x * size.y * size.z);
+  if (blocks.some(index => palette[index] === undefined)) {
+    throw createError('Block data refers to a missing palette entry', 'SCHEMATIC_INVALID');
+  }
+
+  const offset = data.Offset?.value;
+  const metadata = data.Metadata?.value || {};
+  const blockEntities = (version === 1 ? data.TileEntities : container.BlockEntities)?.value.value || [];
+  const entities = data.Entities?.value.value || [];
+
+  return createSchematic({
+    size,
+    offset: offset ? { x: offset[0], y: offset[1], z: offset[2] } : null,
+    palette,
+    blocks,
+    blockEntities: blockEntities.map(entry => ({
+      pos: { x: entry.Pos.value[0], y: entry.Pos.value[1], z: entry.Pos.value[2] },
+      id: entry.Id?.value ?? entry.id?.value ?? null,
+      data: version >= 3 ? (entry.Data?.value || {}) : stripPositionTags(entry)
+    })),
+    entities: entities.map(entry => ({
+      pos: { x: entry.Pos.value.value[0], y: entry.Pos.value.value[1], z: entry.Pos.value.value[2] },
+      id: entry.Id?.value ?? entry.id?.value ?? null,
+      data: version >= 3 ? stripPositionTags(entry.Data?.value) : stripPositionTags(entry)
+    })),
+    // Version 1 predates DataVersion and was written for 1.13
+    dataVersion: data.DataVersion?.value ?? FLATTENING,
+    metadata: {
+      name: metadata.Name?.value ?? null,
+      author: metadata.Author?.value ?? null,
+      date: metadata.Date?.value !== undefined ? new Date(Number(metadata.Date.value)).toISOString() : null,
+      sourceVersion: version
+    }
+  });
+}
+
+// { root, warnings } for a schematic; options.version is 2 or 3
+function write(schematic, { version = 3 } = {}) {
+  if (!WRITE_VERSIONS.includes(version)) {
+    throw createError(`Sponge schematics can be written as version ${WRITE_VERSIONS.join(' or ')}`, 'SCHEMATIC_UNSUPPORTED_VERSION');
+  }
+
+  const { size, offset, palette } = schematic;
+  const paletteTag = {
+    type: 'compound',
+    value: Object.fromEntries(palette.map((state, index) => [state, { type: 'int', value: index }]))
+  };
+  const blockData = { type: 'byteArray', value: writeVarints(schematic.blocks) };
+  const blockEntities = {
+    type: 'list',
+    value: {
+      type: 'compound',
+      value: schematic.blockEntities.map(entry => ({
+        Pos: { type: 'intArray', value: [entry.pos.x, entry.pos.y, entry.pos.z] },
+        Id: { type: 'string', value: entry.id },
+        ...(version >= 3 ? { Data: { type: 'compound', value: entry.data } } : entry.data)
+      }))
+    }
+  };
+  const entities = {
+    type: 'list',
+    value: {
+      type: 'compound',
+      value: schematic.entities.map(entry => ({
+        Pos: { type: 'list', value: { type: 'double', value: [entry.pos.x, entry.pos.y, entry.pos.z] } },
+        Id: { type: 'string', value: entry.id },
+        ...(version >= 3 ? { Data: { type: 'compound', value: { ...entry.data, id: { type: 'string', value: entry.id } } } } : entry.data)
+      }))
+    }
+  };
+
+  const metadata = { Date: { type: 'long', value: BigInt(Date.now()) } };
+  if (schematic.metadata.name) metadata.Name = { type: 'string', value: schematic.metadata.name };
+  if (schematic.metadata.author) metadata.Author = { type: 'string', value: schematic.metadata.author };
+
+  const data = {
+    Version: { type: 'int', value: version },
+    DataVersion: { type: 'int', value: schematic.dataVersion ?? FLATTENING },
+    Metadata: { type: 'compound', value: metadata },
+    Width: { type: 'short', value: toShort(size.x) },
+    Height: { type: 'short', value: toShort(size.y) },
+    Length: { type: 'short', value: toShort(size.z) },
+    Offset: { type: 'intArray', value: [offset.x, offset.y, offset.z] }
+  };
+
+  if (version >= 3) {
+    data.Blocks = { type: 'compound', value: { Palette: paletteTag, Data: blockData, BlockEntities: blockEntities } };
+    data.Entities = entities;
+    return { root: { name: '', type: 'compound', value: { Schematic: { type: 'compound', value: data } } }, warnings: [] };
+  }
+
+  data.PaletteMax = { type: 'int', value: palette.length };
+  data.Palette = paletteTag;
+  data.BlockData = blockData;
+  data.BlockEntities = blockEntities;
+  data.Entities = entities;
+  return { root: { name: 'Schematic', type: 'compound', value: data }, warnings: [] };
+}
+
+// Unsigned LEB128 varints from signed bytes
+function readVarints(bytes, count) {
+  const values = new Uint32Array(count);
+  let position = 0;
+  for (let index = 0; index < count; index++) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (position >= bytes.length) {
+        throw createError(`Block data ends after ${index} of ${count} blocks`, 'SCHEMATIC_INVALID');
+      }
+      byte = bytes[position++] & 0xff;
+      value |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80 && shift < 35);
+    values[index] = value >>> 0;
+  }
+  return values;
+}
+
+function writeVarints(values) {
+  const bytes = [];
+  values.forEach(value => {
+    let remaining = value;
+    while (remaining >= 0x80) {
+      bytes.push(((remaining & 0x7f) | 0x80) << 24 >> 24);
+      remaining >>>= 7;
+    }
+    bytes.push(remaining << 24 >> 24);
+  });
+  return bytes;
+}
+
+// Sizes up to 65535 are stored in a signed short
+function toShort(value) {
+  return value << 16 >> 16;
+}
+
+module.exports = {
+  WRITE_VERSIONS,
+  detect,
+  read,
+  write
+};
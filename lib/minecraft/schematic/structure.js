@@ -0,0 +1,154 @@
+const { FLATTENING } = require('../upgrade/versions');
+const {
+  AIR,
+  createSchematic,
+  createPaletteBuilder,
+  stateFromCompound,
+  compoundFromState,
+  stripPositionTags
+} = require('./blocks');
+const { createError } = require('../../helpers');
+
+// Vanilla structure block files (.nbt): a palette of { Name, Properties }
+// and a list of { state, pos, nbt } blocks. Positions missing from the
+// list are left alone when the structure is placed; they read as air.
+// Files with several palettes (shipwrecks and the like) use the first.
+
+const STRUCTURE_VOID = 'minecraft:structure_void';
+// Structure blocks save at most 48 blocks along each axis
+const STRUCTURE_BLOCK_LIMIT = 48;
+
+function detect(root) {
+  return root.value.size?.type === 'list' && root.value.blocks?.type === 'list' &&
+    (root.value.palette?.type === 'list' || root.value.palettes?.type === 'list');
+}
+
+function read(root) {
+  const data = root.value;
+  const [x, y, z] = data.size.value.value;
+  const size = { x, y, z };
+  const warnings = [];
+
+  let sourcePalette = data.palette?.value.value;
+  if (!sourcePalette) {
+    const palettes = data.palettes.value.value;
+    sourcePalette = palettes[0]?.value || [];
+    if (palettes.length > 1) warnings.push(`The structure has ${palettes.length} palettes; the first was used`);
+  }
+
+  const { palette, add } = createPaletteBuilder();
+  const remap = sourcePalette.map(entry => add(stateFromCompound(entry)));
+  const blocks = new Uint32Array(x * y * z);
+  const blockEntities = [];
+
+  // Check the size before filling it
+  createSchematic({ size, palette, blocks });
+
+  data.blocks.value.value.forEach(entry => {
+    const [bx, by, bz] = entry.pos.value.value;
+    if (bx < 0 || by < 0 || bz < 0 || bx >= x || by >= y || bz >= z) return;
+    const state = remap[entry.state.value];
+    if (state === undefined) {
+      throw createError(`Block at ${bx},${by},${bz} refers to missing palette entry ${entry.state.value}`, 'SCHEMATIC_INVALID');
+    }
+    blocks[bx + bz * x + by * x * z] = state;
+
+    if (entry.nbt?.type === 'compound') {
+      blockEntities.push({
+        pos: { x: bx, y: by, z: bz },
+        id: entry.nbt.value.id?.value ?? null,
+        data: stripPositionTags(entry.nbt.value)
+      });
+    }
+  });
+
+  const entities = (data.entities?.value.value || []).map(entry => ({
+    pos: { x: entry.pos.value.value[0], y: entry.pos.value.value[1], z: entry.pos.value.value[2] },
+    id: entry.nbt?.value.id?.value ?? null,
+    data: stripPositionTags(entry.nbt?.value)
+  }));
+
+  return createSchematic({
+    size,
+    palette,
+    blocks,
+    blockEntities,
+    entities,
+    dataVersion: data.DataVersion?.value ?? FLATTENING,
+    metadata: { name: null, author: data.author?.value ?? null, date: null },
+    warnings
+  });
+}
+
+// { root, warnings }. Air is written like the structure block does, so
+// placing the structure clears the space; structure voids are left out.
+// options.includeAir = false leaves air out too.
+function write(schematic, { includeAir = true } = {}) {
+  const { size, palette } = schematic;
+  const used = new Map();
+  const paletteEntries = [];
+  const blocks = [];
+  const warnings = [];
+
+  const blockEntities = new Map(schematic.blockEntities.map(entry => [
+    `${entry.pos.x},${entry.pos.y},${entry.pos.z}`,
+    entry
+  ]));
+
+  for (let y = 0; y < size.y; y++) {
+    for (let z = 0; z < size.z; z++) {
+      for (let x = 0; x < size.x; x++) {
+        const paletteIndex = schematic.blocks[x + z * size.x + y * size.x * size.z];
+        const state = palette[paletteIndex];
+        if (state === STRUCTURE_VOID || (!includeAir && state === AIR)) continue;
+
+        if (!used.has(paletteIndex)) {
+          used.set(paletteIndex, paletteEntries.length);
+          paletteEntries.push(compoundFromState(state));
+        }
+        const block = {
+          state: { type: 'int', value: used.get(paletteIndex) },
+          pos: { type: 'list', value: { type: 'int', value: [x, y, z] } }
+        };
+        const blockEntity = blockEntities.get(`${x},${y},${z}`);
+        if (blockEntity) {
+          block.nbt = { type: 'compound', value: { ...blockEntity.data, id: { type: 'string', value: blockEntity.id } } };
+        }
+        blocks.push(block);
+      }
+    }
+  }
+
+  if (size.x > STRUCTURE_BLOCK_LIMIT || size.y > STRUCTURE_BLOCK_LIMIT || size.z > STRUCTURE_BLOCK_LIMIT) {
+    warnings.push(`Structure blocks load at most ${STRUCTURE_BLOCK_LIMIT} blocks per axis; use /place template or a datapack for ${size.x}x${size.y}x${size.z}`);
+  }
+
+  const root = {
+    name: '',
+    type: 'compound',
+    value: {
+      DataVersion: { type: 'int', value: schematic.dataVersion ?? FLATTENING },
+      size: { type: 'list', value: { type: 'int', value: [size.x, size.y, size.z] } },
+      palette: { type: 'list', value: { type: 'compound', value: paletteEntries } },
+      blocks: { type: 'list', value: { type: 'compound', value: blocks } },
+      entities: {
+        type: 'list',
+        value: {
+          type: 'compound',
+          value: schematic.entities.map(entry => ({
+            pos: { type: 'list', value: { type: 'double', value: [entry.pos.x, entry.pos.y, entry.pos.z] } },
+            blockPos: { type: 'list', value: { type: 'int', value: [Math.floor(entry.pos.x), Math.floor(entry.pos.y), Math.floor(entry.pos.z)] } },
+            nbt: { type: 'compound', value: { ...entry.data, id: { type: 'string', value: entry.id } } }
+          }))
+        }
+      }
+    }
+  };
+  return { root, warnings };
+}
+
+module.exports = {
+  detect,
+  read,
+  write
+};
@@ -0,0 +1,118 @@
+const { STRUCTURES, parseVersion, getPlacement, findStructures, isSlimeChunk, findSlimeChunks } = require('./structures');
+const { getStrongholdPositions } = require('./strongholds');
+const { findNetherStructures } = require('./nether');
+const { createError } = require('../../helpers');
+
+// Seed search criteria. Every criterion must hold for a seed to match;
+// distances are in blocks from the search centre (0,0 by default, where
+// the game looks for spawn first).
+//
+//   { type: 'structure', structure: 'village', maxDistance: 500, minCount: 1 }
+//   { type: 'slime_chunk', maxDistance: 0 }        0 = the centre chunk itself
+//   { type: 'stronghold', maxDistance: 1500 }
+//   { type: 'nether_structure', structure: 'fortress', maxDistance: 300 }
+
+const CRITERION_TYPES = ['structure', 'slime_chunk', 'stronghold', 'nether_structure'];
+const NETHER_STRUCTURES = ['fortress', 'bastion_remnant'];
+const MAX_DISTANCE = { structure: 5000, slime_chunk: 256, stronghold: 10000, nether_structure: 2000 };
+// Cheap checks run first so most seeds are rejected early
+const CHECK_ORDER = ['slime_chunk', 'nether_structure', 'structure', 'stronghold'];
+
+// Validate and normalize a criteria list for a version. Throws SEED_INVALID_CRITERIA.
+function normalizeCriteria(criteria, version) {
+  const fail = (message) => { throw createError(message, 'SEED_INVALID_CRITERIA'); };
+  const minor = parseVersion(version);
+
+  if (!Array.isArray(criteria) || criteria.length === 0) fail('criteria must be a non-empty array');
+  if (criteria.length > 10) fail('At most 10 criteria per search');
+
+  return criteria
+    .map((criterion, index) => {
+      const label = `criteria[${index}]`;
+      if (!criterion || !CRITERION_TYPES.includes(criterion.type)) {
+        fail(`${label}.type must be one of: ${CRITERION_TYPES.join(', ')}`);
+      }
+
+      const maxDistance = Number(criterion.maxDistance);
+      if (!Number.isFinite(maxDistance) || maxDistance < 0 || maxDistance > MAX_DISTANCE[criterion.type]) {
+        fail(`${label}.maxDistance must be between 0 and ${MAX_DISTANCE[criterion.type]} blocks`);
+      }
+
+      if (criterion.type === 'structure') {
+        if (!STRUCTURES[criterion.structure]) {
+          fail(`${label}.structure must be one of: ${Object.keys(STRUCTURES).join(', ')}`);
+        }
+        if (!getPlacement(criterion.structure, minor)) {
+          fail(`${label}: ${criterion.structure} does not generate in ${version}`);
+        }
+        const minCount = criterion.minCount === undefined ? 1 : Number(criterion.minCount);
+        if (!Number.isInteger(minCount) || minCount < 1 || minCount > 20) fail(`${label}.minCount must be 1-20`);
+        return { type: 'structure', structure: criterion.structure, maxDistance, minCount };
+      }
+
+      if (criterion.type === 'nether_structure') {
+        if (minor < 16 && criterion.structure !== 'fortress') {
+          fail(`${label}: only fortresses generate before 1.16`);
+        }
+        if (!NETHER_STRUCTURES.includes(criterion.structure)) {
+          fail(`${label}.structure must be one of: ${NETHER_STRUCTURES.join(', ')}`);
+        }
+        return { type: 'nether_structure', structure: criterion.structure, maxDistance };
+      }
+
+      return { type: criterion.type, maxDistance };
+    })
+    .sort((a, b) => CHECK_ORDER.indexOf(a.type) - CHECK_ORDER.indexOf(b.type));
+}
+
+// Details of every criterion for a matching seed, or null as soon as one fails.
+// criteria must come from normalizeCriteria.
+function matchSeed(seed, criteria, { version = '1.20', center = { x: 0, z: 0 } } = {}) {
+  const details = [];
+
+  for (const criterion of criteria) {
+    const found = checkCriterion(seed, criterion, version, center);
+    if (!found) return null;
+    details.push({ ...criterion, ...found });
+  }
+  return details;
+}
+
+function checkCriterion(seed, criterion, version, center) {
+  switch (criterion.type) {
+    case 'slime_chunk': {
+      if (criterion.maxDistance < 16) {
+        const chunk = { x: Math.floor(center.x / 16), z: Math.floor(center.z / 16) };
+        return isSlimeChunk(seed, chunk.x, chunk.z) ? { chunk, distance: 0 } : null;
+      }
+      const nearest = findSlimeChunks(seed, { ...center, radius: criterion.maxDistance }).chunks[0];
+      return nearest ? { chunk: nearest.chunk, coordinates: nearest.coordinates, distance: nearest.distance } : null;
+    }
+    case 'structure': {
+      const found = findStructures(seed, { version, ...center, radius: criterion.maxDistance, types: [criterion.structure] });
+      if (found.length < criterion.minCount) return null;
+      return { coordinates: found[0].coordinates, distance: found[0].distance, count: found.length };
+    }
+    case 'nether_structure': {
+      const found = findNetherStructures(seed, { version, ...center, radius: criterion.maxDistance })
+        .structures.find(structure => structure.type === criterion.structure);
+      return found ? { coordinates: found.coordinates, distance: found.distance } : null;
+    }
+    case 'stronghold': {
+      const nearest = getStrongholdPositions(seed, { version }).positions
+        .map(position => ({ ...position, distance: Math.round(Math.hypot(position.coordinates.x - center.x, position.coordinates.z - center.z)) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      return nearest.distance <= criterion.maxDistance ? { coordinates: nearest.coordinates, distance: nearest.distance } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  CRITERION_TYPES,
+  NETHER_STRUCTURES,
+  MAX_DISTANCE,
+  normalizeCriteria,
+  matchSeed
+};
@@ -0,0 +1,32 @@
+const { JavaRandom, stringHashCode, parseSeed } = require('./random');
+const structures = require('./structures');
+const strongholds = require('./strongholds');
+const nether = require('./nether');
+const criteria = require('./criteria');
+
+// Java Edition seed engine: java.util.Random, structure placement attempts,
+// stronghold rings, nether fortresses/bastions and slime chunks, matching
+// the game for 1.13 and later.
+
+module.exports = {
+  JavaRandom,
+  stringHashCode,
+  parseSeed,
+  STRUCTURES: structures.STRUCTURES,
+  MIN_VERSION: structures.MIN_VERSION,
+  MAX_VERSION: structures.MAX_VERSION,
+  parseVersion: structures.parseVersion,
+  structuresForVersion: structures.structuresForVersion,
+  getStructureChunk: structures.getStructureChunk,
+  findStructures: structures.findStructures,
+  isSlimeChunk: structures.isSlimeChunk,
+  findSlimeChunks: structures.findSlimeChunks,
+  STRONGHOLD_COUNT: strongholds.STRONGHOLD_COUNT,
+  getStrongholdPositions: strongholds.getStrongholdPositions,
+  findStrongholds: strongholds.findStrongholds,
+  findNetherStructures: nether.findNetherStructures,
+  CRITERION_TYPES: criteria.CRITERION_TYPES,
+  NETHER_STRUCTURES: criteria.NETHER_STRUCTURES,
+  normalizeCriteria: criteria.normalizeCriteria,
+  matchSeed: criteria.matchSeed
+};
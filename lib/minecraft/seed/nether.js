@@ -0,0 +1,93 @@
+const { JavaRandom, toInt } = require('./random');
+const { parseVersion, regionRandom, getRegionAttempt, chunkCenter } = require('./structures');
+
+// Nether fortresses and bastions.
+//
+// Since 1.16 both share one region grid (27 chunks, separation 4). The
+// region's attempt is a fortress 2 times in 5 and a bastion otherwise. 1.16
+// and 1.17 roll this with the region's random, 1.18+ with a random seeded
+// from the attempt chunk. Bastions cannot generate in basalt deltas; since
+// 1.18 such an attempt falls back to a fortress.
+//
+// Before 1.16 only fortresses existed: one chance in three per 16x16-chunk
+// area, at a random chunk 4-11 chunks into the area.
+
+const NETHER_COMPLEXES = { spacing: 27, separation: 4, salt: 30084232, spread: 'linear' };
+const NETHER_COMPLEXES_SINCE = 16;
+const CHUNK_SEEDED_SELECTION_SINCE = 18;
+const LEGACY_FORTRESS_AREA = 16;
+
+// setLargeFeatureSeed: seed the random from the world seed and a chunk
+function largeFeatureRandom(seed, chunkX, chunkZ) {
+  const random = new JavaRandom(seed);
+  const a = random.nextLong();
+  const b = random.nextLong();
+  return random.setSeed((BigInt(chunkX) * a) ^ (BigInt(chunkZ) * b) ^ seed);
+}
+
+function getNetherComplex(seed, regionX, regionZ, minor) {
+  const random = regionRandom(seed, NETHER_COMPLEXES, regionX, regionZ);
+  const chunk = getRegionAttempt(seed, NETHER_COMPLEXES, regionX, regionZ, random);
+  const selection = minor >= CHUNK_SEEDED_SELECTION_SINCE ? largeFeatureRandom(seed, chunk.x, chunk.z) : random;
+  return { type: selection.nextInt(5) < 2 ? 'fortress' : 'bastion_remnant', chunk };
+}
+
+function getLegacyFortress(seed, areaX, areaZ) {
+  const random = new JavaRandom(BigInt(toInt(areaX ^ (areaZ << 4))) ^ seed);
+  random.nextInt();
+  if (random.nextInt(3) !== 0) return null;
+
+  const chunk = {
+    x: areaX * LEGACY_FORTRESS_AREA + 4 + random.nextInt(8),
+    z: areaZ * LEGACY_FORTRESS_AREA + 4 + random.nextInt(8)
+  };
+  return { type: 'fortress', chunk };
+}
+
+// Fortress and bastion attempts within `radius` blocks of the nether
+// coordinates (x, z), nearest first
+function findNetherStructures(seed, { version = '1.20', x = 0, z = 0, radius = 1000 } = {}) {
+  const minor = parseVersion(version);
+  const modern = minor >= NETHER_COMPLEXES_SINCE;
+  const cell = modern ? NETHER_COMPLEXES.spacing : LEGACY_FORTRESS_AREA;
+  const cellBlocks = cell * 16;
+  const results = [];
+
+  for (let cellX = Math.floor((x - radius) / cellBlocks); cellX <= Math.floor((x + radius) / cellBlocks); cellX++) {
+    for (let cellZ = Math.floor((z - radius) / cellBlocks); cellZ <= Math.floor((z + radius) / cellBlocks); cellZ++) {
+      const attempt = modern ? getNetherComplex(seed, cellX, cellZ, minor) : getLegacyFortress(seed, cellX, cellZ);
+      if (!attempt) continue;
+
+      const coordinates = chunkCenter(attempt.chunk);
+      const distance = Math.round(Math.hypot(coordinates.x - x, coordinates.z - z));
+      if (distance > radius) continue;
+
+      results.push({
+        type: attempt.type,
+        name: attempt.type === 'fortress' ? 'Nether Fortress' : 'Bastion Remnant',
+        region: { x: cellX, z: cellZ },
+        chunk: attempt.chunk,
+        coordinates,
+        overworldCoordinates: { x: coordinates.x * 8, z: coordinates.z * 8 },
+        distance,
+        // Bastions in basalt deltas become fortresses (1.18+) or nothing
+        biomeDependent: attempt.type === 'bastion_remnant'
+      });
+    }
+  }
+
+  return {
+    layout: modern
+      ? { spacing: NETHER_COMPLEXES.spacing, separation: NETHER_COMPLEXES.separation, regionBlocks: cellBlocks }
+      : { spacing: LEGACY_FORTRESS_AREA, regionBlocks: cellBlocks, chance: '1 in 3' },
+    fallbackToFortress: minor >= CHUNK_SEEDED_SELECTION_SINCE,
+    structures: results.sort((a, b) => a.distance - b.distance)
+  };
+}
+
+module.exports = {
+  NETHER_COMPLEXES,
+  getNetherComplex,
+  getLegacyFortress,
+  findNetherStructures
+};
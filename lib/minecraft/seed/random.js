@@ -0,0 +1,115 @@
+// java.util.Random, the 48-bit linear congruential generator behind world
+// generation. The state is kept as two 24-bit halves so every step stays
+// within exact double arithmetic (BigInt is only used when seeding).
+
+const MULTIPLIER = 0x5deece66dn;
+const MULTIPLIER_HIGH = 0x5de;
+const MULTIPLIER_LOW = 0xece66d;
+const ADDEND = 0xb;
+const TWO_24 = 0x1000000;
+const TWO_31 = 0x80000000;
+const LONG_MIN = -(2n ** 63n);
+const LONG_MAX = 2n ** 63n - 1n;
+
+class JavaRandom {
+  constructor(seed = 0n) {
+    this.setSeed(seed);
+  }
+
+  // Accepts a BigInt or a safe integer; only the low 48 bits matter
+  setSeed(seed) {
+    const scrambled = BigInt.asUintN(48, BigInt(seed) ^ MULTIPLIER);
+    this.high = Number(scrambled >> 24n);
+    this.low = Number(scrambled & 0xffffffn);
+    return this;
+  }
+
+  next(bits) {
+    const lowProduct = this.low * MULTIPLIER_LOW + ADDEND;
+    const carry = Math.floor(lowProduct / TWO_24);
+    const highProduct = this.high * MULTIPLIER_LOW + this.low * MULTIPLIER_HIGH + carry;
+    this.low = lowProduct % TWO_24;
+    this.high = highProduct % TWO_24;
+
+    const state = this.high * TWO_24 + this.low;
+    return Math.floor(state / 2 ** (48 - bits)) | 0;
+  }
+
+  nextInt(bound) {
+    if (bound === undefined) return this.next(32);
+    if (!Number.isInteger(bound) || bound <= 0 || bound > 0x7fffffff) {
+      throw new RangeError('bound must be a positive 32-bit integer');
+    }
+
+    // Powers of two take the high bits directly
+    if ((bound & -bound) === bound) {
+      return Math.floor((this.next(31) * bound) / TWO_31);
+    }
+
+    let bits;
+    let value;
+    do {
+      bits = this.next(31);
+      value = bits % bound;
+    } while (((bits - value + bound - 1) | 0) < 0);
+    return value;
+  }
+
+  nextLong() {
+    const high = BigInt(this.next(32));
+    const low = BigInt(this.next(32));
+    return BigInt.asIntN(64, (high << 32n) + low);
+  }
+
+  nextBoolean() {
+    return this.next(1) !== 0;
+  }
+
+  nextFloat() {
+    return this.next(24) / TWO_24;
+  }
+
+  nextDouble() {
+    return (this.next(26) * 2 ** 27 + this.next(27)) / 2 ** 53;
+  }
+
+  skip(count) {
+    for (let i = 0; i < count; i++) this.next(32);
+    return this;
+  }
+}
+
+// String.hashCode(), used for text seeds
+function stringHashCode(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+  }
+  return hash;
+}
+
+// World seed as typed in the create-world screen: a 64-bit number when it
+// parses as one, otherwise the hash of the text. Returns a BigInt or null
+// for an empty seed (the game picks a random one).
+function parseSeed(input) {
+  const text = String(input ?? '').trim();
+  if (text.length === 0) return null;
+
+  if (/^[-+]?\d+$/.test(text)) {
+    const value = BigInt(text);
+    if (value >= LONG_MIN && value <= LONG_MAX) return value;
+  }
+  return BigInt(stringHashCode(text));
+}
+
+// Wrap to a signed 32-bit int the way a Java int cast does
+function toInt(value) {
+  return Number(BigInt.asIntN(32, BigInt(value)));
+}
+
+module.exports = {
+  JavaRandom,
+  stringHashCode,
+  parseSeed,
+  toInt
+};
@@ -0,0 +1,261 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { EventEmitter } = require('events');
+const { normalizeCriteria } = require('./criteria');
+const { createError } = require('../../helpers');
+
+// Seed search jobs: criteria are checked against a range of seeds by worker
+// threads, one queued job after another. Jobs live in memory; a restart
+// drops them.
+//
+// searchEvents emits 'job' { jobId, type, data } where type is
+//   progress  { seedsChecked, progress, rate }
+//   match     { seed, details }
+//   status    { status, error }
+
+const WORKER_SCRIPT = path.join(__dirname, 'searchWorker.js');
+const WORKER_COUNT = parseInt(process.env.SEED_SEARCH_WORKERS) || Math.max(1, os.cpus().length - 1);
+const MAX_CONCURRENT_JOBS = parseInt(process.env.SEED_SEARCH_CONCURRENCY) || 1;
+const MAX_SEEDS_PER_JOB = parseInt(process.env.SEED_SEARCH_MAX_SEEDS) || 10000000;
+const MAX_QUEUED_JOBS = parseInt(process.env.SEED_SEARCH_MAX_QUEUED) || 20;
+const DEFAULT_SEED_COUNT = 100000;
+const DEFAULT_MAX_MATCHES = 10;
+const MAX_MATCHES = 100;
+const MAX_STORED_JOBS = 100;
+const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+const LONG_MAX = 2n ** 63n - 1n;
+const LONG_MIN = -(2n ** 63n);
+
+const searchEvents = new EventEmitter();
+searchEvents.setMaxListeners(100);
+
+const jobs = new Map();
+const queue = [];
+const workers = new Map(); // jobId -> [{ worker, checked, done }]
+
+// Queue a search. options: criteria, version, center { x, z }, startSeed,
+// count, maxMatches. Throws SEED_INVALID_CRITERIA / SEED_INVALID_OPTIONS.
+function createSearchJob({ criteria, version = '1.20', center = null, startSeed = null, count = DEFAULT_SEED_COUNT, maxMatches = DEFAULT_MAX_MATCHES } = {}) {
+  const fail = (message) => { throw createError(message, 'SEED_INVALID_OPTIONS'); };
+  const normalized = normalizeCriteria(criteria, version);
+
+  const seedCount = Number(count);
+  if (!Number.isInteger(seedCount) || seedCount < 1 || seedCount > MAX_SEEDS_PER_JOB) {
+    fail(`count must be between 1 and ${MAX_SEEDS_PER_JOB}`);
+  }
+  const matchLimit = Number(maxMatches);
+  if (!Number.isInteger(matchLimit) || matchLimit < 1 || matchLimit > MAX_MATCHES) {
+    fail(`maxMatches must be between 1 and ${MAX_MATCHES}`);
+  }
+  if (center !== null && (!Number.isFinite(Number(center.x)) || !Number.isFinite(Number(center.z)))) {
+    fail('center must be { x, z } in blocks');
+  }
+
+  let start;
+  if (startSeed === null || startSeed === undefined) {
+    // Random 48-bit starting point, so repeated searches cover new seeds
+    start = BigInt(`0x${crypto.randomBytes(6).toString('hex')}`);
+  } else if (/^[-+]?\d+$/.test(String(startSeed).trim())) {
+    start = BigInt(String(startSeed).trim());
+  } else {
+    fail('startSeed must be a whole number');
+  }
+  const end = start + BigInt(seedCount);
+  if (start < LONG_MIN || end - 1n > LONG_MAX) fail('The seed range must stay within 64-bit seeds');
+  if (queue.length >= MAX_QUEUED_JOBS) {
+    throw createError(`${MAX_QUEUED_JOBS} seed searches are already waiting; try again later`, 'SEED_QUEUE_FULL');
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    criteria: normalized,
+    version,
+    center: center ? { x: Number(center.x), z: Number(center.z) } : { x: 0, z: 0 },
+    range: { start: start.toString(), end: end.toString(), count: seedCount },
+    maxMatches: matchLimit,
+    seedsChecked: 0,
+    matches: [],
+    workers: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  pruneJobs();
+  processQueue();
+  return formatJob(job);
+}
+
+function getSearchJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? formatJob(job) : null;
+}
+
+function listSearchJobs({ status, limit = 50 } = {}) {
+  return Array.from(jobs.values())
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit)
+    .map(job => formatJob(job, { includeMatches: false }));
+}
+
+// Cancel a queued or running job; finished jobs are returned unchanged
+function cancelSearchJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(jobId), 1);
+    finishJob(job, 'cancelled');
+  } else if (job.status === 'running') {
+    finishJob(job, 'cancelled');
+  }
+  return formatJob(job);
+}
+
+function processQueue() {
+  while (workers.size < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    startJob(jobs.get(queue.shift()));
+  }
+}
+
+function startJob(job) {
+  const start = BigInt(job.range.start);
+  const count = job.range.count;
+  const workerCount = Math.min(WORKER_COUNT, count);
+  const slice = Math.ceil(count / workerCount);
+  const threads = [];
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.workers = workerCount;
+  workers.set(job.id, threads);
+  emit(job, 'status', { status: job.status, error: null });
+
+  for (let i = 0; i < workerCount; i++) {
+    const sliceStart = start + BigInt(i * slice);
+    const sliceEnd = start + BigInt(Math.min((i + 1) * slice, count));
+    const thread = { checked: 0, done: false };
+    thread.worker = new Worker(WORKER_SCRIPT, {
+      workerData: {
+        start: sliceStart.toString(),
+        end: sliceEnd.toString(),
+        criteria: job.criteria,
+        version: job.version,
+        center: job.center
+      }
+    });
+    threads.push(thread);
+
+    thread.worker.on('message', (message) => handleWorkerMessage(job, thread, message));
+    thread.worker.on('error', (error) => finishJob(job, 'failed', error.message));
+    thread.worker.on('exit', (code) => {
+      if (!thread.done && job.status === 'running') {
+        finishJob(job, 'failed', `Worker stopped with exit code ${code}`);
+      }
+    });
+  }
+}
+
+function handleWorkerMessage(job, thread, message) {
+  if (job.status !== 'running') return;
+
+  thread.checked = message.checked;
+  job.seedsChecked = workers.get(job.id).reduce((sum, entry) => sum + entry.checked, 0);
+
+  if (message.type === 'match') {
+    const match = { seed: message.seed, details: message.details, foundAt: new Date().toISOString() };
+    job.matches.push(match);
+    emit(job, 'match', match);
+    if (job.matches.length >= job.maxMatches) finishJob(job, 'completed');
+    return;
+  }
+
+  if (message.type === 'done') {
+    thread.done = true;
+    if (workers.get(job.id).every(entry => entry.done)) {
+      finishJob(job, 'completed');
+      return;
+    }
+  }
+  emit(job, 'progress', progressOf(job));
+}
+
+function finishJob(job, status, error = null) {
+  if (!['queued', 'running'].includes(job.status)) return;
+
+  const threads = workers.get(job.id) || [];
+  workers.delete(job.id);
+  threads.forEach(thread => {
+    thread.done = true;
+    thread.worker.terminate();
+  });
+
+  job.status = status;
+  job.error = error;
+  job.finishedAt = new Date().toISOString();
+  emit(job, 'progress', progressOf(job));
+  emit(job, 'status', { status, error });
+  processQueue();
+}
+
+function emit(job, type, data) {
+  searchEvents.emit('job', { jobId: job.id, type, data });
+}
+
+function progressOf(job) {
+  const elapsed = job.startedAt ? ((job.finishedAt ? new Date(job.finishedAt) : new Date()) - new Date(job.startedAt)) / 1000 : 0;
+  return {
+    seedsChecked: job.seedsChecked,
+    progress: Math.round((job.seedsChecked / job.range.count) * 1000) / 10,
+    rate: elapsed > 0 ? Math.round(job.seedsChecked / elapsed) : 0,
+    matches: job.matches.length
+  };
+}
+
+// Drop the oldest finished jobs beyond MAX_STORED_JOBS
+function pruneJobs() {
+  const finished = Array.from(jobs.values())
+    .filter(job => !['queued', 'running'].includes(job.status))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  while (jobs.size > MAX_STORED_JOBS && finished.length > 0) {
+    jobs.delete(finished.shift().id);
+  }
+}
+
+function formatJob(job, { includeMatches = true } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    version: job.version,
+    center: job.center,
+    criteria: job.criteria,
+    range: job.range,
+    maxMatches: job.maxMatches,
+    workers: job.workers,
+    ...progressOf(job),
+    ...(includeMatches && { results: job.matches }),
+    queuePosition: job.status === 'queued' ? queue.indexOf(job.id) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  WORKER_COUNT,
+  MAX_SEEDS_PER_JOB,
+  searchEvents,
+  createSearchJob,
+  getSearchJob,
+  listSearchJobs,
+  cancelSearchJob
+};
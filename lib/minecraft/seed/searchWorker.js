@@ -0,0 +1,29 @@
+const { parentPort, workerData } = require('worker_threads');
+const { matchSeed } = require('./criteria');
+
+// Worker thread for seed searches: scans [start, end) and reports matches
+// as they are found and progress a few times per second. The job manager
+// stops it with terminate().
+
+const PROGRESS_INTERVAL = 250;
+const CHECK_BATCH = 256;
+
+const { start, end, criteria, version, center } = workerData;
+const last = BigInt(end);
+let checked = 0;
+let lastReport = Date.now();
+
+for (let seed = BigInt(start); seed < last; seed++) {
+  const details = matchSeed(seed, criteria, { version, center });
+  checked++;
+  if (details) {
+    parentPort.postMessage({ type: 'match', seed: seed.toString(), details, checked });
+  }
+
+  if (checked % CHECK_BATCH === 0 && Date.now() - lastReport >= PROGRESS_INTERVAL) {
+    parentPort.postMessage({ type: 'progress', checked });
+    lastReport = Date.now();
+  }
+}
+
+parentPort.postMessage({ type: 'done', checked });
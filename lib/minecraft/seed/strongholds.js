@@ -0,0 +1,77 @@
+const { JavaRandom } = require('./random');
+const { parseVersion, chunkCenter } = require('./structures');
+
+// Strongholds sit on concentric rings around 0,0: 3 on the first ring, then
+// 6, 10, 15, 21, 28, 36 and the last 9, starting 4 "distance units" out with
+// 6 units between rings (1 unit = 32 chunks).
+//
+// Each ring position is then moved to a suitable biome within 112 blocks.
+// Since 1.19.3 that search uses its own forked random, so every ring
+// position follows from the seed alone. Before that the search consumed the
+// shared random, so only the first position can be computed without the biomes.
+
+const STRONGHOLD_COUNT = 128;
+const RING_DISTANCE = 32;
+const FIRST_RING_SPREAD = 3;
+const BIOME_SNAP_RADIUS = 112;
+// 1.19.3
+const FORKED_BIOME_SEARCH_SINCE = { minor: 19, patch: 3 };
+
+// Ring positions (before the biome adjustment), in generation order
+function getStrongholdPositions(seed, { version = '1.20' } = {}) {
+  const minor = parseVersion(version);
+  const patch = parseInt(String(version).trim().split('.')[2]) || 0;
+  const complete = minor > FORKED_BIOME_SEARCH_SINCE.minor ||
+    (minor === FORKED_BIOME_SEARCH_SINCE.minor && patch >= FORKED_BIOME_SEARCH_SINCE.patch);
+  const random = new JavaRandom(seed);
+  const positions = [];
+
+  let angle = random.nextDouble() * Math.PI * 2;
+  let spread = FIRST_RING_SPREAD;
+  let ring = 0;
+  let ringCount = 0;
+
+  for (let index = 0; index < STRONGHOLD_COUNT; index++) {
+    const distance = 4 * RING_DISTANCE + RING_DISTANCE * ring * 6 + (random.nextDouble() - 0.5) * RING_DISTANCE * 2.5;
+    const chunk = {
+      x: Math.round(Math.cos(angle) * distance),
+      z: Math.round(Math.sin(angle) * distance)
+    };
+    positions.push({ index, ring: ring + 1, chunk, coordinates: chunkCenter(chunk) });
+
+    if (!complete) break;
+    // The biome search gets a fork of the random (one nextLong)
+    random.nextLong();
+
+    angle += (Math.PI * 2) / spread;
+    if (++ringCount === spread) {
+      ring++;
+      ringCount = 0;
+      spread += Math.floor((2 * spread) / (ring + 1));
+      spread = Math.min(spread, STRONGHOLD_COUNT - index);
+      angle += random.nextDouble() * Math.PI * 2;
+    }
+  }
+
+  return { complete, positions };
+}
+
+// Positions with their distance from (x, z), nearest first
+function findStrongholds(seed, { version = '1.20', x = 0, z = 0 } = {}) {
+  const { complete, positions } = getStrongholdPositions(seed, { version });
+  const strongholds = positions
+    .map(position => ({
+      ...position,
+      distance: Math.round(Math.hypot(position.coordinates.x - x, position.coordinates.z - z))
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return { complete, accuracy: BIOME_SNAP_RADIUS, strongholds };
+}
+
+module.exports = {
+  STRONGHOLD_COUNT,
+  BIOME_SNAP_RADIUS,
+  getStrongholdPositions,
+  findStrongholds
+};
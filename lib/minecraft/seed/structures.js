@@ -0,0 +1,281 @@
+const { JavaRandom, toInt } = require('./random');
+const { createError } = require('../../helpers');
+
+// Region-based structure placement (Java Edition 1.13+).
+//
+// The world is split into regions of `spacing` chunks. Each region gets one
+// attempt at a chunk picked with a random seeded from the region coordinates,
+// the world seed and the structure's salt, at least `separation` chunks from
+// the next region. Triangular spreads (monuments, mansions) average two rolls
+// so attempts cluster towards the middle of the region.
+//
+// An attempt only becomes a structure when the biome there allows it, which
+// needs the full biome generator; positions here are those attempts.
+
+const STRUCTURES = {
+  village: {
+    name: 'Village',
+    placements: [
+      { since: 13, until: 17, spacing: 32, separation: 8 },
+      { since: 18, spacing: 34, separation: 8 }
+    ],
+    salt: 10387312,
+    biomes: ['plains', 'desert', 'savanna', 'taiga', 'snowy_plains', 'meadow']
+  },
+  desert_pyramid: {
+    name: 'Desert Pyramid',
+    placements: [{ since: 13, spacing: 32, separation: 8 }],
+    salt: 14357617,
+    biomes: ['desert']
+  },
+  igloo: {
+    name: 'Igloo',
+    placements: [{ since: 13, spacing: 32, separation: 8 }],
+    salt: 14357618,
+    biomes: ['snowy_plains', 'snowy_taiga', 'snowy_slopes']
+  },
+  jungle_temple: {
+    name: 'Jungle Temple',
+    placements: [{ since: 13, spacing: 32, separation: 8 }],
+    salt: 14357619,
+    biomes: ['jungle', 'bamboo_jungle']
+  },
+  swamp_hut: {
+    name: 'Swamp Hut',
+    placements: [{ since: 13, spacing: 32, separation: 8 }],
+    salt: 14357620,
+    biomes: ['swamp']
+  },
+  ocean_monument: {
+    name: 'Ocean Monument',
+    placements: [{ since: 13, spacing: 32, separation: 5, spread: 'triangular' }],
+    salt: 10387313,
+    biomes: ['deep_ocean', 'deep_cold_ocean', 'deep_lukewarm_ocean', 'deep_frozen_ocean']
+  },
+  woodland_mansion: {
+    name: 'Woodland Mansion',
+    placements: [{ since: 13, spacing: 80, separation: 20, spread: 'triangular' }],
+    salt: 10387319,
+    biomes: ['dark_forest']
+  },
+  pillager_outpost: {
+    name: 'Pillager Outpost',
+    placements: [{ since: 14, spacing: 32, separation: 8, frequency: 0.2, excludeNear: { structure: 'village', chunks: 10 } }],
+    salt: 165745296,
+    biomes: ['plains', 'desert', 'savanna', 'taiga', 'snowy_plains', 'meadow', 'grove', 'snowy_slopes', 'jagged_peaks', 'frozen_peaks', 'stony_peaks', 'cherry_grove']
+  },
+  ruined_portal: {
+    name: 'Ruined Portal',
+    placements: [{ since: 16, spacing: 40, separation: 15 }],
+    salt: 34222645,
+    biomes: null
+  },
+  shipwreck: {
+    name: 'Shipwreck',
+    placements: [{ since: 13, spacing: 24, separation: 4 }],
+    salt: 165745295,
+    biomes: ['ocean', 'beach']
+  },
+  ocean_ruin: {
+    name: 'Ocean Ruin',
+    placements: [{ since: 13, spacing: 20, separation: 8 }],
+    salt: 14357621,
+    biomes: ['ocean']
+  },
+  ancient_city: {
+    name: 'Ancient City',
+    placements: [{ since: 19, spacing: 24, separation: 8 }],
+    salt: 20083232,
+    biomes: ['deep_dark']
+  },
+  trail_ruins: {
+    name: 'Trail Ruins',
+    placements: [{ since: 20, spacing: 34, separation: 8 }],
+    salt: 83469867,
+    biomes: ['taiga', 'snowy_taiga', 'old_growth_pine_taiga', 'old_growth_spruce_taiga', 'old_growth_birch_forest', 'jungle']
+  }
+};
+
+const MIN_VERSION = 13;
+const MAX_VERSION = 21;
+const REGION_X_MULTIPLIER = 341873128712n;
+const REGION_Z_MULTIPLIER = 132897987541n;
+
+// '1.20.4' -> 20. Throws SEED_UNSUPPORTED_VERSION outside 1.13-1.21.
+function parseVersion(version) {
+  const match = String(version).trim().match(/^1\.(\d+)(?:\.\d+)?$/);
+  const minor = match ? parseInt(match[1]) : NaN;
+  if (!(minor >= MIN_VERSION && minor <= MAX_VERSION)) {
+    throw createError(`Unsupported version ${version} (supported: 1.${MIN_VERSION} to 1.${MAX_VERSION})`, 'SEED_UNSUPPORTED_VERSION');
+  }
+  return minor;
+}
+
+// Placement rules of a structure in a version, or null when it does not exist yet
+function getPlacement(type, minor) {
+  const structure = STRUCTURES[type];
+  if (!structure) return null;
+  const placement = structure.placements.find(entry => minor >= entry.since && (entry.until === undefined || minor <= entry.until));
+  return placement ? { type, salt: structure.salt, spread: 'linear', ...placement } : null;
+}
+
+function structuresForVersion(minor) {
+  return Object.keys(STRUCTURES).filter(type => getPlacement(type, minor));
+}
+
+// Random a region's attempt is rolled with
+function regionRandom(seed, placement, regionX, regionZ) {
+  return new JavaRandom(
+    BigInt(regionX) * REGION_X_MULTIPLIER + BigInt(regionZ) * REGION_Z_MULTIPLIER + seed + BigInt(placement.salt)
+  );
+}
+
+// Chunk of the attempt in a region
+function getRegionAttempt(seed, placement, regionX, regionZ, random = regionRandom(seed, placement, regionX, regionZ)) {
+  const range = placement.spacing - placement.separation;
+
+  let offsetX;
+  let offsetZ;
+  if (placement.spread === 'triangular') {
+    offsetX = Math.floor((random.nextInt(range) + random.nextInt(range)) / 2);
+    offsetZ = Math.floor((random.nextInt(range) + random.nextInt(range)) / 2);
+  } else {
+    offsetX = random.nextInt(range);
+    offsetZ = random.nextInt(range);
+  }
+
+  return { x: regionX * placement.spacing + offsetX, z: regionZ * placement.spacing + offsetZ };
+}
+
+// Outposts skip 4 in 5 attempts, decided per 16x16-chunk area
+function passesFrequency(seed, placement, chunkX, chunkZ) {
+  if (!placement.frequency || placement.frequency >= 1) return true;
+
+  const areaX = chunkX >> 4;
+  const areaZ = chunkZ >> 4;
+  const random = new JavaRandom(BigInt(toInt(areaX ^ (areaZ << 4))) ^ seed);
+  random.nextInt();
+  return random.nextInt(Math.floor(1 / placement.frequency)) === 0;
+}
+
+// Whether a structure of another set has an attempt within `chunks` chunks
+function hasAttemptInRange(seed, placement, chunkX, chunkZ, chunks) {
+  const minRegionX = Math.floor((chunkX - chunks) / placement.spacing);
+  const maxRegionX = Math.floor((chunkX + chunks) / placement.spacing);
+  const minRegionZ = Math.floor((chunkZ - chunks) / placement.spacing);
+  const maxRegionZ = Math.floor((chunkZ + chunks) / placement.spacing);
+
+  for (let regionX = minRegionX; regionX <= maxRegionX; regionX++) {
+    for (let regionZ = minRegionZ; regionZ <= maxRegionZ; regionZ++) {
+      const attempt = getRegionAttempt(seed, placement, regionX, regionZ);
+      if (Math.abs(attempt.x - chunkX) <= chunks && Math.abs(attempt.z - chunkZ) <= chunks) return true;
+    }
+  }
+  return false;
+}
+
+// Attempt of a structure in one region after frequency and exclusion rules, or null
+function getStructureChunk(seed, type, minor, regionX, regionZ) {
+  const placement = getPlacement(type, minor);
+  if (!placement) return null;
+
+  const chunk = getRegionAttempt(seed, placement, regionX, regionZ);
+  if (!passesFrequency(seed, placement, chunk.x, chunk.z)) return null;
+  if (placement.excludeNear) {
+    const other = getPlacement(placement.excludeNear.structure, minor);
+    if (other && hasAttemptInRange(seed, other, chunk.x, chunk.z, placement.excludeNear.chunks)) return null;
+  }
+  return chunk;
+}
+
+// Structure attempts within `radius` blocks of (x, z), nearest first.
+// Returns [{ type, name, chunk, coordinates, distance, biomes }].
+function findStructures(seed, { version = '1.20', x = 0, z = 0, radius = 2000, types = null } = {}) {
+  const minor = parseVersion(version);
+  const available = structuresForVersion(minor);
+  const selected = types ? types.filter(type => available.includes(type)) : available;
+  const results = [];
+
+  selected.forEach(type => {
+    const placement = getPlacement(type, minor);
+    const regionBlocks = placement.spacing * 16;
+    const minRegionX = Math.floor((x - radius) / regionBlocks);
+    const maxRegionX = Math.floor((x + radius) / regionBlocks);
+    const minRegionZ = Math.floor((z - radius) / regionBlocks);
+    const maxRegionZ = Math.floor((z + radius) / regionBlocks);
+
+    for (let regionX = minRegionX; regionX <= maxRegionX; regionX++) {
+      for (let regionZ = minRegionZ; regionZ <= maxRegionZ; regionZ++) {
+        const chunk = getStructureChunk(seed, type, minor, regionX, regionZ);
+        if (!chunk) continue;
+
+        const coordinates = chunkCenter(chunk);
+        const distance = Math.round(Math.hypot(coordinates.x - x, coordinates.z - z));
+        if (distance > radius) continue;
+
+        results.push({
+          type,
+          name: STRUCTURES[type].name,
+          chunk,
+          coordinates,
+          distance,
+          biomes: STRUCTURES[type].biomes
+        });
+      }
+    }
+  });
+
+  return results.sort((a, b) => a.distance - b.distance);
+}
+
+// Slime chunks spawn slimes below y=40 in any biome
+function isSlimeChunk(seed, chunkX, chunkZ) {
+  const random = new JavaRandom(
+    (seed +
+      BigInt(Math.imul(Math.imul(chunkX, chunkX), 0x4c1906)) +
+      BigInt(Math.imul(chunkX, 0x5ac0db)) +
+      BigInt(Math.imul(chunkZ, chunkZ)) * 0x4307a7n +
+      BigInt(Math.imul(chunkZ, 0x5f24f))) ^ 0x3ad8025fn
+  );
+  return random.nextInt(10) === 0;
+}
+
+// Slime chunks whose centre lies within `radius` blocks of (x, z), nearest first
+function findSlimeChunks(seed, { x = 0, z = 0, radius = 128 } = {}) {
+  const chunks = [];
+  let total = 0;
+  for (let chunkX = Math.floor((x - radius) / 16); chunkX <= Math.floor((x + radius) / 16); chunkX++) {
+    for (let chunkZ = Math.floor((z - radius) / 16); chunkZ <= Math.floor((z + radius) / 16); chunkZ++) {
+      const coordinates = chunkCenter({ x: chunkX, z: chunkZ });
+      const distance = Math.round(Math.hypot(coordinates.x - x, coordinates.z - z));
+      if (distance > radius) continue;
+
+      total++;
+      if (isSlimeChunk(seed, chunkX, chunkZ)) {
+        chunks.push({ chunk: { x: chunkX, z: chunkZ }, coordinates, distance });
+      }
+    }
+  }
+
+  return { chunksChecked: total, chunks: chunks.sort((a, b) => a.distance - b.distance) };
+}
+
+function chunkCenter(chunk) {
+  return { x: chunk.x * 16 + 8, z: chunk.z * 16 + 8 };
+}
+
+module.exports = {
+  STRUCTURES,
+  MIN_VERSION,
+  MAX_VERSION,
+  parseVersion,
+  getPlacement,
+  structuresForVersion,
+  regionRandom,
+  getRegionAttempt,
+  getStructureChunk,
+  findStructures,
+  isSlimeChunk,
+  findSlimeChunks,
+  chunkCenter
+};
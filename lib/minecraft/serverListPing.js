@@ -0,0 +1,494 @@
+const net = require('net');
+const dns = require('dns').promises;
+
+// Minecraft Server List Ping client
+// Speaks the modern (1.7+) handshake/status protocol as well as the
+// legacy 1.4-1.6 and pre-1.4 0xFE pings.
+
+const DEFAULT_PORT = 25565;
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_PROTOCOL_VERSION = 47;
+const LEGACY_PROTOCOL_VERSION = 74;
+
+// Ping a server, resolving SRV records and falling back to the legacy
+// protocols when the modern handshake is not understood
+async function pingServer(host, port = DEFAULT_PORT, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    protocol = 'auto', // 'auto', 'modern', 'legacy', 'beta'
+    protocolVersion = DEFAULT_PROTOCOL_VERSION,
+    resolveSrv = true
+  } = options;
+
+  const target = resolveSrv && parseInt(port) === DEFAULT_PORT
+    ? await resolveSrvRecord(host)
+    : { host, port: parseInt(port), srv: false };
+
+  const attempts = {
+    modern: () => pingModern(target.host, target.port, { timeout, protocolVersion, virtualHost: host }),
+    legacy: () => pingLegacy(target.host, target.port, { timeout, virtualHost: host }),
+    beta: () => pingBeta(target.host, target.port, { timeout })
+  };
+
+  const order = protocol === 'auto' ? ['modern', 'legacy', 'beta'] : [protocol];
+  let lastError = null;
+
+  for (const type of order) {
+    if (!attempts[type]) {
+      throw new Error(`Unknown ping protocol: ${type}`);
+    }
+
+    try {
+      const status = await attempts[type]();
+      return {
+        ...status,
+        host: target.host,
+        port: target.port,
+        srv: target.srv
+      };
+    } catch (error) {
+      lastError = error;
+      // Nothing is listening, or the server never answered; an older
+      // protocol will not help, and trying it would multiply the wait
+      if (isConnectionError(error) || error.code === 'ETIMEDOUT') break;
+    }
+  }
+
+  throw lastError;
+}
+
+// Modern status ping: handshake, status request, then ping/pong for latency
+function pingModern(host, port, { timeout, protocolVersion, virtualHost = host }) {
+  return withSocket(host, port, timeout, (socket, reader) => new Promise((resolve, reject) => {
+    const handshake = createPacket(0x00, Buffer.concat([
+      writeVarInt(protocolVersion),
+      writeString(virtualHost),
+      writeUShort(port),
+      writeVarInt(1)
+    ]));
+    const statusRequest = createPacket(0x00, Buffer.alloc(0));
+
+    let status = null;
+    let requestSentAt = Date.now();
+    let pingSentAt = null;
+
+    reader.onData = () => {
+      let packet;
+      while ((packet = readPacket(reader)) !== null) {
+        if (packet.id === 0x00 && !status) {
+          const { value } = readString(packet.data, 0);
+          try {
+            status = JSON.parse(value);
+          } catch (error) {
+            return reject(new Error('Server returned malformed status JSON'));
+          }
+
+          const payload = Buffer.alloc(8);
+          payload.writeBigInt64BE(BigInt(Date.now()));
+          pingSentAt = Date.now();
+          socket.write(createPacket(0x01, payload));
+        } else if (packet.id === 0x01 && status) {
+          return resolve(buildModernStatus(status, Date.now() - pingSentAt));
+        } else {
+          return reject(new Error(`Unexpected packet 0x${packet.id.toString(16)} during status ping`));
+        }
+      }
+    };
+
+    // Some servers close the connection instead of answering the ping
+    reader.onEnd = () => {
+      if (status) {
+        resolve(buildModernStatus(status, Date.now() - requestSentAt));
+      } else {
+        reject(new Error('Connection closed before status response'));
+      }
+    };
+
+    requestSentAt = Date.now();
+    socket.write(Buffer.concat([handshake, statusRequest]));
+  }));
+}
+
+// 1.4-1.6 ping (0xFE 0x01 followed by the MC|PingHost plugin message)
+function pingLegacy(host, port, { timeout, virtualHost = host }) {
+  return withSocket(host, port, timeout, (socket, reader) => new Promise((resolve, reject) => {
+    const channel = encodeUtf16('MC|PingHost');
+    const hostname = encodeUtf16(virtualHost);
+    const payload = Buffer.concat([
+      Buffer.from([LEGACY_PROTOCOL_VERSION]),
+      writeShort(virtualHost.length),
+      hostname,
+      writeInt(port)
+    ]);
+
+    const sentAt = Date.now();
+    reader.onData = () => {
+      const response = readKickPacket(reader);
+      if (response === null) return;
+      if (response instanceof Error) return reject(response);
+      resolve(buildLegacyStatus(response, Date.now() - sentAt));
+    };
+    reader.onEnd = () => reject(new Error('Connection closed before legacy ping response'));
+
+    socket.write(Buffer.concat([
+      Buffer.from([0xfe, 0x01, 0xfa]),
+      writeShort('MC|PingHost'.length),
+      channel,
+      writeShort(payload.length),
+      payload
+    ]));
+  }));
+}
+
+// Beta 1.8 - 1.3 ping, a bare 0xFE
+function pingBeta(host, port, { timeout }) {
+  return withSocket(host, port, timeout, (socket, reader) => new Promise((resolve, reject) => {
+    const sentAt = Date.now();
+    reader.onData = () => {
+      const response = readKickPacket(reader);
+      if (response === null) return;
+      if (response instanceof Error) return reject(response);
+      resolve(buildLegacyStatus(response, Date.now() - sentAt));
+    };
+    reader.onEnd = () => reject(new Error('Connection closed before beta ping response'));
+
+    socket.write(Buffer.from([0xfe]));
+  }));
+}
+
+async function resolveSrvRecord(host) {
+  if (net.isIP(host)) {
+    return { host, port: DEFAULT_PORT, srv: false };
+  }
+
+  try {
+    const records = await dns.resolveSrv(`_minecraft._tcp.${host}`);
+    if (records.length > 0) {
+      records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+      return { host: records[0].name, port: records[0].port, srv: true };
+    }
+  } catch (error) {
+    // No SRV record, connect to the host directly
+  }
+
+  return { host, port: DEFAULT_PORT, srv: false };
+}
+
+// Open a socket, hand it to the protocol handler and always clean up
+function withSocket(host, port, timeout, handler) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const reader = { buffer: Buffer.alloc(0), onData: null, onEnd: null };
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      error ? reject(error) : resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Connection timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      finish(error);
+    }, timeout);
+
+    socket.setNoDelay(true);
+    socket.on('error', error => finish(error));
+    socket.on('data', chunk => {
+      reader.buffer = Buffer.concat([reader.buffer, chunk]);
+      if (reader.onData) {
+        try {
+          reader.onData();
+        } catch (error) {
+          finish(error);
+        }
+      }
+    });
+    socket.on('end', () => reader.onEnd && reader.onEnd());
+    // Defer so a response resolved from the 'end' handler settles first
+    socket.on('close', () => setImmediate(() => finish(new Error('Connection closed unexpectedly'))));
+    socket.on('connect', () => {
+      handler(socket, reader).then(result => finish(null, result), error => finish(error));
+    });
+  });
+}
+
+function isConnectionError(error) {
+  return ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'].includes(error.code);
+}
+
+// Packet framing helpers
+function createPacket(id, data) {
+  const body = Buffer.concat([writeVarInt(id), data]);
+  return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+// Read one length-prefixed packet from the reader, or null if incomplete
+function readPacket(reader) {
+  const length = readVarInt(reader.buffer, 0);
+  if (!length || reader.buffer.length < length.size + length.value) return null;
+
+  const packetData = reader.buffer.subarray(length.size, length.size + length.value);
+  reader.buffer = reader.buffer.subarray(length.size + length.value);
+
+  const id = readVarInt(packetData, 0);
+  if (!id) throw new Error('Malformed packet ID');
+
+  return { id: id.value, data: packetData.subarray(id.size) };
+}
+
+// Legacy servers answer with a 0xFF kick packet carrying a UTF-16BE string
+function readKickPacket(reader) {
+  const buffer = reader.buffer;
+  if (buffer.length < 3) return null;
+  if (buffer[0] !== 0xff) return new Error('Unexpected legacy ping response');
+
+  const length = buffer.readUInt16BE(1);
+  if (buffer.length < 3 + length * 2) return null;
+
+  return decodeUtf16(buffer.subarray(3, 3 + length * 2));
+}
+
+function writeVarInt(value) {
+  const bytes = [];
+  let remaining = value >>> 0;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining !== 0);
+  return Buffer.from(bytes);
+}
+
+function readVarInt(buffer, offset) {
+  let value = 0;
+  let size = 0;
+  let byte;
+
+  do {
+    if (offset + size >= buffer.length) return null;
+    if (size >= 5) throw new Error('VarInt is too big');
+    byte = buffer[offset + size];
+    value |= (byte & 0x7f) << (7 * size);
+    size++;
+  } while (byte & 0x80);
+
+  return { value, size };
+}
+
+function writeString(value) {
+  const data = Buffer.from(value, 'utf8');
+  return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+function readString(buffer, offset) {
+  const length = readVarInt(buffer, offset);
+  if (!length) throw new Error('Malformed string length');
+  const start = offset + length.size;
+  return {
+    value: buffer.toString('utf8', start, start + length.value),
+    size: length.size + length.value
+  };
+}
+
+function writeUShort(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+}
+
+function writeShort(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeInt16BE(value);
+  return buffer;
+}
+
+function writeInt(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(value);
+  return buffer;
+}
+
+function encodeUtf16(text) {
+  const buffer = Buffer.alloc(text.length * 2);
+  for (let i = 0; i < text.length; i++) {
+    buffer.writeUInt16BE(text.charCodeAt(i), i * 2);
+  }
+  return buffer;
+}
+
+function decodeUtf16(buffer) {
+  let text = '';
+  for (let i = 0; i + 1 < buffer.length; i += 2) {
+    text += String.fromCharCode(buffer.readUInt16BE(i));
+  }
+  return text;
+}
+
+// Response parsing
+function buildModernStatus(status, latency) {
+  const motd = chatComponentToLegacy(status.description);
+  const mods = status.modinfo?.modList || status.forgeData?.mods || [];
+
+  return {
+    protocolType: 'modern',
+    latency,
+    version: {
+      name: status.version?.name || 'Unknown',
+      protocol: status.version?.protocol ?? -1
+    },
+    players: {
+      online: status.players?.online || 0,
+      max: status.players?.max || 0,
+      sample: (status.players?.sample || []).map(player => ({ name: player.name, id: player.id }))
+    },
+    motd,
+    favicon: status.favicon || null,
+    mods: mods.map(mod => ({
+      name: mod.modid || mod.modId,
+      version: mod.version || mod.modmarker || null
+    })),
+    enforcesSecureChat: status.enforcesSecureChat || false,
+    raw: status
+  };
+}
+
+function buildLegacyStatus(response, latency) {
+  // 1.4+ responses are prefixed with §1 and split by NUL characters
+  if (response.startsWith('§1\u0000')) {
+    const [, protocol, version, motd, online, max] = response.split('\u0000');
+    return {
+      protocolType: 'legacy',
+      latency,
+      version: { name: version, protocol: parseInt(protocol) },
+      players: { online: parseInt(online) || 0, max: parseInt(max) || 0, sample: [] },
+      motd,
+      favicon: null,
+      mods: [],
+      raw: response
+    };
+  }
+
+  const parts = response.split('§');
+  const max = parts.pop();
+  const online = parts.pop();
+  return {
+    protocolType: 'beta',
+    latency,
+    version: { name: 'Beta 1.8 - 1.3', protocol: -1 },
+    players: { online: parseInt(online) || 0, max: parseInt(max) || 0, sample: [] },
+    motd: parts.join('§'),
+    favicon: null,
+    mods: [],
+    raw: response
+  };
+}
+
+const COLOR_CODES = {
+  black: '0', dark_blue: '1', dark_green: '2', dark_aqua: '3', dark_red: '4',
+  dark_purple: '5', gold: '6', gray: '7', dark_gray: '8', blue: '9',
+  green: 'a', aqua: 'b', red: 'c', light_purple: 'd', yellow: 'e', white: 'f'
+};
+
+const FORMAT_CODES = {
+  obfuscated: 'k', bold: 'l', strikethrough: 'm', underlined: 'n', italic: 'o'
+};
+
+const HTML_COLORS = {
+  0: '#000000', 1: '#0000AA', 2: '#00AA00', 3: '#00AAAA', 4: '#AA0000', 5: '#AA00AA',
+  6: '#FFAA00', 7: '#AAAAAA', 8: '#555555', 9: '#5555FF', a: '#55FF55', b: '#55FFFF',
+  c: '#FF5555', d: '#FF55FF', e: '#FFFF55', f: '#FFFFFF'
+};
+
+// Flatten a JSON chat component (or plain string) into a §-coded string
+function chatComponentToLegacy(component, inherited = {}) {
+  if (component === null || component === undefined) return '';
+  if (typeof component === 'string') return component;
+  if (Array.isArray(component)) {
+    return component.map(part => chatComponentToLegacy(part, inherited)).join('');
+  }
+
+  const style = { ...inherited };
+  if (component.color) style.color = component.color;
+  Object.keys(FORMAT_CODES).forEach(format => {
+    if (component[format] !== undefined) style[format] = component[format];
+  });
+
+  let prefix = '';
+  if (style.color && COLOR_CODES[style.color]) prefix += `§${COLOR_CODES[style.color]}`;
+  Object.entries(FORMAT_CODES).forEach(([format, code]) => {
+    if (style[format]) prefix += `§${code}`;
+  });
+
+  let text = component.text !== undefined ? prefix + component.text : '';
+  if (component.translate) text += prefix + component.translate;
+  if (Array.isArray(component.extra)) {
+    text += component.extra.map(part => chatComponentToLegacy(part, style)).join('');
+  }
+
+  return text;
+}
+
+// Split a §-coded MOTD into the raw/clean/html line arrays used by our responses
+function formatMotd(legacyText) {
+  const raw = (legacyText || '').split('\n');
+  return {
+    raw,
+    clean: raw.map(line => line.replace(/§[0-9a-fk-or]/gi, '').trim()),
+    html: raw.map(legacyToHtml)
+  };
+}
+
+function legacyToHtml(line) {
+  let html = '';
+  let open = 0;
+  const parts = line.split(/(§[0-9a-fk-or])/i);
+
+  for (const part of parts) {
+    const match = part.match(/^§([0-9a-fk-or])$/i);
+    if (!match) {
+      html += part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      continue;
+    }
+
+    const code = match[1].toLowerCase();
+    if (HTML_COLORS[code] || code === 'r') {
+      html += '</span>'.repeat(open);
+      open = 0;
+      if (HTML_COLORS[code]) {
+        html += `<span style="color: ${HTML_COLORS[code]};">`;
+        open++;
+      }
+    } else if (code === 'l') {
+      html += '<span style="font-weight: bold;">';
+      open++;
+    } else if (code === 'o') {
+      html += '<span style="font-style: italic;">';
+      open++;
+    } else if (code === 'n') {
+      html += '<span style="text-decoration: underline;">';
+      open++;
+    } else if (code === 'm') {
+      html += '<span style="text-decoration: line-through;">';
+      open++;
+    }
+  }
+
+  return html + '</span>'.repeat(open);
+}
+
+module.exports = {
+  pingServer,
+  pingModern,
+  pingLegacy,
+  pingBeta,
+  resolveSrvRecord,
+  formatMotd,
+  chatComponentToLegacy,
+  writeVarInt,
+  readVarInt
+};
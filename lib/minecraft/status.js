@@ -0,0 +1,163 @@
+const axios = require('axios');
+const { pingServer, formatMotd } = require('./serverListPing');
+const { queryServer } = require('./query');
+
+// Server status lookup shared by the servers and config routes.
+// Both sources return the mcsrvstat v2 response shape so callers can map
+// fields the same way regardless of where the data came from.
+
+const STATUS_SOURCES = ['native', 'mcsrvstat'];
+const DEFAULT_SOURCE = STATUS_SOURCES.includes(process.env.MC_STATUS_SOURCE)
+  ? process.env.MC_STATUS_SOURCE
+  : 'native';
+
+async function getServerStatus(host, port = 25565, options = {}) {
+  const {
+    source = DEFAULT_SOURCE,
+    timeout = 5000,
+    protocol = 'auto',
+    query = false,
+    queryPort = null
+  } = options;
+
+  if (!STATUS_SOURCES.includes(source)) {
+    throw new Error(`Unknown status source: ${source}`);
+  }
+
+  if (source === 'mcsrvstat') {
+    return fetchUpstreamStatus(host, port, timeout);
+  }
+
+  const status = await fetchNativeStatus(host, port, { timeout, protocol });
+  if (status.online && query) {
+    return mergeQueryResult(status, status.ip || host, queryPort || port, timeout);
+  }
+  return status;
+}
+
+async function fetchUpstreamStatus(host, port, timeout) {
+  const startTime = Date.now();
+  const response = await axios.get(`https://api.mcsrvstat.us/2/${host}:${port}`, {
+    timeout: parseInt(timeout)
+  });
+
+  return {
+    ...response.data,
+    latency: Date.now() - startTime,
+    source: 'mcsrvstat'
+  };
+}
+
+async function fetchNativeStatus(host, port, { timeout, protocol }) {
+  try {
+    const status = await pingServer(host, port, { timeout: parseInt(timeout), protocol });
+    return toStatusShape(host, status);
+  } catch (error) {
+    // DNS failures, refused connections and timeouts mean the server is offline,
+    // matching how mcsrvstat reports unreachable servers
+    if (['ENOTFOUND', 'ECONNREFUSED', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ECONNRESET'].includes(error.code)) {
+      return {
+        online: false,
+        hostname: host,
+        port: parseInt(port),
+        error: error.message,
+        source: 'native'
+      };
+    }
+    throw error;
+  }
+}
+
+function toStatusShape(hostname, status) {
+  const motd = formatMotd(status.motd);
+  const versionName = status.version.name;
+
+  return {
+    online: true,
+    ip: status.host,
+    port: status.port,
+    hostname,
+    version: versionName,
+    protocol: status.version.protocol,
+    players: {
+      online: status.players.online,
+      max: status.players.max,
+      list: status.players.sample.map(player => player.name),
+      sample: status.players.sample
+    },
+    motd,
+    icon: status.favicon,
+    software: detectSoftware(versionName, status.mods),
+    mods: toNameList(status.mods),
+    debug: {
+      ping: true,
+      query: false,
+      srv: status.srv,
+      querymismatch: false,
+      ipinsrv: false,
+      cnameinsrv: false,
+      animatedmotd: false,
+      cachetime: 0,
+      protocol: status.protocolType
+    },
+    latency: status.latency,
+    source: 'native'
+  };
+}
+
+// Fill player names, plugins and the map from the Query protocol. Query is
+// often disabled, so a failure here keeps the status ping result as-is.
+async function mergeQueryResult(status, host, queryPort, timeout) {
+  try {
+    const result = await queryServer(host, queryPort, { timeout: parseInt(timeout) });
+    return {
+      ...status,
+      players: {
+        ...status.players,
+        online: result.players.online,
+        max: result.players.max,
+        list: result.players.list
+      },
+      plugins: toNameList(result.plugins),
+      map: result.map,
+      software: result.software || status.software,
+      debug: {
+        ...status.debug,
+        query: true,
+        querymismatch: result.players.online !== status.players.online
+      }
+    };
+  } catch (error) {
+    return {
+      ...status,
+      debug: { ...status.debug, query: false, queryerror: error.message }
+    };
+  }
+}
+
+// [{ name, version }] -> mcsrvstat's { names, raw: { name: version } }
+// (an empty array when there are none)
+function toNameList(entries) {
+  if (entries.length === 0) return [];
+  return {
+    names: entries.map(entry => entry.name),
+    raw: entries.reduce((acc, entry) => ({ ...acc, [entry.name]: entry.version }), {})
+  };
+}
+
+// Server software is usually embedded in the version name (e.g. "Paper 1.20.4")
+function detectSoftware(versionName, mods) {
+  const known = ['Paper', 'Purpur', 'Pufferfish', 'Spigot', 'CraftBukkit', 'Folia', 'Velocity',
+    'BungeeCord', 'Waterfall', 'Forge', 'NeoForge', 'Fabric', 'Quilt'];
+  const match = known.find(name => (versionName || '').toLowerCase().includes(name.toLowerCase()));
+
+  if (match) return match;
+  if (mods.length > 0) return 'Forge';
+  return undefined;
+}
+
+module.exports = {
+  STATUS_SOURCES,
+  DEFAULT_SOURCE,
+  getServerStatus
+};
@@ -0,0 +1,213 @@
+const { findWorldRoot, classifyRegionFile, analyzeLevelDat } = require('./world');
+const { parseRegionName, readRegionHeader, readChunkRecord, analyzeRegion, writeRegion } = require('./anvil');
+const { createError } = require('../helpers');
+
+// World trimming: drop chunks that were barely visited (InhabitedTime) or
+// lie outside a radius or polygon, then write compacted region files.
+// Entity and POI data of removed chunks is dropped with them.
+
+const TRIM_REASONS = ['inhabited_time', 'outside_radius', 'outside_polygon', 'unreadable_location'];
+const MAX_LISTED_CHUNKS = 10000;
+
+// Validate trim options. Coordinates are in blocks; minInhabitedTime in
+// ticks (20 per second). Returns normalized options or throws TRIM_INVALID_OPTIONS.
+function normalizeTrimOptions({ minInhabitedTime = null, radius = null, center = null, polygon = null, dimensions = null } = {}) {
+  const fail = (message) => { throw createError(message, 'TRIM_INVALID_OPTIONS'); };
+
+  if (minInhabitedTime !== null && (!Number.isFinite(Number(minInhabitedTime)) || Number(minInhabitedTime) < 0)) {
+    fail('minInhabitedTime must be a non-negative number of ticks');
+  }
+  if (radius !== null && (!Number.isFinite(Number(radius)) || Number(radius) <= 0)) {
+    fail('radius must be a positive number of blocks');
+  }
+  if (center !== null && (!Number.isFinite(Number(center.x)) || !Number.isFinite(Number(center.z)))) {
+    fail('center must be { x, z } in blocks');
+  }
+
+  let points = null;
+  if (polygon !== null) {
+    if (!Array.isArray(polygon) || polygon.length < 3) fail('polygon needs at least 3 points');
+    points = polygon.map((point, index) => {
+      const [x, z] = Array.isArray(point) ? point : [point?.x, point?.z];
+      if (!Number.isFinite(Number(x)) || !Number.isFinite(Number(z))) fail(`polygon[${index}] must be [x, z] or { x, z }`);
+      return [Number(x), Number(z)];
+    });
+  }
+
+  if (minInhabitedTime === null && radius === null && points === null) {
+    fail('Provide minInhabitedTime, radius or polygon');
+  }
+  if (dimensions !== null && (!Array.isArray(dimensions) || dimensions.length === 0)) {
+    fail('dimensions must be a non-empty array of dimension names');
+  }
+
+  return {
+    minInhabitedTime: minInhabitedTime === null ? null : Number(minInhabitedTime),
+    radius: radius === null ? null : Number(radius),
+    center: center === null ? null : { x: Number(center.x), z: Number(center.z) },
+    polygon: points,
+    dimensions
+  };
+}
+
+// Why a chunk should go, or null to keep it. Area checks use the chunk centre.
+function trimReason(chunk, { minInhabitedTime, radius, polygon }, center) {
+  const blockX = chunk.x * 16 + 8;
+  const blockZ = chunk.z * 16 + 8;
+
+  if (radius !== null && Math.hypot(blockX - center.x, blockZ - center.z) > radius) return 'outside_radius';
+  if (polygon !== null && !pointInPolygon(blockX, blockZ, polygon)) return 'outside_polygon';
+  // Chunks that could not be read have no InhabitedTime and are kept
+  if (minInhabitedTime !== null && chunk.inhabitedTime !== null && chunk.inhabitedTime !== undefined && chunk.inhabitedTime < minInhabitedTime) {
+    return 'inhabited_time';
+  }
+  return null;
+}
+
+function pointInPolygon(x, z, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, zi] = polygon[i];
+    const [xj, zj] = polygon[j];
+    if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Trim the region files of a world. Returns the size report, the removed
+// chunks and the rewritten files ({ path, data }, data null = delete).
+function trimWorld(files, options) {
+  const trimOptions = normalizeTrimOptions(options);
+  const root = findWorldRoot(files);
+  const inRoot = files
+    .filter(file => file.path.startsWith(root))
+    .map(file => ({ ...file, relativePath: file.path.slice(root.length) }));
+  const byPath = new Map(inRoot.map(file => [file.relativePath, file]));
+
+  let spawn = null;
+  const levelFile = byPath.get('level.dat');
+  if (levelFile) {
+    try {
+      const level = analyzeLevelDat(levelFile.read());
+      if (level.spawn.x !== null && level.spawn.z !== null) spawn = { x: level.spawn.x, z: level.spawn.z };
+    } catch (error) {
+      // Without a readable level.dat the area is centred on 0,0
+    }
+  }
+  const center = trimOptions.center || spawn || { x: 0, z: 0 };
+
+  const regionFiles = inRoot
+    .map(file => ({ file, location: classifyRegionFile(file.relativePath), region: parseRegionName(file.relativePath) }))
+    .filter(({ location }) => location && (!trimOptions.dimensions || trimOptions.dimensions.includes(location.dimension)));
+  // Terrain first: it decides which entity and POI chunks go too
+  regionFiles.sort((a, b) => (a.location.kind === 'region' ? 0 : 1) - (b.location.kind === 'region' ? 0 : 1));
+
+  const removedKeys = new Set();
+  const removed = [];
+  const dimensions = new Map();
+  const output = [];
+  const skipped = [];
+
+  regionFiles.forEach(({ file, location, region }) => {
+    if (!dimensions.has(location.dimension)) {
+      dimensions.set(location.dimension, { name: location.dimension, files: 0, chunksBefore: 0, chunksAfter: 0, sizeBefore: 0, sizeAfter: 0 });
+    }
+    const report = dimensions.get(location.dimension);
+    const folder = file.relativePath.slice(0, file.relativePath.lastIndexOf('/') + 1);
+    const buffer = file.read();
+    const terrain = location.kind === 'region';
+
+    const analysis = analyzeRegion(buffer, {
+      regionX: region.x,
+      regionZ: region.z,
+      decode: terrain,
+      getExternalChunk: (x, z) => {
+        const external = byPath.get(`${folder}c.${x}.${z}.mcc`);
+        return external ? external.read() : null;
+      }
+    });
+    if (analysis.issues.some(issue => issue.type === 'truncated_header')) {
+      skipped.push({ file: file.relativePath, reason: 'Region header is truncated' });
+      return;
+    }
+
+    const header = readRegionHeader(buffer);
+    const kept = [];
+    analysis.chunks.forEach(chunk => {
+      const key = `${location.dimension}:${chunk.x},${chunk.z}`;
+      const reason = terrain ? trimReason(chunk, trimOptions, center) : (removedKeys.has(key) ? 'terrain_removed' : null);
+
+      if (!reason) {
+        kept.push({ index: chunk.index, timestamp: header[chunk.index].timestamp, record: readChunkRecord(buffer, header[chunk.index]) });
+        return;
+      }
+      if (terrain) {
+        removedKeys.add(key);
+        removed.push({ dimension: location.dimension, x: chunk.x, z: chunk.z, reason, inhabitedTime: chunk.inhabitedTime ?? null });
+      }
+      // Oversized chunks live in their own file
+      if (chunk.external && byPath.has(`${folder}c.${chunk.x}.${chunk.z}.mcc`)) {
+        output.push({ path: `${folder}c.${chunk.x}.${chunk.z}.mcc`, data: null, size: 0 });
+      }
+    });
+
+    // Slots the analysis could not place (bad offsets, overlaps) are dropped as well
+    const dropped = header.filter(entry => entry.sectors > 0 || entry.offset > 0).length - analysis.chunks.length;
+    if (terrain && dropped > 0) {
+      removed.push(...analysis.issues
+        .filter(issue => issue.chunk && ['bad_offset', 'overlapping_sectors', 'oversized_sectors', 'unknown_compression'].includes(issue.type))
+        .map(issue => ({ dimension: location.dimension, x: issue.chunk.x, z: issue.chunk.z, reason: 'unreadable_location', inhabitedTime: null })));
+    }
+
+    const data = kept.length > 0 ? writeRegion(kept) : null;
+    report.files++;
+    if (terrain) {
+      report.chunksBefore += analysis.chunks.length + Math.max(dropped, 0);
+      report.chunksAfter += kept.length;
+    }
+    report.sizeBefore += buffer.length;
+    report.sizeAfter += data ? data.length : 0;
+
+    if (!data || !data.equals(buffer)) {
+      output.push({ path: file.relativePath, data, size: data ? data.length : 0 });
+    }
+  });
+
+  const dimensionList = [...dimensions.values()].map(report => ({ ...report, saved: report.sizeBefore - report.sizeAfter }));
+  const before = dimensionList.reduce((sum, report) => sum + report.sizeBefore, 0);
+  const after = dimensionList.reduce((sum, report) => sum + report.sizeAfter, 0);
+
+  return {
+    root,
+    center,
+    options: trimOptions,
+    size: {
+      before,
+      after,
+      saved: before - after,
+      savedPercent: before > 0 ? Math.round(((before - after) / before) * 1000) / 10 : 0
+    },
+    chunks: {
+      before: dimensionList.reduce((sum, report) => sum + report.chunksBefore, 0),
+      after: dimensionList.reduce((sum, report) => sum + report.chunksAfter, 0),
+      removed: removed.length,
+      byReason: TRIM_REASONS.reduce((counts, reason) => {
+        counts[reason] = removed.filter(chunk => chunk.reason === reason).length;
+        return counts;
+      }, {})
+    },
+    dimensions: dimensionList,
+    removed: removed.slice(0, MAX_LISTED_CHUNKS),
+    removedTruncated: removed.length > MAX_LISTED_CHUNKS,
+    skipped,
+    files: output
+  };
+}
+
+module.exports = {
+  TRIM_REASONS,
+  normalizeTrimOptions,
+  trimWorld
+};
@@ -0,0 +1,591 @@
+const nbt = require('../nbt');
+const { findWorldRoot, classifyRegionFile, analyzeLevelDat } = require('../world');
+const { parseRegionName, analyzeRegion } = require('../anvil');
+const { DATA_VERSIONS, FLATTENING, UNSPANNED_BLOCK_STATES, FORMAT_CHANGES, resolveVersion, versionName } = require('./versions');
+const { LEGACY_BLOCKS, LEGACY_BLOCKS_BY_NAME, LEGACY_ITEMS, CHANGE_SETS } = require('./mappings');
+const { createError } = require('../../helpers');
+
+// World upgrade planning: the block, item, entity and block entity IDs a
+// world uses that a newer version renames, flattens or removes, counted
+// from the region, entity and player files. Every chunk is judged by its
+// own DataVersion, since chunks nobody visited keep their old format.
+
+const SECTION_VOLUME = 4096;
+const MAX_NESTING = 4;
+const ITEM_LISTS = ['Items', 'ArmorItems', 'HandItems', 'Inventory', 'EnderItems'];
+const ITEM_FIELDS = ['Item', 'SaddleItem', 'ArmorItem', 'DecorItem', 'RecordItem', 'Book', 'item', 'body_armor_item'];
+const REPORT_KINDS = { block: 'blocks', item: 'items', entity: 'entities', block_entity: 'blockEntities' };
+const CHANGE_TYPES = ['renamed', 'flattened', 'split', 'removed'];
+
+const CHANGES = CHANGE_SETS.flatMap(set => set.changes.map(change => ({
+  kind: set.kind,
+  since: set.since,
+  dataVersion: DATA_VERSIONS[set.since],
+  from: set.legacyIds ? change.from : `minecraft:${change.from}`,
+  to: change.to === null ? null : `minecraft:${change.to}`,
+  type: change.to === null ? 'removed' : (change.split ? 'split' : 'renamed'),
+  note: change.note || null
+})));
+
+const CHANGES_BY_ID = new Map();
+CHANGES.forEach(change => {
+  const key = `${change.kind}|${change.from}`;
+  if (!CHANGES_BY_ID.has(key)) CHANGES_BY_ID.set(key, []);
+  CHANGES_BY_ID.get(key).push(change);
+});
+CHANGES_BY_ID.forEach(list => list.sort((a, b) => a.dataVersion - b.dataVersion));
+
+// Scan an uploaded world and report what changes on the way to toVersion.
+// Throws UPGRADE_UNKNOWN_VERSION, UPGRADE_DOWNGRADE or UPGRADE_UNSUPPORTED_EDITION.
+function planUpgrade(files, { toVersion } = {}) {
+  const target = resolveVersion(toVersion);
+  const root = findWorldRoot(files);
+  const inRoot = files
+    .filter(file => file.path.startsWith(root))
+    .map(file => ({ ...file, relativePath: file.path.slice(root.length) }));
+  const byPath = new Map(inRoot.map(file => [file.relativePath, file]));
+  const notes = [];
+
+  let level = null;
+  let levelRoot = null;
+  const levelFile = byPath.get('level.dat');
+  if (levelFile) {
+    try {
+      level = analyzeLevelDat(levelFile.read());
+      levelRoot = nbt.decode(levelFile.read());
+    } catch (error) {
+      notes.push(`level.dat could not be read (${error.message}); the world version comes from the chunks`);
+    }
+  } else {
+    notes.push('No level.dat found; the world version comes from the chunks');
+  }
+
+  if (level?.edition === 'bedrock') {
+    throw createError('Only Java Edition worlds can be planned', 'UPGRADE_UNSUPPORTED_EDITION');
+  }
+  if (level?.dataVersion && level.dataVersion > target.dataVersion) {
+    throw createError(`The world was saved by ${versionName(level.dataVersion)} (DataVersion ${level.dataVersion}), newer than ${target.version}`, 'UPGRADE_DOWNGRADE');
+  }
+
+  const scan = createScan(target.dataVersion);
+
+  inRoot.forEach(file => {
+    const location = classifyRegionFile(file.relativePath);
+    if (!location || location.kind === 'poi') return;
+
+    const region = parseRegionName(file.relativePath);
+    const folder = file.relativePath.slice(0, file.relativePath.lastIndexOf('/') + 1);
+    scan.scanned.regionFiles++;
+
+    try {
+      const result = analyzeRegion(file.read(), {
+        regionX: region.x,
+        regionZ: region.z,
+        getExternalChunk: (x, z) => {
+          const external = byPath.get(`${folder}c.${x}.${z}.mcc`);
+          return external ? external.read() : null;
+        },
+        onChunk: (chunkRoot) => (location.kind === 'entities' ? scan.entityChunk(chunkRoot) : scan.chunk(chunkRoot))
+      });
+      scan.scanned.unreadableChunks += result.issues.filter(issue => issue.severity === 'error').length;
+    } catch (error) {
+      scan.scanned.unreadableFiles++;
+    }
+  });
+
+  inRoot
+    .filter(file => /^(playerdata|players)\/[^/]+\.dat$/.test(file.relativePath))
+    .forEach(file => {
+      try {
+        scan.player(nbt.decode(file.read()).value);
+      } catch (error) {
+        scan.scanned.unreadableFiles++;
+      }
+    });
+  // Singleplayer worlds keep the host player in level.dat
+  const hostPlayer = levelRoot?.value?.Data?.value?.Player?.value;
+  if (hostPlayer) {
+    scan.player({ ...hostPlayer, DataVersion: levelRoot.value.Data.value.DataVersion });
+  }
+
+  const chunkVersions = Object.keys(scan.chunkVersions).map(Number);
+  const newestChunk = chunkVersions.length > 0 ? Math.max(...chunkVersions) : null;
+  const oldestChunk = chunkVersions.length > 0 ? Math.min(...chunkVersions) : null;
+  if (!level?.dataVersion && newestChunk !== null && newestChunk > target.dataVersion) {
+    throw createError(`Chunks were saved by ${versionName(newestChunk)}, newer than ${target.version}`, 'UPGRADE_DOWNGRADE');
+  }
+
+  const dataVersion = level?.dataVersion ?? newestChunk ?? 0;
+  if (oldestChunk !== null && oldestChunk < dataVersion) {
+    const older = chunkVersions.filter(version => version < dataVersion).reduce((sum, version) => sum + scan.chunkVersions[version], 0);
+    notes.push(`${older} chunk(s) were last saved by an older version (down to ${versionName(oldestChunk)}) and are upgraded from there`);
+  }
+  if (scan.scanned.chunks === 0) {
+    notes.push('No readable chunks were found; only player data was checked');
+  }
+
+  scan.finish();
+  const changes = scan.tally.report();
+  const unknown = scan.unknown();
+  return {
+    world: {
+      edition: 'java',
+      levelName: level?.levelName ?? null,
+      dataVersion,
+      version: level?.version ?? versionName(dataVersion),
+      chunkDataVersions: scan.chunkVersions
+    },
+    target,
+    formatChanges: formatChangesBetween(Math.min(dataVersion, oldestChunk ?? dataVersion), target.dataVersion),
+    scanned: scan.scanned,
+    changes,
+    unknown,
+    summary: summarize(changes, unknown),
+    notes
+  };
+}
+
+// The mapping table entries between two versions, without a world
+function listUpgradeChanges({ fromVersion, toVersion } = {}) {
+  const source = resolveVersion(fromVersion);
+  const target = resolveVersion(toVersion);
+  if (source.dataVersion > target.dataVersion) {
+    throw createError(`${source.version} is newer than ${target.version}`, 'UPGRADE_DOWNGRADE');
+  }
+
+  const tally = createTally();
+  CHANGES
+    .filter(change => change.dataVersion > source.dataVersion && change.dataVersion <= target.dataVersion)
+    .forEach(change => tally.add(change.kind, change.from, upgradePath(change.kind, change.from, source.dataVersion, target.dataVersion), 0));
+
+  if (source.dataVersion < FLATTENING && target.dataVersion >= FLATTENING) {
+    LEGACY_BLOCKS.forEach((block, legacyId) => {
+      const values = Array.isArray(block.flattened)
+        ? [...Array(16).keys()].filter(data => (data & block.mask) < block.flattened.length)
+        : [0];
+      values.forEach(data => {
+        const steps = legacyBlockPath(legacyId, data, target.dataVersion);
+        if (steps.length > 0) tally.add('block', block.name, steps, 0, { legacyId, data: variantData(block.flattened, data) });
+      });
+    });
+    LEGACY_ITEMS.forEach((flattened, id) => {
+      const variants = Array.isArray(flattened) ? flattened.length : 1;
+      for (let damage = 0; damage < variants; damage++) {
+        const steps = legacyItemPath(id, damage, null, target.dataVersion);
+        if (steps.length > 0) tally.add('item', id, steps, 0, { data: variantData(flattened, damage) });
+      }
+    });
+  }
+
+  const changes = tally.report({ occurrences: false });
+  return {
+    source,
+    target,
+    formatChanges: formatChangesBetween(source.dataVersion, target.dataVersion),
+    changes,
+    summary: summarize(changes, null)
+  };
+}
+
+// Counts IDs chunk by chunk
+function createScan(targetVersion) {
+  const tally = createTally();
+  const unknownIds = { block: new Map(), item: new Map(), entity: new Map(), block_entity: new Map() };
+  const legacyCounts = new Uint32Array(4096 * 16);
+  const chunkVersions = {};
+  const paths = new Map();
+  const scanned = {
+    regionFiles: 0,
+    chunks: 0,
+    legacyChunks: 0,
+    sections: 0,
+    blocks: 0,
+    entities: 0,
+    blockEntities: 0,
+    items: 0,
+    playerFiles: 0,
+    unreadableChunks: 0,
+    unreadableFiles: 0
+  };
+
+  const addUnknown = (kind, id, count = 1) => unknownIds[kind].set(id, (unknownIds[kind].get(id) || 0) + count);
+  const cachedPath = (kind, id, dataVersion) => {
+    const key = `${kind}|${dataVersion}|${id}`;
+    if (!paths.has(key)) paths.set(key, upgradePath(kind, id, dataVersion, targetVersion));
+    return paths.get(key);
+  };
+  // Non-vanilla IDs are listed separately; they do not survive an upgrade
+  const count = (kind, id, dataVersion, amount = 1) => {
+    if (!isVanilla(kind, id)) {
+      addUnknown(kind, id, amount);
+      return;
+    }
+    const steps = cachedPath(kind, id, dataVersion);
+    if (steps.length > 0) tally.add(kind, id, steps, amount);
+  };
+
+  function countItem(item, dataVersion, depth) {
+    const rawId = item.id?.value;
+    if (rawId === undefined || depth > MAX_NESTING) return;
+    scanned.items++;
+
+    if (dataVersion < FLATTENING && targetVersion >= FLATTENING) {
+      const damage = Number(item.Damage?.value ?? 0);
+      let id = rawId;
+      if (typeof rawId === 'number') {
+        // Pre-1.8 numeric IDs; only block items are in the table
+        id = LEGACY_BLOCKS.get(rawId)?.name;
+      } else {
+        id = normalizeId('item', rawId);
+      }
+
+      if (id && !isVanilla('item', id)) addUnknown('item', id);
+      else if (id) {
+        const steps = legacyItemPath(id, damage, item, targetVersion);
+        const variants = LEGACY_ITEMS.has(id) ? LEGACY_ITEMS.get(id) : LEGACY_BLOCKS_BY_NAME.get(id)?.flattened;
+        if (steps.length > 0) {
+          tally.add('item', id, steps, 1, { data: variantData(variants, damage), ...(typeof rawId === 'number' && { legacyId: rawId }) });
+        }
+      }
+    } else if (typeof rawId === 'string') {
+      count('item', normalizeId('item', rawId), dataVersion);
+    }
+
+    // Shulker boxes and other containers carried as items
+    const blockEntityTag = item.tag?.value?.BlockEntityTag?.value;
+    if (blockEntityTag) visitItems(blockEntityTag, dataVersion, depth + 1);
+    const container = item.components?.value?.['minecraft:container']?.value;
+    if (container?.type === 'compound') {
+      container.value.forEach(slot => slot.item?.type === 'compound' && countItem(slot.item.value, dataVersion, depth + 1));
+    }
+  }
+
+  function visitItems(compound, dataVersion, depth = 0) {
+    ITEM_LISTS.forEach(name => {
+      const list = compound[name];
+      if (list?.type === 'list' && list.value.type === 'compound') {
+        list.value.value.forEach(item => countItem(item, dataVersion, depth));
+      }
+    });
+    ITEM_FIELDS.forEach(name => {
+      if (compound[name]?.type === 'compound') countItem(compound[name].value, dataVersion, depth);
+    });
+  }
+
+  function countEntity(entity, dataVersion, depth = 0) {
+    if (depth > MAX_NESTING) return;
+    scanned.entities++;
+    if (typeof entity.id?.value === 'string') count('entity', normalizeId('entity', entity.id.value), dataVersion);
+    visitItems(entity, dataVersion);
+    listOf(entity.Passengers).forEach(passenger => countEntity(passenger, dataVersion, depth + 1));
+  }
+
+  function countBlockEntity(blockEntity, dataVersion) {
+    scanned.blockEntities++;
+    if (typeof blockEntity.id?.value === 'string') count('block_entity', normalizeId('block_entity', blockEntity.id.value), dataVersion);
+    visitItems(blockEntity, dataVersion);
+  }
+
+  function countLegacySection(section) {
+    const blocks = section.Blocks.value;
+    const add = section.Add?.value;
+    const data = section.Data?.value;
+    for (let index = 0; index < SECTION_VOLUME; index++) {
+      const id = (blocks[index] & 0xff) | (add ? nibble(add, index) << 8 : 0);
+      legacyCounts[(id << 4) | (data ? nibble(data, index) : 0)]++;
+    }
+    scanned.blocks += SECTION_VOLUME;
+  }
+
+  function countPalettedSection(palette, states, dataVersion) {
+    const names = palette.map(entry => entry.Name?.value);
+    const relevant = names.map(name => typeof name === 'string' && (!isVanilla('block', name) || cachedPath('block', name, dataVersion).length > 0));
+    scanned.blocks += SECTION_VOLUME;
+    if (!relevant.includes(true)) return;
+
+    // Sized for every value the bits can hold; indices past the palette are ignored
+    const counts = new Uint32Array(Math.max(16, 2 ** Math.ceil(Math.log2(names.length))));
+    if (names.length === 1 || !states || states.length === 0) {
+      counts[0] = SECTION_VOLUME;
+    } else {
+      countPaletteIndices(states, names.length, dataVersion >= UNSPANNED_BLOCK_STATES, counts);
+    }
+    names.forEach((name, index) => {
+      if (relevant[index] && counts[index] > 0) count('block', name, dataVersion, counts[index]);
+    });
+  }
+
+  return {
+    tally,
+    scanned,
+    chunkVersions,
+
+    chunk(root) {
+      const value = root.value || {};
+      const dataVersion = value.DataVersion?.value ?? 0;
+      const level = value.Level?.type === 'compound' ? value.Level.value : value;
+      scanned.chunks++;
+      chunkVersions[dataVersion] = (chunkVersions[dataVersion] || 0) + 1;
+
+      const sections = listOf(value.sections ?? level.Sections);
+      if (sections.some(section => section.Blocks)) scanned.legacyChunks++;
+      sections.forEach(section => {
+        scanned.sections++;
+        if (section.Blocks?.type === 'byteArray') {
+          if (targetVersion >= FLATTENING) countLegacySection(section);
+          return;
+        }
+        const blockStates = section.block_states?.value;
+        const palette = listOf(blockStates ? blockStates.palette : section.Palette);
+        if (palette.length > 0) {
+          countPalettedSection(palette, (blockStates ? blockStates.data : section.BlockStates)?.value, dataVersion);
+        }
+      });
+
+      listOf(value.block_entities ?? level.TileEntities).forEach(blockEntity => countBlockEntity(blockEntity, dataVersion));
+      listOf(level.Entities).forEach(entity => countEntity(entity, dataVersion));
+    },
+
+    // entities/ region files (1.17+)
+    entityChunk(root) {
+      const value = root.value || {};
+      const dataVersion = value.DataVersion?.value ?? 0;
+      listOf(value.Entities).forEach(entity => countEntity(entity, dataVersion));
+    },
+
+    player(data) {
+      scanned.playerFiles++;
+      visitItems(data, data.DataVersion?.value ?? 0);
+    },
+
+    unknown() {
+      const result = {};
+      Object.entries(unknownIds).forEach(([kind, ids]) => {
+        result[REPORT_KINDS[kind]] = [...ids.entries()]
+          .map(([id, occurrences]) => ({ id, occurrences }))
+          .sort((a, b) => b.occurrences - a.occurrences);
+      });
+
+      // Numeric block IDs outside the 1.12 table (mods)
+      for (let id = 0; id < 4096; id++) {
+        let total = 0;
+        for (let data = 0; data < 16; data++) total += legacyCounts[(id << 4) | data];
+        if (total > 0 && !LEGACY_BLOCKS.has(id)) result.blocks.push({ id: `#${id}`, occurrences: total });
+      }
+      return result;
+    },
+
+    // Legacy blocks are counted per id/data pair and resolved once at the end
+    finish() {
+      LEGACY_BLOCKS.forEach((block, legacyId) => {
+        for (let data = 0; data < 16; data++) {
+          const amount = legacyCounts[(legacyId << 4) | data];
+          if (amount === 0) continue;
+          const steps = legacyBlockPath(legacyId, data, targetVersion);
+          if (steps.length > 0) tally.add('block', block.name, steps, amount, { legacyId, data: variantData(block.flattened, data) });
+        }
+      });
+    }
+  };
+}
+
+// Applies renames in order: each change must be newer than the previous
+// one and no newer than toVersion. A removal or split ends the path.
+function upgradePath(kind, id, fromVersion, toVersion) {
+  const steps = [];
+  let current = id;
+  let after = fromVersion;
+
+  while (current) {
+    const next = (CHANGES_BY_ID.get(`${kind}|${current}`) || [])
+      .find(change => change.dataVersion > after && change.dataVersion <= toVersion);
+    if (!next) break;
+    steps.push(next);
+    if (next.type !== 'renamed') break;
+    current = next.to;
+    after = next.dataVersion;
+  }
+  return steps;
+}
+
+function legacyBlockPath(legacyId, data, toVersion) {
+  const block = LEGACY_BLOCKS.get(legacyId);
+  const name = pickVariant(block.flattened, data & block.mask);
+  return flatteningPath('block', block.name, name, toVersion, name === null ? 'Upper half: the variant comes from the block below' : null);
+}
+
+function legacyItemPath(id, damage, item, toVersion) {
+  let name;
+  let note = null;
+  if (LEGACY_ITEMS.has(id)) {
+    const flattened = LEGACY_ITEMS.get(id);
+    if (flattened === null) {
+      // Spawn eggs get one item per mob
+      const entity = item?.tag?.value?.EntityTag?.value?.id?.value;
+      const mob = entity ? upgradePath('entity', normalizeId('entity', entity), 0, FLATTENING).pop()?.to ?? normalizeId('entity', entity) : null;
+      name = mob ? `${mob.replace(/^minecraft:/, '')}_spawn_egg` : '<EntityTag.id>_spawn_egg';
+      note = mob ? null : 'One spawn egg per mob, taken from EntityTag.id';
+    } else {
+      name = pickVariant(flattened, damage);
+    }
+  } else if (LEGACY_BLOCKS_BY_NAME.has(id)) {
+    name = pickVariant(LEGACY_BLOCKS_BY_NAME.get(id).flattened, damage);
+  } else {
+    name = id.replace(/^minecraft:/, '');
+  }
+  return flatteningPath('item', id, name, toVersion, note);
+}
+
+// The 1.13 step for a legacy ID, followed by any later renames. A
+// flattening that keeps the name is left out.
+function flatteningPath(kind, id, name, toVersion, note) {
+  if (toVersion < FLATTENING) return [];
+  const to = name === null ? null : `minecraft:${name}`;
+  const flattening = { kind, since: '1.13', dataVersion: FLATTENING, from: id, to, type: 'flattened', note };
+  const later = to ? upgradePath(kind, to, FLATTENING, toVersion) : [];
+  return to === id ? later : [flattening, ...later];
+}
+
+// Groups counted IDs by where they end up
+function createTally() {
+  const entries = new Map();
+
+  return {
+    add(kind, from, steps, amount, { legacyId = null, data = null } = {}) {
+      const last = steps[steps.length - 1];
+      const key = [kind, from, legacyId ?? '', steps.map(step => step.to).join('>')].join('|');
+      if (!entries.has(key)) {
+        entries.set(key, {
+          kind,
+          type: steps.find(step => step.type === 'removed' || step.type === 'split')?.type ?? steps[0].type,
+          from,
+          ...(legacyId !== null && { legacyId }),
+          data: new Set(),
+          to: last.to,
+          since: steps[0].since,
+          steps: steps.map(step => ({ version: step.since, type: step.type, to: step.to })),
+          occurrences: 0,
+          note: steps.map(step => step.note).filter(Boolean).join('; ') || null
+        });
+      }
+      const entry = entries.get(key);
+      entry.occurrences += amount;
+      if (data !== null) entry.data.add(data);
+    },
+
+    report({ occurrences = true } = {}) {
+      const result = { blocks: [], items: [], entities: [], blockEntities: [] };
+      [...entries.values()]
+        .sort((a, b) => b.occurrences - a.occurrences || a.from.localeCompare(b.from))
+        .forEach(({ kind, data, ...entry }) => {
+          result[REPORT_KINDS[kind]].push({
+            ...entry,
+            ...(data.size > 0 && { data: [...data].sort((a, b) => a - b) }),
+            occurrences: occurrences ? entry.occurrences : null
+          });
+        });
+      return result;
+    }
+  };
+}
+
+function summarize(changes, unknown) {
+  const summary = {};
+  CHANGE_TYPES.forEach(type => {
+    const matching = Object.values(changes).flat().filter(entry => entry.type === type);
+    summary[type] = {
+      ids: matching.length,
+      occurrences: unknown ? matching.reduce((sum, entry) => sum + entry.occurrences, 0) : null
+    };
+  });
+  if (unknown) {
+    const ids = Object.values(unknown).flat();
+    summary.unknown = { ids: ids.length, occurrences: ids.reduce((sum, entry) => sum + entry.occurrences, 0) };
+  }
+  return summary;
+}
+
+function formatChangesBetween(fromVersion, toVersion) {
+  return FORMAT_CHANGES.filter(change => change.dataVersion > fromVersion && change.dataVersion <= toVersion);
+}
+
+// Counts how often each palette index occurs in a packed block state array.
+// Before 20w17a an entry could continue in the next long.
+function countPaletteIndices(states, paletteSize, unspanned, counts) {
+  const bits = Math.max(4, Math.ceil(Math.log2(paletteSize)));
+  const mask = (1 << bits) - 1;
+  const low = new Uint32Array(states.length);
+  const high = new Uint32Array(states.length);
+  states.forEach((state, index) => {
+    low[index] = Number(BigInt.asUintN(32, state));
+    high[index] = Number(BigInt.asUintN(32, state >> 32n));
+  });
+
+  // `width` bits (at most 12) of a long starting at `offset`
+  const read = (long, offset, width) => {
+    const widthMask = (1 << width) - 1;
+    if (offset >= 32) return (high[long] >>> (offset - 32)) & widthMask;
+    if (offset + width <= 32) return (low[long] >>> offset) & widthMask;
+    return ((low[long] >>> offset) | (high[long] << (32 - offset))) & widthMask;
+  };
+
+  let index = 0;
+  if (unspanned) {
+    for (let long = 0; long < states.length && index < SECTION_VOLUME; long++) {
+      for (let offset = 0; offset + bits <= 64 && index < SECTION_VOLUME; offset += bits, index++) {
+        counts[read(long, offset, bits)]++;
+      }
+    }
+    return;
+  }
+
+  for (; index < SECTION_VOLUME; index++) {
+    const bit = index * bits;
+    const long = bit >>> 6;
+    const offset = bit & 63;
+    if (long >= states.length) break;
+    const value = offset + bits <= 64
+      ? read(long, offset, bits)
+      : (read(long, offset, 64 - offset) | (long + 1 < states.length ? read(long + 1, 0, bits - (64 - offset)) << (64 - offset) : 0)) & mask;
+    counts[value]++;
+  }
+}
+
+// Unnamespaced IDs get minecraft:, except the pre-1.11 entity names
+function normalizeId(kind, id) {
+  if (id.includes(':')) return id.toLowerCase();
+  if (CHANGES_BY_ID.has(`${kind}|${id}`)) return id;
+  return `minecraft:${id.toLowerCase()}`;
+}
+
+function isVanilla(kind, id) {
+  return id.startsWith('minecraft:') || CHANGES_BY_ID.has(`${kind}|${id}`);
+}
+
+// Data values only matter for IDs split by variant
+function variantData(names, data) {
+  return Array.isArray(names) ? data : null;
+}
+
+function pickVariant(names, index) {
+  if (!Array.isArray(names)) return names;
+  return names[index] === undefined ? names[0] : names[index];
+}
+
+function nibble(array, index) {
+  const byte = array[index >> 1] & 0xff;
+  return index & 1 ? byte >> 4 : byte & 0x0f;
+}
+
+function listOf(tag) {
+  return tag?.type === 'list' && tag.value.type === 'compound' ? tag.value.value : [];
+}
+
+module.exports = {
+  DATA_VERSIONS,
+  CHANGES,
+  resolveVersion,
+  versionName,
+  planUpgrade,
+  listUpgradeChanges
+};
@@ -0,0 +1,398 @@
+// Bundled ID mapping tables for world upgrades.
+//
+// LEGACY_BLOCKS: numeric block IDs of 1.12 and the names they got in the
+// 1.13 flattening. A name list is indexed by the block's data value (meta);
+// `mask` keeps only the bits that pick the variant. null means the variant
+// is not stored in the block itself (upper plant halves).
+//
+// LEGACY_ITEMS: 1.12 item IDs whose name or Damage variant changed in 1.13
+// and that are not covered by the block table.
+//
+// CHANGE_SETS: renames and removals from 1.11 on, by the release that made
+// them. IDs are without the minecraft: namespace, except the pre-1.11
+// entity and block entity names (legacyIds).
+
+const COLORS = ['white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray', 'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'];
+// Banner items and dyes count the other way round
+const DYE_COLORS = [...COLORS].reverse();
+const WOODS = ['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak'];
+const LEGACY_COLORS = COLORS.map(color => (color === 'light_gray' ? 'silver' : color));
+
+const colored = (suffix) => COLORS.map(color => `${color}_${suffix}`);
+const wooden = (suffix) => WOODS.map(wood => `${wood}_${suffix}`);
+const repeat = (names, times) => Array.from({ length: times }, () => names).flat();
+
+// id -> [legacy name, flattened name(s), mask]
+const LEGACY_BLOCK_TABLE = {
+  0: ['air', 'air'],
+  1: ['stone', ['stone', 'granite', 'polished_granite', 'diorite', 'polished_diorite', 'andesite', 'polished_andesite'], 7],
+  2: ['grass', 'grass_block'],
+  3: ['dirt', ['dirt', 'coarse_dirt', 'podzol'], 3],
+  4: ['cobblestone', 'cobblestone'],
+  5: ['planks', wooden('planks'), 7],
+  6: ['sapling', wooden('sapling'), 7],
+  7: ['bedrock', 'bedrock'],
+  8: ['flowing_water', 'water'],
+  9: ['water', 'water'],
+  10: ['flowing_lava', 'lava'],
+  11: ['lava', 'lava'],
+  12: ['sand', ['sand', 'red_sand'], 1],
+  13: ['gravel', 'gravel'],
+  14: ['gold_ore', 'gold_ore'],
+  15: ['iron_ore', 'iron_ore'],
+  16: ['coal_ore', 'coal_ore'],
+  // Bits 2-3 are the axis; 12-15 are bark on all sides
+  17: ['log', [...repeat(['oak_log', 'spruce_log', 'birch_log', 'jungle_log'], 3), 'oak_wood', 'spruce_wood', 'birch_wood', 'jungle_wood'], 15],
+  18: ['leaves', ['oak_leaves', 'spruce_leaves', 'birch_leaves', 'jungle_leaves'], 3],
+  19: ['sponge', ['sponge', 'wet_sponge'], 1],
+  20: ['glass', 'glass'],
+  21: ['lapis_ore', 'lapis_ore'],
+  22: ['lapis_block', 'lapis_block'],
+  23: ['dispenser', 'dispenser'],
+  24: ['sandstone', ['sandstone', 'chiseled_sandstone', 'cut_sandstone'], 3],
+  25: ['noteblock', 'note_block'],
+  // Bed, banner and skull colours and types live in the block entity
+  26: ['bed', 'red_bed'],
+  27: ['golden_rail', 'powered_rail'],
+  28: ['detector_rail', 'detector_rail'],
+  29: ['sticky_piston', 'sticky_piston'],
+  30: ['web', 'cobweb'],
+  31: ['tallgrass', ['dead_bush', 'grass', 'fern'], 3],
+  32: ['deadbush', 'dead_bush'],
+  33: ['piston', 'piston'],
+  34: ['piston_head', 'piston_head'],
+  35: ['wool', colored('wool'), 15],
+  36: ['piston_extension', 'moving_piston'],
+  37: ['yellow_flower', 'dandelion'],
+  38: ['red_flower', ['poppy', 'blue_orchid', 'allium', 'azure_bluet', 'red_tulip', 'orange_tulip', 'white_tulip', 'pink_tulip', 'oxeye_daisy'], 15],
+  39: ['brown_mushroom', 'brown_mushroom'],
+  40: ['red_mushroom', 'red_mushroom'],
+  41: ['gold_block', 'gold_block'],
+  42: ['iron_block', 'iron_block'],
+  43: ['double_stone_slab', ['stone_slab', 'sandstone_slab', 'petrified_oak_slab', 'cobblestone_slab', 'brick_slab', 'stone_brick_slab', 'nether_brick_slab', 'quartz_slab', 'smooth_stone', 'smooth_sandstone', 'stone_slab', 'stone_slab', 'stone_slab', 'stone_slab', 'stone_slab', 'smooth_quartz'], 15],
+  44: ['stone_slab', ['stone_slab', 'sandstone_slab', 'petrified_oak_slab', 'cobblestone_slab', 'brick_slab', 'stone_brick_slab', 'nether_brick_slab', 'quartz_slab'], 7],
+  45: ['brick_block', 'bricks'],
+  46: ['tnt', 'tnt'],
+  47: ['bookshelf', 'bookshelf'],
+  48: ['mossy_cobblestone', 'mossy_cobblestone'],
+  49: ['obsidian', 'obsidian'],
+  50: ['torch', ['torch', 'wall_torch', 'wall_torch', 'wall_torch', 'wall_torch', 'torch'], 7],
+  51: ['fire', 'fire'],
+  52: ['mob_spawner', 'spawner'],
+  53: ['oak_stairs', 'oak_stairs'],
+  54: ['chest', 'chest'],
+  55: ['redstone_wire', 'redstone_wire'],
+  56: ['diamond_ore', 'diamond_ore'],
+  57: ['diamond_block', 'diamond_block'],
+  58: ['crafting_table', 'crafting_table'],
+  59: ['wheat', 'wheat'],
+  60: ['farmland', 'farmland'],
+  61: ['furnace', 'furnace'],
+  62: ['lit_furnace', 'furnace'],
+  63: ['standing_sign', 'sign'],
+  64: ['wooden_door', 'oak_door'],
+  65: ['ladder', 'ladder'],
+  66: ['rail', 'rail'],
+  67: ['stone_stairs', 'cobblestone_stairs'],
+  68: ['wall_sign', 'wall_sign'],
+  69: ['lever', 'lever'],
+  70: ['stone_pressure_plate', 'stone_pressure_plate'],
+  71: ['iron_door', 'iron_door'],
+  72: ['wooden_pressure_plate', 'oak_pressure_plate'],
+  73: ['redstone_ore', 'redstone_ore'],
+  74: ['lit_redstone_ore', 'redstone_ore'],
+  75: ['unlit_redstone_torch', ['redstone_torch', 'redstone_wall_torch', 'redstone_wall_torch', 'redstone_wall_torch', 'redstone_wall_torch', 'redstone_torch'], 7],
+  76: ['redstone_torch', ['redstone_torch', 'redstone_wall_torch', 'redstone_wall_torch', 'redstone_wall_torch', 'redstone_wall_torch', 'redstone_torch'], 7],
+  77: ['stone_button', 'stone_button'],
+  78: ['snow_layer', 'snow'],
+  79: ['ice', 'ice'],
+  80: ['snow', 'snow_block'],
+  81: ['cactus', 'cactus'],
+  82: ['clay', 'clay'],
+  83: ['reeds', 'sugar_cane'],
+  84: ['jukebox', 'jukebox'],
+  85: ['fence', 'oak_fence'],
+  // Every 1.12 pumpkin had a face
+  86: ['pumpkin', 'carved_pumpkin'],
+  87: ['netherrack', 'netherrack'],
+  88: ['soul_sand', 'soul_sand'],
+  89: ['glowstone', 'glowstone'],
+  90: ['portal', 'nether_portal'],
+  91: ['lit_pumpkin', 'jack_o_lantern'],
+  92: ['cake', 'cake'],
+  93: ['unpowered_repeater', 'repeater'],
+  94: ['powered_repeater', 'repeater'],
+  95: ['stained_glass', colored('stained_glass'), 15],
+  96: ['trapdoor', 'oak_trapdoor'],
+  97: ['monster_egg', ['infested_stone', 'infested_cobblestone', 'infested_stone_bricks', 'infested_mossy_stone_bricks', 'infested_cracked_stone_bricks', 'infested_chiseled_stone_bricks'], 7],
+  98: ['stonebrick', ['stone_bricks', 'mossy_stone_bricks', 'cracked_stone_bricks', 'chiseled_stone_bricks'], 3],
+  99: ['brown_mushroom_block', [...repeat(['brown_mushroom_block'], 10), 'mushroom_stem', 'brown_mushroom_block', 'brown_mushroom_block', 'brown_mushroom_block', 'brown_mushroom_block', 'mushroom_stem'], 15],
+  100: ['red_mushroom_block', [...repeat(['red_mushroom_block'], 10), 'mushroom_stem', 'red_mushroom_block', 'red_mushroom_block', 'red_mushroom_block', 'red_mushroom_block', 'mushroom_stem'], 15],
+  101: ['iron_bars', 'iron_bars'],
+  102: ['glass_pane', 'glass_pane'],
+  103: ['melon_block', 'melon'],
+  104: ['pumpkin_stem', 'pumpkin_stem'],
+  105: ['melon_stem', 'melon_stem'],
+  106: ['vine', 'vine'],
+  107: ['fence_gate', 'oak_fence_gate'],
+  108: ['brick_stairs', 'brick_stairs'],
+  109: ['stone_brick_stairs', 'stone_brick_stairs'],
+  110: ['mycelium', 'mycelium'],
+  111: ['waterlily', 'lily_pad'],
+  112: ['nether_brick', 'nether_bricks'],
+  113: ['nether_brick_fence', 'nether_brick_fence'],
+  114: ['nether_brick_stairs', 'nether_brick_stairs'],
+  115: ['nether_wart', 'nether_wart'],
+  116: ['enchanting_table', 'enchanting_table'],
+  117: ['brewing_stand', 'brewing_stand'],
+  118: ['cauldron', 'cauldron'],
+  119: ['end_portal', 'end_portal'],
+  120: ['end_portal_frame', 'end_portal_frame'],
+  121: ['end_stone', 'end_stone'],
+  122: ['dragon_egg', 'dragon_egg'],
+  123: ['redstone_lamp', 'redstone_lamp'],
+  124: ['lit_redstone_lamp', 'redstone_lamp'],
+  125: ['double_wooden_slab', wooden('slab'), 7],
+  126: ['wooden_slab', wooden('slab'), 7],
+  127: ['cocoa', 'cocoa'],
+  128: ['sandstone_stairs', 'sandstone_stairs'],
+  129: ['emerald_ore', 'emerald_ore'],
+  130: ['ender_chest', 'ender_chest'],
+  131: ['tripwire_hook', 'tripwire_hook'],
+  132: ['tripwire', 'tripwire'],
+  133: ['emerald_block', 'emerald_block'],
+  134: ['spruce_stairs', 'spruce_stairs'],
+  135: ['birch_stairs', 'birch_stairs'],
+  136: ['jungle_stairs', 'jungle_stairs'],
+  137: ['command_block', 'command_block'],
+  138: ['beacon', 'beacon'],
+  139: ['cobblestone_wall', ['cobblestone_wall', 'mossy_cobblestone_wall'], 1],
+  // The potted plant moves from the block entity into potted_* blocks
+  140: ['flower_pot', 'flower_pot'],
+  141: ['carrots', 'carrots'],
+  142: ['potatoes', 'potatoes'],
+  143: ['wooden_button', 'oak_button'],
+  144: ['skull', 'skeleton_skull'],
+  // Bits 2-3 are the damage
+  145: ['anvil', [...repeat(['anvil'], 4), ...repeat(['chipped_anvil'], 4), ...repeat(['damaged_anvil'], 4)], 15],
+  146: ['trapped_chest', 'trapped_chest'],
+  147: ['light_weighted_pressure_plate', 'light_weighted_pressure_plate'],
+  148: ['heavy_weighted_pressure_plate', 'heavy_weighted_pressure_plate'],
+  149: ['unpowered_comparator', 'comparator'],
+  150: ['powered_comparator', 'comparator'],
+  151: ['daylight_detector', 'daylight_detector'],
+  152: ['redstone_block', 'redstone_block'],
+  153: ['quartz_ore', 'nether_quartz_ore'],
+  154: ['hopper', 'hopper'],
+  155: ['quartz_block', ['quartz_block', 'chiseled_quartz_block', 'quartz_pillar', 'quartz_pillar', 'quartz_pillar'], 7],
+  156: ['quartz_stairs', 'quartz_stairs'],
+  157: ['activator_rail', 'activator_rail'],
+  158: ['dropper', 'dropper'],
+  159: ['stained_hardened_clay', colored('terracotta'), 15],
+  160: ['stained_glass_pane', colored('stained_glass_pane'), 15],
+  161: ['leaves2', ['acacia_leaves', 'dark_oak_leaves'], 1],
+  162: ['log2', [...repeat(['acacia_log', 'dark_oak_log', 'acacia_log', 'acacia_log'], 3), 'acacia_wood', 'dark_oak_wood', 'acacia_wood', 'acacia_wood'], 15],
+  163: ['acacia_stairs', 'acacia_stairs'],
+  164: ['dark_oak_stairs', 'dark_oak_stairs'],
+  165: ['slime', 'slime_block'],
+  166: ['barrier', 'barrier'],
+  167: ['iron_trapdoor', 'iron_trapdoor'],
+  168: ['prismarine', ['prismarine', 'prismarine_bricks', 'dark_prismarine'], 3],
+  169: ['sea_lantern', 'sea_lantern'],
+  170: ['hay_block', 'hay_block'],
+  171: ['carpet', colored('carpet'), 15],
+  172: ['hardened_clay', 'terracotta'],
+  173: ['coal_block', 'coal_block'],
+  174: ['packed_ice', 'packed_ice'],
+  // Upper halves (8-15) take their variant from the block below
+  175: ['double_plant', ['sunflower', 'lilac', 'tall_grass', 'large_fern', 'rose_bush', 'peony', 'sunflower', 'sunflower', ...repeat([null], 8)], 15],
+  176: ['standing_banner', 'white_banner'],
+  177: ['wall_banner', 'white_wall_banner'],
+  178: ['daylight_detector_inverted', 'daylight_detector'],
+  179: ['red_sandstone', ['red_sandstone', 'chiseled_red_sandstone', 'cut_red_sandstone'], 3],
+  180: ['red_sandstone_stairs', 'red_sandstone_stairs'],
+  181: ['double_stone_slab2', ['red_sandstone_slab', ...repeat(['red_sandstone_slab'], 7), 'smooth_red_sandstone'], 15],
+  182: ['stone_slab2', 'red_sandstone_slab'],
+  183: ['spruce_fence_gate', 'spruce_fence_gate'],
+  184: ['birch_fence_gate', 'birch_fence_gate'],
+  185: ['jungle_fence_gate', 'jungle_fence_gate'],
+  186: ['dark_oak_fence_gate', 'dark_oak_fence_gate'],
+  187: ['acacia_fence_gate', 'acacia_fence_gate'],
+  188: ['spruce_fence', 'spruce_fence'],
+  189: ['birch_fence', 'birch_fence'],
+  190: ['jungle_fence', 'jungle_fence'],
+  191: ['dark_oak_fence', 'dark_oak_fence'],
+  192: ['acacia_fence', 'acacia_fence'],
+  193: ['spruce_door', 'spruce_door'],
+  194: ['birch_door', 'birch_door'],
+  195: ['jungle_door', 'jungle_door'],
+  196: ['acacia_door', 'acacia_door'],
+  197: ['dark_oak_door', 'dark_oak_door'],
+  198: ['end_rod', 'end_rod'],
+  199: ['chorus_plant', 'chorus_plant'],
+  200: ['chorus_flower', 'chorus_flower'],
+  201: ['purpur_block', 'purpur_block'],
+  202: ['purpur_pillar', 'purpur_pillar'],
+  203: ['purpur_stairs', 'purpur_stairs'],
+  204: ['purpur_double_slab', 'purpur_slab'],
+  205: ['purpur_slab', 'purpur_slab'],
+  206: ['end_bricks', 'end_stone_bricks'],
+  207: ['beetroots', 'beetroots'],
+  208: ['grass_path', 'grass_path'],
+  209: ['end_gateway', 'end_gateway'],
+  210: ['repeating_command_block', 'repeating_command_block'],
+  211: ['chain_command_block', 'chain_command_block'],
+  212: ['frosted_ice', 'frosted_ice'],
+  213: ['magma', 'magma_block'],
+  214: ['nether_wart_block', 'nether_wart_block'],
+  215: ['red_nether_brick', 'red_nether_bricks'],
+  216: ['bone_block', 'bone_block'],
+  217: ['structure_void', 'structure_void'],
+  218: ['observer', 'observer'],
+  251: ['concrete', colored('concrete'), 15],
+  252: ['concrete_powder', colored('concrete_powder'), 15],
+  255: ['structure_block', 'structure_block']
+};
+
+// 219-234 shulker boxes and 235-250 glazed terracotta, in colour order
+LEGACY_COLORS.forEach((color, index) => {
+  LEGACY_BLOCK_TABLE[219 + index] = [`${color}_shulker_box`, `${COLORS[index]}_shulker_box`];
+  LEGACY_BLOCK_TABLE[235 + index] = [`${color}_glazed_terracotta`, `${COLORS[index]}_glazed_terracotta`];
+});
+
+const LEGACY_BLOCKS = new Map(Object.entries(LEGACY_BLOCK_TABLE).map(([id, [name, flattened, mask = 0]]) => [
+  Number(id),
+  { name: `minecraft:${name}`, flattened, mask }
+]));
+const LEGACY_BLOCKS_BY_NAME = new Map([...LEGACY_BLOCKS.values()].map(block => [block.name, block]));
+
+const RECORDS = ['13', 'cat', 'blocks', 'chirp', 'far', 'mall', 'mellohi', 'stal', 'strad', 'ward', '11', 'wait'];
+
+// name -> flattened name(s) by Damage
+const LEGACY_ITEM_TABLE = {
+  bed: colored('bed'),
+  banner: DYE_COLORS.map(color => `${color}_banner`),
+  skull: ['skeleton_skull', 'wither_skeleton_skull', 'zombie_head', 'player_head', 'creeper_head', 'dragon_head'],
+  dye: ['ink_sac', 'rose_red', 'cactus_green', 'cocoa_beans', 'lapis_lazuli', 'purple_dye', 'cyan_dye', 'light_gray_dye', 'gray_dye', 'pink_dye', 'lime_dye', 'dandelion_yellow', 'light_blue_dye', 'magenta_dye', 'orange_dye', 'bone_meal'],
+  fish: ['cod', 'salmon', 'tropical_fish', 'pufferfish'],
+  cooked_fish: ['cooked_cod', 'cooked_salmon'],
+  coal: ['coal', 'charcoal'],
+  golden_apple: ['golden_apple', 'enchanted_golden_apple'],
+  anvil: ['anvil', 'chipped_anvil', 'damaged_anvil'],
+  pumpkin: 'pumpkin',
+  melon: 'melon_slice',
+  speckled_melon: 'glistering_melon_slice',
+  netherbrick: 'nether_brick',
+  boat: 'oak_boat',
+  fireworks: 'firework_rocket',
+  firework_charge: 'firework_star',
+  chorus_fruit_popped: 'popped_chorus_fruit',
+  // The mob comes from EntityTag.id
+  spawn_egg: null,
+  ...Object.fromEntries(RECORDS.map(record => [`record_${record}`, `music_disc_${record}`]))
+};
+
+const LEGACY_ITEMS = new Map(Object.entries(LEGACY_ITEM_TABLE).map(([name, flattened]) => [`minecraft:${name}`, flattened]));
+
+// Entity and block entity IDs before 1.11
+const LEGACY_ENTITIES = {
+  AreaEffectCloud: 'area_effect_cloud', ArmorStand: 'armor_stand', Arrow: 'arrow', Bat: 'bat', Blaze: 'blaze',
+  Boat: 'boat', CaveSpider: 'cave_spider', Chicken: 'chicken', Cow: 'cow', Creeper: 'creeper',
+  DragonFireball: 'dragon_fireball', EnderCrystal: 'ender_crystal', EnderDragon: 'ender_dragon', Enderman: 'enderman',
+  Endermite: 'endermite', EntityHorse: 'horse', EyeOfEnderSignal: 'eye_of_ender_signal', FallingSand: 'falling_block',
+  Fireball: 'fireball', FireworksRocketEntity: 'fireworks_rocket', Ghast: 'ghast', Giant: 'giant', Guardian: 'guardian',
+  Item: 'item', ItemFrame: 'item_frame', LavaSlime: 'magma_cube', LeashKnot: 'leash_knot', LightningBolt: 'lightning_bolt',
+  MinecartChest: 'chest_minecart', MinecartCommandBlock: 'commandblock_minecart', MinecartFurnace: 'furnace_minecart',
+  MinecartHopper: 'hopper_minecart', MinecartRideable: 'minecart', MinecartSpawner: 'spawner_minecart',
+  MinecartTNT: 'tnt_minecart', MushroomCow: 'mooshroom', Ozelot: 'ocelot', Painting: 'painting', Pig: 'pig',
+  PigZombie: 'zombie_pigman', PolarBear: 'polar_bear', PrimedTnt: 'tnt', Rabbit: 'rabbit', Sheep: 'sheep',
+  Shulker: 'shulker', ShulkerBullet: 'shulker_bullet', Silverfish: 'silverfish', Skeleton: 'skeleton', Slime: 'slime',
+  SmallFireball: 'small_fireball', SnowMan: 'snowman', Snowball: 'snowball', SpectralArrow: 'spectral_arrow',
+  Spider: 'spider', Squid: 'squid', ThrownEgg: 'egg', ThrownEnderpearl: 'ender_pearl', ThrownExpBottle: 'xp_bottle',
+  ThrownPotion: 'potion', Villager: 'villager', VillagerGolem: 'villager_golem', Witch: 'witch', WitherBoss: 'wither',
+  WitherSkull: 'wither_skull', Wolf: 'wolf', XPOrb: 'xp_orb', Zombie: 'zombie'
+};
+
+const LEGACY_BLOCK_ENTITIES = {
+  Airportal: 'end_portal', Banner: 'banner', Beacon: 'beacon', Cauldron: 'brewing_stand', Chest: 'chest',
+  Comparator: 'comparator', Control: 'command_block', DLDetector: 'daylight_detector', Dropper: 'dropper',
+  EnchantTable: 'enchanting_table', EndGateway: 'end_gateway', EnderChest: 'ender_chest', FlowerPot: 'flower_pot',
+  Furnace: 'furnace', Hopper: 'hopper', MobSpawner: 'mob_spawner', Music: 'noteblock', Piston: 'piston',
+  RecordPlayer: 'jukebox', Sign: 'sign', Skull: 'skull', Structure: 'structure_block', Trap: 'dispenser'
+};
+
+// 1.11 split some mobs by a tag into their own IDs
+const LEGACY_ENTITY_NOTES = {
+  Zombie: 'Zombies with ZombieType 1-5 become zombie_villager, 6 becomes husk',
+  Skeleton: 'SkeletonType 1 becomes wither_skeleton, 2 becomes stray',
+  EntityHorse: 'Type 1-4 become donkey, mule, zombie_horse and skeleton_horse',
+  Guardian: 'Elder guardians become elder_guardian'
+};
+
+const renames = (pairs) => Object.entries(pairs).map(([from, to]) => ({ from, to }));
+
+const CHANGE_SETS = [
+  {
+    since: '1.11',
+    kind: 'entity',
+    legacyIds: true,
+    changes: Object.entries(LEGACY_ENTITIES).map(([from, to]) => ({ from, to, note: LEGACY_ENTITY_NOTES[from] }))
+  },
+  { since: '1.11', kind: 'block_entity', legacyIds: true, changes: renames(LEGACY_BLOCK_ENTITIES) },
+  {
+    since: '1.13',
+    kind: 'entity',
+    changes: renames({
+      commandblock_minecart: 'command_block_minecart', ender_crystal: 'end_crystal', evocation_fangs: 'evoker_fangs',
+      evocation_illager: 'evoker', eye_of_ender_signal: 'eye_of_ender', fireworks_rocket: 'firework_rocket',
+      illusion_illager: 'illusioner', snowman: 'snow_golem', villager_golem: 'iron_golem',
+      vindication_illager: 'vindicator', xp_bottle: 'experience_bottle', xp_orb: 'experience_orb'
+    })
+  },
+  {
+    since: '1.13',
+    kind: 'block_entity',
+    changes: [
+      { from: 'noteblock', to: null, note: 'The note is stored in the block state' },
+      { from: 'flower_pot', to: null, note: 'Potted plants become potted_* blocks' }
+    ]
+  },
+  { since: '1.14', kind: 'block', changes: renames({ sign: 'oak_sign', wall_sign: 'oak_wall_sign', stone_slab: 'smooth_stone_slab' }) },
+  {
+    since: '1.14',
+    kind: 'item',
+    changes: renames({ sign: 'oak_sign', stone_slab: 'smooth_stone_slab', rose_red: 'red_dye', cactus_green: 'green_dye', dandelion_yellow: 'yellow_dye' })
+  },
+  { since: '1.16', kind: 'entity', changes: renames({ zombie_pigman: 'zombified_piglin' }) },
+  { since: '1.16', kind: 'item', changes: renames({ zombie_pigman_spawn_egg: 'zombified_piglin_spawn_egg' }) },
+  { since: '1.17', kind: 'block', changes: renames({ grass_path: 'dirt_path' }) },
+  { since: '1.17', kind: 'item', changes: renames({ grass_path: 'dirt_path' }) },
+  {
+    since: '1.20',
+    kind: 'item',
+    changes: renames({
+      pottery_shard_archer: 'archer_pottery_sherd', pottery_shard_arms_up: 'arms_up_pottery_sherd',
+      pottery_shard_prize: 'prize_pottery_sherd', pottery_shard_skull: 'skull_pottery_sherd'
+    })
+  },
+  { since: '1.20.3', kind: 'block', changes: renames({ grass: 'short_grass' }) },
+  { since: '1.20.3', kind: 'item', changes: renames({ grass: 'short_grass' }) },
+  { since: '1.20.5', kind: 'item', changes: renames({ scute: 'turtle_scute' }) },
+  {
+    since: '1.21.2',
+    kind: 'entity',
+    changes: [
+      { from: 'boat', to: '<Type>_boat', split: true, note: 'One entity ID per wood type, taken from the Type tag' },
+      { from: 'chest_boat', to: '<Type>_chest_boat', split: true, note: 'One entity ID per wood type, taken from the Type tag' }
+    ]
+  }
+];
+
+module.exports = {
+  COLORS,
+  LEGACY_BLOCKS,
+  LEGACY_BLOCKS_BY_NAME,
+  LEGACY_ITEMS,
+  LEGACY_ENTITIES,
+  CHANGE_SETS
+};
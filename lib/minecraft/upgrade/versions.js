@@ -0,0 +1,73 @@
+// Java Edition release versions and their DataVersion (stored in level.dat,
+// every chunk and every player file since 1.9). Worlds and chunks without
+// a DataVersion were saved before 1.9 and are treated as 0.
+
+const DATA_VERSIONS = {
+  '1.9': 169, '1.9.1': 175, '1.9.2': 176, '1.9.3': 183, '1.9.4': 184,
+  '1.10': 510, '1.10.1': 511, '1.10.2': 512,
+  '1.11': 819, '1.11.1': 921, '1.11.2': 922,
+  '1.12': 1139, '1.12.1': 1241, '1.12.2': 1343,
+  '1.13': 1519, '1.13.1': 1628, '1.13.2': 1631,
+  '1.14': 1952, '1.14.1': 1957, '1.14.2': 1963, '1.14.3': 1968, '1.14.4': 1976,
+  '1.15': 2225, '1.15.1': 2227, '1.15.2': 2230,
+  '1.16': 2566, '1.16.1': 2567, '1.16.2': 2578, '1.16.3': 2580, '1.16.4': 2584, '1.16.5': 2586,
+  '1.17': 2724, '1.17.1': 2730,
+  '1.18': 2860, '1.18.1': 2865, '1.18.2': 2975,
+  '1.19': 3105, '1.19.1': 3117, '1.19.2': 3120, '1.19.3': 3218, '1.19.4': 3337,
+  '1.20': 3463, '1.20.1': 3465, '1.20.2': 3578, '1.20.3': 3698, '1.20.4': 3700, '1.20.5': 3837, '1.20.6': 3839,
+  '1.21': 3953, '1.21.1': 3955, '1.21.2': 4080, '1.21.3': 4082, '1.21.4': 4189
+};
+
+// Chunk format milestones
+const FLATTENING = DATA_VERSIONS['1.13'];
+// 20w17a (1.16): block state entries no longer span two longs
+const UNSPANNED_BLOCK_STATES = 2527;
+
+// Storage changes worth knowing about before crossing a release
+const FORMAT_CHANGES = [
+  { version: '1.11', change: 'Entity and block entity IDs become namespaced (Zombie -> minecraft:zombie); zombie, skeleton and horse variants get their own IDs' },
+  { version: '1.13', change: 'The flattening: numeric block and item IDs with data values become named block states and items' },
+  { version: '1.14', change: 'Villages, beds and job sites are tracked in poi/ region files' },
+  { version: '1.16', change: 'Block state arrays stop spanning longs; nether biomes are regenerated' },
+  { version: '1.17', change: 'Entities move from chunk data into entities/ region files' },
+  { version: '1.18', change: 'World height grows to -64..320 and chunk data leaves the Level compound; old chunks are blended into new terrain' },
+  { version: '1.20.5', change: 'Item NBT tags are replaced by data components' }
+].map(entry => ({ ...entry, dataVersion: DATA_VERSIONS[entry.version] }));
+
+// DataVersion for a release name ("1.20.4") or a DataVersion number.
+// Throws UPGRADE_UNKNOWN_VERSION.
+function resolveVersion(input) {
+  const text = String(input ?? '').trim();
+  if (DATA_VERSIONS[text] !== undefined) {
+    return { version: text, dataVersion: DATA_VERSIONS[text] };
+  }
+  if (/^\d+$/.test(text)) {
+    const dataVersion = parseInt(text);
+    return { version: versionName(dataVersion), dataVersion };
+  }
+
+  const error = new Error(`Unknown version "${text}". Use a release from 1.9 to 1.21.4 or a DataVersion number`);
+  error.code = 'UPGRADE_UNKNOWN_VERSION';
+  throw error;
+}
+
+// Release name for a DataVersion; snapshots get the release they lead up to
+function versionName(dataVersion) {
+  if (dataVersion === null || dataVersion === undefined || dataVersion < DATA_VERSIONS['1.9']) return 'before 1.9';
+
+  const releases = Object.entries(DATA_VERSIONS);
+  const exact = releases.find(([, value]) => value === dataVersion);
+  if (exact) return exact[0];
+
+  const next = releases.find(([, value]) => value > dataVersion);
+  return next ? `${next[0]} snapshot` : `after ${releases[releases.length - 1][0]}`;
+}
+
+module.exports = {
+  DATA_VERSIONS,
+  FLATTENING,
+  UNSPANNED_BLOCK_STATES,
+  FORMAT_CHANGES,
+  resolveVersion,
+  versionName
+};
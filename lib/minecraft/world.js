@@ -0,0 +1,264 @@
+const nbt = require('./nbt');
+const { detectArchiveType, readArchive } = require('./archive');
+const { parseRegionName, analyzeRegion } = require('./anvil');
+const { createError } = require('../helpers');
+
+// World backup analysis: level.dat plus the Anvil region, entity and POI
+// files of every dimension found in an uploaded archive or file list.
+
+const GAME_MODES = ['Survival', 'Creative', 'Adventure', 'Spectator'];
+const DIFFICULTIES = ['Peaceful', 'Easy', 'Normal', 'Hard'];
+const DIMENSION_FOLDERS = { '': 'minecraft:overworld', 'DIM-1': 'minecraft:the_nether', DIM1: 'minecraft:the_end' };
+const REGION_KINDS = ['region', 'entities', 'poi'];
+const MAX_REPORTED_ISSUES = 200;
+
+// Files from a world archive (zip, tar, tar.gz) or from individual
+// { name, data } uploads. Returns { source, archiveType, files: [{ path, size, read() }] }
+function loadWorldFiles({ archive = null, files = null } = {}) {
+  if (archive) {
+    const archiveType = detectArchiveType(archive);
+    if (!archiveType) {
+      throw createError('Unsupported archive format (expected zip, tar or tar.gz)', 'ARCHIVE_UNSUPPORTED');
+    }
+    return { source: 'archive', archiveType, files: readArchive(archive, archiveType) };
+  }
+
+  if (Array.isArray(files) && files.length > 0) {
+    return {
+      source: 'files',
+      archiveType: null,
+      files: files.map(({ path, data }) => ({
+        path: String(path).replace(/\\/g, '/').replace(/^\/+/, ''),
+        size: data.length,
+        read: () => data
+      }))
+    };
+  }
+
+  throw createError('No world data provided', 'WORLD_NO_DATA');
+}
+
+// The shallowest level.dat marks the world root; without one (loose region
+// files) the files are taken as they are
+function findWorldRoot(files) {
+  const levels = files
+    .filter(file => /(^|\/)level\.dat$/.test(file.path))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+  return levels.length > 0 ? levels[0].path.slice(0, -'level.dat'.length) : '';
+}
+
+// Dimension and kind of a region file, relative to the world root
+function classifyRegionFile(relativePath) {
+  const match = relativePath.match(/^(?:(.*)\/)?(region|entities|poi)\/r\.-?\d+\.-?\d+\.mca$/);
+  if (!match) {
+    // Loose region files without their folder are treated as overworld terrain
+    return /^r\.-?\d+\.-?\d+\.mca$/.test(relativePath) ? { dimension: 'minecraft:overworld', kind: 'region' } : null;
+  }
+
+  const folder = match[1] || '';
+  const custom = folder.match(/^dimensions\/([^/]+)\/(.+)$/);
+  const dimension = DIMENSION_FOLDERS[folder] || (custom ? `${custom[1]}:${custom[2]}` : folder);
+  return { dimension, kind: match[2] };
+}
+
+// Summary of a Java (big-endian) or Bedrock (little-endian) level.dat
+function analyzeLevelDat(buffer) {
+  const root = nbt.decode(buffer);
+  const bedrock = root.endian === 'little';
+  const data = bedrock ? root.value : root.value.Data?.value;
+  if (!data) {
+    throw createError('level.dat has no Data compound', 'WORLD_INVALID_LEVEL');
+  }
+
+  const read = (source, name) => source?.[name]?.value;
+  const difficultySettings = read(data, 'difficulty_settings');
+  const hardcore = Boolean(read(data, 'hardcore') ?? read(difficultySettings, 'hardcore') ?? read(data, 'IsHardcore'));
+  const gameType = read(data, 'GameType');
+  const difficulty = read(difficultySettings, 'difficulty') ?? read(data, 'Difficulty');
+  const lastPlayed = read(data, 'LastPlayed');
+  const seed = read(read(data, 'WorldGenSettings'), 'seed') ?? read(data, 'RandomSeed');
+  const version = read(data, 'Version');
+  const bedrockVersion = read(data, 'lastOpenedWithVersion');
+
+  return {
+    edition: bedrock ? 'bedrock' : 'java',
+    levelName: read(data, 'LevelName') ?? null,
+    gamemode: hardcore ? 'Hardcore' : (GAME_MODES[gameType] ?? null),
+    hardcore,
+    difficulty: typeof difficulty === 'string'
+      ? difficulty.charAt(0).toUpperCase() + difficulty.slice(1)
+      : (DIFFICULTIES[difficulty] ?? null),
+    dataVersion: read(data, 'DataVersion') ?? null,
+    version: read(version, 'Name') ?? (bedrockVersion ? bedrockVersion.value.join('.') : null),
+    snapshot: read(version, 'Snapshot') === undefined ? null : Boolean(read(version, 'Snapshot')),
+    // Java stores milliseconds, Bedrock seconds
+    lastPlayed: lastPlayed === undefined ? null : new Date(Number(lastPlayed) * (bedrock ? 1000 : 1)).toISOString(),
+    seed: seed === undefined ? null : seed.toString(),
+    spawn: {
+      x: read(data, 'SpawnX') ?? null,
+      y: read(data, 'SpawnY') ?? null,
+      z: read(data, 'SpawnZ') ?? null
+    },
+    allowCommands: read(data, 'allowCommands') === undefined && read(data, 'commandsEnabled') === undefined
+      ? null
+      : Boolean(read(data, 'allowCommands') ?? read(data, 'commandsEnabled')),
+    time: read(data, 'Time') === undefined ? null : Number(read(data, 'Time')),
+    storageVersion: bedrock ? (read(data, 'StorageVersion') ?? root.bedrockHeader?.version ?? null) : null
+  };
+}
+
+// Analyze every world file. Returns level info, per-dimension chunk counts,
+// player data, sizes by category and the problems found.
+function analyzeWorld(files) {
+  const root = findWorldRoot(files);
+  const inRoot = files
+    .filter(file => file.path.startsWith(root))
+    .map(file => ({ ...file, relativePath: file.path.slice(root.length) }));
+  const byPath = new Map(inRoot.map(file => [file.relativePath, file]));
+
+  const issues = [];
+  const addIssue = (file, issue) => issues.push({ file: file.relativePath, ...issue });
+
+  let level = null;
+  const levelFile = byPath.get('level.dat');
+  if (levelFile) {
+    try {
+      level = analyzeLevelDat(levelFile.read());
+    } catch (error) {
+      addIssue(levelFile, { type: 'invalid_level_dat', severity: 'error', message: error.message });
+    }
+  } else {
+    issues.push({ file: 'level.dat', type: 'missing_level_dat', severity: 'warning', message: 'No level.dat found' });
+  }
+
+  const bedrock = level?.edition === 'bedrock' || inRoot.some(file => /^db\/(CURRENT|MANIFEST-\d+)$/.test(file.relativePath));
+  const dimensions = new Map();
+  const chunkStatus = {};
+  const chunkVersions = {};
+  const structures = {};
+  const biomes = {};
+  let oldestChunk = null;
+  let newestChunk = null;
+
+  inRoot.forEach(file => {
+    const location = classifyRegionFile(file.relativePath);
+    if (!location) return;
+
+    if (!dimensions.has(location.dimension)) {
+      dimensions.set(location.dimension, {
+        name: location.dimension,
+        regions: 0,
+        chunks: 0,
+        entityChunks: 0,
+        poiChunks: 0,
+        size: 0,
+        errors: 0,
+        warnings: 0
+      });
+    }
+    const dimension = dimensions.get(location.dimension);
+    const region = parseRegionName(file.relativePath);
+    const folder = file.relativePath.slice(0, file.relativePath.lastIndexOf('/') + 1);
+
+    let result;
+    try {
+      result = analyzeRegion(file.read(), {
+        regionX: region.x,
+        regionZ: region.z,
+        getExternalChunk: (x, z) => {
+          const external = byPath.get(`${folder}c.${x}.${z}.mcc`);
+          return external ? external.read() : null;
+        }
+      });
+    } catch (error) {
+      addIssue(file, { type: 'unreadable_file', severity: 'error', message: error.message });
+      dimension.errors++;
+      return;
+    }
+
+    dimension.size += file.size;
+    result.issues.forEach(issue => {
+      addIssue(file, issue);
+      if (issue.severity === 'error') dimension.errors++;
+      else dimension.warnings++;
+    });
+
+    if (location.kind === 'entities') {
+      dimension.entityChunks += result.chunks.length;
+      return;
+    }
+    if (location.kind === 'poi') {
+      dimension.poiChunks += result.chunks.length;
+      return;
+    }
+
+    dimension.regions++;
+    dimension.chunks += result.chunks.length;
+    result.chunks.forEach(chunk => {
+      if (chunk.status) {
+        const status = String(chunk.status).replace(/^minecraft:/, '');
+        chunkStatus[status] = (chunkStatus[status] || 0) + 1;
+      }
+      if (chunk.dataVersion !== undefined && chunk.dataVersion !== null) {
+        chunkVersions[chunk.dataVersion] = (chunkVersions[chunk.dataVersion] || 0) + 1;
+      }
+      (chunk.structures || []).forEach(name => {
+        structures[name] = (structures[name] || 0) + 1;
+      });
+      (chunk.biomes || []).forEach(name => {
+        biomes[name] = (biomes[name] || 0) + 1;
+      });
+      if (chunk.timestamp) {
+        if (!oldestChunk || chunk.timestamp < oldestChunk) oldestChunk = chunk.timestamp;
+        if (!newestChunk || chunk.timestamp > newestChunk) newestChunk = chunk.timestamp;
+      }
+    });
+  });
+
+  const sizes = { total: 0, regions: 0, entities: 0, poi: 0, playerData: 0, other: 0 };
+  inRoot.forEach(file => {
+    sizes.total += file.size;
+    const location = classifyRegionFile(file.relativePath);
+    if (location) sizes[location.kind === 'region' ? 'regions' : location.kind] += file.size;
+    else if (/^(playerdata|players)\//.test(file.relativePath)) sizes.playerData += file.size;
+    else sizes.other += file.size;
+  });
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const dimensionList = [...dimensions.values()];
+
+  return {
+    root,
+    edition: level?.edition ?? (bedrock ? 'bedrock' : 'java'),
+    level,
+    files: inRoot.length,
+    sizes,
+    chunks: dimensionList.reduce((sum, dimension) => sum + dimension.chunks, 0),
+    dimensions: dimensionList,
+    // playerdata/ since 1.7.6, players/ (by name) before
+    playerData: inRoot.filter(file => /^(playerdata\/[^/]+|players\/[^/]+)\.dat$/.test(file.relativePath)).length,
+    chunkStatus,
+    chunkDataVersions: chunkVersions,
+    structures,
+    biomes,
+    chunkTimestamps: { oldest: oldestChunk, newest: newestChunk },
+    corruption: {
+      detected: errors > 0,
+      errors,
+      warnings: issues.length - errors,
+      issues: issues.slice(0, MAX_REPORTED_ISSUES),
+      truncated: issues.length > MAX_REPORTED_ISSUES
+    },
+    notes: bedrock ? ['Bedrock worlds store chunks in LevelDB (db/), which is not analyzed'] : []
+  };
+}
+
+module.exports = {
+  GAME_MODES,
+  DIFFICULTIES,
+  loadWorldFiles,
+  findWorldRoot,
+  classifyRegionFile,
+  analyzeLevelDat,
+  analyzeWorld
+};
@@ -0,0 +1,209 @@
+// Aggregation over the monitoring history that routes/minecraft/config.js
+// records for every configured server. History entries look like
+// { timestamp, online, players: { online, max, list }, ping, version, ... }.
+
+const TIME_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Timeline buckets: the smallest size that keeps a range under MAX_BUCKETS points
+const BUCKET_SIZES = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000, 24 * 60 * 60 * 1000];
+const MAX_BUCKETS = 60;
+// Longest time range accepted; longer ranges are cut to it
+const MAX_TIME_RANGE = 365 * TIME_UNITS.d;
+
+// '30m', '24h', '7d', '2w' -> milliseconds (24 hours when unparseable,
+// at most MAX_TIME_RANGE)
+function parseTimeRange(timeRange) {
+  const match = String(timeRange || '').match(/^(\d+)([mhdw])$/);
+  if (!match) return TIME_UNITS.d;
+
+  const [, amount, unit] = match;
+  return Math.min(parseInt(amount) * TIME_UNITS[unit], MAX_TIME_RANGE);
+}
+
+// Whether a time range parses and fits within MAX_TIME_RANGE uncut
+function isValidTimeRange(timeRange) {
+  const match = String(timeRange || '').match(/^(\d+)([mhdw])$/);
+  if (!match) return false;
+
+  const [, amount, unit] = match;
+  const range = parseInt(amount) * TIME_UNITS[unit];
+  return range > 0 && range <= MAX_TIME_RANGE;
+}
+
+function entriesSince(history = [], since) {
+  return history.filter(entry => new Date(entry.timestamp).getTime() >= since);
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+function summarizePings(entries) {
+  const pings = entries
+    .filter(entry => entry.online && typeof entry.ping === 'number')
+    .map(entry => entry.ping)
+    .sort((a, b) => a - b);
+  if (pings.length === 0) return null;
+
+  return {
+    average: Math.round(pings.reduce((sum, ping) => sum + ping, 0) / pings.length),
+    min: pings[0],
+    max: pings[pings.length - 1],
+    p50: percentile(pings, 50),
+    p90: percentile(pings, 90),
+    p95: percentile(pings, 95),
+    p99: percentile(pings, 99),
+    samples: pings.length
+  };
+}
+
+// Share of checks that found the server online, in percent
+function calculateUptime(entries) {
+  if (entries.length === 0) return null;
+  return round((entries.filter(entry => entry.online).length / entries.length) * 100);
+}
+
+// Uptime, incidents, ping percentiles and player peaks of one server.
+// intervalSeconds is the monitoring interval, used to estimate downtime.
+function summarizeHistory(entries, { intervalSeconds = 60 } = {}) {
+  const checks = entries.length;
+  const onlineEntries = entries.filter(entry => entry.online);
+  const latest = entries[checks - 1];
+
+  // An incident starts at every check that finds the server down after it was up
+  let incidents = 0;
+  entries.forEach((entry, index) => {
+    if (!entry.online && (index === 0 || entries[index - 1].online)) incidents++;
+  });
+
+  let peak = null;
+  onlineEntries.forEach(entry => {
+    if (!peak || entry.players.online > peak.players.online) peak = entry;
+  });
+
+  return {
+    checks,
+    uptime: calculateUptime(entries),
+    downtimeMinutes: round(((checks - onlineEntries.length) * intervalSeconds) / 60),
+    incidents,
+    ping: summarizePings(entries),
+    players: {
+      current: latest?.online ? latest.players.online : 0,
+      average: onlineEntries.length > 0
+        ? round(onlineEntries.reduce((sum, entry) => sum + entry.players.online, 0) / onlineEntries.length)
+        : 0,
+      peak: peak ? peak.players.online : 0,
+      peakAt: peak ? peak.timestamp : null
+    },
+    firstCheck: entries[0]?.timestamp || null,
+    lastCheck: latest?.timestamp || null
+  };
+}
+
+// Combined player count of several servers over time. Servers are checked at
+// different moments, so each one contributes its last reported count until
+// its next check (an offline check counts as zero).
+function combinePlayerSeries(histories) {
+  const events = histories
+    .flatMap((entries, serverIndex) => entries.map(entry => ({
+      time: new Date(entry.timestamp).getTime(),
+      serverIndex,
+      players: entry.online ? entry.players.online : 0
+    })))
+    .sort((a, b) => a.time - b.time);
+
+  const current = new Array(histories.length).fill(0);
+  let total = 0;
+  return events.map(event => {
+    total += event.players - current[event.serverIndex];
+    current[event.serverIndex] = event.players;
+    return { time: event.time, players: total };
+  });
+}
+
+function peakConcurrentPlayers(histories) {
+  let peak = { players: 0, time: null };
+  combinePlayerSeries(histories).forEach(point => {
+    if (point.players > peak.players) peak = point;
+  });
+  return {
+    players: peak.players,
+    at: peak.time ? new Date(peak.time).toISOString() : null
+  };
+}
+
+// Bucketed uptime, ping and combined player counts between since and until
+function buildTimeline(histories, since, until = Date.now()) {
+  const range = Math.max(until - since, 1);
+  // Ranges too long for the largest bucket get whole-day buckets that fit
+  const bucketSize = BUCKET_SIZES.find(size => range / size <= MAX_BUCKETS) ||
+    Math.ceil(range / MAX_BUCKETS / TIME_UNITS.d) * TIME_UNITS.d;
+  const start = Math.floor(since / bucketSize) * bucketSize;
+  const count = Math.ceil((until - start) / bucketSize);
+
+  const buckets = Array.from({ length: count }, (_, index) => ({
+    time: start + index * bucketSize,
+    checks: 0,
+    online: 0,
+    pings: [],
+    players: []
+  }));
+  const bucketFor = (time) => buckets[Math.min(Math.floor((time - start) / bucketSize), count - 1)];
+
+  histories.flat().forEach(entry => {
+    const bucket = bucketFor(new Date(entry.timestamp).getTime());
+    if (!bucket) return;
+    bucket.checks++;
+    if (entry.online) {
+      bucket.online++;
+      if (typeof entry.ping === 'number') bucket.pings.push(entry.ping);
+    }
+  });
+  combinePlayerSeries(histories).forEach(point => {
+    bucketFor(point.time)?.players.push(point.players);
+  });
+
+  return {
+    bucketSize: bucketSize / 1000,
+    points: buckets.map(bucket => {
+      const pings = bucket.pings.sort((a, b) => a - b);
+      return {
+        time: new Date(bucket.time).toISOString(),
+        checks: bucket.checks,
+        uptime: bucket.checks > 0 ? round((bucket.online / bucket.checks) * 100) : null,
+        players: bucket.players.length > 0
+          ? round(bucket.players.reduce((sum, players) => sum + players, 0) / bucket.players.length)
+          : null,
+        peakPlayers: bucket.players.length > 0 ? Math.max(...bucket.players) : null,
+        ping: pings.length > 0 ? Math.round(pings.reduce((sum, ping) => sum + ping, 0) / pings.length) : null,
+        pingP95: percentile(pings, 95)
+      };
+    })
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  MAX_TIME_RANGE,
+  parseTimeRange,
+  isValidTimeRange,
+  entriesSince,
+  percentile,
+  calculateUptime,
+  summarizePings,
+  summarizeHistory,
+  combinePlayerSeries,
+  peakConcurrentPlayers,
+  buildTimeline
+};
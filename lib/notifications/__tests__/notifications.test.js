@@ -0,0 +1,194 @@
+const http = require('http');
+const crypto = require('crypto');
+const { channels, notify, getDelivery, signPayload } = require('../index');
+
+// HTTP sink that records every request and answers with the next status
+// from `statuses` (200 once they run out)
+function startSink(statuses = []) {
+  return new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body, json: JSON.parse(body), at: Date.now() });
+        res.statusCode = statuses.shift() ?? 200;
+        res.end();
+      });
+    });
+
+    server.requests = requests;
+    server.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.address().port}/hook`;
+      resolve(server);
+    });
+  });
+}
+
+async function waitFor(check, timeout = 3000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function addChannel(fields) {
+  const channel = {
+    id: crypto.randomUUID(),
+    name: 'test',
+    type: 'webhook',
+    enabled: true,
+    severities: [],
+    events: [],
+    alertTypes: [],
+    serverIds: [],
+    ...fields
+  };
+  channels.set(channel.id, channel);
+  return channel;
+}
+
+let sink;
+
+afterEach(async () => {
+  channels.clear();
+  if (sink) await new Promise(resolve => sink.close(resolve));
+  sink = null;
+});
+
+test('signs payloads with HMAC-SHA256 over timestamp and body', async () => {
+  sink = await startSink();
+  const secret = 's3cret';
+  addChannel({ url: sink.url, secret });
+
+  const [delivery] = notify({ event: 'automation', severity: 'info', title: 'Signed' });
+  await waitFor(() => getDelivery(delivery.id).status === 'delivered');
+
+  const [{ headers, body }] = sink.requests;
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${headers['x-shrekapi-timestamp']}.${body}`)
+    .digest('hex');
+  expect(headers['x-shrekapi-signature']).toBe(`sha256=${expected}`);
+  expect(signPayload(secret, body, Number(headers['x-shrekapi-timestamp']))['X-ShrekAPI-Signature']).toBe(headers['x-shrekapi-signature']);
+  expect(headers['x-shrekapi-event']).toBe('automation');
+  expect(headers['x-shrekapi-delivery']).toBe(delivery.id);
+});
+
+test('leaves payloads unsigned for channels without a secret', async () => {
+  sink = await startSink();
+  addChannel({ url: sink.url });
+
+  const [delivery] = notify({ event: 'automation', title: 'Plain' });
+  await waitFor(() => getDelivery(delivery.id).status === 'delivered');
+
+  expect(sink.requests[0].headers['x-shrekapi-signature']).toBeUndefined();
+});
+
+test('retries server errors with growing delays until delivered', async () => {
+  sink = await startSink([500, 500]);
+  addChannel({ url: sink.url, retry: { maxAttempts: 5, baseDelay: 40, maxDelay: 1000 } });
+
+  const [delivery] = notify({ event: 'automation', title: 'Retry me' });
+  await waitFor(() => getDelivery(delivery.id).status === 'delivered');
+
+  const { attempts } = getDelivery(delivery.id);
+  expect(attempts.map(attempt => attempt.status)).toEqual([500, 500, 200]);
+  expect(attempts.map(attempt => attempt.attempt)).toEqual([1, 2, 3]);
+
+  // Jitter keeps each delay between half and all of base * 2^(attempt - 1)
+  const [first, second, third] = sink.requests.map(request => request.at);
+  expect(second - first).toBeGreaterThanOrEqual(20);
+  expect(third - second).toBeGreaterThanOrEqual(40);
+});
+
+test('gives up after maxAttempts', async () => {
+  sink = await startSink([500, 500, 500]);
+  addChannel({ url: sink.url, retry: { maxAttempts: 2, baseDelay: 10, maxDelay: 100 } });
+
+  const [delivery] = notify({ event: 'automation', title: 'Never delivered' });
+  await waitFor(() => getDelivery(delivery.id).status === 'failed');
+
+  expect(getDelivery(delivery.id).attempts).toHaveLength(2);
+  expect(sink.requests).toHaveLength(2);
+});
+
+test('does not retry client errors', async () => {
+  sink = await startSink([404]);
+  addChannel({ url: sink.url, retry: { maxAttempts: 5, baseDelay: 10 } });
+
+  const [delivery] = notify({ event: 'automation', title: 'Gone' });
+  await waitFor(() => getDelivery(delivery.id).status === 'failed');
+
+  expect(getDelivery(delivery.id).attempts).toHaveLength(1);
+});
+
+test('sends Discord embeds', async () => {
+  sink = await startSink();
+  addChannel({ url: sink.url, type: 'discord', options: { username: 'Bot', mention: '@here' } });
+
+  notify({ event: 'alert', severity: 'critical', title: 'Server down', message: 'Lobby is offline', serverId: 's1', serverName: 'Lobby', alertType: 'server_offline' });
+  await waitFor(() => sink.requests.length === 1);
+
+  const payload = sink.requests[0].json;
+  expect(payload).toMatchObject({ username: 'Bot', content: '@here' });
+  expect(payload.embeds).toHaveLength(1);
+  expect(payload.embeds[0]).toMatchObject({
+    title: '🔴 Server down',
+    description: 'Lobby is offline',
+    color: 0xe74c3c,
+    footer: { text: 'ShrekAPI • alert' }
+  });
+  expect(payload.embeds[0].fields).toEqual([
+    { name: 'Severity', value: 'critical', inline: true },
+    { name: 'Server', value: 'Lobby', inline: true },
+    { name: 'Alert', value: 'server_offline', inline: true }
+  ]);
+});
+
+test('sends Slack attachments', async () => {
+  sink = await startSink();
+  addChannel({ url: sink.url, type: 'slack', options: { channel: '#ops' } });
+
+  notify({ event: 'alert', severity: 'warning', title: 'High ping', message: '250ms', serverName: 'Lobby', serverId: 's1', alertType: 'high_ping' });
+  await waitFor(() => sink.requests.length === 1);
+
+  const payload = sink.requests[0].json;
+  expect(payload).toMatchObject({ text: '🟡 *High ping*', channel: '#ops' });
+  expect(payload.attachments).toHaveLength(1);
+  expect(payload.attachments[0]).toMatchObject({
+    color: '#f1c40f',
+    text: '250ms',
+    fallback: 'High ping: 250ms',
+    footer: 'ShrekAPI'
+  });
+  expect(typeof payload.attachments[0].ts).toBe('number');
+});
+
+test('routes notifications by severity', async () => {
+  sink = await startSink();
+  const critical = addChannel({ url: `${sink.url}?critical`, severities: ['critical'] });
+  const everything = addChannel({ url: `${sink.url}?all` });
+
+  const queued = notify({ event: 'automation', severity: 'warning', title: 'Warning only' });
+  expect(queued.map(delivery => delivery.channelId)).toEqual([everything.id]);
+
+  const both = notify({ event: 'automation', severity: 'critical', title: 'Critical' });
+  expect(both.map(delivery => delivery.channelId).sort()).toEqual([critical.id, everything.id].sort());
+
+  await waitFor(() => sink.requests.length === 3);
+});
+
+test('throttles repeats of the same alert per channel', async () => {
+  sink = await startSink();
+  addChannel({ url: sink.url, throttle: 60 });
+  const alert = { event: 'alert', severity: 'critical', title: 'Down', serverId: 's1', alertType: 'server_offline' };
+
+  expect(notify(alert)).toHaveLength(1);
+  expect(notify(alert)).toHaveLength(0);
+  expect(notify({ ...alert, serverId: 's2' })).toHaveLength(1);
+  expect(notify({ ...alert, event: 'automation' })).toHaveLength(1);
+  expect(notify({ ...alert, event: 'automation' })).toHaveLength(0);
+
+  await waitFor(() => sink.requests.length === 3);
+});
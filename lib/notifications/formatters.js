@@ -0,0 +1,86 @@
+// Request bodies for each notification channel type
+
+const SEVERITY_COLORS = {
+  critical: 0xe74c3c,
+  warning: 0xf1c40f,
+  info: 0x3498db
+};
+
+const SEVERITY_EMOJI = {
+  critical: '🔴',
+  warning: '🟡',
+  info: '🔵'
+};
+
+function toHexColor(severity) {
+  return `#${(SEVERITY_COLORS[severity] || SEVERITY_COLORS.info).toString(16).padStart(6, '0')}`;
+}
+
+// Generic JSON webhook: the notification as-is plus an envelope
+function formatWebhook(notification) {
+  return {
+    event: notification.event,
+    id: notification.id,
+    severity: notification.severity,
+    title: notification.title,
+    message: notification.message,
+    server: notification.serverId ? { id: notification.serverId, name: notification.serverName } : null,
+    alertType: notification.alertType || null,
+    data: notification.data || {},
+    timestamp: notification.timestamp
+  };
+}
+
+// Discord execute-webhook body with a single embed
+function formatDiscord(notification, channel) {
+  const fields = [{ name: 'Severity', value: notification.severity, inline: true }];
+  if (notification.serverName) fields.push({ name: 'Server', value: notification.serverName, inline: true });
+  if (notification.alertType) fields.push({ name: 'Alert', value: notification.alertType, inline: true });
+
+  return {
+    username: channel.options?.username || 'ShrekAPI',
+    ...(channel.options?.avatarUrl && { avatar_url: channel.options.avatarUrl }),
+    ...(channel.options?.mention && { content: channel.options.mention }),
+    embeds: [{
+      title: `${SEVERITY_EMOJI[notification.severity] || ''} ${notification.title}`.trim().slice(0, 256),
+      description: (notification.message || '').slice(0, 4096),
+      color: SEVERITY_COLORS[notification.severity] || SEVERITY_COLORS.info,
+      fields,
+      timestamp: notification.timestamp,
+      footer: { text: `ShrekAPI • ${notification.event}` }
+    }],
+    allowed_mentions: { parse: channel.options?.mention ? ['roles', 'users', 'everyone'] : [] }
+  };
+}
+
+// Slack incoming-webhook body (also accepted by Mattermost and Rocket.Chat)
+function formatSlack(notification, channel) {
+  const fields = [{ title: 'Severity', value: notification.severity, short: true }];
+  if (notification.serverName) fields.push({ title: 'Server', value: notification.serverName, short: true });
+  if (notification.alertType) fields.push({ title: 'Alert', value: notification.alertType, short: true });
+
+  return {
+    text: `${SEVERITY_EMOJI[notification.severity] || ''} *${notification.title}*`.trim(),
+    ...(channel.options?.username && { username: channel.options.username }),
+    ...(channel.options?.channel && { channel: channel.options.channel }),
+    attachments: [{
+      color: toHexColor(notification.severity),
+      fallback: `${notification.title}: ${notification.message}`,
+      text: notification.message,
+      fields,
+      footer: 'ShrekAPI',
+      ts: Math.floor(new Date(notification.timestamp).getTime() / 1000)
+    }]
+  };
+}
+
+const FORMATTERS = {
+  webhook: formatWebhook,
+  discord: formatDiscord,
+  slack: formatSlack
+};
+
+module.exports = {
+  FORMATTERS,
+  CHANNEL_TYPES: Object.keys(FORMATTERS)
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createCollection } = require('../storage');
+const { FORMATTERS, CHANNEL_TYPES } = require('./formatters');
+
+// Notification delivery: registered channels, severity routing, retries
+// with exponential backoff and a persisted delivery log.
+//
+// Payloads for channels with a secret are signed: the X-ShrekAPI-Signature
+// header is "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`) where
+// timestamp is the X-ShrekAPI-Timestamp header (unix seconds).
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+const EVENTS = ['alert', 'automation', 'test'];
+const MAX_LOG_ENTRIES = 1000;
+const REQUEST_TIMEOUT = 10000;
+const DEFAULT_RETRY = { maxAttempts: 5, baseDelay: 1000, maxDelay: 60000 };
+const DEFAULT_THROTTLE = 300; // seconds between repeats of the same server alert
+
+const channels = createCollection('notifications.channels');
+const deliveries = createCollection('notifications.deliveries');
+const retryTimers = new Map();
+const lastAlertSent = new Map(); // `${channelId}:${event}:${serverId}:${alertType}` -> timestamp
+
+function validateChannel(channel) {
+  if (!channel.name) return 'Channel name is required';
+  if (!CHANNEL_TYPES.includes(channel.type)) {
+    return `Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`;
+  }
+  if (!/^https?:\/\//i.test(channel.url || '')) {
+    return 'Channel url must be an http(s) URL';
+  }
+
+  const unknownSeverities = (channel.severities || []).filter(severity => !SEVERITIES.includes(severity));
+  if (unknownSeverities.length > 0) {
+    return `Unknown severities: ${unknownSeverities.join(', ')}`;
+  }
+  const unknownEvents = (channel.events || []).filter(event => !EVENTS.includes(event));
+  if (unknownEvents.length > 0) {
+    return `Unknown events: ${unknownEvents.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Route a notification to a channel? Empty filters match everything.
+function channelMatches(channel, notification) {
+  if (!channel.enabled) return false;
+  if (notification.event === 'test') return true;
+
+  const matchesList = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+  return matchesList(channel.events, notification.event) &&
+    matchesList(channel.severities, notification.severity) &&
+    matchesList(channel.alertTypes, notification.alertType) &&
+    matchesList(channel.serverIds, notification.serverId);
+}
+
+// Monitoring raises the same alert on every failing check, and automation
+// rules reacting to it notify again; anything about an alert is only passed
+// on once per channel.throttle seconds for each event, server and alert type
+function isThrottled(channel, notification) {
+  if (notification.event === 'test' || !notification.alertType) return false;
+
+  const throttle = (channel.throttle ?? DEFAULT_THROTTLE) * 1000;
+  const key = `${channel.id}:${notification.event}:${notification.serverId}:${notification.alertType}`;
+  const now = Date.now();
+  if (now - (lastAlertSent.get(key) || 0) < throttle) return true;
+
+  lastAlertSent.set(key, now);
+  return false;
+}
+
+function createNotification(fields) {
+  return {
+    id: crypto.randomUUID(),
+    event: fields.event || 'alert',
+    severity: SEVERITIES.includes(fields.severity) ? fields.severity : 'info',
+    title: fields.title || 'Notification',
+    message: fields.message || '',
+    serverId: fields.serverId || null,
+    serverName: fields.serverName || null,
+    alertType: fields.alertType || null,
+    data: fields.data || {},
+    timestamp: fields.timestamp || new Date().toISOString()
+  };
+}
+
+// Queue a notification on every matching channel (or only on channelIds).
+// Delivery happens in the background; the created log entries are returned.
+function notify(fields, { channelIds = null } = {}) {
+  const notification = createNotification(fields);
+  const explicit = Array.isArray(channelIds) && channelIds.length > 0;
+  const targets = Array.from(channels.values())
+    .filter(channel => explicit ? channelIds.includes(channel.id) && channel.enabled : channelMatches(channel, notification))
+    .filter(channel => !isThrottled(channel, notification));
+
+  return targets.map(channel => {
+    const delivery = {
+      id: crypto.randomUUID(),
+      channelId: channel.id,
+      channelName: channel.name,
+      channelType: channel.type,
+      notification,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: new Date().toISOString()
+    };
+
+    saveDelivery(delivery);
+    setImmediate(() => attemptDelivery(delivery.id));
+    return delivery;
+  });
+}
+
+// Send once and wait for the outcome (used by the channel test endpoint)
+async function sendTestNotification(channelId) {
+  const channel = channels.get(channelId);
+  if (!channel) return null;
+
+  const notification = createNotification({
+    event: 'test',
+    severity: 'info',
+    title: 'ShrekAPI test notification',
+    message: `Channel "${channel.name}" is configured correctly.`
+  });
+
+  const delivery = {
+    id: crypto.randomUUID(),
+    channelId: channel.id,
+    channelName: channel.name,
+    channelType: channel.type,
+    notification,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    nextAttemptAt: null
+  };
+  saveDelivery(delivery);
+
+  // Tests report the first attempt directly instead of retrying
+  await attemptDelivery(delivery.id, { retry: false });
+  return deliveries.get(delivery.id);
+}
+
+async function attemptDelivery(deliveryId, { retry = true } = {}) {
+  retryTimers.delete(deliveryId);
+
+  const delivery = deliveries.get(deliveryId);
+  if (!delivery || ['delivered', 'failed'].includes(delivery.status)) return;
+
+  const channel = channels.get(delivery.channelId);
+  if (!channel) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.attempts.push({ attempt: delivery.attempts.length + 1, at: new Date().toISOString(), error: 'Channel was deleted' });
+    saveDelivery(delivery);
+    return;
+  }
+
+  const retryPolicy = { ...DEFAULT_RETRY, ...(channel.retry || {}) };
+  const attempt = await sendToChannel(channel, delivery);
+  attempt.attempt = delivery.attempts.length + 1;
+  delivery.attempts.push(attempt);
+
+  if (attempt.success) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = attempt.at;
+    delivery.nextAttemptAt = null;
+  } else if (retry && attempt.retryable && delivery.attempts.length < retryPolicy.maxAttempts) {
+    const delay = attempt.retryAfter || getBackoffDelay(delivery.attempts.length, retryPolicy);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    scheduleRetry(delivery.id, delay);
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  }
+
+  saveDelivery(delivery);
+}
+
+async function sendToChannel(channel, delivery) {
+  const body = JSON.stringify(FORMATTERS[channel.type](delivery.notification, channel));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'ShrekAPI-Notifications/1.0',
+    'X-ShrekAPI-Event': delivery.notification.event,
+    'X-ShrekAPI-Delivery': delivery.id,
+    ...(channel.headers || {})
+  };
+
+  if (channel.secret) {
+    Object.assign(headers, signPayload(channel.secret, body));
+  }
+
+  const startTime = Date.now();
+  const at = new Date().toISOString();
+  try {
+    const response = await axios.post(channel.url, body, {
+      headers,
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformRequest: [data => data]
+    });
+
+    const success = response.status >= 200 && response.status < 300;
+    const result = { at, status: response.status, duration: Date.now() - startTime, success };
+    if (!success) {
+      result.error = `HTTP ${response.status}`;
+      // Retry rate limits and server errors; other 4xx won't fix themselves
+      result.retryable = response.status === 429 || response.status >= 500;
+      result.retryAfter = getRetryAfter(response);
+    }
+    return result;
+  } catch (error) {
+    return {
+      at,
+      status: null,
+      duration: Date.now() - startTime,
+      success: false,
+      retryable: true,
+      error: error.code === 'ECONNABORTED' ? `Timed out after ${REQUEST_TIMEOUT}ms` : error.message
+    };
+  }
+}
+
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-ShrekAPI-Timestamp': String(timestamp),
+    'X-ShrekAPI-Signature': `sha256=${signature}`
+  };
+}
+
+// Retry-After in seconds (header) or Discord's retry_after body field
+function getRetryAfter(response) {
+  const header = parseFloat(response.headers?.['retry-after']);
+  if (header > 0) return Math.min(header * 1000, DEFAULT_RETRY.maxDelay);
+
+  const bodyValue = parseFloat(response.data?.retry_after);
+  if (bodyValue > 0) return Math.min(bodyValue * 1000, DEFAULT_RETRY.maxDelay);
+
+  return null;
+}
+
+// Exponential backoff with full jitter: random(0.5..1) * base * 2^(attempt-1)
+function getBackoffDelay(attempt, { baseDelay, maxDelay }) {
+  const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  return Math.round(delay * (0.5 + Math.random() * 0.5));
+}
+
+function scheduleRetry(deliveryId, delay) {
+  const timer = setTimeout(() => {
+    attemptDelivery(deliveryId).catch(error => {
+      console.error(`Notification delivery ${deliveryId} failed:`, error);
+    });
+  }, delay);
+  timer.unref();
+  retryTimers.set(deliveryId, timer);
+}
+
+function saveDelivery(delivery) {
+  deliveries.set(delivery.id, delivery);
+
+  // Map iteration follows insertion order, so the first keys are the oldest
+  if (deliveries.size > MAX_LOG_ENTRIES) {
+    const excess = deliveries.size - MAX_LOG_ENTRIES;
+    Array.from(deliveries.keys()).slice(0, excess).forEach(id => {
+      if (!retryTimers.has(id)) deliveries.delete(id);
+    });
+  }
+}
+
+function listDeliveries({ channelId, status, event, limit = 50 } = {}) {
+  let entries = Array.from(deliveries.values()).reverse();
+  if (channelId) entries = entries.filter(entry => entry.channelId === channelId);
+  if (status) entries = entries.filter(entry => entry.status === status);
+  if (event) entries = entries.filter(entry => entry.notification.event === event);
+  return { total: entries.length, deliveries: entries.slice(0, limit) };
+}
+
+function getDelivery(deliveryId) {
+  return deliveries.get(deliveryId) || null;
+}
+
+// Re-queue a failed delivery with a fresh attempt budget
+function redeliver(deliveryId) {
+  const delivery = deliveries.get(deliveryId);
+  if (!delivery) return null;
+
+  delivery.status = 'pending';
+  delivery.nextAttemptAt = new Date().toISOString();
+  delivery.attempts = [];
+  saveDelivery(delivery);
+  setImmediate(() => attemptDelivery(delivery.id));
+  return delivery;
+}
+
+// Never hand secrets back out after creation
+function formatChannel(channel) {
+  const { secret, ...rest } = channel;
+  return { ...rest, signed: Boolean(secret) };
+}
+
+// Deliveries interrupted by a restart pick up where they left off
+deliveries.forEach(delivery => {
+  if (['pending', 'retrying'].includes(delivery.status)) {
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+    scheduleRetry(delivery.id, delay);
+  }
+});
+
+module.exports = {
+  SEVERITIES,
+  EVENTS,
+  CHANNEL_TYPES,
+  channels,
+  validateChannel,
+  notify,
+  sendTestNotification,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  formatChannel,
+  signPayload
+};
@@ -0,0 +1,30 @@
+const { getRequestCost } = require('../costs');
+
+function request(method, path, { body = {}, query = {}, headers = {} } = {}) {
+  return { method, path, body, query, headers };
+}
+
+test('charges batch endpoints per item', () => {
+  const servers = ['a', 'b', 'c', 'd', 'e'];
+  expect(getRequestCost(request('POST', '/api/mc/servers/ping/batch', { body: { servers } }))).toBe(5);
+  expect(getRequestCost(request('POST', '/api/mc/servers/ping/batch/', { body: { servers } }))).toBe(5);
+  expect(getRequestCost(request('GET', '/api/mc/servers/ping/batch', { body: { servers } }))).toBe(1);
+});
+
+test('matches paths regardless of case, like Express routing', () => {
+  const servers = ['a', 'b', 'c', 'd', 'e'];
+  expect(getRequestCost(request('POST', '/api/mc/servers/PING/BATCH', { body: { servers } }))).toBe(5);
+  expect(getRequestCost(request('POST', '/API/MC/Config/Server/Lobby/RCON', { body: { commands: ['list', 'tps'] } }))).toBe(2);
+  expect(getRequestCost(request('GET', '/api/Utils/DNS/example.com'))).toBe(2);
+});
+
+test('charges requests without a rule one point', () => {
+  expect(getRequestCost(request('GET', '/api/mc/servers/status/example.com'))).toBe(1);
+});
+
+test('charges /servers/analyze per sample the route will take', () => {
+  expect(getRequestCost(request('GET', '/api/mc/servers/analyze', { query: { samples: '3', interval: '500' } }))).toBe(3);
+  expect(getRequestCost(request('GET', '/api/mc/servers/analyze', { query: { interval: '500' } }))).toBe(5);
+  expect(getRequestCost(request('GET', '/api/mc/servers/analyze', { query: { duration: '5' } }))).toBe(6);
+  expect(getRequestCost(request('GET', '/api/mc/servers/analyze', { query: { duration: '120' } }))).toBe(20);
+});
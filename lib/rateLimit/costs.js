@@ -0,0 +1,65 @@
+// Point cost of a request. Most requests cost 1; batch endpoints charge per
+// item so one call covering 100 servers weighs the same as 100 single calls.
+
+const MAX_ANALYZE_SAMPLES = 20;
+
+const ROUTE_COSTS = [
+  { method: 'POST', path: '/api/mc/servers/ping/batch', cost: req => perItem(req.body.servers) },
+  { method: 'POST', path: '/api/mc/servers/compare', cost: req => perItem(req.body.servers) },
+  { method: 'GET', path: '/api/mc/servers/analyze', cost: req => clamp(analyzeSamples(req.query), 1, MAX_ANALYZE_SAMPLES) },
+  { method: 'POST', path: '/api/mc/players/profiles/batch', cost: req => perItem(req.body.usernames) },
+  { method: 'POST', path: '/api/mc/players/compare', cost: req => perItem(req.body.usernames) },
+  { method: 'POST', path: '/api/mc/config/servers/bulk', cost: req => perItem(req.body.serverIds) },
+  { method: 'POST', path: /^\/api\/mc\/config\/server\/[^/]+\/rcon$/, cost: req => perItem(req.body.commands) },
+  { method: 'POST', path: '/api/mc/permissions/bulk', cost: req => perItem(req.body.targets) },
+  // Message analysis is local and cheap, so charge per 10 messages
+  { method: 'POST', path: '/api/mc/moderation/chat/batch-analyze', cost: req => Math.ceil(perItem(req.body.messages) / 10) },
+  // World and schematic uploads are parsed in full, so charge per 10 MB uploaded
+  { method: 'POST', path: /^\/api\/mc\/worlds(\/backup\/analyze|\/optimize|\/convert)?$/, cost: req => perMegabytes(req, 10) },
+  { method: 'POST', path: /^\/api\/mc\/schematics\/(analyze|convert|materials)$/, cost: req => perMegabytes(req, 10) },
+  // Seed searches run on worker threads, so charge per 100k seeds scanned
+  { method: 'POST', path: '/api/mc/worlds/seed/generate', cost: req => Math.ceil((parseInt(req.body.count) || 100000) / 100000) },
+  // Lookups that reach out to third-party services
+  { method: 'GET', path: /^\/api\/utils\/(ip|dns|ssl)(\/|$)/, cost: 2 }
+];
+
+function getRequestCost(req) {
+  const rule = ROUTE_COSTS.find(entry => entry.method === req.method && matchesPath(entry.path, req.path));
+  if (!rule) return 1;
+
+  const cost = typeof rule.cost === 'function' ? rule.cost(req) : rule.cost;
+  return Math.max(1, Math.ceil(cost) || 1);
+}
+
+// Express matches routes case-insensitively, so the costs do as well
+function matchesPath(pattern, path) {
+  const normalized = (path.length > 1 ? path.replace(/\/+$/, '') : path).toLowerCase();
+  return pattern instanceof RegExp ? pattern.test(normalized) : pattern === normalized;
+}
+
+function perItem(items) {
+  return Array.isArray(items) ? items.length : 1;
+}
+
+function perMegabytes(req, megabytes) {
+  const length = parseInt(req.headers['content-length']) || 0;
+  return 1 + Math.floor(length / (megabytes * 1024 * 1024));
+}
+
+// Same sample count as the /analyze route: samples (default 5), or one per
+// second of a duration plus one at the start
+function analyzeSamples({ samples, interval, duration }) {
+  if (samples !== undefined || interval !== undefined || duration === undefined) {
+    return parseInt(samples ?? 5) || 1;
+  }
+  return Math.max(parseInt(duration) || 1, 1) + 1;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+module.exports = {
+  ROUTE_COSTS,
+  getRequestCost
+};
@@ -0,0 +1,172 @@
+const { RateLimiterMemory, RateLimiterRedis } = require('rate-limiter-flexible');
+const { authenticateKey, extractKey } = require('../auth/apiKeys');
+const { getRequestCost } = require('./costs');
+
+// Tiered rate limiting. Requests carrying a valid API key are limited per
+// key using the key's tier; everything else is limited per IP using the
+// anonymous tier. Each tier is a budget of points per window, and every
+// request spends the cost computed in ./costs.
+//
+// Set RATE_LIMIT_REDIS_URL (or REDIS_URL) to share counters between
+// instances. Redis is optional; without it counters live in memory.
+
+const DEFAULT_KEY_TIER = 'standard';
+const ADMIN_TIER = 'premium';
+
+function getTiers() {
+  const tiers = {
+    anonymous: {
+      points: parseInt(process.env.RATE_LIMIT_POINTS) || 100,
+      duration: parseInt(process.env.RATE_LIMIT_DURATION) || 60
+    },
+    standard: { points: 600, duration: 60 },
+    premium: { points: 3000, duration: 60 }
+  };
+
+  // e.g. RATE_LIMIT_TIERS={"standard":{"points":1000,"duration":60},"partner":{"points":10000,"duration":60}}
+  if (process.env.RATE_LIMIT_TIERS) {
+    let overrides;
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMIT_TIERS);
+    } catch (error) {
+      throw new Error(`RATE_LIMIT_TIERS is not valid JSON: ${error.message}`);
+    }
+
+    for (const [name, tier] of Object.entries(overrides)) {
+      const points = parseInt(tier.points);
+      const duration = parseInt(tier.duration);
+      if (!(points > 0) || !(duration > 0)) {
+        throw new Error(`RATE_LIMIT_TIERS.${name} needs positive points and duration`);
+      }
+      tiers[name] = { points, duration };
+    }
+  }
+
+  return tiers;
+}
+
+const tiers = getTiers();
+const limiters = new Map();
+let redisClient;
+
+function getRedisClient() {
+  if (redisClient !== undefined) return redisClient;
+
+  const url = process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL;
+  if (!url) {
+    redisClient = null;
+    return redisClient;
+  }
+
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (error) {
+    throw new Error('RATE_LIMIT_REDIS_URL requires the ioredis package (npm install ioredis)');
+  }
+
+  redisClient = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  redisClient.on('error', (error) => console.error('Rate limit Redis error:', error.message));
+  return redisClient;
+}
+
+function getLimiter(tierName) {
+  if (limiters.has(tierName)) return limiters.get(tierName);
+
+  const tier = tiers[tierName];
+  const options = {
+    keyPrefix: `shrekapi:rl:${tierName}`,
+    points: tier.points,
+    duration: tier.duration
+  };
+
+  const client = getRedisClient();
+  const limiter = client
+    ? new RateLimiterRedis({
+      ...options,
+      storeClient: client,
+      // Keep limiting from local memory while Redis is unreachable
+      insuranceLimiter: new RateLimiterMemory(options)
+    })
+    : new RateLimiterMemory(options);
+
+  limiters.set(tierName, limiter);
+  return limiter;
+}
+
+// Work out who is paying for the request: an API key or the client IP
+function resolveConsumer(req) {
+  const apiKey = authenticateKey(extractKey(req));
+  if (apiKey) {
+    const tier = apiKey.id === 'admin' ? ADMIN_TIER : apiKey.tier || DEFAULT_KEY_TIER;
+    return { key: `key:${apiKey.id}`, tier: tiers[tier] ? tier : DEFAULT_KEY_TIER };
+  }
+  return { key: `ip:${req.ip}`, tier: 'anonymous' };
+}
+
+function setRateLimitHeaders(res, tier, result) {
+  const reset = Math.max(0, Math.ceil(result.msBeforeNext / 1000));
+  res.set({
+    'RateLimit-Limit': String(tier.points),
+    'RateLimit-Remaining': String(Math.max(0, result.remainingPoints)),
+    'RateLimit-Reset': String(reset),
+    'RateLimit-Policy': `${tier.points};w=${tier.duration}`
+  });
+  return reset;
+}
+
+function rateLimitMiddleware() {
+  return async (req, res, next) => {
+    const consumer = resolveConsumer(req);
+    const tier = tiers[consumer.tier];
+    const cost = getRequestCost(req);
+
+    if (cost > tier.points) {
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Request costs ${cost} points but the ${consumer.tier} tier allows ${tier.points} per ${tier.duration} seconds. Split it into smaller batches.`,
+        cost,
+        tier: consumer.tier
+      });
+    }
+
+    try {
+      const result = await getLimiter(consumer.tier).consume(consumer.key, cost);
+      setRateLimitHeaders(res, tier, result);
+      next();
+    } catch (rejRes) {
+      if (rejRes instanceof Error) {
+        // Store failure: don't take the API down with the limiter
+        console.error('Rate limiter failure:', rejRes.message);
+        return next();
+      }
+
+      const retryAfter = Math.max(1, setRateLimitHeaders(res, tier, rejRes));
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: 'Rate limit exceeded. Try again later.',
+        retryAfter,
+        cost,
+        tier: consumer.tier
+      });
+    }
+  };
+}
+
+function getTierNames() {
+  return Object.keys(tiers).filter(name => name !== 'anonymous');
+}
+
+function getRateLimitInfo() {
+  return {
+    backend: getRedisClient() ? 'redis' : 'memory',
+    tiers
+  };
+}
+
+module.exports = {
+  rateLimitMiddleware,
+  getTierNames,
+  getRateLimitInfo
+};
@@ -0,0 +1,114 @@
+// Realtime event hub shared by the SSE endpoint and the WebSocket server.
+//
+// Every published event gets a numeric, increasing ID and is kept in a
+// ring buffer so a reconnecting client can send the last ID it saw and
+// receive what it missed. IDs start at the boot time in milliseconds, which
+// keeps them increasing across restarts; a client whose ID is older than the
+// buffer is sent a fresh snapshot instead.
+
+const BUFFER_SIZE = parseInt(process.env.REALTIME_BUFFER_SIZE) || 1000;
+const EVENT_TYPES = ['check', 'status', 'players', 'alert'];
+
+let nextEventId = Date.now();
+const buffer = [];
+const subscribers = new Set();
+
+function publish(type, serverId, data) {
+  const event = {
+    id: nextEventId++,
+    type,
+    serverId,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  for (const subscriber of subscribers) {
+    if (matchesFilter(event, subscriber.filter)) {
+      try {
+        subscriber.listener(event);
+      } catch (error) {
+        console.error('Realtime subscriber failed:', error);
+      }
+    }
+  }
+
+  return event;
+}
+
+// filter: { serverIds: string[] | null, events: string[] | null }
+// Returns an object whose filter can be changed in place and an unsubscribe
+function subscribe(filter, listener) {
+  const subscriber = { filter: normalizeFilter(filter), listener };
+  subscribers.add(subscriber);
+
+  return {
+    setFilter(newFilter) {
+      subscriber.filter = normalizeFilter(newFilter);
+    },
+    getFilter() {
+      return subscriber.filter;
+    },
+    unsubscribe() {
+      subscribers.delete(subscriber);
+    }
+  };
+}
+
+// Events after lastEventId that match the filter. `complete` is false when
+// the buffer no longer reaches back to lastEventId.
+function getEventsSince(lastEventId, filter) {
+  const normalized = normalizeFilter(filter);
+  const id = parseInt(lastEventId);
+  if (!Number.isFinite(id)) {
+    return { complete: false, events: [] };
+  }
+
+  const oldest = buffer.length > 0 ? buffer[0].id : nextEventId;
+  return {
+    complete: id >= oldest - 1,
+    events: buffer.filter(event => event.id > id && matchesFilter(event, normalized))
+  };
+}
+
+function normalizeFilter(filter = {}) {
+  // null means "all"; an explicit empty array means "none"
+  const list = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+  };
+
+  return {
+    serverIds: list(filter.serverIds),
+    events: list(filter.events)
+  };
+}
+
+function matchesFilter(event, filter) {
+  return (!filter.serverIds || filter.serverIds.includes(event.serverId)) &&
+    (!filter.events || filter.events.includes(event.type));
+}
+
+function getLastEventId() {
+  return nextEventId - 1;
+}
+
+function getSubscriberCount() {
+  return subscribers.size;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe,
+  getEventsSince,
+  normalizeFilter,
+  getLastEventId,
+  getSubscriberCount
+};
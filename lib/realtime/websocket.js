@@ -0,0 +1,146 @@
+const { URL } = require('url');
+const { subscribe, getEventsSince, normalizeFilter, getLastEventId } = require('./index');
+
+// WebSocket transport for the realtime hub. Clients connect to
+// /api/mc/dashboard/realtime/ws (optionally with ?servers=&events=&lastEventId=)
+// and can change their subscription with JSON messages:
+//   { "type": "subscribe", "servers": ["<serverId>"], "events": ["alert"], "lastEventId": 123 }
+//   { "type": "unsubscribe", "servers": ["<serverId>"] }
+//   { "type": "ping" }
+// Events are sent as { "type": "event", "id", "event", "serverId", "timestamp", "data" }.
+
+const WS_PATH = '/api/mc/dashboard/realtime/ws';
+const HEARTBEAT_INTERVAL = 30000;
+
+function attachRealtimeWebSocket(server, { getSnapshot }) {
+  let WebSocketServer;
+  try {
+    ({ WebSocketServer } = require('ws'));
+  } catch (error) {
+    console.warn('⚠️  ws package is not installed; realtime WebSocket endpoint disabled (SSE still works)');
+    return null;
+  }
+
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      // A malformed URL would otherwise throw out of the upgrade handler
+      socket.once('finish', socket.destroy);
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    if (url.pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, url));
+  });
+
+  wss.on('connection', (ws, url) => {
+    const send = (message) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+    const sendEvent = (event) => send({
+      type: 'event',
+      id: event.id,
+      event: event.type,
+      serverId: event.serverId,
+      timestamp: event.timestamp,
+      data: event.data
+    });
+
+    const subscription = subscribe({
+      serverIds: url.searchParams.get('servers'),
+      events: url.searchParams.get('events')
+    }, sendEvent);
+
+    const replay = (lastEventId) => {
+      const filter = subscription.getFilter();
+      const missed = lastEventId !== null && lastEventId !== undefined
+        ? getEventsSince(lastEventId, filter)
+        : { complete: false, events: [] };
+
+      if (!missed.complete) {
+        send({ type: 'snapshot', id: getLastEventId(), data: getSnapshot(filter.serverIds) });
+      }
+      missed.events.forEach(sendEvent);
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return send({ type: 'error', error: 'Messages must be JSON' });
+      }
+
+      const current = subscription.getFilter();
+      switch (message.type) {
+        case 'subscribe': {
+          const requested = normalizeFilter({ serverIds: message.servers, events: message.events });
+          let serverIds = current.serverIds;
+          if (requested.serverIds && requested.serverIds.length > 0) {
+            // Subscribing to servers narrows an "all servers" subscription
+            serverIds = current.serverIds
+              ? Array.from(new Set([...current.serverIds, ...requested.serverIds]))
+              : requested.serverIds;
+          }
+          subscription.setFilter({ serverIds, events: requested.events?.length ? requested.events : current.events });
+          send({ type: 'subscribed', ...subscription.getFilter() });
+          if (message.lastEventId !== undefined || message.snapshot) {
+            replay(message.lastEventId ?? null);
+          }
+          break;
+        }
+        case 'unsubscribe': {
+          const removed = normalizeFilter({ serverIds: message.servers }).serverIds || [];
+          if (current.serverIds) {
+            subscription.setFilter({
+              serverIds: current.serverIds.filter(id => !removed.includes(id)),
+              events: current.events
+            });
+          }
+          send({ type: 'subscribed', ...subscription.getFilter() });
+          break;
+        }
+        case 'ping':
+          send({ type: 'pong', lastEventId: getLastEventId() });
+          break;
+        default:
+          send({ type: 'error', error: `Unknown message type: ${message.type}` });
+      }
+    });
+
+    ws.on('close', () => subscription.unsubscribe());
+    ws.on('error', () => subscription.unsubscribe());
+
+    send({ type: 'subscribed', ...subscription.getFilter() });
+    replay(url.searchParams.get('lastEventId'));
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  WS_PATH,
+  attachRealtimeWebSocket
+};
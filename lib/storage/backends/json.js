@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per collection. Every write goes to a temporary file that
+// is fsynced and then renamed over the original, so a crash mid-write
+// leaves the previous version intact.
+
+function createJsonBackend({ directory }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (collection) => path.join(directory, `${collection.replace(/[^a-zA-Z0-9._-]/g, '_')}.json`);
+
+  return {
+    name: 'json',
+
+    load(collection) {
+      const file = fileFor(collection);
+      if (!fs.existsSync(file)) return [];
+
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to read storage file ${file}: ${error.message}`);
+      }
+
+      return (data.entries || []).map(([key, value]) => [key, JSON.stringify(value)]);
+    },
+
+    write(collection, { entries }) {
+      const file = fileFor(collection);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      const body = `{"version":1,"collection":${JSON.stringify(collection)},"updatedAt":"${new Date().toISOString()}","entries":[` +
+        entries.map(([key, value]) => `[${JSON.stringify(key)},${value}]`).join(',') +
+        ']}';
+
+      const fd = fs.openSync(tempFile, 'w');
+      try {
+        fs.writeFileSync(fd, body);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempFile, file);
+    },
+
+    close() {}
+  };
+}
+
+module.exports = createJsonBackend;
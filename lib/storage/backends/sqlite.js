@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// SQLite backend (better-sqlite3). Each flush applies its upserts and
+// deletes inside a single transaction, so readers never see half a flush.
+
+function createSqliteBackend({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )
+  `);
+
+  const selectAll = db.prepare('SELECT key, value FROM records WHERE collection = ?');
+  const upsert = db.prepare(`
+    INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const remove = db.prepare('DELETE FROM records WHERE collection = ? AND key = ?');
+
+  const applyChanges = db.transaction((collection, upserts, deletes) => {
+    const updatedAt = new Date().toISOString();
+    for (const [key, value] of upserts) {
+      upsert.run(collection, JSON.stringify(key), value, updatedAt);
+    }
+    for (const key of deletes) {
+      remove.run(collection, JSON.stringify(key));
+    }
+  });
+
+  return {
+    name: 'sqlite',
+
+    load(collection) {
+      return selectAll.all(collection).map(row => [JSON.parse(row.key), row.value]);
+    },
+
+    write(collection, { upserts, deletes }) {
+      applyChanges(collection, upserts, deletes);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = createSqliteBackend;
@@ -0,0 +1,47 @@
+// JSON codec that round-trips the Map and Set instances our route state is
+// built from (economy players, permission group members, shop customers...)
+
+function encode(value) {
+  return JSON.stringify(value, (key, current) => {
+    if (current instanceof Map) {
+      return { $map: Array.from(current.entries()) };
+    }
+    if (current instanceof Set) {
+      return { $set: Array.from(current.values()) };
+    }
+    return current;
+  });
+}
+
+function decode(text) {
+  return revive(JSON.parse(text));
+}
+
+function revive(value) {
+  if (Array.isArray(value)) {
+    return value.map(revive);
+  }
+
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.$map) && Object.keys(value).length === 1) {
+      return new Map(value.$map.map(([key, entry]) => [revive(key), revive(entry)]));
+    }
+    if (Array.isArray(value.$set) && Object.keys(value).length === 1) {
+      return new Set(value.$set.map(revive));
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = revive(entry);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+module.exports = {
+  encode,
+  decode,
+  revive
+};
@@ -0,0 +1,224 @@
+const path = require('path');
+const { encode, decode } = require('./codec');
+const createJsonBackend = require('./backends/json');
+const createSqliteBackend = require('./backends/sqlite');
+
+// Repository layer for route state that has to survive restarts.
+//
+// Collections behave like the Maps (and arrays) the routes already use;
+// the backend is picked with STORAGE_DRIVER:
+//   memory - nothing is persisted (default, suits read-only filesystems)
+//   json   - one file per collection under STORAGE_PATH
+//   sqlite - a single database file at STORAGE_PATH/shrekapi.db
+//
+// Data is loaded synchronously when a collection is created. Changes are
+// flushed shortly after set/delete/touch; the periodic flush retries
+// collections whose last write failed. Objects edited in place must be
+// set() again or touch()ed, or they are only written by the full flush
+// when the process is asked to stop.
+
+const DRIVERS = ['memory', 'json', 'sqlite'];
+const FLUSH_DELAY = 100;
+
+let backend = null;
+let flushTimer = null;
+const registry = new Map();
+
+function getStorageConfig() {
+  const driver = (process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+  }
+
+  return {
+    driver,
+    directory: path.resolve(process.env.STORAGE_PATH || 'data'),
+    flushInterval: (parseInt(process.env.STORAGE_FLUSH_INTERVAL) || 5) * 1000
+  };
+}
+
+function getBackend() {
+  if (backend) return backend;
+
+  const config = getStorageConfig();
+  switch (config.driver) {
+    case 'json':
+      backend = createJsonBackend({ directory: config.directory });
+      break;
+    case 'sqlite':
+      backend = createSqliteBackend({ file: path.join(config.directory, 'shrekapi.db') });
+      break;
+    default:
+      backend = { name: 'memory', load: () => [], write: () => {}, close: () => {} };
+  }
+
+  if (backend.name !== 'memory') {
+    startPeriodicFlush(config.flushInterval);
+    registerShutdownHooks();
+  }
+
+  return backend;
+}
+
+// Tracks the last persisted form of every entry and writes only the differences
+class CollectionState {
+  constructor(name) {
+    this.name = name;
+    this.persisted = new Map();
+    this.flushTimeout = null;
+    this.dirty = false;
+  }
+
+  load() {
+    const entries = getBackend().load(this.name);
+    entries.forEach(([key, value]) => this.persisted.set(key, value));
+    return entries.map(([key, value]) => [key, decode(value)]);
+  }
+
+  flush(currentEntries) {
+    if (getBackend().name === 'memory') return;
+
+    const entries = currentEntries.map(([key, value]) => [key, encode(value)]);
+    const currentKeys = new Set(entries.map(([key]) => key));
+    const upserts = entries.filter(([key, value]) => this.persisted.get(key) !== value);
+    const deletes = Array.from(this.persisted.keys()).filter(key => !currentKeys.has(key));
+
+    if (upserts.length > 0 || deletes.length > 0) {
+      getBackend().write(this.name, { upserts, deletes, entries });
+      this.persisted = new Map(entries);
+    }
+    this.dirty = false;
+  }
+
+  scheduleFlush(flush) {
+    this.dirty = true;
+    if (getBackend().name === 'memory' || this.flushTimeout) return;
+    this.flushTimeout = setTimeout(() => {
+      this.flushTimeout = null;
+      try {
+        flush();
+      } catch (error) {
+        console.error(`Failed to persist collection ${this.name}:`, error);
+      }
+    }, FLUSH_DELAY);
+    this.flushTimeout.unref();
+  }
+}
+
+// Map-compatible collection
+class PersistentMap extends Map {
+  constructor(name) {
+    super();
+    this.state = new CollectionState(name);
+    this.state.load().forEach(([key, value]) => super.set(key, value));
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.state.scheduleFlush(() => this.flush());
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.state.scheduleFlush(() => this.flush());
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.state.scheduleFlush(() => this.flush());
+  }
+
+  // Mark an entry as changed after mutating it in place
+  touch() {
+    this.state.scheduleFlush(() => this.flush());
+  }
+
+  flush() {
+    this.state.flush(Array.from(this.entries()));
+  }
+}
+
+function createCollection(name) {
+  if (registry.has(name)) return registry.get(name).collection;
+
+  const collection = new PersistentMap(name);
+  registry.set(name, { collection, state: collection.state, flush: () => collection.flush() });
+  return collection;
+}
+
+// Array-backed collection for append-style logs. Callers keep using
+// push/filter as with a plain array; entries are persisted by index.
+function createList(name) {
+  if (registry.has(name)) return registry.get(name).collection;
+
+  const state = new CollectionState(name);
+  const items = state.load()
+    .sort(([a], [b]) => a - b)
+    .map(([, value]) => value);
+  const flush = () => state.flush(items.map((value, index) => [index, value]));
+
+  const list = new Proxy(items, {
+    set(target, property, value) {
+      target[property] = value;
+      state.scheduleFlush(flush);
+      return true;
+    },
+    deleteProperty(target, property) {
+      delete target[property];
+      state.scheduleFlush(flush);
+      return true;
+    }
+  });
+
+  registry.set(name, { collection: list, state, flush });
+  return list;
+}
+
+// Write the collections changed since their last flush, or every
+// collection with force (which also catches unmarked in-place edits)
+function flushAll({ force = false } = {}) {
+  for (const [name, entry] of registry) {
+    if (!force && !entry.state.dirty) continue;
+    try {
+      entry.flush();
+    } catch (error) {
+      console.error(`Failed to persist collection ${name}:`, error);
+    }
+  }
+}
+
+function startPeriodicFlush(interval) {
+  if (flushTimer) return;
+  flushTimer = setInterval(() => flushAll(), interval);
+  flushTimer.unref();
+}
+
+// Render, Railway and Heroku all send SIGTERM before replacing an instance
+function registerShutdownHooks() {
+  const shutdown = (signal) => {
+    flushAll({ force: true });
+    backend.close();
+    process.exit(signal === 'SIGINT' ? 130 : 0);
+  };
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('beforeExit', () => flushAll({ force: true }));
+}
+
+function getStorageInfo() {
+  return {
+    driver: getBackend().name,
+    collections: Array.from(registry.keys())
+  };
+}
+
+module.exports = {
+  createCollection,
+  createList,
+  flushAll,
+  getStorageInfo,
+  PersistentMap
+};
@@ -0,0 +1,58 @@
+const express = require('express');
+const automationRoutes = require('../automation');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/mc/automation', automationRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/mc/automation`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function send(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const scheduledRule = {
+  name: 'Nightly restart',
+  trigger: { type: 'schedule' },
+  schedule: '0 4 * * *',
+  actions: [{ type: 'rcon', config: { command: 'say hi' } }]
+};
+
+describe('rule timezones', () => {
+  test('rejects a rule with an unknown timezone', async () => {
+    const { status, body } = await send('POST', '/rules', { ...scheduledRule, timezone: 'Mars/Base' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid timezone: Mars/Base');
+
+    const { body: { rules } } = await send('GET', '/rules');
+    expect(rules.some(rule => rule.name === scheduledRule.name)).toBe(false);
+  });
+
+  test('rejects an update to an unknown timezone and keeps the rule', async () => {
+    const { body: { ruleId } } = await send('POST', '/rules', { ...scheduledRule, enabled: false, timezone: 'Europe/London' });
+
+    const { status, body } = await send('PUT', `/rules/${ruleId}`, { timezone: 'Not/AZone' });
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid timezone: Not/AZone');
+
+    const { body: { rule } } = await send('GET', `/rules/${ruleId}`);
+    expect(rule.timezone).toBe('Europe/London');
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const economyRoutes = require('../economy');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/mc/economy', economyRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/mc/economy`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('POST /transfer', () => {
+  let economyId;
+
+  beforeEach(async () => {
+    ({ body: { economyId } } = await post('/create', { name: 'Transfers', startingBalance: 100, features: [] }));
+    await post('/balance/manage', { economyId, playerId: 'alex', action: 'get' });
+  });
+
+  async function reconcile() {
+    const response = await fetch(`${baseUrl}/reconcile/${economyId}`);
+    return response.json();
+  }
+
+  test('moves money between players', async () => {
+    const { status, body } = await post('/transfer', { economyId, fromPlayerId: 'alex', toPlayerId: 'steve', amount: 30 });
+
+    expect(status).toBe(200);
+    expect(body.balances).toEqual({ alex: 70, steve: 130 });
+  });
+
+  test.each([
+    ['an object', { id: 'steve' }],
+    ['an array', ['steve']],
+    ['a number', 42],
+    ['a blank string', '   ']
+  ])('rejects %s as a player ID', async (label, playerId) => {
+    const asRecipient = await post('/transfer', { economyId, fromPlayerId: 'alex', toPlayerId: playerId, amount: 10 });
+    const asSender = await post('/transfer', { economyId, fromPlayerId: playerId, toPlayerId: 'alex', amount: 10 });
+
+    expect(asRecipient.status).toBe(400);
+    expect(asSender.status).toBe(400);
+    expect((await reconcile()).accounts).toBe(2);
+  });
+
+  test('rejects an empty recipient', async () => {
+    const { status } = await post('/transfer', { economyId, fromPlayerId: 'alex', toPlayerId: '', amount: 10 });
+    expect(status).toBe(400);
+  });
+
+  test('rejects a transfer to the sender', async () => {
+    const { status, body } = await post('/transfer', { economyId, fromPlayerId: 'alex', toPlayerId: 'alex', amount: 10 });
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/different players/);
+    expect((await reconcile()).postings).toBe(1);
+  });
+});
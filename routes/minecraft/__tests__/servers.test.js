@@ -0,0 +1,37 @@
+const express = require('express');
+const serverRoutes = require('../servers');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use('/api/mc/servers', serverRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/mc/servers`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function analyze(query) {
+  const response = await fetch(`${baseUrl}/analyze?${new URLSearchParams({ host: 'mc.example.com', ...query })}`);
+  return { status: response.status, body: await response.json() };
+}
+
+describe('GET /analyze', () => {
+  test('rejects durations longer than the samples can cover', async () => {
+    const { status, body } = await analyze({ duration: '600' });
+    expect(status).toBe(400);
+    expect(body.error).toBe('Duration can be at most 190 seconds');
+  });
+
+  test('rejects intervals above the cap instead of shortening them', async () => {
+    const { status, body } = await analyze({ samples: '3', interval: '60000' });
+    expect(status).toBe(400);
+    expect(body.error).toBe('Interval can be at most 10000 ms');
+  });
+});
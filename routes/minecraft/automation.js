@@ -1,12 +1,31 @@
 const express = require('express');
 const crypto = require('crypto');
+const axios = require('axios');
 const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const { getServerConfig, getMonitoringData, runRconCommands, updateServerConfig } = require('./config');
+const { createCollection } = require('../../lib/storage');
+const { serverEvents } = require('../../lib/events');
+const { evaluateCondition, validateCondition } = require('../../lib/automation/conditions');
+const { notify } = require('../../lib/notifications');
+const { createError } = require('../../lib/helpers');
 
 const router = express.Router();
 
-// Automation rules storage
-let automationRules = new Map();
+// Automation rules and their execution logs are persisted; scheduled cron
+// tasks are rebuilt on startup
+let automationRules = createCollection('automation.rules');
+let executionLogs = createCollection('automation.executions');
 let scheduledTasks = new Map();
+let runningRules = new Set();
+let lastTriggered = new Map(); // `${ruleId}:${serverId}` -> timestamp, for trigger cooldowns
+let pendingAlertRuns = new Set(); // `${ruleId}:${serverId}` of delayed alert runs not yet started
+
+const TRIGGER_TYPES = ['schedule', 'alert', 'metric', 'manual'];
+const MAX_LOG_ENTRIES = 100;
+// Seconds between alert-triggered runs of a rule for one server unless the
+// trigger sets its own cooldown (0 turns it off)
+const DEFAULT_ALERT_COOLDOWN = 300;
 
 // Create automation rule
 router.post('/rules', (req, res) => {
@@ -17,7 +36,8 @@ router.post('/rules', (req, res) => {
     conditions = [],
     actions = [],
     enabled = true,
-    schedule = null
+    schedule = null,
+    timezone = null
   } = req.body;
 
   if (!name || !trigger || !actions.length) {
@@ -33,7 +53,8 @@ router.post('/rules', (req, res) => {
     conditions,
     actions,
     enabled,
-    schedule,
+    schedule: schedule || trigger.schedule || null,
+    timezone,
     createdAt: new Date().toISOString(),
     lastExecuted: null,
     executionCount: 0,
@@ -41,13 +62,20 @@ router.post('/rules', (req, res) => {
     failureCount: 0
   };
 
-  automationRules.set(ruleId, rule);
+  const validationError = validateRule(rule);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
   // Schedule rule if it has a cron schedule
-  if (schedule && enabled) {
-    scheduleRule(ruleId, rule);
+  try {
+    if (rule.schedule && enabled) scheduleRule(ruleId, rule);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
   }
 
+  automationRules.set(ruleId, rule);
+
   res.json({
     success: true,
     ruleId,
@@ -93,16 +121,23 @@ router.get('/rules/:ruleId', (req, res) => {
     return res.status(404).json({ error: 'Automation rule not found' });
   }
 
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LOG_ENTRIES);
   const executionHistory = getExecutionHistory(ruleId);
+  const nextExecutions = rule.schedule && rule.enabled ? getNextExecutions(rule.schedule, 5, rule.timezone) : [];
   
   res.json({
     rule,
-    executionHistory,
+    executionHistory: executionHistory.slice(0, limit),
     statistics: {
       successRate: rule.executionCount > 0 ? 
         ((rule.successCount / rule.executionCount) * 100).toFixed(2) + '%' : '0%',
-      averageExecutionTime: Math.floor(Math.random() * 1000) + 100 + 'ms',
-      nextExecution: rule.schedule ? getNextExecution(rule.schedule) : null
+      averageExecutionTime: executionHistory.length > 0
+        ? Math.round(executionHistory.reduce((sum, entry) => sum + entry.duration, 0) / executionHistory.length) + 'ms'
+        : null,
+      loggedExecutions: executionHistory.length,
+      running: runningRules.has(ruleId),
+      nextExecution: nextExecutions[0] || null,
+      nextExecutions
     }
   });
 });
@@ -124,16 +159,24 @@ router.put('/rules/:ruleId', (req, res) => {
     updatedAt: new Date().toISOString()
   };
 
-  automationRules.set(ruleId, updatedRule);
+  const validationError = validateRule(updatedRule);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-  // Reschedule if schedule changed
-  if (updates.schedule !== undefined || updates.enabled !== undefined) {
+  // Reschedule if schedule changed; the old task is put back if that fails
+  if (updates.schedule !== undefined || updates.enabled !== undefined || updates.timezone !== undefined) {
     unscheduleRule(ruleId);
-    if (updatedRule.schedule && updatedRule.enabled) {
-      scheduleRule(ruleId, updatedRule);
+    try {
+      if (updatedRule.schedule && updatedRule.enabled) scheduleRule(ruleId, updatedRule);
+    } catch (error) {
+      if (rule.schedule && rule.enabled) scheduleRule(ruleId, rule);
+      return res.status(400).json({ error: error.message, code: error.code });
     }
   }
 
+  automationRules.set(ruleId, updatedRule);
+
   res.json({
     success: true,
     rule: updatedRule,
@@ -151,6 +194,7 @@ router.delete('/rules/:ruleId', (req, res) => {
 
   unscheduleRule(ruleId);
   automationRules.delete(ruleId);
+  executionLogs.delete(ruleId);
 
   res.json({
     success: true,
@@ -161,26 +205,19 @@ router.delete('/rules/:ruleId', (req, res) => {
 // Execute automation rule manually
 router.post('/rules/:ruleId/execute', async (req, res) => {
   const { ruleId } = req.params;
-  const { dryRun = false } = req.body;
+  const { dryRun = false, context = {} } = req.body;
   
   const rule = automationRules.get(ruleId);
   if (!rule) {
     return res.status(404).json({ error: 'Automation rule not found' });
   }
 
+  if (runningRules.has(ruleId) && !dryRun) {
+    return res.status(409).json({ error: 'Automation rule is already running' });
+  }
+
   try {
-    const result = await executeRule(rule, dryRun);
-    
-    if (!dryRun) {
-      rule.executionCount++;
-      if (result.success) {
-        rule.successCount++;
-      } else {
-        rule.failureCount++;
-      }
-      rule.lastExecuted = new Date().toISOString();
-      automationRules.set(ruleId, rule);
-    }
+    const result = await runRule(ruleId, { trigger: 'manual', dryRun, context });
 
     res.json({
       ruleId,
@@ -214,6 +251,10 @@ router.post('/maintenance/schedule', (req, res) => {
     return res.status(400).json({ error: 'Schedule and server IDs are required' });
   }
 
+  if (!cron.validate(schedule)) {
+    return res.status(400).json({ error: `Invalid cron schedule: ${schedule}` });
+  }
+
   const maintenanceId = crypto.randomUUID();
   const maintenance = {
     id: maintenanceId,
@@ -281,6 +322,10 @@ router.post('/backup/schedule', (req, res) => {
     return res.status(400).json({ error: 'Server IDs are required' });
   }
 
+  if (!cron.validate(schedule)) {
+    return res.status(400).json({ error: `Invalid cron schedule: ${schedule}` });
+  }
+
   const backupId = crypto.randomUUID();
   const backup = {
     id: backupId,
@@ -373,7 +418,8 @@ router.post('/monitoring/auto-scale', (req, res) => {
     id: ruleId,
     name: 'Auto-Scale Monitoring',
     description: `Automatic scaling for ${serverIds.length} servers`,
-    trigger: { type: 'metric', interval: 60 }, // Check every minute
+    // Evaluated after every monitoring check, at most once per cooldown
+    trigger: { type: 'metric', serverIds, cooldown },
     conditions: [
       {
         type: 'metric_threshold',
@@ -409,6 +455,7 @@ router.post('/monitoring/auto-scale', (req, res) => {
 // Alert automation
 router.post('/alerts/auto-response', (req, res) => {
   const {
+    serverIds = [],
     alertTypes = ['server_offline', 'high_ping', 'low_tps'],
     responses = {
       server_offline: ['restart_server', 'notify_admin'],
@@ -416,16 +463,23 @@ router.post('/alerts/auto-response', (req, res) => {
       low_tps: ['restart_server', 'analyze_performance']
     },
     severity = ['critical', 'warning'],
-    delay = 60 // seconds before auto-response
+    delay = 60, // seconds before auto-response
+    cooldown = DEFAULT_ALERT_COOLDOWN // seconds before the same server can trigger it again
   } = req.body;
 
+  if (!Number.isFinite(delay) || delay < 0 || !Number.isFinite(cooldown) || cooldown < 0) {
+    return res.status(400).json({ error: 'delay and cooldown must be non-negative numbers of seconds' });
+  }
+
   const autoResponseId = crypto.randomUUID();
   const autoResponse = {
     id: autoResponseId,
+    serverIds,
     alertTypes,
     responses,
     severity,
     delay,
+    cooldown,
     enabled: true,
     createdAt: new Date().toISOString(),
     totalResponses: 0
@@ -437,7 +491,7 @@ router.post('/alerts/auto-response', (req, res) => {
     id: ruleId,
     name: 'Alert Auto-Response',
     description: 'Automatic responses to server alerts',
-    trigger: { type: 'alert', alertTypes, severity },
+    trigger: { type: 'alert', alertTypes, severity, serverIds, delay, cooldown },
     conditions: [
       {
         type: 'alert_severity',
@@ -499,74 +553,202 @@ router.get('/statistics', (req, res) => {
 });
 
 // Helper functions
+function validateRule(rule) {
+  if (!rule.trigger || !TRIGGER_TYPES.includes(rule.trigger.type)) {
+    return `Trigger type must be one of: ${TRIGGER_TYPES.join(', ')}`;
+  }
+
+  if (rule.trigger.type === 'schedule' && !rule.schedule) {
+    return 'Schedule triggers need a cron schedule';
+  }
+  if (rule.schedule && !cron.validate(rule.schedule)) {
+    return `Invalid cron schedule: ${rule.schedule}`;
+  }
+  if (rule.timezone && !isValidTimezone(rule.timezone)) {
+    return `Invalid timezone: ${rule.timezone}`;
+  }
+
+  for (const condition of rule.conditions || []) {
+    const error = validateCondition(condition);
+    if (error) return error;
+  }
+
+  for (const action of rule.actions || []) {
+    if (!ACTION_EXECUTORS[action.type]) {
+      return `Unknown action type: ${action.type}. Supported: ${Object.keys(ACTION_EXECUTORS).join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string') return false;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Throws SCHEDULE_FAILED when node-cron rejects the rule, so callers can
+// refuse it instead of keeping an enabled rule that never runs
 function scheduleRule(ruleId, rule) {
   if (!rule.schedule) return;
   
+  let task;
   try {
-    const task = cron.schedule(rule.schedule, async () => {
-      try {
-        await executeRule(rule, false);
-        rule.executionCount++;
-        rule.successCount++;
-        rule.lastExecuted = new Date().toISOString();
-        automationRules.set(ruleId, rule);
-      } catch (error) {
-        rule.executionCount++;
-        rule.failureCount++;
-        rule.lastExecuted = new Date().toISOString();
-        automationRules.set(ruleId, rule);
+    // The rule is looked up when the task fires so later edits are picked up
+    task = cron.schedule(rule.schedule, () => {
+      runRule(ruleId, { trigger: 'schedule' }).catch(error => {
         console.error(`Failed to execute rule ${ruleId}:`, error);
-      }
+      });
     }, {
-      scheduled: rule.enabled
+      scheduled: rule.enabled,
+      ...(rule.timezone && { timezone: rule.timezone })
     });
-    
-    scheduledTasks.set(ruleId, task);
   } catch (error) {
-    console.error(`Failed to schedule rule ${ruleId}:`, error);
+    throw createError(`Failed to schedule rule: ${error.message}`, 'SCHEDULE_FAILED');
   }
+
+  scheduledTasks.set(ruleId, task);
 }
 
 function unscheduleRule(ruleId) {
   const task = scheduledTasks.get(ruleId);
   if (task) {
-    task.destroy();
+    task.stop();
     scheduledTasks.delete(ruleId);
   }
 }
 
-async function executeRule(rule, dryRun = false) {
+// Execute a rule, update its counters and append the run to its execution
+// log. Dry runs are not recorded. With logSkipped=false, runs whose
+// conditions are not met leave no trace (used for per-check metric rules).
+async function runRule(ruleId, { trigger, dryRun = false, context = {}, logSkipped = true }) {
+  const rule = automationRules.get(ruleId);
+  if (!rule) {
+    throw new Error(`Automation rule ${ruleId} not found`);
+  }
+
+  if (dryRun) {
+    return executeRule(rule, true, context);
+  }
+
+  if (runningRules.has(ruleId)) {
+    return { success: false, status: 'skipped', conditions: [], actions: [], errors: ['Rule is already running'], dryRun };
+  }
+
+  runningRules.add(ruleId);
+  const startedAt = new Date();
+  let result;
+  try {
+    result = await executeRule(rule, false, context);
+  } catch (error) {
+    result = { success: false, status: 'failed', conditions: [], actions: [], errors: [error.message], dryRun };
+  } finally {
+    runningRules.delete(ruleId);
+  }
+
+  if (result.status === 'skipped' && !logSkipped) {
+    return result;
+  }
+
+  const finishedAt = new Date();
+  const current = automationRules.get(ruleId);
+  if (current) {
+    current.lastExecuted = finishedAt.toISOString();
+    if (result.status === 'skipped') {
+      current.skippedCount = (current.skippedCount || 0) + 1;
+    } else {
+      current.executionCount++;
+      if (result.success) {
+        current.successCount++;
+      } else {
+        current.failureCount++;
+      }
+    }
+    automationRules.set(ruleId, current);
+  }
+
+  appendExecutionLog(ruleId, {
+    id: crypto.randomUUID(),
+    trigger,
+    status: result.status,
+    success: result.success,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    duration: finishedAt - startedAt,
+    context,
+    conditions: result.conditions,
+    actions: result.actions,
+    errors: result.errors
+  });
+
+  return result;
+}
+
+function appendExecutionLog(ruleId, entry) {
+  const entries = executionLogs.get(ruleId) || [];
+  entries.unshift(entry);
+  executionLogs.set(ruleId, entries.slice(0, MAX_LOG_ENTRIES));
+}
+
+async function executeRule(rule, dryRun = false, context = {}) {
   const result = {
     success: true,
+    status: 'success',
+    conditions: [],
     actions: [],
     errors: [],
     dryRun
   };
 
+  const env = { context, getMonitoringData, now: Date.now() };
+
   // Check conditions
   for (const condition of rule.conditions) {
-    const conditionMet = await evaluateCondition(condition);
-    if (!conditionMet) {
+    const evaluation = evaluateCondition(condition, env);
+    result.conditions.push(evaluation);
+    if (!evaluation.met) {
       result.success = false;
-      result.errors.push(`Condition not met: ${condition.type}`);
+      result.status = 'skipped';
+      result.errors.push(`Condition not met: ${condition.type}${evaluation.reason ? ` (${evaluation.reason})` : ''}`);
       return result;
     }
   }
 
+  const variables = {
+    ...context,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    timestamp: new Date().toISOString()
+  };
+
   // Execute actions
   for (const action of rule.actions) {
     try {
-      const actionResult = await executeAction(action, dryRun);
+      const actionResult = await executeAction(action, dryRun, context, {
+        rule,
+        variables,
+        conditions: result.conditions
+      });
       result.actions.push({
         type: action.type,
         success: actionResult.success,
         message: actionResult.message,
+        ...(actionResult.servers && { servers: actionResult.servers }),
+        ...(actionResult.response && { response: actionResult.response }),
+        ...(actionResult.stopsServer && { stopsServer: true, note: actionResult.note }),
+        ...(actionResult.error && { error: actionResult.error }),
         dryRun
       });
       
       if (!actionResult.success) {
         result.success = false;
         result.errors.push(actionResult.error || 'Action failed');
+        if (action.continueOnError === false) break;
       }
     } catch (error) {
       result.success = false;
@@ -577,74 +759,427 @@ async function executeRule(rule, dryRun = false) {
         error: error.message,
         dryRun
       });
+      if (action.continueOnError === false) break;
     }
   }
 
+  if (!result.success) result.status = 'failed';
   return result;
 }
 
-async function evaluateCondition(condition) {
-  // Simulate condition evaluation
-  switch (condition.type) {
-    case 'metric_threshold':
-      return Math.random() > 0.3; // 70% chance condition is met
-    case 'alert_severity':
-      return Math.random() > 0.5; // 50% chance condition is met
-    case 'time_range':
-      return true; // Always met for demo
-    default:
-      return true;
+// Commands sent for each automatic alert response. notify_admin goes out
+// through the notification channels instead. RCON cannot start a server, so
+// restart_server only stops it (see STOP_NOTE).
+const AUTO_RESPONSE_COMMANDS = {
+  restart_server: () => ['say Server is stopping to recover from an alert', 'save-all', 'stop'],
+  check_network: () => ['list'],
+  analyze_performance: () => ['tps'] // Paper/Spigot command
+};
+
+// Action executors receive { config, context, dryRun, rule, variables, conditions }
+const ACTION_EXECUTORS = {
+  rcon: ({ config, context, variables, dryRun }) => executeRconPlan('rcon', {
+    serverIds: resolveServerIds(config, context),
+    commands: renderTemplate(config.commands || (config.command ? [config.command] : []), variables)
+  }, dryRun),
+  maintenance: ({ config, context, dryRun }) => executeRconPlan('maintenance', buildMaintenanceCommands(config, context), dryRun),
+  backup: ({ config, context, dryRun }) => executeRconPlan('backup', buildBackupCommands(config, context), dryRun),
+  auto_response: executeAutoResponseAction,
+  notify: executeNotifyAction,
+  notify_admin: ({ context, dryRun, variables }) => executeNotifyAction({
+    config: {
+      title: context.alertType ? `Alert: ${context.alertType}` : 'Automation notification',
+      message: context.message || 'Rule "{{ruleName}}" requested admin attention',
+      severity: context.severity
+    },
+    context,
+    dryRun,
+    variables
+  }),
+  webhook: executeWebhookAction,
+  http: executeHttpAction,
+  config_change: executeConfigChangeAction,
+  auto_scale: executeAutoScaleAction,
+  ...Object.fromEntries(Object.keys(AUTO_RESPONSE_COMMANDS).map(type => [
+    type,
+    ({ config, context, dryRun }) => executeRconPlan(type, {
+      serverIds: resolveServerIds(config, context),
+      commands: AUTO_RESPONSE_COMMANDS[type](context.alertType || 'manual')
+    }, dryRun)
+  ]))
+};
+
+async function executeAction(action, dryRun, context = {}, { rule, variables, conditions } = {}) {
+  const executor = ACTION_EXECUTORS[action.type];
+  if (!executor) {
+    throw new Error(`Unknown action type: ${action.type}`);
   }
+
+  return executor({
+    config: action.config || {},
+    context,
+    dryRun,
+    rule,
+    variables: variables || context,
+    conditions: conditions || []
+  });
 }
 
-async function executeAction(action, dryRun) {
-  // Simulate action execution
-  const actionTypes = {
-    restart_server: () => ({ success: true, message: 'Server restart initiated' }),
-    backup: () => ({ success: true, message: 'Backup created successfully' }),
-    maintenance: () => ({ success: true, message: 'Maintenance completed' }),
-    auto_scale: () => ({ success: true, message: 'Auto-scaling action performed' }),
-    auto_response: () => ({ success: true, message: 'Auto-response executed' }),
-    notify_admin: () => ({ success: true, message: 'Admin notification sent' }),
-    check_network: () => ({ success: true, message: 'Network check completed' }),
-    analyze_performance: () => ({ success: true, message: 'Performance analysis completed' })
+// RCON responses plus a notification when the alert's responses include
+// notify_admin
+async function executeAutoResponseAction({ config, context, dryRun, variables }) {
+  const plan = buildAutoResponseCommands(config, context);
+  if (plan.skipped || !plan.notify) {
+    return executeRconPlan('auto_response', plan, dryRun);
+  }
+
+  const notification = await executeNotifyAction({
+    config: { title: `Alert: ${context.alertType}`, message: context.message || `Alert ${context.alertType} received`, severity: context.severity },
+    context,
+    dryRun,
+    variables
+  });
+  if (plan.commands.length === 0) {
+    return notification;
+  }
+
+  const rcon = await executeRconPlan('auto_response', plan, dryRun);
+  return {
+    ...rcon,
+    success: rcon.success && notification.success,
+    message: `${rcon.message}; ${notification.message}`,
+    error: [rcon.error, notification.error].filter(Boolean).join('; ') || undefined
   };
+}
+
+// Queues a notification on the registered channels:
+// { title, message, severity, channelIds }
+async function executeNotifyAction({ config, context, dryRun, variables }) {
+  const title = renderTemplate(config.title || 'Automation notification', variables);
+  const message = renderTemplate(config.message || '', variables);
 
   if (dryRun) {
-    return { success: true, message: `Would execute: ${action.type}` };
+    return { success: true, message: `Would send notification "${title}"` };
   }
 
-  const executor = actionTypes[action.type];
-  if (!executor) {
-    throw new Error(`Unknown action type: ${action.type}`);
+  const queued = notify({
+    event: 'automation',
+    severity: config.severity || context.severity || 'info',
+    title,
+    message,
+    serverId: context.serverId,
+    serverName: context.serverName,
+    alertType: context.alertType,
+    data: { ruleId: variables.ruleId, ruleName: variables.ruleName }
+  }, { channelIds: config.channelIds || null });
+
+  return {
+    success: true,
+    message: `Queued notification on ${queued.length} channel(s)`,
+    response: { deliveries: queued.map(delivery => delivery.id) }
+  };
+}
+
+// POSTs a JSON event describing the rule run to config.url
+async function executeWebhookAction({ config, context, dryRun, rule, variables }) {
+  if (!config.url) {
+    return { success: false, message: 'Webhook URL is not configured', error: 'Webhook URL is not configured' };
   }
 
-  // Simulate execution time
-  await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 100));
-  
-  return executor();
+  const url = renderTemplate(config.url, variables);
+  const payload = {
+    event: 'automation.rule.executed',
+    rule: { id: rule.id, name: rule.name },
+    context,
+    timestamp: variables.timestamp,
+    ...(config.payload && { data: renderTemplate(config.payload, variables) })
+  };
+
+  if (dryRun) {
+    return { success: true, message: `Would POST webhook to ${url}` };
+  }
+
+  return sendHttpRequest({
+    method: 'POST',
+    url,
+    headers: renderTemplate(config.headers || {}, variables),
+    data: payload,
+    timeout: config.timeout,
+    expectStatus: config.expectStatus
+  });
 }
 
-function getExecutionHistory(ruleId) {
-  // Simulate execution history
-  return Array.from({ length: 10 }, (_, i) => ({
-    id: crypto.randomUUID(),
-    timestamp: new Date(Date.now() - i * 3600000).toISOString(),
-    success: Math.random() > 0.2,
-    duration: Math.floor(Math.random() * 5000) + 100,
-    actions: Math.floor(Math.random() * 3) + 1
+// Arbitrary HTTP request: { method, url, headers, body, expectStatus, timeout }
+async function executeHttpAction({ config, dryRun, variables }) {
+  if (!config.url) {
+    return { success: false, message: 'HTTP URL is not configured', error: 'HTTP URL is not configured' };
+  }
+
+  const method = (config.method || 'GET').toUpperCase();
+  const url = renderTemplate(config.url, variables);
+  if (dryRun) {
+    return { success: true, message: `Would send ${method} ${url}` };
+  }
+
+  return sendHttpRequest({
+    method,
+    url,
+    headers: renderTemplate(config.headers || {}, variables),
+    data: config.body !== undefined ? renderTemplate(config.body, variables) : undefined,
+    timeout: config.timeout,
+    expectStatus: config.expectStatus
+  });
+}
+
+async function sendHttpRequest({ method, url, headers, data, timeout = 10000, expectStatus }) {
+  const startTime = Date.now();
+  try {
+    const response = await axios({
+      method,
+      url,
+      headers,
+      data,
+      timeout: Math.min(parseInt(timeout) || 10000, 60000),
+      maxRedirects: 3,
+      validateStatus: () => true
+    });
+
+    const expected = expectStatus === undefined ? null : [].concat(expectStatus);
+    const success = expected ? expected.includes(response.status) : response.status >= 200 && response.status < 300;
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+
+    return {
+      success,
+      message: `${method} ${url} responded with ${response.status}`,
+      ...(!success && { error: `Unexpected status ${response.status} from ${url}` }),
+      response: {
+        status: response.status,
+        duration: Date.now() - startTime,
+        body: body ? body.slice(0, 1000) : ''
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `${method} ${url} failed`,
+      error: error.code === 'ECONNABORTED' ? `Request to ${url} timed out` : error.message
+    };
+  }
+}
+
+// Applies `updates` to server configs the same way PUT /config/server/:id does
+async function executeConfigChangeAction({ config, context, dryRun }) {
+  const serverIds = resolveServerIds(config, context);
+  const updates = { ...(config.updates || {}) };
+  delete updates.id;
+
+  if (serverIds.length === 0 || Object.keys(updates).length === 0) {
+    return { success: false, message: 'No servers or updates configured', error: 'No servers or updates configured for config_change' };
+  }
+
+  const servers = serverIds.map(serverId => {
+    if (!getServerConfig(serverId)) {
+      return { serverId, success: false, error: 'Server not found' };
+    }
+    if (dryRun) {
+      return { serverId, success: true, fields: Object.keys(updates) };
+    }
+    updateServerConfig(serverId, updates);
+    return { serverId, success: true, fields: Object.keys(updates) };
+  });
+
+  const failed = servers.filter(s => !s.success);
+  return {
+    success: failed.length === 0,
+    message: `${dryRun ? 'Would update' : 'Updated'} ${Object.keys(updates).join(', ')} on ${servers.length - failed.length}/${servers.length} server(s)`,
+    ...(failed.length > 0 && { error: failed.map(s => `${s.serverId}: ${s.error}`).join('; ') }),
+    servers
+  };
+}
+
+// There is no hosting integration to resize servers directly, so the scaling
+// decision is derived from the metric_threshold breaches and forwarded to
+// config.webhook when one is set.
+async function executeAutoScaleAction({ config, context, dryRun, rule, variables, conditions }) {
+  const breaches = conditions
+    .filter(condition => condition.type === 'metric_threshold')
+    .flatMap(condition => (condition.servers || []).flatMap(server => server.breaches.map(breach => ({ serverId: server.serverId, ...breach }))));
+
+  if (breaches.length === 0) {
+    return { success: true, message: 'No thresholds breached, nothing to scale' };
+  }
+
+  const direction = breaches.some(breach => breach.bound === 'high') ? 'scaleUp' : 'scaleDown';
+  const decision = {
+    direction,
+    steps: (config.actions || {})[direction] || [],
+    breaches
+  };
+
+  if (!config.webhook) {
+    return { success: true, message: `Scaling decision: ${direction} (no webhook configured to act on it)`, response: decision };
+  }
+
+  return executeWebhookAction({
+    config: { ...config, url: config.webhook, payload: decision },
+    context,
+    dryRun,
+    rule,
+    variables
+  });
+}
+
+function resolveServerIds(config, context) {
+  if (Array.isArray(config.serverIds) && config.serverIds.length > 0) return config.serverIds;
+  if (config.serverId) return [config.serverId];
+  return context.serverId ? [context.serverId] : [];
+}
+
+// Replaces {{name}} placeholders in strings (recursively in arrays/objects)
+function renderTemplate(value, variables) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+      const resolved = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), variables);
+      return resolved === undefined || resolved === null ? '' : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, variables)]));
+  }
+  return value;
+}
+
+function buildMaintenanceCommands(config) {
+  const maintenanceType = config.maintenanceType || 'restart';
+  if (Array.isArray(config.commands) && config.commands.length > 0) {
+    return { serverIds: config.serverIds || [], commands: config.commands };
+  }
+
+  const customCommands = (config.actions || []).filter(a => typeof a === 'string');
+  const commands = [
+    `say Scheduled ${maintenanceType} maintenance is starting now`,
+    'save-all',
+    ...customCommands
+  ];
+
+  if (['restart', 'shutdown', 'stop'].includes(maintenanceType)) {
+    commands.push('stop');
+  }
+
+  return { serverIds: config.serverIds || [], commands };
+}
+
+// Flushes world data so an external file-level backup sees a consistent world
+function buildBackupCommands(config) {
+  const commands = Array.isArray(config.commands) && config.commands.length > 0
+    ? config.commands
+    : ['say Starting world backup', 'save-all flush'];
+
+  return { serverIds: config.serverIds || [], commands };
+}
+
+function buildAutoResponseCommands(config, context) {
+  const { alertType, severity, serverId } = context;
+  if (!alertType) {
+    return { serverIds: [], commands: [], skipped: 'No alert in execution context' };
+  }
+
+  if (config.alertTypes && !config.alertTypes.includes(alertType)) {
+    return { serverIds: [], commands: [], skipped: `Alert type ${alertType} is not handled by this rule` };
+  }
+
+  if (severity && config.severity && !config.severity.includes(severity)) {
+    return { serverIds: [], commands: [], skipped: `Severity ${severity} is not handled by this rule` };
+  }
+
+  const responses = (config.responses || {})[alertType] || [];
+  const commands = responses.flatMap(response => {
+    if (response === 'notify_admin') return [];
+    if (response.startsWith('/')) return [response];
+    return AUTO_RESPONSE_COMMANDS[response] ? AUTO_RESPONSE_COMMANDS[response](alertType) : [];
+  });
+
+  return {
+    serverIds: serverId ? [serverId] : (config.serverIds || []),
+    commands,
+    notify: responses.includes('notify_admin')
+  };
+}
+
+// Results of plans that send "stop" say so, since the restart is up to
+// whatever runs the server
+const STOP_NOTE = '"stop" shuts the server down; it only starts again if an external supervisor (systemd, a Docker restart policy, a start script loop) restarts it';
+
+async function executeRconPlan(actionType, plan, dryRun) {
+  const result = await sendRconPlan(actionType, plan, dryRun);
+  const stopsServer = !plan.skipped && plan.commands.some(command => /^\/?stop$/i.test(command.trim()));
+  return stopsServer ? { ...result, stopsServer, note: STOP_NOTE } : result;
+}
+
+async function sendRconPlan(actionType, plan, dryRun) {
+  if (plan.skipped) {
+    return { success: true, message: `Skipped ${actionType}: ${plan.skipped}` };
+  }
+
+  if (plan.serverIds.length === 0 || plan.commands.length === 0) {
+    return {
+      success: false,
+      message: `No servers or commands configured for ${actionType}`,
+      error: `No servers or commands configured for ${actionType}`
+    };
+  }
+
+  if (dryRun) {
+    return {
+      success: true,
+      message: `Would send ${plan.commands.length} command(s) to ${plan.serverIds.length} server(s)`,
+      servers: plan.serverIds.map(serverId => ({ serverId, commands: plan.commands }))
+    };
+  }
+
+  const servers = await Promise.all(plan.serverIds.map(async (serverId) => {
+    const server = getServerConfig(serverId);
+    if (!server) {
+      return { serverId, success: false, error: 'Server not found' };
+    }
+
+    try {
+      const results = await runRconCommands(server, plan.commands);
+      return { serverId, success: true, results };
+    } catch (error) {
+      return { serverId, success: false, error: error.message };
+    }
   }));
+
+  const failed = servers.filter(s => !s.success);
+  return {
+    success: failed.length === 0,
+    message: `Sent ${plan.commands.length} command(s) to ${servers.length - failed.length}/${servers.length} server(s)`,
+    error: failed.length > 0 ? failed.map(s => `${s.serverId}: ${s.error}`).join('; ') : undefined,
+    servers
+  };
 }
 
-function getNextExecution(schedule) {
+function getExecutionHistory(ruleId) {
+  return executionLogs.get(ruleId) || [];
+}
+
+function getNextExecutions(schedule, count = 1, timezone = null) {
   try {
-    // Simple next execution calculation (in production, use proper cron parser)
-    return new Date(Date.now() + 3600000).toISOString(); // Next hour
+    const interval = cronParser.parseExpression(schedule, timezone ? { tz: timezone } : {});
+    return Array.from({ length: count }, () => interval.next().toDate().toISOString());
   } catch (error) {
-    return null;
+    return [];
   }
 }
 
+function getNextExecution(schedule, timezone = null) {
+  return getNextExecutions(schedule, 1, timezone)[0] || null;
+}
+
 function getUpcomingExecutions() {
   const upcoming = [];
   
@@ -653,13 +1188,102 @@ function getUpcomingExecutions() {
       upcoming.push({
         ruleId,
         ruleName: rule.name,
-        nextExecution: getNextExecution(rule.schedule),
+        nextExecution: getNextExecution(rule.schedule, rule.timezone),
         type: rule.actions[0]?.type || 'unknown'
       });
     }
   });
 
-  return upcoming.sort((a, b) => new Date(a.nextExecution) - new Date(b.nextExecution)).slice(0, 10);
+  return upcoming
+    .filter(entry => entry.nextExecution)
+    .sort((a, b) => new Date(a.nextExecution) - new Date(b.nextExecution))
+    .slice(0, 10);
+}
+
+// A rule reacts to a server when the trigger lists it, or when it has no
+// server list at all
+function ruleAppliesToServer(rule, serverId) {
+  const serverIds = rule.trigger.serverIds;
+  return !Array.isArray(serverIds) || serverIds.length === 0 || serverIds.includes(serverId);
 }
 
+// Alert-triggered rules run when monitoring raises a matching alert
+serverEvents.on('server:alert', ({ serverId, server, alert }) => {
+  automationRules.forEach((rule, ruleId) => {
+    const trigger = rule.trigger;
+    if (!rule.enabled || trigger.type !== 'alert' || !ruleAppliesToServer(rule, serverId)) return;
+    if (trigger.alertTypes && !trigger.alertTypes.includes(alert.type)) return;
+    if (trigger.severity && !trigger.severity.includes(alert.severity)) return;
+
+    // Monitoring re-raises an alert on every failing check; the cooldown
+    // keeps the rule from firing each time, and a delayed run that has not
+    // started yet is not queued twice
+    const cooldownKey = `${ruleId}:${serverId}`;
+    const cooldown = (trigger.cooldown ?? DEFAULT_ALERT_COOLDOWN) * 1000;
+    if (pendingAlertRuns.has(cooldownKey)) return;
+    if (Date.now() - (lastTriggered.get(cooldownKey) || 0) < cooldown) return;
+    lastTriggered.set(cooldownKey, Date.now());
+
+    const context = {
+      serverId,
+      serverName: server.name,
+      alertId: alert.id,
+      alertType: alert.type,
+      severity: alert.severity,
+      message: alert.message
+    };
+    const run = () => runRule(ruleId, { trigger: 'alert', context }).catch(error => {
+      console.error(`Failed to execute rule ${ruleId}:`, error);
+    });
+
+    if (trigger.delay > 0) {
+      pendingAlertRuns.add(cooldownKey);
+      setTimeout(() => {
+        pendingAlertRuns.delete(cooldownKey);
+        run();
+      }, trigger.delay * 1000).unref();
+    } else {
+      run();
+    }
+  });
+});
+
+// Metric-triggered rules are evaluated after every monitoring check
+serverEvents.on('server:check', ({ serverId, server, checkResult }) => {
+  automationRules.forEach((rule, ruleId) => {
+    if (!rule.enabled || rule.trigger.type !== 'metric' || !ruleAppliesToServer(rule, serverId)) return;
+
+    const cooldownKey = `${ruleId}:${serverId}`;
+    const cooldown = (rule.trigger.cooldown ?? rule.trigger.interval ?? 60) * 1000;
+    if (Date.now() - (lastTriggered.get(cooldownKey) || 0) < cooldown) return;
+
+    const context = {
+      serverId,
+      serverName: server.name,
+      online: checkResult.online,
+      players: checkResult.players?.online ?? 0,
+      maxPlayers: checkResult.players?.max ?? 0,
+      ping: checkResult.ping
+    };
+
+    runRule(ruleId, { trigger: 'metric', context, logSkipped: false })
+      .then(result => {
+        if (result.status !== 'skipped') lastTriggered.set(cooldownKey, Date.now());
+      })
+      .catch(error => console.error(`Failed to execute rule ${ruleId}:`, error));
+  });
+});
+
+// Reschedule rules restored from storage. A rule that can no longer be
+// scheduled is disabled, so it does not show as enabled while never running
+automationRules.forEach((rule, ruleId) => {
+  if (!rule.schedule || !rule.enabled) return;
+  try {
+    scheduleRule(ruleId, rule);
+  } catch (error) {
+    console.error(`Disabled rule ${ruleId}: ${error.message}`);
+    automationRules.set(ruleId, { ...rule, enabled: false, updatedAt: new Date().toISOString() });
+  }
+});
+
 module.exports = router;
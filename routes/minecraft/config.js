@@ -1,14 +1,19 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
 const crypto = require('crypto');
+const { getServerStatus } = require('../../lib/minecraft/status');
+const { executeRconCommands } = require('../../lib/minecraft/rcon');
+const { createCollection } = require('../../lib/storage');
+const { serverEvents } = require('../../lib/events');
+const { parseTimeRange } = require('../../lib/monitoring/history');
 
 const router = express.Router();
 
-// In-memory storage for server configurations (in production, use database)
-let serverConfigs = new Map();
-let monitoringData = new Map();
+// Server configurations and monitoring history are persisted through lib/storage
+let serverConfigs = createCollection('config.servers');
+let monitoringData = createCollection('config.monitoring');
+let monitoringIntervals = new Map();
 
 // Add/Update server configuration
 router.post('/server/add', async (req, res) => {
@@ -38,6 +43,10 @@ router.post('/server/add', async (req, res) => {
       password: '',
       port: 25575
     },
+    query = {
+      enabled: false,
+      port: null // defaults to the server port
+    },
     backup = {
       enabled: false,
       schedule: '0 2 * * *', // Daily at 2 AM
@@ -59,6 +68,7 @@ router.post('/server/add', async (req, res) => {
     tags,
     monitoring,
     rcon,
+    query,
     backup,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
@@ -173,22 +183,7 @@ router.put('/server/:serverId', (req, res) => {
     return res.status(404).json({ error: 'Server not found' });
   }
 
-  const updatedServer = {
-    ...server,
-    ...updates,
-    id: serverId, // Prevent ID changes
-    updatedAt: new Date().toISOString()
-  };
-
-  serverConfigs.set(serverId, updatedServer);
-
-  // Restart monitoring if settings changed
-  if (updates.monitoring) {
-    stopServerMonitoring(serverId);
-    if (updatedServer.monitoring.enabled) {
-      startServerMonitoring(serverId);
-    }
-  }
+  const updatedServer = updateServerConfig(serverId, updates);
 
   res.json({
     success: true,
@@ -225,25 +220,7 @@ router.post('/server/:serverId/check', async (req, res) => {
   }
 
   const checkResult = await performServerCheck(server);
-  
-  // Update server status
-  server.status = checkResult.online ? 'online' : 'offline';
-  server.lastCheck = new Date().toISOString();
-  serverConfigs.set(serverId, server);
-
-  // Add to monitoring history
-  const monitoring = monitoringData.get(serverId);
-  if (monitoring) {
-    monitoring.history.push({
-      timestamp: new Date().toISOString(),
-      ...checkResult
-    });
-    
-    // Keep only last 1000 entries
-    if (monitoring.history.length > 1000) {
-      monitoring.history = monitoring.history.slice(-1000);
-    }
-  }
+  recordCheckResult(serverId, server, checkResult);
 
   res.json({
     serverId,
@@ -258,6 +235,77 @@ router.post('/server/:serverId/check', async (req, res) => {
   });
 });
 
+// Execute commands over RCON
+router.post('/server/:serverId/rcon', async (req, res) => {
+  const { serverId } = req.params;
+  const { command, commands, timeout = 5000 } = req.body;
+
+  const server = serverConfigs.get(serverId);
+  if (!server) {
+    return res.status(404).json({ error: 'Server not found' });
+  }
+
+  const commandList = commands || (command ? [command] : []);
+  if (!Array.isArray(commandList) || commandList.length === 0 || commandList.some(c => typeof c !== 'string' || !c.trim())) {
+    return res.status(400).json({ error: 'A command or commands array is required' });
+  }
+
+  if (commandList.length > 50) {
+    return res.status(400).json({ error: 'Maximum 50 commands per request' });
+  }
+
+  try {
+    const results = await runRconCommands(server, commandList, { timeout: parseInt(timeout) });
+
+    res.json({
+      serverId,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(getRconErrorStatus(error)).json({
+      serverId,
+      error: 'RCON command failed',
+      message: error.message,
+      code: error.code || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Verify RCON connectivity and credentials
+router.post('/server/:serverId/rcon/test', async (req, res) => {
+  const { serverId } = req.params;
+
+  const server = serverConfigs.get(serverId);
+  if (!server) {
+    return res.status(404).json({ error: 'Server not found' });
+  }
+
+  try {
+    const startTime = Date.now();
+    await runRconCommands(server, ['list']);
+
+    res.json({
+      serverId,
+      connected: true,
+      authenticated: true,
+      latency: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(getRconErrorStatus(error)).json({
+      serverId,
+      connected: error.code === 'RCON_AUTH_FAILED',
+      authenticated: false,
+      error: 'RCON test failed',
+      message: error.message,
+      code: error.code || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Get server alerts
 router.get('/server/:serverId/alerts', (req, res) => {
   const { serverId } = req.params;
@@ -456,13 +504,11 @@ router.post('/import', async (req, res) => {
 // Helper functions
 async function performServerCheck(server) {
   try {
-    const startTime = Date.now();
-    const response = await axios.get(`https://api.mcsrvstat.us/2/${server.ip}:${server.port}`, {
-      timeout: 10000
+    const data = await getServerStatus(server.ip, server.port, {
+      timeout: 10000,
+      query: server.query?.enabled || false,
+      queryPort: server.query?.port || null
     });
-    const pingTime = Date.now() - startTime;
-
-    const data = response.data;
     
     return {
       online: data.online || false,
@@ -473,8 +519,9 @@ async function performServerCheck(server) {
       },
       version: data.version || 'Unknown',
       motd: data.motd?.clean?.[0] || '',
-      ping: pingTime,
+      ping: data.online ? data.latency : null,
       software: data.software || 'Unknown',
+      plugins: data.plugins || [],
       map: data.map || null,
       gamemode: data.gamemode || null
     };
@@ -491,101 +538,156 @@ async function performServerCheck(server) {
 function startServerMonitoring(serverId) {
   const server = serverConfigs.get(serverId);
   if (!server || !server.monitoring.enabled) return;
+  stopServerMonitoring(serverId);
 
   const interval = setInterval(async () => {
-    const checkResult = await performServerCheck(server);
-    
-    // Update server status
-    server.status = checkResult.online ? 'online' : 'offline';
-    server.lastCheck = new Date().toISOString();
-    serverConfigs.set(serverId, server);
-
-    // Add to monitoring history
-    const monitoring = monitoringData.get(serverId);
-    if (monitoring) {
-      monitoring.history.push({
-        timestamp: new Date().toISOString(),
-        ...checkResult
-      });
-      
-      // Update statistics
-      monitoring.statistics.totalChecks++;
-      if (checkResult.online) {
-        monitoring.statistics.uptime = 
-          (monitoring.statistics.uptime * (monitoring.statistics.totalChecks - 1) + 1) / 
-          monitoring.statistics.totalChecks;
-      }
+    // Look the config up on every tick so updates made through PUT apply
+    const current = serverConfigs.get(serverId);
+    if (!current) return stopServerMonitoring(serverId);
 
-      // Check for alerts
-      checkForAlerts(serverId, server, checkResult, monitoring);
-      
-      // Keep only last 1000 entries
-      if (monitoring.history.length > 1000) {
-        monitoring.history = monitoring.history.slice(-1000);
-      }
-    }
+    const checkResult = await performServerCheck(current);
+    recordCheckResult(serverId, current, checkResult);
   }, server.monitoring.interval * 1000);
 
-  // Store interval ID for cleanup
-  server._monitoringInterval = interval;
+  // Store interval ID for cleanup (kept off the config so it stays serializable)
+  monitoringIntervals.set(serverId, interval);
 }
 
-function stopServerMonitoring(serverId) {
+function updateServerConfig(serverId, updates) {
   const server = serverConfigs.get(serverId);
-  if (server && server._monitoringInterval) {
-    clearInterval(server._monitoringInterval);
-    delete server._monitoringInterval;
+  if (!server) return null;
+
+  const updatedServer = {
+    ...server,
+    ...updates,
+    id: serverId, // Prevent ID changes
+    updatedAt: new Date().toISOString()
+  };
+
+  serverConfigs.set(serverId, updatedServer);
+
+  // Restart monitoring if settings changed
+  if (updates.monitoring) {
+    stopServerMonitoring(serverId);
+    if (updatedServer.monitoring.enabled) {
+      startServerMonitoring(serverId);
+    }
   }
+
+  return updatedServer;
 }
 
-function checkForAlerts(serverId, server, checkResult, monitoring) {
-  const alerts = server.monitoring.alerts;
-  const thresholds = server.monitoring.thresholds;
+// Store a check in the monitoring history, update statistics and alerts,
+// and let other modules (automation rules, dashboards) know about it
+function recordCheckResult(serverId, server, checkResult) {
+  server.status = checkResult.online ? 'online' : 'offline';
+  server.lastCheck = new Date().toISOString();
+  serverConfigs.set(serverId, server);
+
+  const monitoring = monitoringData.get(serverId);
+  if (!monitoring) return;
+
+  monitoring.history.push({
+    timestamp: server.lastCheck,
+    ...checkResult
+  });
+
+  // Update statistics
+  monitoring.statistics.totalChecks++;
+  monitoring.statistics.uptime =
+    (monitoring.statistics.uptime * (monitoring.statistics.totalChecks - 1) + (checkResult.online ? 1 : 0)) /
+    monitoring.statistics.totalChecks;
+
+  // Keep only last 1000 entries
+  if (monitoring.history.length > 1000) {
+    monitoring.history = monitoring.history.slice(-1000);
+  }
+
+  const alerts = checkForAlerts(server, checkResult, monitoring);
+  monitoringData.set(serverId, monitoring);
+
+  serverEvents.emit('server:check', { serverId, server, checkResult, monitoring });
+  alerts.forEach(alert => serverEvents.emit('server:alert', { serverId, server, alert }));
+}
+
+function stopServerMonitoring(serverId) {
+  const interval = monitoringIntervals.get(serverId);
+  if (interval) {
+    clearInterval(interval);
+    monitoringIntervals.delete(serverId);
+  }
+}
+
+async function runRconCommands(server, commands, { timeout = 5000 } = {}) {
+  if (!server.rcon?.enabled) {
+    const error = new Error(`RCON is not enabled for server ${server.name}`);
+    error.code = 'RCON_DISABLED';
+    throw error;
+  }
+
+  return executeRconCommands({
+    host: server.rcon.host || server.ip,
+    port: server.rcon.port || 25575,
+    password: server.rcon.password || '',
+    commands,
+    timeout
+  });
+}
+
+function getRconErrorStatus(error) {
+  switch (error.code) {
+    case 'RCON_DISABLED':
+    case 'RCON_COMMAND_TOO_LONG':
+      return 400;
+    case 'ETIMEDOUT':
+      return 504;
+    default:
+      return 502;
+  }
+}
+
+// Returns the alerts raised by this check
+function checkForAlerts(server, checkResult, monitoring) {
+  const alerts = server.monitoring.alerts || {};
+  const thresholds = server.monitoring.thresholds || {};
+  const raised = [];
   
   // Offline alert
   if (alerts.offline && !checkResult.online) {
-    addAlert(monitoring, 'critical', 'Server Offline', `Server ${server.name} is offline`);
+    raised.push(addAlert(monitoring, 'server_offline', 'critical', 'Server Offline', `Server ${server.name} is offline`));
   }
   
   // High ping alert
   if (alerts.highPing && checkResult.ping && checkResult.ping > thresholds.maxPing) {
-    addAlert(monitoring, 'warning', 'High Ping', `Server ping is ${checkResult.ping}ms (threshold: ${thresholds.maxPing}ms)`);
+    raised.push(addAlert(monitoring, 'high_ping', 'warning', 'High Ping', `Server ping is ${checkResult.ping}ms (threshold: ${thresholds.maxPing}ms)`));
   }
   
   // Player count alert
   if (alerts.playerCount && checkResult.players.online > thresholds.maxPlayers) {
-    addAlert(monitoring, 'info', 'High Player Count', `Server has ${checkResult.players.online} players (threshold: ${thresholds.maxPlayers})`);
+    raised.push(addAlert(monitoring, 'high_player_count', 'info', 'High Player Count', `Server has ${checkResult.players.online} players (threshold: ${thresholds.maxPlayers})`));
   }
+
+  return raised;
 }
 
-function addAlert(monitoring, severity, title, message) {
-  monitoring.alerts.unshift({
+function addAlert(monitoring, type, severity, title, message) {
+  const alert = {
     id: crypto.randomUUID(),
+    type,
     severity,
     title,
     message,
     timestamp: new Date().toISOString(),
     acknowledged: false
-  });
+  };
+  monitoring.alerts.unshift(alert);
   
   // Keep only last 100 alerts
   if (monitoring.alerts.length > 100) {
     monitoring.alerts = monitoring.alerts.slice(0, 100);
   }
-}
 
-function parseTimeRange(timeRange) {
-  const units = {
-    'h': 60 * 60 * 1000,
-    'd': 24 * 60 * 60 * 1000,
-    'w': 7 * 24 * 60 * 60 * 1000
-  };
-  
-  const match = timeRange.match(/^(\d+)([hdw])$/);
-  if (!match) return 24 * 60 * 60 * 1000; // Default 24 hours
-  
-  const [, amount, unit] = match;
-  return parseInt(amount) * units[unit];
+  return alert;
 }
 
 function generateServerAnalytics(history) {
@@ -639,4 +741,16 @@ function generateServerRecommendations(server, monitoring) {
   return recommendations;
 }
 
+// Resume monitoring for servers restored from storage
+serverConfigs.forEach((server, serverId) => {
+  if (server.monitoring?.enabled) {
+    startServerMonitoring(serverId);
+  }
+});
+
 module.exports = router;
+module.exports.getServerConfig = (serverId) => serverConfigs.get(serverId);
+module.exports.getServerConfigs = () => Array.from(serverConfigs.values());
+module.exports.getMonitoringData = (serverId) => monitoringData.get(serverId);
+module.exports.updateServerConfig = updateServerConfig;
+module.exports.runRconCommands = runRconCommands;
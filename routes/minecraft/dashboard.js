@@ -1,77 +1,121 @@
 const express = require('express');
 const crypto = require('crypto');
+const { getServerConfigs, getMonitoringData } = require('./config');
+const { serverEvents } = require('../../lib/events');
+const realtime = require('../../lib/realtime');
+const {
+  parseTimeRange,
+  entriesSince,
+  calculateUptime,
+  summarizePings,
+  summarizeHistory,
+  peakConcurrentPlayers,
+  buildTimeline
+} = require('../../lib/monitoring/history');
 
 const router = express.Router();
 
-// Advanced dashboard with real-time monitoring
+const SSE_HEARTBEAT_INTERVAL = 15000;
+const WIDGET_TYPES = ['player-counter', 'server-status', 'performance-graph', 'alert-feed', 'tag-summary', 'mod-usage'];
+
+// Fleet overview built from the monitoring history of configured servers.
+// Query: timeRange (30m, 24h, 7d, ...), tag
 router.get('/overview', (req, res) => {
-  const { timeRange = '24h' } = req.query;
-  
-  // Simulate dashboard data
+  const { timeRange = '24h', tag } = req.query;
+  const fleet = collectFleet({ timeRange, tag });
+  const histories = fleet.servers.map(entry => entry.history);
+  const totals = rollup(fleet.servers, fleet.since);
+  const alerts = collectAlerts(fleet.servers, fleet.since);
+
   const overview = {
+    timeRange,
+    since: new Date(fleet.since).toISOString(),
     summary: {
-      totalServers: Math.floor(Math.random() * 50) + 20,
-      onlineServers: Math.floor(Math.random() * 40) + 15,
-      totalPlayers: Math.floor(Math.random() * 1000) + 200,
-      averageUptime: (Math.random() * 10 + 90).toFixed(2) + '%',
-      alertsCount: Math.floor(Math.random() * 20),
+      totalServers: totals.servers,
+      onlineServers: totals.onlineServers,
+      totalPlayers: totals.players,
+      peakPlayers: totals.peakPlayers,
+      peakPlayersAt: totals.peakPlayersAt,
+      averageUptime: totals.uptime,
+      alertsCount: alerts.length,
       lastUpdate: new Date().toISOString()
     },
     performance: {
-      averagePing: Math.floor(Math.random() * 100) + 50,
-      averageTPS: (Math.random() * 2 + 18).toFixed(1),
-      memoryUsage: Math.floor(Math.random() * 30) + 60 + '%',
-      cpuUsage: Math.floor(Math.random() * 40) + 20 + '%'
+      ping: totals.ping
     },
-    topServers: generateTopServers(),
-    recentAlerts: generateRecentAlerts(),
-    networkMap: generateNetworkMap(),
-    trends: generateTrends(timeRange)
+    topServers: fleet.servers
+      .map(formatServerSummary)
+      .sort((a, b) => b.players - a.players || (b.uptime ?? -1) - (a.uptime ?? -1))
+      .slice(0, 5),
+    recentAlerts: alerts.slice(0, 10),
+    tags: rollupByTag(fleet.servers, fleet.since),
+    trends: buildTimeline(histories, fleet.since)
   };
 
   res.json(overview);
 });
 
-// Real-time server status feed
+// Real-time server status feed. Returns the current snapshot as JSON, or
+// streams updates when the client asks for text/event-stream.
 router.get('/realtime', (req, res) => {
+  if ((req.get('accept') || '').includes('text/event-stream')) {
+    return streamRealtimeEvents(req, res);
+  }
+
   const { servers } = req.query;
-  
-  const serverList = servers ? servers.split(',') : ['default'];
-  const realtimeData = serverList.map(serverId => ({
-    serverId,
-    timestamp: new Date().toISOString(),
-    status: Math.random() > 0.1 ? 'online' : 'offline',
-    players: Math.floor(Math.random() * 100),
-    ping: Math.floor(Math.random() * 200) + 20,
-    tps: (Math.random() * 2 + 18).toFixed(1),
-    memory: Math.floor(Math.random() * 8000) + 2000,
-    cpu: Math.floor(Math.random() * 80) + 10
-  }));
+  res.json(getRealtimeSnapshot(servers ? servers.split(',') : null));
+});
 
-  res.json({
-    timestamp: new Date().toISOString(),
-    servers: realtimeData,
-    globalStats: {
-      totalOnline: realtimeData.filter(s => s.status === 'online').length,
-      totalPlayers: realtimeData.reduce((sum, s) => sum + s.players, 0),
-      averagePing: Math.round(realtimeData.reduce((sum, s) => sum + s.ping, 0) / realtimeData.length)
-    }
-  });
+// Server-Sent Events stream of check results, status and player-count
+// changes and alerts. Filters: ?servers=id1,id2&events=check,status,players,alert.
+// Reconnecting clients resume with the Last-Event-ID header (or ?lastEventId=).
+router.get('/realtime/stream', (req, res) => {
+  streamRealtimeEvents(req, res);
 });
 
-// Advanced analytics dashboard
+// Analytics over the monitoring history. Query: period, tag, metric
 router.get('/analytics', (req, res) => {
-  const { metric = 'all', period = '7d' } = req.query;
-  
+  const { metric = 'all', period = '7d', tag } = req.query;
+  const fleet = collectFleet({ timeRange: period, tag });
+  const histories = fleet.servers.map(entry => entry.history);
+  const timeline = buildTimeline(histories, fleet.since);
+
   const analytics = {
-    playerTrends: generatePlayerTrends(period),
-    performanceMetrics: generatePerformanceMetrics(period),
-    uptimeAnalysis: generateUptimeAnalysis(period),
-    geographicDistribution: generateGeographicData(),
-    versionDistribution: generateVersionDistribution(),
-    modDistribution: generateModDistribution(),
-    predictions: generatePredictions(),
-    insights: generateInsights()
+    playerTrends: {
+      bucketSize: timeline.bucketSize,
+      timeline: timeline.points.map(point => ({
+        timestamp: point.time,
+        players: point.players,
+        peakPlayers: point.peakPlayers
+      })),
+      peak: peakConcurrentPlayers(histories),
+      growth: compareHalves(timeline.points, 'players')
+    },
+    performanceMetrics: {
+      ping: summarizePings(histories.flat()),
+      byServer: fleet.servers.map(entry => ({
+        serverId: entry.server.id,
+        name: entry.server.name,
+        ping: entry.summary.ping
+      })),
+      timeline: timeline.points.map(point => ({ timestamp: point.time, ping: point.ping, pingP95: point.pingP95 }))
+    },
+    uptimeAnalysis: {
+      overall: calculateUptime(histories.flat()),
+      byServer: fleet.servers.map(entry => ({
+        serverId: entry.server.id,
+        name: entry.server.name,
+        uptime: entry.summary.uptime,
+        downtimeMinutes: entry.summary.downtimeMinutes,
+        incidents: entry.summary.incidents,
+        checks: entry.summary.checks
+      })),
+      trend: describeTrend(compareHalves(timeline.points, 'uptime'))
+    },
+    tagRollups: rollupByTag(fleet.servers, fleet.since),
+    versionDistribution: distribution(fleet.servers, entry => entry.latest?.version, 'version'),
+    softwareDistribution: distribution(fleet.servers, entry => entry.latest?.software, 'software'),
+    insights: generateInsights(fleet, timeline)
   };
 
   if (metric !== 'all') {
@@ -82,7 +126,7 @@ router.get('/analytics', (req, res) => {
     return res.json(filteredAnalytics);
   }
 
-  res.json(analytics);
+  res.json({ period, since: new Date(fleet.since).toISOString(), ...analytics });
 });
 
 // Server comparison matrix
@@ -107,19 +151,38 @@ router.post('/compare', (req, res) => {
   res.json(comparison);
 });
 
-// Network topology visualization
+// Network topology of configured servers: servers sharing a host are linked
+// and tags form clusters. Query: includeOffline, timeRange, tag
 router.get('/network', (req, res) => {
-  const { includeOffline = false } = req.query;
-  
+  const { includeOffline = 'false', timeRange = '24h', tag } = req.query;
+  const fleet = collectFleet({ timeRange, tag });
+  const servers = includeOffline === 'true'
+    ? fleet.servers
+    : fleet.servers.filter(entry => entry.status === 'online');
+
+  const latencies = servers
+    .filter(entry => entry.status === 'online' && typeof entry.latest.ping === 'number')
+    .map(entry => entry.latest.ping);
+
   const network = {
-    nodes: generateNetworkNodes(includeOffline),
-    edges: generateNetworkEdges(),
-    clusters: generateNetworkClusters(),
+    nodes: servers.map(entry => ({
+      id: entry.server.id,
+      name: entry.server.name,
+      type: 'server',
+      host: `${entry.server.ip}:${entry.server.port}`,
+      status: entry.status,
+      players: entry.summary.players.current,
+      ping: entry.latest?.ping ?? null,
+      uptime: entry.summary.uptime,
+      tags: entry.server.tags || []
+    })),
+    edges: generateNetworkEdges(servers),
+    clusters: generateNetworkClusters(servers),
     statistics: {
-      totalNodes: 25,
-      activeConnections: 18,
-      averageLatency: 45,
-      networkHealth: 'Good'
+      totalNodes: fleet.servers.length,
+      onlineNodes: fleet.servers.filter(entry => entry.status === 'online').length,
+      averageLatency: latencies.length > 0 ? Math.round(latencies.reduce((sum, ping) => sum + ping, 0) / latencies.length) : null,
+      networkHealth: describeHealth(fleet.servers)
     },
     layout: 'force-directed',
     timestamp: new Date().toISOString()
@@ -128,34 +191,36 @@ router.get('/network', (req, res) => {
   res.json(network);
 });
 
-// Custom dashboard widgets
+// Custom dashboard widgets. Query: timeRange, tag, servers (comma separated)
 router.get('/widgets/:widgetType', (req, res) => {
   const { widgetType } = req.params;
-  const { config = {} } = req.query;
-  
+  const { timeRange = '24h', tag, servers } = req.query;
+  const config = { timeRange, tag: tag || null, servers: servers ? servers.split(',') : null };
+  const fleet = collectFleet({ timeRange, tag, serverIds: config.servers });
+
   let widgetData;
   
   switch (widgetType) {
     case 'player-counter':
-      widgetData = generatePlayerCounterWidget(config);
+      widgetData = generatePlayerCounterWidget(fleet);
       break;
     case 'server-status':
-      widgetData = generateServerStatusWidget(config);
+      widgetData = generateServerStatusWidget(fleet);
       break;
     case 'performance-graph':
-      widgetData = generatePerformanceGraphWidget(config);
+      widgetData = generatePerformanceGraphWidget(fleet);
       break;
     case 'alert-feed':
-      widgetData = generateAlertFeedWidget(config);
+      widgetData = generateAlertFeedWidget(fleet);
       break;
-    case 'world-map':
-      widgetData = generateWorldMapWidget(config);
+    case 'tag-summary':
+      widgetData = { tags: rollupByTag(fleet.servers, fleet.since) };
       break;
     case 'mod-usage':
-      widgetData = generateModUsageWidget(config);
+      widgetData = generateModUsageWidget(fleet);
       break;
     default:
-      return res.status(400).json({ error: 'Unknown widget type' });
+      return res.status(400).json({ error: 'Unknown widget type', availableWidgets: WIDGET_TYPES });
   }
 
   res.json({
@@ -201,171 +266,248 @@ router.post('/reports/generate', (req, res) => {
 });
 
 // Helper functions
-function generateTopServers() {
-  return Array.from({ length: 5 }, (_, i) => ({
-    id: `server_${i + 1}`,
-    name: `Top Server ${i + 1}`,
-    players: Math.floor(Math.random() * 200) + 50,
-    uptime: (Math.random() * 5 + 95).toFixed(2) + '%',
-    ping: Math.floor(Math.random() * 50) + 20,
-    version: '1.20.1'
-  }));
-}
+function streamRealtimeEvents(req, res) {
+  const filter = realtime.normalizeFilter({ serverIds: req.query.servers, events: req.query.events });
+  const unknownEvents = (filter.events || []).filter(type => !realtime.EVENT_TYPES.includes(type));
+  if (unknownEvents.length > 0) {
+    return res.status(400).json({
+      error: `Unknown event types: ${unknownEvents.join(', ')}`,
+      availableEvents: realtime.EVENT_TYPES
+    });
+  }
 
-function generateRecentAlerts() {
-  const alertTypes = ['Server Offline', 'High Ping', 'Low TPS', 'Memory Warning', 'Player Limit'];
-  const severities = ['critical', 'warning', 'info'];
-  
-  return Array.from({ length: 8 }, (_, i) => ({
-    id: crypto.randomUUID(),
-    type: alertTypes[Math.floor(Math.random() * alertTypes.length)],
-    severity: severities[Math.floor(Math.random() * severities.length)],
-    server: `Server ${Math.floor(Math.random() * 10) + 1}`,
-    message: 'Alert message here',
-    timestamp: new Date(Date.now() - Math.random() * 3600000).toISOString()
-  }));
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression() buffers output; flush after every write
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+  };
+  const writeEvent = (event) => {
+    write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ serverId: event.serverId, timestamp: event.timestamp, ...event.data })}\n\n`);
+  };
+
+  write('retry: 5000\n\n');
+
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  const missed = lastEventId ? realtime.getEventsSince(lastEventId, filter) : { complete: false, events: [] };
+  if (!missed.complete) {
+    // New client, or one that fell behind the replay buffer: start from a snapshot
+    write(`id: ${realtime.getLastEventId()}\nevent: snapshot\ndata: ${JSON.stringify(getRealtimeSnapshot(filter.serverIds))}\n\n`);
+  }
+  missed.events.forEach(writeEvent);
+
+  const subscription = realtime.subscribe(filter, writeEvent);
+  const heartbeat = setInterval(() => write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscription.unsubscribe();
+  });
 }
 
-function generateNetworkMap() {
+// Latest check of every configured server (or only serverIds)
+function getRealtimeSnapshot(serverIds = null) {
+  const servers = getServerConfigs()
+    .filter(server => !serverIds || serverIds.includes(server.id))
+    .map(server => {
+      const history = getMonitoringData(server.id)?.history || [];
+      const latest = history[history.length - 1];
+      return {
+        serverId: server.id,
+        name: server.name,
+        timestamp: latest?.timestamp || null,
+        status: latest ? (latest.online ? 'online' : 'offline') : 'unknown',
+        players: latest?.players?.online ?? 0,
+        maxPlayers: latest?.players?.max ?? 0,
+        ping: latest?.ping ?? null,
+        version: latest?.version || null,
+        monitoring: Boolean(server.monitoring?.enabled)
+      };
+    });
+
+  const pings = servers.filter(s => typeof s.ping === 'number').map(s => s.ping);
   return {
-    regions: [
-      { name: 'North America', servers: 12, players: 450, avgPing: 35 },
-      { name: 'Europe', servers: 8, players: 320, avgPing: 42 },
-      { name: 'Asia', servers: 6, players: 280, avgPing: 65 },
-      { name: 'Other', servers: 3, players: 85, avgPing: 120 }
-    ],
-    connections: generateNetworkConnections()
+    timestamp: new Date().toISOString(),
+    lastEventId: realtime.getLastEventId(),
+    servers,
+    globalStats: {
+      totalOnline: servers.filter(s => s.status === 'online').length,
+      totalPlayers: servers.reduce((sum, s) => sum + s.players, 0),
+      averagePing: pings.length > 0 ? Math.round(pings.reduce((sum, ping) => sum + ping, 0) / pings.length) : null
+    }
   };
 }
 
-function generateNetworkConnections() {
-  return Array.from({ length: 15 }, () => ({
-    from: `server_${Math.floor(Math.random() * 10) + 1}`,
-    to: `server_${Math.floor(Math.random() * 10) + 1}`,
-    latency: Math.floor(Math.random() * 100) + 10,
-    bandwidth: Math.floor(Math.random() * 1000) + 100
-  }));
+// Configured servers with their history inside the time range
+function collectFleet({ timeRange = '24h', tag = null, serverIds = null } = {}) {
+  const since = Date.now() - parseTimeRange(timeRange);
+  const servers = getServerConfigs()
+    .filter(server => !tag || (server.tags || []).includes(tag))
+    .filter(server => !serverIds || serverIds.includes(server.id))
+    .map(server => {
+      const monitoring = getMonitoringData(server.id) || { history: [], alerts: [] };
+      const latest = monitoring.history[monitoring.history.length - 1] || null;
+      const history = entriesSince(monitoring.history, since);
+      return {
+        server,
+        monitoring,
+        latest,
+        history,
+        status: latest ? (latest.online ? 'online' : 'offline') : 'unknown',
+        summary: summarizeHistory(history, { intervalSeconds: server.monitoring?.interval || 60 })
+      };
+    });
+
+  return { since, servers };
 }
 
-function generateTrends(timeRange) {
-  const points = timeRange === '24h' ? 24 : timeRange === '7d' ? 7 : 30;
-  
+// Totals for a group of servers from collectFleet
+function rollup(servers, since) {
+  const histories = servers.map(entry => entry.history);
+  const peak = peakConcurrentPlayers(histories);
+
   return {
-    players: Array.from({ length: points }, (_, i) => ({
-      time: new Date(Date.now() - (points - i) * 3600000).toISOString(),
-      value: Math.floor(Math.random() * 200) + 300
-    })),
-    uptime: Array.from({ length: points }, (_, i) => ({
-      time: new Date(Date.now() - (points - i) * 3600000).toISOString(),
-      value: Math.random() * 10 + 90
-    })),
-    performance: Array.from({ length: points }, (_, i) => ({
-      time: new Date(Date.now() - (points - i) * 3600000).toISOString(),
-      ping: Math.floor(Math.random() * 50) + 30,
-      tps: Math.random() * 2 + 18
-    }))
+    servers: servers.length,
+    onlineServers: servers.filter(entry => entry.status === 'online').length,
+    players: servers.reduce((sum, entry) => sum + entry.summary.players.current, 0),
+    peakPlayers: peak.players,
+    peakPlayersAt: peak.at,
+    uptime: calculateUptime(histories.flat()),
+    ping: summarizePings(histories.flat()),
+    alerts: collectAlerts(servers, since).length
   };
 }
 
-function generatePlayerTrends(period) {
-  const dataPoints = period === '24h' ? 24 : period === '7d' ? 7 : 30;
-  
-  return {
-    timeline: Array.from({ length: dataPoints }, (_, i) => ({
-      timestamp: new Date(Date.now() - (dataPoints - i) * 3600000).toISOString(),
-      totalPlayers: Math.floor(Math.random() * 500) + 200,
-      uniquePlayers: Math.floor(Math.random() * 300) + 150,
-      peakPlayers: Math.floor(Math.random() * 600) + 400
-    })),
-    growth: {
-      daily: (Math.random() * 10 - 5).toFixed(2) + '%',
-      weekly: (Math.random() * 20 - 10).toFixed(2) + '%',
-      monthly: (Math.random() * 50 - 25).toFixed(2) + '%'
-    }
-  };
+// Servers without tags are grouped under "untagged"
+function rollupByTag(servers, since) {
+  const groups = new Map();
+  servers.forEach(entry => {
+    const tags = entry.server.tags?.length ? entry.server.tags : ['untagged'];
+    tags.forEach(tag => {
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(entry);
+    });
+  });
+
+  return Array.from(groups.entries())
+    .map(([tag, members]) => ({ tag, ...rollup(members, since) }))
+    .sort((a, b) => b.players - a.players || a.tag.localeCompare(b.tag));
 }
 
-function generatePerformanceMetrics(period) {
-  return {
-    averages: {
-      ping: Math.floor(Math.random() * 50) + 30,
-      tps: (Math.random() * 2 + 18).toFixed(1),
-      memory: Math.floor(Math.random() * 30) + 60,
-      cpu: Math.floor(Math.random() * 40) + 20
-    },
-    peaks: {
-      maxPing: Math.floor(Math.random() * 200) + 100,
-      minTPS: (Math.random() * 5 + 15).toFixed(1),
-      maxMemory: Math.floor(Math.random() * 50) + 80,
-      maxCPU: Math.floor(Math.random() * 60) + 70
-    }
-  };
+function collectAlerts(servers, since) {
+  return servers
+    .flatMap(entry => (entry.monitoring.alerts || [])
+      .filter(alert => new Date(alert.timestamp).getTime() >= since)
+      .map(alert => ({ ...alert, serverId: entry.server.id, server: entry.server.name })))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 }
 
-function generateUptimeAnalysis(period) {
+function formatServerSummary(entry) {
   return {
-    overall: (Math.random() * 10 + 90).toFixed(2) + '%',
-    byServer: Array.from({ length: 10 }, (_, i) => ({
-      serverId: `server_${i + 1}`,
-      uptime: (Math.random() * 15 + 85).toFixed(2) + '%',
-      downtime: Math.floor(Math.random() * 120) + ' minutes',
-      incidents: Math.floor(Math.random() * 5)
-    })),
-    trends: 'improving'
+    id: entry.server.id,
+    name: entry.server.name,
+    status: entry.status,
+    players: entry.summary.players.current,
+    maxPlayers: entry.latest?.players?.max ?? 0,
+    peakPlayers: entry.summary.players.peak,
+    uptime: entry.summary.uptime,
+    ping: entry.summary.ping?.average ?? null,
+    version: entry.latest?.version || null,
+    tags: entry.server.tags || []
   };
 }
 
-function generateGeographicData() {
-  return [
-    { country: 'United States', servers: 15, players: 450 },
-    { country: 'Germany', servers: 8, players: 320 },
-    { country: 'United Kingdom', servers: 6, players: 280 },
-    { country: 'France', servers: 4, players: 180 },
-    { country: 'Japan', servers: 3, players: 150 }
-  ];
+// Count servers by a value of their latest check
+function distribution(servers, getValue, key) {
+  const counts = new Map();
+  servers.forEach(entry => {
+    const value = getValue(entry) || 'Unknown';
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return Array.from(counts.entries())
+    .map(([value, count]) => ({
+      [key]: value,
+      servers: count,
+      percentage: Math.round((count / servers.length) * 100)
+    }))
+    .sort((a, b) => b.servers - a.servers);
 }
 
-function generateVersionDistribution() {
-  return [
-    { version: '1.20.1', servers: 12, percentage: 40 },
-    { version: '1.19.4', servers: 8, percentage: 27 },
-    { version: '1.18.2', servers: 6, percentage: 20 },
-    { version: '1.17.1', servers: 3, percentage: 10 },
-    { version: 'Other', servers: 1, percentage: 3 }
-  ];
+// Change between the averages of the first and second half of a timeline
+function compareHalves(points, field) {
+  const values = points.map(point => point[field]).filter(value => value !== null);
+  if (values.length < 2) return null;
+
+  const middle = Math.floor(values.length / 2);
+  const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const before = average(values.slice(0, middle));
+  const after = average(values.slice(middle));
+  if (before === 0) return after === 0 ? '0.00%' : null;
+
+  const change = ((after - before) / before) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
 }
 
-function generateModDistribution() {
-  return [
-    { mod: 'Forge', usage: 65, servers: 19 },
-    { mod: 'Fabric', usage: 25, servers: 7 },
-    { mod: 'Vanilla', usage: 10, servers: 3 }
-  ];
+function describeTrend(change) {
+  if (change === null) return 'insufficient data';
+  const value = parseFloat(change);
+  if (value > 0.5) return 'improving';
+  if (value < -0.5) return 'declining';
+  return 'stable';
 }
 
-function generatePredictions() {
-  return {
-    playerGrowth: {
-      nextWeek: '+5.2%',
-      nextMonth: '+12.8%',
-      confidence: 87
-    },
-    serverLoad: {
-      peakTime: '20:00 UTC',
-      expectedLoad: 'High',
-      recommendation: 'Scale up resources'
-    }
-  };
+function describeHealth(servers) {
+  const monitored = servers.filter(entry => entry.status !== 'unknown');
+  if (monitored.length === 0) return 'Unknown';
+
+  const offline = monitored.filter(entry => entry.status === 'offline').length;
+  if (offline === 0) return 'Good';
+  return offline === monitored.length ? 'Critical' : 'Degraded';
 }
 
-function generateInsights() {
-  return [
-    'Player activity peaks at 8 PM UTC',
-    'Server performance is 15% better than last month',
-    'European servers show highest uptime',
-    'Mod usage trending towards Fabric',
-    'Memory optimization needed on 3 servers'
-  ];
+function generateInsights(fleet, timeline) {
+  const insights = [];
+  const withData = fleet.servers.filter(entry => entry.summary.checks > 0);
+
+  if (fleet.servers.length === 0) {
+    return ['No servers configured yet. Add one with POST /api/mc/config/server/add'];
+  }
+  if (withData.length < fleet.servers.length) {
+    insights.push(`${fleet.servers.length - withData.length} server(s) have no monitoring data in this period`);
+  }
+
+  const busiest = timeline.points
+    .filter(point => point.players !== null)
+    .sort((a, b) => b.players - a.players)[0];
+  if (busiest && busiest.players > 0) {
+    insights.push(`Player activity peaked around ${busiest.time} with ${busiest.peakPlayers} players online`);
+  }
+
+  withData
+    .filter(entry => entry.summary.uptime < 99)
+    .sort((a, b) => a.summary.uptime - b.summary.uptime)
+    .forEach(entry => {
+      insights.push(`${entry.server.name} uptime is ${entry.summary.uptime}% with ${entry.summary.incidents} incident(s)`);
+    });
+
+  withData
+    .filter(entry => entry.summary.ping && entry.summary.ping.p95 > (entry.server.monitoring?.thresholds?.maxPing || 200))
+    .forEach(entry => {
+      insights.push(`${entry.server.name} p95 ping is ${entry.summary.ping.p95}ms, above its ${entry.server.monitoring?.thresholds?.maxPing || 200}ms threshold`);
+    });
+
+  if (insights.length === 0) {
+    insights.push('All monitored servers stayed online with normal latency');
+  }
+  return insights;
 }
 
 function generateServerMetrics(metrics) {
@@ -409,99 +551,114 @@ function generateComparisonRecommendations(serverIds) {
   ];
 }
 
-function generateNetworkNodes(includeOffline) {
-  return Array.from({ length: 25 }, (_, i) => {
-    const isOnline = includeOffline ? Math.random() > 0.2 : true;
-    return {
-      id: `node_${i + 1}`,
-      name: `Server ${i + 1}`,
-      type: 'server',
-      status: isOnline ? 'online' : 'offline',
-      players: isOnline ? Math.floor(Math.random() * 100) : 0,
-      position: {
-        x: Math.random() * 800,
-        y: Math.random() * 600
+// Link servers that run on the same host
+function generateNetworkEdges(servers) {
+  const byHost = new Map();
+  servers.forEach(entry => {
+    if (!byHost.has(entry.server.ip)) byHost.set(entry.server.ip, []);
+    byHost.get(entry.server.ip).push(entry.server.id);
+  });
+
+  const edges = [];
+  byHost.forEach((ids, host) => {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        edges.push({ id: `edge_${edges.length + 1}`, source: ids[i], target: ids[j], type: 'same_host', host });
       }
-    };
+    }
   });
+  return edges;
 }
 
-function generateNetworkEdges() {
-  return Array.from({ length: 30 }, (_, i) => ({
-    id: `edge_${i + 1}`,
-    source: `node_${Math.floor(Math.random() * 25) + 1}`,
-    target: `node_${Math.floor(Math.random() * 25) + 1}`,
-    latency: Math.floor(Math.random() * 100) + 10,
-    bandwidth: Math.floor(Math.random() * 1000) + 100
-  }));
-}
+function generateNetworkClusters(servers) {
+  const clusters = new Map();
+  servers.forEach(entry => {
+    (entry.server.tags || []).forEach(tag => {
+      if (!clusters.has(tag)) clusters.set(tag, []);
+      clusters.get(tag).push(entry);
+    });
+  });
 
-function generateNetworkClusters() {
-  return [
-    { id: 'cluster_1', name: 'Production', nodes: 12, health: 'good' },
-    { id: 'cluster_2', name: 'Development', nodes: 8, health: 'warning' },
-    { id: 'cluster_3', name: 'Testing', nodes: 5, health: 'good' }
-  ];
+  return Array.from(clusters.entries()).map(([tag, members]) => ({
+    id: tag,
+    name: tag,
+    nodes: members.map(entry => entry.server.id),
+    health: describeHealth(members).toLowerCase()
+  }));
 }
 
-function generatePlayerCounterWidget(config) {
-  return {
-    current: Math.floor(Math.random() * 500) + 200,
-    peak: Math.floor(Math.random() * 800) + 600,
-    trend: Math.random() > 0.5 ? 'up' : 'down',
-    change: (Math.random() * 20 - 10).toFixed(1) + '%'
-  };
-}
+function generatePlayerCounterWidget(fleet) {
+  const histories = fleet.servers.map(entry => entry.history);
+  const points = buildTimeline(histories, fleet.since).points.filter(point => point.players !== null);
+  const current = fleet.servers.reduce((sum, entry) => sum + entry.summary.players.current, 0);
+  const start = points[0]?.players ?? current;
+  const peak = peakConcurrentPlayers(histories);
 
-function generateServerStatusWidget(config) {
   return {
-    online: Math.floor(Math.random() * 20) + 15,
-    offline: Math.floor(Math.random() * 5),
-    maintenance: Math.floor(Math.random() * 3),
-    total: 35
+    current,
+    peak: peak.players,
+    peakAt: peak.at,
+    trend: current > start ? 'up' : current < start ? 'down' : 'flat',
+    change: start > 0 ? `${(((current - start) / start) * 100).toFixed(1)}%` : null
   };
 }
 
-function generatePerformanceGraphWidget(config) {
+function generateServerStatusWidget(fleet) {
+  const count = status => fleet.servers.filter(entry => entry.status === status).length;
   return {
-    data: Array.from({ length: 20 }, (_, i) => ({
-      time: new Date(Date.now() - (20 - i) * 60000).toISOString(),
-      cpu: Math.random() * 100,
-      memory: Math.random() * 100,
-      network: Math.random() * 100
+    online: count('online'),
+    offline: count('offline'),
+    unknown: count('unknown'),
+    unmonitored: fleet.servers.filter(entry => !entry.server.monitoring?.enabled).length,
+    total: fleet.servers.length,
+    servers: fleet.servers.map(entry => ({
+      id: entry.server.id,
+      name: entry.server.name,
+      status: entry.status,
+      lastCheck: entry.latest?.timestamp || null
     }))
   };
 }
 
-function generateAlertFeedWidget(config) {
+function generatePerformanceGraphWidget(fleet) {
+  const timeline = buildTimeline(fleet.servers.map(entry => entry.history), fleet.since);
   return {
-    alerts: Array.from({ length: 5 }, (_, i) => ({
-      id: crypto.randomUUID(),
-      severity: ['critical', 'warning', 'info'][Math.floor(Math.random() * 3)],
-      message: `Alert ${i + 1}`,
-      timestamp: new Date(Date.now() - Math.random() * 3600000).toISOString()
+    bucketSize: timeline.bucketSize,
+    data: timeline.points.map(point => ({
+      time: point.time,
+      ping: point.ping,
+      pingP95: point.pingP95,
+      players: point.players,
+      uptime: point.uptime
     }))
   };
 }
 
-function generateWorldMapWidget(config) {
+function generateAlertFeedWidget(fleet) {
   return {
-    servers: [
-      { lat: 40.7128, lng: -74.0060, name: 'New York', players: 120 },
-      { lat: 51.5074, lng: -0.1278, name: 'London', players: 95 },
-      { lat: 35.6762, lng: 139.6503, name: 'Tokyo', players: 80 }
-    ]
+    alerts: collectAlerts(fleet.servers, fleet.since).slice(0, 20)
   };
 }
 
-function generateModUsageWidget(config) {
+// Plugin usage from the Query protocol (servers with query enabled).
+// Status checks report { names, raw }; older history entries an array of
+// { name, version }.
+function generateModUsageWidget(fleet) {
+  const usage = new Map();
+  const pluginNames = plugins => (Array.isArray(plugins) ? plugins.map(plugin => plugin.name) : plugins?.names || null);
+  const reporting = fleet.servers.filter(entry =>
+    entry.server.query?.enabled && entry.status === 'online' && pluginNames(entry.latest.plugins));
+  reporting.forEach(entry => {
+    pluginNames(entry.latest.plugins).forEach(name => {
+      usage.set(name, (usage.get(name) || 0) + 1);
+    });
+  });
+
   return {
-    mods: [
-      { name: 'JEI', usage: 85 },
-      { name: 'Optifine', usage: 72 },
-      { name: 'Biomes O Plenty', usage: 45 },
-      { name: 'Thermal Expansion', usage: 38 }
-    ]
+    serversReporting: reporting.length,
+    mods: Array.from(usage.entries())
+      .map(([name, servers]) => ({ name, servers, usage: Math.round((servers / reporting.length) * 100) }))
+      .sort((a, b) => b.servers - a.servers)
   };
 }
 
@@ -544,4 +701,46 @@ function generateReportRecommendations(reportType) {
   ];
 }
 
+// Turn monitoring checks into realtime events
+serverEvents.on('server:check', ({ serverId, server, checkResult, monitoring }) => {
+  const previous = monitoring.history[monitoring.history.length - 2];
+  const players = checkResult.players || { online: 0, max: 0, list: [] };
+
+  realtime.publish('check', serverId, {
+    name: server.name,
+    online: checkResult.online,
+    players: { online: players.online, max: players.max },
+    ping: checkResult.ping,
+    version: checkResult.version || null
+  });
+
+  if (!previous || previous.online !== checkResult.online) {
+    realtime.publish('status', serverId, {
+      name: server.name,
+      status: checkResult.online ? 'online' : 'offline',
+      previousStatus: previous ? (previous.online ? 'online' : 'offline') : 'unknown'
+    });
+  }
+
+  const previousCount = previous?.players?.online ?? 0;
+  if (previous && previousCount !== players.online) {
+    // Names are only known when the query protocol is enabled
+    const before = previous.players?.list || [];
+    const after = players.list || [];
+    realtime.publish('players', serverId, {
+      name: server.name,
+      online: players.online,
+      previous: previousCount,
+      delta: players.online - previousCount,
+      joined: after.filter(name => !before.includes(name)),
+      left: before.filter(name => !after.includes(name))
+    });
+  }
+});
+
+serverEvents.on('server:alert', ({ serverId, server, alert }) => {
+  realtime.publish('alert', serverId, { name: server.name, ...alert });
+});
+
 module.exports = router;
+module.exports.getRealtimeSnapshot = getRealtimeSnapshot;
@@ -1,13 +1,28 @@
 const express = require('express');
 const crypto = require('crypto');
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const { createCollection } = require('../../lib/storage');
+const ledger = require('../../lib/economy/ledger');
+const auctionHouse = require('../../lib/economy/auctions');
+const shopTrades = require('../../lib/economy/shops');
+const banking = require('../../lib/economy/banking');
+const economyAnalytics = require('../../lib/economy/analytics');
+const { isValidTimeRange } = require('../../lib/monitoring/history');
+const { createError } = require('../../lib/helpers');
 
 const router = express.Router();
 
-// In-memory storage for economy data (use database in production)
-let economies = new Map();
-let transactions = [];
-let shops = new Map();
-let auctions = new Map();
+const BALANCE_ACTIONS = ['get', 'set', 'add', 'subtract'];
+const BANK_ACTIONS = ['create', 'deposit', 'withdraw'];
+const AUCTION_SETTLE_INTERVAL = (parseInt(process.env.AUCTION_SETTLE_INTERVAL) || 15) * 1000;
+
+// Economy data is persisted through lib/storage; money moves through the
+// double-entry ledger in lib/economy/ledger.js
+let economies = createCollection('economy.economies');
+let shops = createCollection('economy.shops');
+// Banking tasks by economy ID
+const bankingTasks = new Map();
 
 // Create or update economy system
 router.post('/create', (req, res) => {
@@ -27,6 +42,7 @@ router.post('/create', (req, res) => {
   const economy = createEconomy(economyId, name, currency, startingBalance, settings, features);
 
   economies.set(economyId, economy);
+  scheduleBanking(economy);
 
   res.json({
     economyId,
@@ -46,17 +62,30 @@ router.post('/balance/manage', (req, res) => {
     amount = 0,
     reason = ''
   } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
 
   if (!economyId || !playerId || !action) {
     return res.status(400).json({ error: 'Economy ID, player ID, and action are required' });
   }
+  if (!BALANCE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `Action must be one of: ${BALANCE_ACTIONS.join(', ')}` });
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    return res.status(400).json({ error: 'Amount must be a non-negative number' });
+  }
 
   const economy = economies.get(economyId);
   if (!economy) {
     return res.status(404).json({ error: 'Economy not found' });
   }
 
-  const result = managePlayerBalance(economy, playerId, action, amount, reason);
+  let result;
+  try {
+    result = managePlayerBalance(economy, playerId, action, amount, reason, idempotencyKey);
+  } catch (error) {
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+  economies.set(economyId, economy);
 
   res.json({
     playerId,
@@ -68,13 +97,77 @@ router.post('/balance/manage', (req, res) => {
   });
 });
 
-// Transaction history
+// Player-to-player payment. Send idempotencyKey (or an Idempotency-Key
+// header) so that a retried request pays only once.
+router.post('/transfer', (req, res) => {
+  const { economyId, fromPlayerId, toPlayerId, amount, reason = '' } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+
+  if (!economyId || !fromPlayerId || !toPlayerId) {
+    return res.status(400).json({ error: 'Economy ID, sender and recipient player IDs are required' });
+  }
+  if (!isPlayerId(fromPlayerId) || !isPlayerId(toPlayerId)) {
+    return res.status(400).json({ error: 'Player IDs must be non-empty strings' });
+  }
+  if (fromPlayerId === toPlayerId) {
+    return res.status(400).json({ error: 'Sender and recipient must be different players' });
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'Amount must be a positive number' });
+  }
+
+  const economy = economies.get(economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+  if (!economy.players.has(fromPlayerId)) {
+    return res.status(404).json({ error: 'Sender not found in this economy' });
+  }
+
+  let result;
+  try {
+    result = ledger.post(economy, {
+      type: 'transfer',
+      entries: [
+        { account: ledger.playerAccount(fromPlayerId), amount: -amount },
+        { account: ledger.playerAccount(toPlayerId), amount }
+      ],
+      reason,
+      metadata: { fromPlayerId, toPlayerId },
+      idempotencyKey
+    });
+    // Only a transfer that went through brings a new recipient into the economy
+    getOrCreatePlayer(economy, toPlayerId);
+  } catch (error) {
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+  economies.set(economyId, economy);
+
+  res.json({
+    economyId,
+    transaction: result.posting,
+    replayed: result.replayed,
+    balances: {
+      [fromPlayerId]: ledger.balanceOf(economy, ledger.playerAccount(fromPlayerId)),
+      [toPlayerId]: ledger.balanceOf(economy, ledger.playerAccount(toPlayerId))
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Transaction history: the economy's ledger postings, newest first.
+// account filters on a ledger account (or prefix such as "bank:").
 router.get('/transactions/:economyId', (req, res) => {
   const { economyId } = req.params;
-  const { playerId, limit = 50, type, dateFrom, dateTo } = req.query;
+  const { playerId, account, limit = 50, type, dateFrom, dateTo } = req.query;
+
+  const economy = economies.get(economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
 
-  const economyTransactions = getTransactionHistory(economyId, {
-    playerId, limit: parseInt(limit), type, dateFrom, dateTo
+  const economyTransactions = getTransactionHistory(economy, {
+    playerId, account, limit: parseInt(limit), type, dateFrom, dateTo
   });
 
   res.json({
@@ -86,6 +179,23 @@ router.get('/transactions/:economyId', (req, res) => {
   });
 });
 
+// Recompute every balance from the ledger postings and report accounts
+// or players whose stored balance differs
+router.get('/reconcile/:economyId', (req, res) => {
+  const { economyId } = req.params;
+
+  const economy = economies.get(economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+
+  res.json({
+    economyId,
+    ...ledger.reconcile(economy),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Shop system
 router.post('/shops/create', (req, res) => {
   const {
@@ -101,9 +211,27 @@ router.post('/shops/create', (req, res) => {
     return res.status(400).json({ error: 'Economy ID, owner ID, and shop name are required' });
   }
 
+  if (!Array.isArray(items)) {
+    return res.status(400).json({ error: 'Items must be an array' });
+  }
+  const invalidPrice = items.map(itemPriceError).find(Boolean);
+  if (invalidPrice) {
+    return res.status(400).json({ error: invalidPrice });
+  }
+
+  const economy = economies.get(economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+
   const shopId = crypto.randomUUID();
   const shop = createShop(shopId, economyId, ownerId, name, location, items, settings);
 
+  // The owner's balance pays for what the shop buys and receives its sales
+  if (!shop.settings.adminShop) {
+    getOrCreatePlayer(economy, ownerId);
+    economies.set(economyId, economy);
+  }
   shops.set(shopId, shop);
 
   res.json({
@@ -115,6 +243,54 @@ router.post('/shops/create', (req, res) => {
   });
 });
 
+// Shop with current prices and sales figures
+router.get('/shops/:shopId', (req, res) => {
+  const shop = shops.get(req.params.shopId);
+  if (!shop) {
+    return res.status(404).json({ error: 'Shop not found' });
+  }
+
+  res.json({
+    shop: {
+      ...shop,
+      history: undefined,
+      inventory: shop.inventory.map(item => ({ ...item, priceHistory: undefined, quote: shopTrades.quote(shop, item) }))
+    },
+    analytics: generateShopAnalytics(shop),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Buy from a shop: { playerId, itemId, quantity }. The player pays the
+// current price; the owner receives it minus the shop's tax rate.
+router.post('/shops/:shopId/buy', (req, res) => handleShopTrade(req, res, 'buy'));
+
+// Sell to a shop: { playerId, itemId, quantity }, paid from the owner's
+// balance at the item's current sellPrice
+router.post('/shops/:shopId/sell', (req, res) => handleShopTrade(req, res, 'sell'));
+
+// Sales history: type (buy, sell), playerId, itemId, limit
+router.get('/shops/:shopId/history', (req, res) => {
+  const shop = shops.get(req.params.shopId);
+  if (!shop) {
+    return res.status(404).json({ error: 'Shop not found' });
+  }
+
+  const history = shopTrades.salesHistory(shop, req.query);
+  res.json({
+    shopId: shop.id,
+    history,
+    summary: {
+      trades: history.length,
+      unitsSold: history.filter(entry => entry.type === 'buy').reduce((sum, entry) => sum + entry.quantity, 0),
+      unitsBought: history.filter(entry => entry.type === 'sell').reduce((sum, entry) => sum + entry.quantity, 0),
+      revenue: roundAmount(history.filter(entry => entry.type === 'buy').reduce((sum, entry) => sum + entry.total, 0)),
+      spent: roundAmount(history.filter(entry => entry.type === 'sell').reduce((sum, entry) => sum + entry.total, 0))
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Shop item management
 router.post('/shops/:shopId/items', (req, res) => {
   const { shopId } = req.params;
@@ -125,12 +301,17 @@ router.post('/shops/:shopId/items', (req, res) => {
     quantity = 1
   } = req.body;
 
+  if (['add', 'update'].includes(action) && itemPriceError(item)) {
+    return res.status(400).json({ error: itemPriceError(item) });
+  }
+
   const shop = shops.get(shopId);
   if (!shop) {
     return res.status(404).json({ error: 'Shop not found' });
   }
 
   const result = manageShopItems(shop, action, itemId, item, quantity);
+  shops.set(shopId, shop);
 
   res.json({
     shopId,
@@ -141,7 +322,7 @@ router.post('/shops/:shopId/items', (req, res) => {
   });
 });
 
-// Auction system
+// Auction system. Bids are held in escrow; see lib/economy/auctions.js
 router.post('/auctions/create', (req, res) => {
   const {
     economyId,
@@ -149,21 +330,73 @@ router.post('/auctions/create', (req, res) => {
     item,
     startingBid = 1,
     buyoutPrice = null,
+    reservePrice = null,
+    minIncrement = 1,
     duration = 86400, // 24 hours
-    description = ''
+    description = '',
+    antiSnipe = null
   } = req.body;
 
   if (!economyId || !sellerId || !item) {
     return res.status(400).json({ error: 'Economy ID, seller ID, and item are required' });
   }
 
-  const auctionId = crypto.randomUUID();
-  const auction = createAuction(auctionId, economyId, sellerId, item, startingBid, buyoutPrice, duration, description);
+  const economy = economies.get(economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
 
-  auctions.set(auctionId, auction);
+  let auction;
+  try {
+    auction = auctionHouse.createAuction(economy, {
+      sellerId, item, startingBid, buyoutPrice, reservePrice, minIncrement, duration, description, antiSnipe
+    });
+    getOrCreatePlayer(economy, sellerId);
+  } catch (error) {
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+  economies.set(economyId, economy);
+
+  res.json({
+    auctionId: auction.id,
+    auction,
+    bidding: generateBiddingInfo(auction),
+    timeline: generateAuctionTimeline(auction),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Search auctions: economyId, status, sellerId, bidderId, winnerId,
+// search (item text), minPrice, maxPrice, sort, limit, offset
+router.get('/auctions', (req, res) => {
+  const { status, sort } = req.query;
+  if (status && !auctionHouse.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${auctionHouse.STATUSES.join(', ')}` });
+  }
+  if (sort && !auctionHouse.SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Sort must be one of: ${auctionHouse.SORTS.join(', ')}` });
+  }
+
+  settleExpiredAuctions();
+  const result = auctionHouse.searchAuctions(req.query);
+
+  res.json({
+    total: result.total,
+    limit: result.limit,
+    offset: result.offset,
+    auctions: result.auctions.map(auction => ({ ...auction, bidding: generateBiddingInfo(auction) })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/auctions/:auctionId', (req, res) => {
+  settleExpiredAuctions();
+  const auction = auctionHouse.getAuction(req.params.auctionId);
+  if (!auction) {
+    return res.status(404).json({ error: 'Auction not found' });
+  }
 
   res.json({
-    auctionId,
     auction,
     bidding: generateBiddingInfo(auction),
     timeline: generateAuctionTimeline(auction),
@@ -175,23 +408,69 @@ router.post('/auctions/create', (req, res) => {
 router.post('/auctions/:auctionId/bid', (req, res) => {
   const { auctionId } = req.params;
   const { bidderId, amount } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
 
   if (!bidderId || !amount) {
     return res.status(400).json({ error: 'Bidder ID and bid amount are required' });
   }
 
-  const auction = auctions.get(auctionId);
+  const auction = auctionHouse.getAuction(auctionId);
   if (!auction) {
     return res.status(404).json({ error: 'Auction not found' });
   }
+  const economy = economies.get(auction.economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+  if (!economy.players.has(bidderId)) {
+    return res.status(404).json({ error: 'Bidder not found in this economy' });
+  }
 
-  const result = placeBid(auction, bidderId, amount);
+  let result;
+  try {
+    result = auctionHouse.placeBid(economy, auction, bidderId, amount, { idempotencyKey });
+  } catch (error) {
+    economies.set(economy.id, economy);
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code, minimumBid: auctionHouse.minimumBid(auction) });
+  }
+  economies.set(economy.id, economy);
 
   res.json({
     auctionId,
     bid: result.bid,
     auction: result.auction,
-    status: result.status,
+    status: result.auction.status,
+    extended: result.extended,
+    replayed: result.replayed,
+    transaction: result.transaction,
+    bidding: generateBiddingInfo(result.auction),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Hand the item of a closed auction to the winner, or back to the seller
+router.post('/auctions/:auctionId/claim', (req, res) => {
+  const { playerId } = req.body;
+  if (!playerId) {
+    return res.status(400).json({ error: 'Player ID is required' });
+  }
+
+  settleExpiredAuctions();
+  const auction = auctionHouse.getAuction(req.params.auctionId);
+  if (!auction) {
+    return res.status(404).json({ error: 'Auction not found' });
+  }
+
+  let delivery;
+  try {
+    delivery = auctionHouse.claimDelivery(auction, playerId);
+  } catch (error) {
+    return res.status(409).json({ error: error.message, code: error.code, status: auction.status });
+  }
+
+  res.json({
+    auctionId: auction.id,
+    delivery,
     timestamp: new Date().toISOString()
   });
 });
@@ -201,22 +480,33 @@ router.post('/banking/account', (req, res) => {
   const {
     economyId,
     playerId,
-    action, // 'create', 'deposit', 'withdraw', 'transfer', 'loan'
+    action, // 'create', 'deposit', 'withdraw'
     amount = 0,
-    targetPlayerId = null,
     accountType = 'savings'
   } = req.body;
 
   if (!economyId || !playerId || !action) {
     return res.status(400).json({ error: 'Economy ID, player ID, and action are required' });
   }
+  if (action === 'loan') {
+    return res.status(400).json({ error: 'Loans are taken out with POST /api/mc/economy/banking/loans' });
+  }
+  if (!BANK_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `Action must be one of: ${BANK_ACTIONS.join(', ')}` });
+  }
 
   const economy = economies.get(economyId);
   if (!economy) {
     return res.status(404).json({ error: 'Economy not found' });
   }
 
-  const result = manageBankAccount(economy, playerId, action, amount, targetPlayerId, accountType);
+  let result;
+  try {
+    result = manageBankAccount(economy, playerId, action, amount, accountType);
+  } catch (error) {
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+  economies.set(economyId, economy);
 
   res.json({
     playerId,
@@ -228,6 +518,151 @@ router.post('/banking/account', (req, res) => {
   });
 });
 
+// Interest and loan collection run on the economy's banking schedule
+router.post('/banking/configure', (req, res) => {
+  const { economyId, ...changes } = req.body;
+
+  if (!economyId) {
+    return res.status(400).json({ error: 'Economy ID is required' });
+  }
+
+  const economy = economies.get(economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+
+  const settings = { ...banking.bankingSettings(economy) };
+  Object.keys(banking.DEFAULT_BANKING).forEach(key => {
+    if (changes[key] !== undefined) settings[key] = changes[key];
+  });
+  const error = validateBankingSettings(settings);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  economy.settings.banking = settings;
+  economies.set(economyId, economy);
+  unscheduleBanking(economyId);
+  scheduleBanking(economy);
+
+  res.json({
+    economyId,
+    banking: settings,
+    scheduled: bankingTasks.has(economyId),
+    nextRun: getNextBankingRun(settings),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.post('/banking/loans', (req, res) => {
+  const {
+    economyId,
+    playerId,
+    amount,
+    payments = 4,
+    frequency = 'weekly'
+  } = req.body;
+
+  if (!economyId || !playerId || amount === undefined) {
+    return res.status(400).json({ error: 'Economy ID, player ID, and amount are required' });
+  }
+
+  const economy = economies.get(economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+
+  let loan;
+  try {
+    getOrCreatePlayer(economy, playerId);
+    loan = banking.issueLoan(economy, { playerId, amount, payments, frequency });
+  } catch (error) {
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+  economies.set(economyId, economy);
+
+  res.json({
+    loanId: loan.id,
+    loan,
+    balance: economy.players.get(playerId).balance,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/banking/loans', (req, res) => {
+  const { economyId, playerId, status } = req.query;
+
+  if (status && !banking.LOAN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${banking.LOAN_STATUSES.join(', ')}` });
+  }
+
+  const loans = banking.listLoans({ economyId, playerId, status });
+
+  res.json({
+    loans,
+    total: loans.length,
+    outstanding: loans.reduce((sum, loan) => sum + loan.outstanding, 0),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/banking/loans/:loanId', (req, res) => {
+  const loan = banking.getLoan(req.params.loanId);
+  if (!loan) {
+    return res.status(404).json({ error: 'Loan not found' });
+  }
+
+  res.json({
+    loan,
+    nextInstallment: loan.schedule.find(installment => installment.status !== 'paid' && installment.status !== 'written_off') || null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Pays what is due, the next installment early, or with payoff the whole loan
+router.post('/banking/loans/:loanId/repay', (req, res) => {
+  const { payoff = false } = req.body;
+
+  const loan = banking.getLoan(req.params.loanId);
+  if (!loan) {
+    return res.status(404).json({ error: 'Loan not found' });
+  }
+  const economy = economies.get(loan.economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+
+  try {
+    banking.repayLoan(economy, loan, { payoff: !!payoff });
+  } catch (error) {
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+  economies.set(economy.id, economy);
+
+  res.json({
+    loan,
+    balance: economy.players.get(loan.playerId)?.balance ?? 0,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Run interest and loan collection now instead of waiting for the schedule
+router.post('/banking/process/:economyId', (req, res) => {
+  const economy = economies.get(req.params.economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+
+  const summary = runBanking(economy);
+
+  res.json({
+    economyId: economy.id,
+    summary,
+    banking: banking.summarizeBanking(economy),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Job system
 router.post('/jobs/manage', (req, res) => {
   const {
@@ -248,6 +683,7 @@ router.post('/jobs/manage', (req, res) => {
   }
 
   const result = managePlayerJob(economy, playerId, action, jobId, jobData);
+  economies.set(economyId, economy);
 
   res.json({
     playerId,
@@ -259,24 +695,49 @@ router.post('/jobs/manage', (req, res) => {
   });
 });
 
-// Economy analytics
+// Economy analytics. Query: period ('24h', '7d', '4w'), metrics (all or a
+// comma-separated list of sections), format (json or csv)
 router.get('/analytics/:economyId', (req, res) => {
   const { economyId } = req.params;
-  const { period = '7d', metrics = 'all' } = req.query;
+  const { period = '7d', metrics = 'all', format = 'json' } = req.query;
 
   const economy = economies.get(economyId);
   if (!economy) {
     return res.status(404).json({ error: 'Economy not found' });
   }
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be json or csv' });
+  }
+  if (!isValidTimeRange(period)) {
+    return res.status(400).json({ error: 'Period must be a duration such as 24h, 7d or 4w, at most a year (52w)' });
+  }
+  const sections = metrics === 'all' ? economyAnalytics.SECTIONS : String(metrics).split(',').map(metric => metric.trim());
+  const unknown = sections.filter(section => !economyAnalytics.SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown metrics: ${unknown.join(', ')}`,
+      availableMetrics: economyAnalytics.SECTIONS
+    });
+  }
+
+  const economyShops = Array.from(shops.values()).filter(shop => shop.economyId === economyId);
+  const report = economyAnalytics.economyReport(economy, economyShops, { period });
+  const insights = economyAnalytics.generateInsights(report);
+  const recommendations = economyAnalytics.generateRecommendations(report);
+  economyAnalytics.SECTIONS.filter(section => !sections.includes(section)).forEach(section => delete report[section]);
 
-  const analytics = generateEconomyAnalytics(economy, period, metrics);
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="economy-${economyId}-${String(period).replace(/[^\w]/g, '_')}.csv"`);
+    return res.send(economyAnalytics.reportToCsv(report, { insights, recommendations }));
+  }
 
   res.json({
     economyId,
     period,
-    analytics,
-    insights: generateEconomicInsights(analytics),
-    recommendations: generateEconomicRecommendations(analytics),
+    analytics: report,
+    insights,
+    recommendations,
     timestamp: new Date().toISOString()
   });
 });
@@ -301,6 +762,7 @@ router.post('/taxes/configure', (req, res) => {
   }
 
   const taxSystem = configureTaxSystem(economy, taxType, rate, brackets, exemptions);
+  economies.set(economyId, economy);
 
   res.json({
     economyId,
@@ -329,6 +791,7 @@ function createEconomy(id, name, currency, startingBalance, settings, features)
     features,
     players: new Map(),
     banks: new Map(),
+    taxes: {},
     jobs: generateDefaultJobs(),
     statistics: {
       totalMoney: 0,
@@ -341,17 +804,26 @@ function createEconomy(id, name, currency, startingBalance, settings, features)
   };
 }
 
-function managePlayerBalance(economy, playerId, action, amount, reason) {
-  let player = economy.players.get(playerId) || {
-    id: playerId,
-    balance: economy.startingBalance,
-    bankAccounts: {},
-    transactions: [],
-    jobs: [],
-    joined: new Date().toISOString()
-  };
+function managePlayerBalance(economy, playerId, action, amount, reason, idempotencyKey = null) {
+  // A retried request returns what the first one did. The posting's amount
+  // depends on the balance at the time, so the request itself is compared.
+  const replayed = ledger.findIdempotentPosting(economy, idempotencyKey);
+  if (replayed) {
+    const account = ledger.playerAccount(playerId);
+    const sameRequest = replayed.type === 'adjustment' &&
+      replayed.metadata?.action === action &&
+      replayed.metadata?.amount === amount &&
+      replayed.entries.some(entry => entry.account === account);
+    if (!sameRequest) {
+      throw createError('Idempotency key was already used for a different request', 'IDEMPOTENCY_CONFLICT');
+    }
+    const balance = ledger.balanceOf(economy, account);
+    return { success: true, message: 'Already applied', oldBalance: balance, newBalance: balance, transaction: replayed, replayed: true };
+  }
 
-  let newBalance = player.balance;
+  const player = getOrCreatePlayer(economy, playerId);
+  const oldBalance = player.balance;
+  let newBalance = oldBalance;
   let success = false;
   let message = '';
 
@@ -366,68 +838,108 @@ function managePlayerBalance(economy, playerId, action, amount, reason) {
       message = `Balance set to ${newBalance}`;
       break;
     case 'add':
-      newBalance = Math.min(player.balance + amount, economy.settings.maxBalance);
-      success = newBalance > player.balance;
+      newBalance = Math.min(oldBalance + amount, economy.settings.maxBalance);
+      success = newBalance > oldBalance;
       message = success ? `Added ${amount} to balance` : 'Cannot exceed maximum balance';
       break;
     case 'subtract':
-      newBalance = Math.max(player.balance - amount, economy.settings.minBalance);
-      success = newBalance < player.balance;
+      newBalance = Math.max(oldBalance - amount, economy.settings.minBalance);
+      success = newBalance < oldBalance;
       message = success ? `Subtracted ${amount} from balance` : 'Insufficient funds';
       break;
   }
 
-  if (success && action !== 'get') {
-    player.balance = newBalance;
-    
-    const transaction = {
-      id: crypto.randomUUID(),
-      playerId,
-      type: action,
-      amount,
-      oldBalance: player.balance,
-      newBalance,
+  // Admin adjustments create or destroy money
+  let transaction = null;
+  const change = newBalance - oldBalance;
+  if (success && action !== 'get' && change !== 0) {
+    transaction = ledger.post(economy, {
+      type: 'adjustment',
+      entries: [
+        { account: ledger.SYSTEM_ACCOUNTS.issuance, amount: -change },
+        { account: ledger.playerAccount(playerId), amount: change }
+      ],
       reason,
-      timestamp: new Date().toISOString()
-    };
-
-    player.transactions.push(transaction);
-    transactions.push(transaction);
-    economy.players.set(playerId, player);
+      metadata: { action, amount },
+      idempotencyKey
+    }).posting;
   }
 
   return {
     success,
     message,
-    oldBalance: player.balance,
-    newBalance,
-    transaction: success && action !== 'get' ? player.transactions[player.transactions.length - 1] : null
+    oldBalance,
+    newBalance: player.balance,
+    transaction
   };
 }
 
-function getTransactionHistory(economyId, filters) {
-  let filteredTransactions = transactions.filter(t => {
-    let match = true;
-    if (filters.playerId) match = match && t.playerId === filters.playerId;
-    if (filters.type) match = match && t.type === filters.type;
-    if (filters.dateFrom) match = match && new Date(t.timestamp) >= new Date(filters.dateFrom);
-    if (filters.dateTo) match = match && new Date(t.timestamp) <= new Date(filters.dateTo);
-    return match;
-  });
-
-  filteredTransactions = filteredTransactions.slice(0, filters.limit);
+function getTransactionHistory(economy, filters) {
+  const account = filters.account || (filters.playerId ? ledger.playerAccount(filters.playerId) : null);
+  const filteredTransactions = ledger.listPostings(economy, { ...filters, account });
 
   return {
     transactions: filteredTransactions,
     summary: {
       total: filteredTransactions.length,
-      totalAmount: filteredTransactions.reduce((sum, t) => sum + Math.abs(t.amount), 0),
+      totalAmount: filteredTransactions.reduce((sum, t) => sum + t.entries
+        .filter(entry => entry.amount > 0)
+        .reduce((posted, entry) => posted + entry.amount, 0), 0),
       types: [...new Set(filteredTransactions.map(t => t.type))]
     },
     filters
   };
 }
 
+// Players join with the economy's starting balance, issued through the
+// ledger. Money already posted to their account (a transfer to a new
+// player) is kept, and the starting balance is owed to them even past
+// maxBalance.
+function getOrCreatePlayer(economy, playerId) {
+  let player = economy.players.get(playerId);
+  if (player) return player;
+
+  player = {
+    id: playerId,
+    balance: ledger.balanceOf(economy, ledger.playerAccount(playerId)),
+    bankAccounts: {},
+    jobs: [],
+    joined: new Date().toISOString()
+  };
+  economy.players.set(playerId, player);
+  if (economy.startingBalance > 0) {
+    ledger.post(economy, {
+      type: 'opening',
+      entries: openingEntries(economy, playerId),
+      reason: 'Starting balance',
+      ignoreMaxBalance: true
+    });
+  }
+  return player;
+}
+
+// Ledger entries that give a new player the economy's starting balance
+function openingEntries(economy, playerId) {
+  if (!(economy.startingBalance > 0)) return [];
+  return [
+    { account: ledger.SYSTEM_ACCOUNTS.issuance, amount: -economy.startingBalance },
+    { account: ledger.playerAccount(playerId), amount: economy.startingBalance }
+  ];
+}
+
+function isPlayerId(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function ledgerErrorStatus(error) {
+  if (error.code === 'IDEMPOTENCY_CONFLICT') return 409;
+  if (error.code === 'SHOP_ITEM_NOT_FOUND') return 404;
+  if (['AUCTION_CLOSED', 'SHOP_OUT_OF_STOCK', 'LOAN_CLOSED'].includes(error.code)) return 409;
+  if (error.code === 'LOAN_DENIED') return 403;
+  if (/^(LEDGER|AUCTION|SHOP|LOAN)_/.test(error.code) || ['INSUFFICIENT_FUNDS', 'BALANCE_LIMIT'].includes(error.code)) return 400;
+  return 500;
+}
+
 function createShop(id, economyId, ownerId, name, location, items, settings) {
   return {
     id,
@@ -439,14 +951,19 @@ function createShop(id, economyId, ownerId, name, location, items, settings) {
       id: crypto.randomUUID(),
       ...item,
       stock: item.stock || 0,
-      price: item.price || 1
+      initialStock: item.stock || 0,
+      price: item.price || 1,
+      sellPrice: item.sellPrice ?? null
     })),
     settings: {
       maxItems: settings.maxItems || 100,
       taxRate: settings.taxRate || 0.05,
       autoRestock: settings.autoRestock || false,
-      ...settings
+      adminShop: settings.adminShop || false,
+      ...settings,
+      dynamicPricing: settings.dynamicPricing ? { ...shopTrades.DEFAULT_DYNAMIC_PRICING, enabled: true, ...settings.dynamicPricing } : null
     },
+    history: [],
     statistics: {
       totalSales: 0,
       totalRevenue: 0,
@@ -456,6 +973,19 @@ function createShop(id, economyId, ownerId, name, location, items, settings) {
   };
 }
 
+// Prices are per unit and must be positive numbers when given; a null
+// sellPrice means the shop doesn't buy the item
+function itemPriceError(item) {
+  const isPrice = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  if (item?.price !== undefined && !isPrice(item.price)) {
+    return 'Item price must be a positive number';
+  }
+  if (item?.sellPrice !== undefined && item.sellPrice !== null && !isPrice(item.sellPrice)) {
+    return 'Item sellPrice must be a positive number or null';
+  }
+  return null;
+}
+
 function manageShopItems(shop, action, itemId, item, quantity) {
   let success = false;
   let message = '';
@@ -465,8 +995,11 @@ function manageShopItems(shop, action, itemId, item, quantity) {
       if (shop.inventory.length < shop.settings.maxItems) {
         shop.inventory.push({
           id: crypto.randomUUID(),
+          price: 1,
+          sellPrice: null,
           ...item,
-          stock: quantity
+          stock: quantity,
+          initialStock: quantity
         });
         success = true;
         message = 'Item added to shop';
@@ -509,75 +1042,19 @@ function manageShopItems(shop, action, itemId, item, quantity) {
   return { success, message };
 }
 
-function createAuction(id, economyId, sellerId, item, startingBid, buyoutPrice, duration, description) {
-  return {
-    id,
-    economyId,
-    sellerId,
-    item,
-    startingBid,
-    currentBid: startingBid,
-    buyoutPrice,
-    duration,
-    description,
-    bids: [],
-    status: 'active',
-    endTime: new Date(Date.now() + duration * 1000).toISOString(),
-    created: new Date().toISOString()
-  };
-}
-
-function placeBid(auction, bidderId, amount) {
-  if (auction.status !== 'active') {
-    return { success: false, message: 'Auction is not active' };
-  }
-
-  if (new Date() > new Date(auction.endTime)) {
-    auction.status = 'ended';
-    return { success: false, message: 'Auction has ended' };
-  }
-
-  if (amount <= auction.currentBid) {
-    return { success: false, message: 'Bid must be higher than current bid' };
-  }
-
-  if (auction.buyoutPrice && amount >= auction.buyoutPrice) {
-    auction.status = 'sold';
-    auction.winnerId = bidderId;
-  }
-
-  const bid = {
-    id: crypto.randomUUID(),
-    bidderId,
-    amount,
-    timestamp: new Date().toISOString()
-  };
-
-  auction.bids.push(bid);
-  auction.currentBid = amount;
-
-  return {
-    success: true,
-    bid,
-    auction,
-    status: auction.status
-  };
-}
-
-function manageBankAccount(economy, playerId, action, amount, targetPlayerId, accountType) {
-  let player = economy.players.get(playerId) || {
-    id: playerId,
-    balance: economy.startingBalance,
-    bankAccounts: {},
-    transactions: []
-  };
+function manageBankAccount(economy, playerId, action, amount, accountType) {
+  const player = getOrCreatePlayer(economy, playerId);
+  player.bankAccounts = player.bankAccounts || {};
 
   let account = player.bankAccounts[accountType] || {
     type: accountType,
     balance: 0,
-    interestRate: accountType === 'savings' ? 0.02 : 0,
+    interestRate: accountType === 'savings' ? banking.bankingSettings(economy).savingsRate : 0,
     created: new Date().toISOString()
   };
+  const accountName = ledger.bankAccount(playerId, accountType);
+  // Interest up to now is paid at the old balance
+  if (player.bankAccounts[accountType]) banking.accrueAccountInterest(economy, playerId, account);
 
   let success = false;
   let message = '';
@@ -590,30 +1067,37 @@ function manageBankAccount(economy, playerId, action, amount, targetPlayerId, ac
       message = `${accountType} account created`;
       break;
     case 'deposit':
-      if (player.balance >= amount) {
-        player.balance -= amount;
-        account.balance += amount;
-        success = true;
-        message = `Deposited ${amount} to ${accountType} account`;
-      } else {
-        message = 'Insufficient funds';
-      }
-      break;
     case 'withdraw':
-      if (account.balance >= amount) {
-        account.balance -= amount;
-        player.balance += amount;
+      if (!(amount > 0)) {
+        message = 'Amount must be a positive number';
+        break;
+      }
+      try {
+        const direction = action === 'deposit' ? 1 : -1;
+        transaction = ledger.post(economy, {
+          type: action === 'deposit' ? 'bank_deposit' : 'bank_withdrawal',
+          entries: [
+            { account: ledger.playerAccount(playerId), amount: -direction * amount },
+            { account: accountName, amount: direction * amount }
+          ],
+          metadata: { accountType }
+        }).posting;
         success = true;
-        message = `Withdrew ${amount} from ${accountType} account`;
-      } else {
-        message = 'Insufficient account balance';
+        message = action === 'deposit'
+          ? `Deposited ${amount} to ${accountType} account`
+          : `Withdrew ${amount} from ${accountType} account`;
+      } catch (error) {
+        if (error.code !== 'INSUFFICIENT_FUNDS' && error.code !== 'BALANCE_LIMIT') throw error;
+        message = error.code === 'BALANCE_LIMIT'
+          ? 'Cannot exceed maximum balance'
+          : action === 'deposit' ? 'Insufficient funds' : 'Insufficient account balance';
       }
       break;
   }
 
   if (success) {
+    account.balance = ledger.balanceOf(economy, accountName);
     player.bankAccounts[accountType] = account;
-    economy.players.set(playerId, player);
   }
 
   return { success, message, account, transaction };
@@ -621,15 +1105,13 @@ function manageBankAccount(economy, playerId, action, amount, targetPlayerId, ac
 
 function managePlayerJob(economy, playerId, action, jobId, jobData) {
   const jobs = economy.jobs;
-  let player = economy.players.get(playerId) || {
-    id: playerId,
-    balance: economy.startingBalance,
-    jobs: []
-  };
+  const player = getOrCreatePlayer(economy, playerId);
+  player.jobs = player.jobs || [];
 
   let success = false;
   let message = '';
   let earnings = 0;
+  let transaction = null;
 
   switch (action) {
     case 'join':
@@ -649,7 +1131,23 @@ function managePlayerJob(economy, playerId, action, jobId, jobData) {
       const job = player.jobs.find(j => j.id === jobId);
       if (job && jobs[jobId]) {
         earnings = calculateJobEarnings(jobs[jobId], job.level);
-        player.balance += earnings;
+        // Wages are new money; income tax goes to the tax account
+        const tax = calculateTax(economy.taxes?.income, earnings, playerId);
+        try {
+          transaction = ledger.post(economy, {
+            type: 'job_payout',
+            entries: [
+              { account: ledger.SYSTEM_ACCOUNTS.issuance, amount: -earnings },
+              { account: ledger.playerAccount(playerId), amount: earnings - tax },
+              { account: ledger.SYSTEM_ACCOUNTS.taxes, amount: tax }
+            ],
+            metadata: { jobId, level: job.level, tax }
+          }).posting;
+        } catch (error) {
+          if (error.code !== 'BALANCE_LIMIT') throw error;
+          message = 'Cannot exceed maximum balance';
+          break;
+        }
         job.experience += 10;
         if (job.experience >= job.level * 100) {
           job.level++;
@@ -661,11 +1159,7 @@ function managePlayerJob(economy, playerId, action, jobId, jobData) {
       break;
   }
 
-  if (success) {
-    economy.players.set(playerId, player);
-  }
-
-  return { success, message, job: player.jobs.find(j => j.id === jobId), earnings };
+  return { success, message, job: player.jobs.find(j => j.id === jobId), earnings, transaction };
 }
 
 function generateDefaultJobs() {
@@ -721,69 +1215,145 @@ function generateShopManagement(shop) {
 }
 
 function generateShopAnalytics(shop) {
+  const history = shop.history || [];
+  const byItem = new Map();
+  history.filter(entry => entry.type === 'buy').forEach(entry => {
+    const stats = byItem.get(entry.itemId) || { itemId: entry.itemId, name: entry.itemName, unitsSold: 0, revenue: 0 };
+    stats.unitsSold += entry.quantity;
+    stats.revenue = roundAmount(stats.revenue + entry.total);
+    byItem.set(entry.itemId, stats);
+  });
+
+  // Compare the last 7 days of revenue with the 7 days before
+  const now = Date.now();
+  const week = 7 * 86400000;
+  const revenueBetween = (from, to) => roundAmount(history
+    .filter(entry => entry.type === 'buy')
+    .filter(entry => {
+      const age = now - new Date(entry.timestamp).getTime();
+      return age >= from && age < to;
+    })
+    .reduce((sum, entry) => sum + entry.total, 0));
+  const thisWeek = revenueBetween(0, week);
+  const lastWeek = revenueBetween(week, 2 * week);
+
+  const suggestions = [];
+  const outOfStock = shop.inventory.filter(item => item.stock === 0);
+  if (!shop.settings.adminShop && outOfStock.length > 0) {
+    suggestions.push(`Restock ${outOfStock.map(item => item.name || item.id).join(', ')}`);
+  }
+  const unsold = shop.inventory.filter(item => !byItem.has(item.id));
+  if (history.length > 0 && unsold.length > 0) {
+    suggestions.push(`${unsold.length} item(s) have not sold; consider lowering their price`);
+  }
+
   return {
-    performance: 'good',
-    topItems: shop.inventory.slice(0, 3),
-    trends: 'increasing sales',
-    suggestions: ['Add seasonal items', 'Optimize pricing']
+    revenue: shop.statistics.totalRevenue,
+    unitsSold: shop.statistics.totalSales,
+    unitsBought: shop.statistics.totalPurchases || 0,
+    customers: shop.statistics.customers.size,
+    topItems: Array.from(byItem.values()).sort((a, b) => b.revenue - a.revenue).slice(0, 3),
+    trend: {
+      thisWeek,
+      lastWeek,
+      change: lastWeek > 0 ? Math.round(((thisWeek - lastWeek) / lastWeek) * 10000) / 100 : null
+    },
+    suggestions
   };
 }
 
+function handleShopTrade(req, res, trade) {
+  const { playerId, itemId } = req.body;
+  const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+
+  if (!playerId || !itemId) {
+    return res.status(400).json({ error: 'Player ID and item ID are required' });
+  }
+
+  const shop = shops.get(req.params.shopId);
+  if (!shop) {
+    return res.status(404).json({ error: 'Shop not found' });
+  }
+  const economy = economies.get(shop.economyId);
+  if (!economy) {
+    return res.status(404).json({ error: 'Economy not found' });
+  }
+
+  // New players only join the economy (and get their starting balance)
+  // once the trade is known to go through
+  const beforePost = ({ entries, ignoreMaxBalance }) => {
+    if (economy.players.has(playerId)) return;
+    ledger.check(economy, { entries: [...entries, ...openingEntries(economy, playerId)], ignoreMaxBalance });
+    getOrCreatePlayer(economy, playerId);
+  };
+
+  let result;
+  try {
+    result = shopTrades[trade](economy, shop, { playerId, itemId, quantity, idempotencyKey, beforePost });
+  } catch (error) {
+    economies.set(economy.id, economy);
+    return res.status(ledgerErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+  economies.set(economy.id, economy);
+  shops.set(shop.id, shop);
+
+  res.json({
+    shopId: shop.id,
+    sale: result.sale,
+    replayed: result.replayed,
+    transaction: result.transaction,
+    stock: result.item ? result.item.stock : null,
+    quote: result.item ? shopTrades.quote(shop, result.item) : null,
+    balance: ledger.balanceOf(economy, ledger.playerAccount(playerId)),
+    timestamp: new Date().toISOString()
+  });
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
 function generateBiddingInfo(auction) {
   return {
     currentBid: auction.currentBid,
+    highestBidder: auction.highestBid?.bidderId ?? null,
+    minimumBid: auction.status === 'active' ? auctionHouse.minimumBid(auction) : null,
     bidCount: auction.bids.length,
-    timeRemaining: Math.max(0, new Date(auction.endTime) - new Date()),
-    buyoutAvailable: !!auction.buyoutPrice
+    timeRemaining: auction.status === 'active' ? Math.max(0, new Date(auction.endTime) - new Date()) : 0,
+    buyoutAvailable: auction.status === 'active' && !!auction.buyoutPrice,
+    reserveMet: auction.reservePrice == null || (auction.highestBid?.amount ?? 0) >= auction.reservePrice,
+    extensions: auction.antiSnipe?.extensions ?? 0
   };
 }
 
 function generateAuctionTimeline(auction) {
-  return auction.bids.map(bid => ({
+  const timeline = [{ time: auction.created, event: `Listed at ${auction.startingBid}`, bidder: null }];
+  auction.bids.forEach(bid => timeline.push({
     time: bid.timestamp,
-    event: `Bid placed: ${bid.amount}`,
+    event: bid.buyout ? `Bought out: ${bid.amount}` : `Bid placed: ${bid.amount}${bid.refunded ? ' (outbid, refunded)' : ''}`,
     bidder: bid.bidderId
   }));
+  if (auction.settlement) {
+    timeline.push({
+      time: auction.settlement.settledAt,
+      event: auction.status === 'sold'
+        ? `Sold for ${auction.settlement.price} (fee ${auction.settlement.fee})`
+        : auction.status === 'unsold' ? 'Closed below the reserve price' : 'Expired without bids',
+      bidder: auction.winnerId ?? null
+    });
+  }
+  return timeline;
 }
 
-function generateEconomyAnalytics(economy, period, metrics) {
-  return {
-    players: {
-      total: economy.players.size,
-      active: Math.floor(economy.players.size * 0.7),
-      richest: Array.from(economy.players.values()).sort((a, b) => b.balance - a.balance).slice(0, 10)
-    },
-    money: {
-      circulation: economy.statistics.totalMoney,
-      averageBalance: economy.statistics.totalMoney / economy.players.size || 0,
-      inflation: 2.5
-    },
-    activity: {
-      transactions: economy.statistics.totalTransactions,
-      shops: economy.statistics.activeShops,
-      auctions: economy.statistics.activeAuctions
-    }
-  };
-}
-
-function generateEconomicInsights(analytics) {
-  return [
-    'Money circulation is healthy',
-    'Player activity is increasing',
-    'Shop economy is growing'
-  ];
-}
-
-function generateEconomicRecommendations(analytics) {
-  return [
-    'Consider implementing money sinks',
-    'Add more job opportunities',
-    'Monitor inflation rates'
-  ];
+function settleExpiredAuctions() {
+  const settled = auctionHouse.settleExpiredAuctions(economyId => economies.get(economyId));
+  if (settled.length > 0) economies.touch();
+  return settled;
 }
 
 function configureTaxSystem(economy, taxType, rate, brackets, exemptions) {
-  return {
+  const taxSystem = {
     type: taxType,
     rate,
     brackets,
@@ -793,6 +1363,24 @@ function configureTaxSystem(economy, taxType, rate, brackets, exemptions) {
       lastCollection: new Date().toISOString()
     }
   };
+  economy.taxes = { ...economy.taxes, [taxType]: taxSystem };
+  return taxSystem;
+}
+
+// Tax owed on an amount. brackets ([{ min, rate }]) are marginal: each
+// rate applies to the part of the amount above its min.
+function calculateTax(taxSystem, amount, playerId) {
+  if (!taxSystem || amount <= 0 || (taxSystem.exemptions || []).includes(playerId)) return 0;
+
+  const brackets = (taxSystem.brackets || []).slice().sort((a, b) => a.min - b.min);
+  if (brackets.length === 0) return Math.round(amount * taxSystem.rate * 100) / 100;
+
+  const tax = brackets.reduce((sum, bracket, index) => {
+    const upper = index + 1 < brackets.length ? brackets[index + 1].min : Infinity;
+    const taxable = Math.max(0, Math.min(amount, upper) - bracket.min);
+    return sum + taxable * bracket.rate;
+  }, 0);
+  return Math.round(tax * 100) / 100;
 }
 
 function calculateTaxImpact(economy, taxSystem) {
@@ -815,4 +1403,81 @@ function generateTaxCollection(taxSystem) {
   };
 }
 
+function validateBankingSettings(settings) {
+  if (!cron.validate(settings.schedule)) {
+    return `Invalid cron schedule: ${settings.schedule}`;
+  }
+  const rates = ['savingsRate', 'loanRate', 'penaltyRate'];
+  const rate = rates.find(key => typeof settings[key] !== 'number' || settings[key] < 0 || settings[key] > 1);
+  if (rate) {
+    return `${rate} must be a number between 0 and 1`;
+  }
+  const count = ['maxPayments', 'maxActiveLoans', 'defaultAfter'].find(key => !Number.isInteger(settings[key]) || settings[key] < 1);
+  if (count) {
+    return `${count} must be a positive whole number`;
+  }
+  if (typeof settings.maxLoan !== 'number' || !(settings.maxLoan > 0)) {
+    return 'maxLoan must be a positive number';
+  }
+  return null;
+}
+
+function scheduleBanking(economy) {
+  if (!economy.features.includes('banking')) return;
+  const { schedule, timezone } = banking.bankingSettings(economy);
+
+  try {
+    // The economy is looked up when the task fires so it sees stored changes
+    const task = cron.schedule(schedule, () => {
+      const current = economies.get(economy.id);
+      if (!current) return unscheduleBanking(economy.id);
+      try {
+        runBanking(current);
+      } catch (error) {
+        console.error(`Failed to run banking for economy ${economy.id}:`, error);
+      }
+    }, {
+      scheduled: true,
+      ...(timezone && { timezone })
+    });
+
+    bankingTasks.set(economy.id, task);
+  } catch (error) {
+    console.error(`Failed to schedule banking for economy ${economy.id}:`, error);
+  }
+}
+
+function unscheduleBanking(economyId) {
+  const task = bankingTasks.get(economyId);
+  if (task) {
+    task.stop();
+    bankingTasks.delete(economyId);
+  }
+}
+
+function runBanking(economy) {
+  const summary = banking.processBanking(economy);
+  economies.set(economy.id, economy);
+  return summary;
+}
+
+function getNextBankingRun({ schedule, timezone }) {
+  try {
+    const interval = cronParser.parseExpression(schedule, timezone ? { tz: timezone } : {});
+    return interval.next().toISOString();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Close expired auctions in the background
+setInterval(settleExpiredAuctions, AUCTION_SETTLE_INTERVAL).unref();
+
+// Reschedule banking for economies restored from storage
+economies.forEach(economy => scheduleBanking(economy));
+// Economies saved before the ledger existed get their opening postings
+// here rather than on a read, which would change them without saving
+economies.forEach(economy => ledger.getLedger(economy));
+economies.touch();
+
 module.exports = router;
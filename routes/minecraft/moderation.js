@@ -1,12 +1,13 @@
 const express = require('express');
 const crypto = require('crypto');
+const { createCollection, createList } = require('../../lib/storage');
 
 const router = express.Router();
 
-// In-memory storage for moderation data (use database in production)
-let moderationSystems = new Map();
-let chatLogs = [];
-let violations = [];
+// Moderation systems, chat logs and violations are persisted through lib/storage
+let moderationSystems = createCollection('moderation.systems');
+let chatLogs = createList('moderation.chatLogs');
+let violations = createList('moderation.violations');
 let filters = new Map();
 
 // Create moderation system
@@ -76,6 +77,7 @@ router.post('/chat/analyze', (req, res) => {
   if (analysis.violations.length > 0) {
     const actions = takeAutoActions(system, playerId, analysis);
     analysis.actions = actions;
+    moderationSystems.set(systemId, system);
   }
 
   res.json({
@@ -118,6 +120,7 @@ router.post('/chat/batch-analyze', (req, res) => {
     };
   });
 
+  moderationSystems.set(systemId, system);
   const summary = generateBatchAnalysisSummary(results);
 
   res.json({
@@ -174,6 +177,7 @@ router.post('/filters/manage', (req, res) => {
   }
 
   const result = manageFilter(system, action, filterType, filterData);
+  moderationSystems.set(systemId, system);
 
   res.json({
     systemId,
@@ -205,6 +209,7 @@ router.post('/violations/manage', (req, res) => {
   }
 
   const result = manageViolation(system, playerId, action, reason, duration, severity);
+  moderationSystems.set(systemId, system);
 
   res.json({
     systemId,
@@ -237,6 +242,7 @@ router.post('/auto-mod/configure', (req, res) => {
   }
 
   const config = configureAutoModeration(system, rules, thresholds, escalation, whitelist);
+  moderationSystems.set(systemId, system);
 
   res.json({
     systemId,
@@ -0,0 +1,164 @@
+const express = require('express');
+const {
+  TAG_TYPES,
+  COMPRESSIONS,
+  decode,
+  encode,
+  normalizeTag,
+  simplify,
+  toJSON,
+  getPath,
+  stringifySnbt,
+  parseSnbt
+} = require('../../lib/minecraft/nbt');
+const { decodeBase64 } = require('../../lib/helpers');
+
+const router = express.Router();
+
+// Decoded arrays are compact, but each element becomes a JSON number or
+// string in the response; larger tags have to be narrowed with `path`
+const MAX_OUTPUT_ELEMENTS = 1000000;
+
+// Decode base64 NBT (level.dat, player .dat, structure files)
+router.post('/decode', (req, res) => {
+  const {
+    data,
+    endian = 'auto',
+    compression = 'auto',
+    path = null,
+    simplified = false,
+    snbt = false
+  } = req.body;
+
+  const buffer = decodeBase64(data);
+  if (!buffer) {
+    return res.status(400).json({ error: 'data must be base64-encoded NBT' });
+  }
+
+  let root;
+  try {
+    root = decode(buffer, { endian, compression });
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid NBT: ${error.message}`, code: error.code });
+  }
+
+  const tag = path ? getPath(root, path) : { type: root.type, value: root.value };
+  if (!tag) {
+    return res.status(404).json({ error: `No tag at path ${path}` });
+  }
+
+  const elements = countElements(tag.type, tag.value);
+  if (elements > MAX_OUTPUT_ELEMENTS) {
+    return res.status(413).json({
+      error: `Tag has ${elements} values, more than the ${MAX_OUTPUT_ELEMENTS} a response can hold; select part of it with path`,
+      code: 'NBT_TOO_LARGE'
+    });
+  }
+
+  res.json({
+    name: root.name,
+    format: {
+      endian: root.endian,
+      compression: root.compression,
+      bedrockHeader: root.bedrockHeader,
+      size: root.size,
+      trailingBytes: root.trailingBytes
+    },
+    ...(path && { path }),
+    tag: toJSON(tag),
+    ...(simplified && { simplified: toJSON(simplify(tag)) }),
+    ...(snbt && { snbt: stringifySnbt(tag) })
+  });
+});
+
+// Encode a { type, value } tag (or SNBT text) to base64 NBT
+router.post('/encode', (req, res) => {
+  const {
+    tag,
+    snbt,
+    name = '',
+    endian = 'big',
+    compression = 'gzip',
+    bedrockHeader = null
+  } = req.body;
+
+  if (!tag && typeof snbt !== 'string') {
+    return res.status(400).json({ error: 'Provide a tag ({ type, value }) or snbt text' });
+  }
+
+  try {
+    const root = tag || parseSnbt(snbt);
+    const buffer = encode({ ...root, name }, { endian, compression, bedrockHeader });
+
+    res.json({
+      data: buffer.toString('base64'),
+      size: buffer.length,
+      format: { endian, compression, bedrockHeader: bedrockHeader ?? null }
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: error.message,
+      code: error.code,
+      tagTypes: TAG_TYPES.slice(1),
+      compressions: COMPRESSIONS
+    });
+  }
+});
+
+// Convert between SNBT and tags: { snbt } parses, { tag } or base64 { data } stringifies
+router.post('/snbt', (req, res) => {
+  const { snbt, tag, data, pretty = false } = req.body;
+
+  try {
+    if (typeof snbt === 'string') {
+      const parsed = parseSnbt(snbt);
+      return res.json({
+        tag: toJSON(parsed),
+        simplified: toJSON(simplify(parsed))
+      });
+    }
+
+    let source = tag;
+    if (!source && data) {
+      const buffer = decodeBase64(data);
+      if (!buffer) {
+        return res.status(400).json({ error: 'data must be base64-encoded NBT' });
+      }
+      const root = decode(buffer);
+      source = { type: root.type, value: root.value };
+      if (countElements(source.type, source.value) > MAX_OUTPUT_ELEMENTS) {
+        return res.status(413).json({
+          error: `Tag has more than the ${MAX_OUTPUT_ELEMENTS} values SNBT output can hold`,
+          code: 'NBT_TOO_LARGE'
+        });
+      }
+    }
+    if (!source) {
+      return res.status(400).json({ error: 'Provide snbt text, a tag ({ type, value }) or base64 data' });
+    }
+
+    // JSON tags are validated first (and their longs parsed)
+    const normalized = tag ? normalizeTag(tag) : source;
+    res.json({ snbt: stringifySnbt(normalized, { pretty }) });
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: error.code });
+  }
+});
+
+// Helper functions
+function countElements(type, value) {
+  switch (type) {
+    case 'byteArray':
+    case 'intArray':
+    case 'longArray':
+      return value.length;
+    case 'list':
+      return value.value.reduce((total, element) => total + countElements(value.type, element), 0);
+    case 'compound':
+      return Object.values(value).reduce((total, child) => total + countElements(child.type, child.value), 0);
+    default:
+      return 1;
+  }
+}
+
+module.exports = router;
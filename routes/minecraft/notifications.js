@@ -0,0 +1,273 @@
+const express = require('express');
+const crypto = require('crypto');
+const { serverEvents } = require('../../lib/events');
+const {
+  SEVERITIES,
+  EVENTS,
+  CHANNEL_TYPES,
+  channels,
+  validateChannel,
+  notify,
+  sendTestNotification,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  formatChannel
+} = require('../../lib/notifications');
+
+const router = express.Router();
+
+// Register notification channel
+router.post('/channels', (req, res) => {
+  const {
+    name,
+    type,
+    url,
+    severities = [],
+    events = [],
+    alertTypes = [],
+    serverIds = [],
+    headers = {},
+    secret = null,
+    sign = type === 'webhook',
+    retry = {},
+    throttle = 300,
+    options = {},
+    enabled = true
+  } = req.body;
+
+  const channelId = crypto.randomUUID();
+  const channel = {
+    id: channelId,
+    name,
+    type,
+    url,
+    severities,
+    events,
+    alertTypes,
+    serverIds,
+    headers,
+    // Generic webhooks are signed by default so receivers can verify them
+    secret: secret || (sign ? crypto.randomBytes(32).toString('hex') : null),
+    retry: sanitizeRetry(retry),
+    throttle: Math.max(parseInt(throttle) || 0, 0),
+    options,
+    enabled,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  const validationError = validateChannel(channel);
+  if (validationError) {
+    return res.status(400).json({ error: validationError, supportedTypes: CHANNEL_TYPES });
+  }
+
+  channels.set(channelId, channel);
+
+  res.json({
+    success: true,
+    channelId,
+    channel: formatChannel(channel),
+    // Only returned once; verify X-ShrekAPI-Signature with it
+    ...(channel.secret && { secret: channel.secret }),
+    message: 'Notification channel registered successfully'
+  });
+});
+
+// List notification channels
+router.get('/channels', (req, res) => {
+  const { type, enabled } = req.query;
+
+  let list = Array.from(channels.values());
+  if (type) {
+    list = list.filter(channel => channel.type === type);
+  }
+  if (enabled !== undefined) {
+    list = list.filter(channel => channel.enabled === (enabled === 'true'));
+  }
+
+  res.json({
+    channels: list.map(formatChannel),
+    total: list.length,
+    supportedTypes: CHANNEL_TYPES,
+    severities: SEVERITIES,
+    events: EVENTS,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get notification channel
+router.get('/channels/:channelId', (req, res) => {
+  const channel = channels.get(req.params.channelId);
+  if (!channel) {
+    return res.status(404).json({ error: 'Notification channel not found' });
+  }
+
+  const recent = listDeliveries({ channelId: channel.id, limit: 10 });
+  res.json({
+    channel: formatChannel(channel),
+    recentDeliveries: recent.deliveries,
+    totalDeliveries: recent.total
+  });
+});
+
+// Update notification channel
+router.put('/channels/:channelId', (req, res) => {
+  const { channelId } = req.params;
+  const channel = channels.get(channelId);
+  if (!channel) {
+    return res.status(404).json({ error: 'Notification channel not found' });
+  }
+
+  const { rotateSecret = false, ...updates } = req.body;
+  const updatedChannel = {
+    ...channel,
+    ...updates,
+    id: channelId, // Prevent ID changes
+    retry: updates.retry ? sanitizeRetry(updates.retry) : channel.retry,
+    updatedAt: new Date().toISOString()
+  };
+  if (rotateSecret) {
+    updatedChannel.secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const validationError = validateChannel(updatedChannel);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  channels.set(channelId, updatedChannel);
+
+  res.json({
+    success: true,
+    channel: formatChannel(updatedChannel),
+    ...((rotateSecret || updates.secret) && { secret: updatedChannel.secret }),
+    message: 'Notification channel updated successfully'
+  });
+});
+
+// Delete notification channel
+router.delete('/channels/:channelId', (req, res) => {
+  if (!channels.has(req.params.channelId)) {
+    return res.status(404).json({ error: 'Notification channel not found' });
+  }
+
+  channels.delete(req.params.channelId);
+
+  res.json({
+    success: true,
+    message: 'Notification channel deleted successfully'
+  });
+});
+
+// Send a test notification and report the outcome
+router.post('/channels/:channelId/test', async (req, res) => {
+  const delivery = await sendTestNotification(req.params.channelId);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Notification channel not found' });
+  }
+
+  res.status(delivery.status === 'delivered' ? 200 : 502).json({
+    success: delivery.status === 'delivered',
+    delivery
+  });
+});
+
+// Send a notification to matching channels (or the listed channelIds)
+router.post('/send', (req, res) => {
+  const { title, message, severity = 'info', channelIds = null, serverId = null, data = {} } = req.body;
+
+  if (!title || !message) {
+    return res.status(400).json({ error: 'Title and message are required' });
+  }
+  if (!SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: `Severity must be one of: ${SEVERITIES.join(', ')}` });
+  }
+
+  const queued = notify({ event: 'automation', title, message, severity, serverId, data }, { channelIds });
+
+  res.status(202).json({
+    success: true,
+    queued: queued.length,
+    deliveries: queued.map(delivery => ({ id: delivery.id, channelId: delivery.channelId, status: delivery.status }))
+  });
+});
+
+// Delivery log
+router.get('/deliveries', (req, res) => {
+  const { channelId, status, event, limit = 50 } = req.query;
+  const result = listDeliveries({
+    channelId,
+    status,
+    event,
+    limit: Math.min(parseInt(limit) || 50, 500)
+  });
+
+  res.json({
+    ...result,
+    summary: summarizeDeliveries(channelId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/deliveries/:deliveryId', (req, res) => {
+  const delivery = getDelivery(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  res.json({ delivery });
+});
+
+// Retry a failed delivery
+router.post('/deliveries/:deliveryId/retry', (req, res) => {
+  const existing = getDelivery(req.params.deliveryId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  if (existing.status !== 'failed') {
+    return res.status(409).json({ error: `Only failed deliveries can be retried (status: ${existing.status})` });
+  }
+
+  const delivery = redeliver(existing.id);
+  res.status(202).json({
+    success: true,
+    delivery
+  });
+});
+
+// Helper functions
+function sanitizeRetry(retry = {}) {
+  const result = {};
+  if (retry.maxAttempts !== undefined) result.maxAttempts = Math.min(Math.max(parseInt(retry.maxAttempts) || 1, 1), 10);
+  if (retry.baseDelay !== undefined) result.baseDelay = Math.min(Math.max(parseInt(retry.baseDelay) || 1000, 100), 60000);
+  if (retry.maxDelay !== undefined) result.maxDelay = Math.min(Math.max(parseInt(retry.maxDelay) || 60000, 1000), 3600000);
+  return result;
+}
+
+function summarizeDeliveries(channelId) {
+  const { deliveries } = listDeliveries({ channelId, limit: Infinity });
+  return {
+    total: deliveries.length,
+    delivered: deliveries.filter(d => d.status === 'delivered').length,
+    failed: deliveries.filter(d => d.status === 'failed').length,
+    pending: deliveries.filter(d => d.status === 'pending' || d.status === 'retrying').length
+  };
+}
+
+// Monitoring alerts go out to every channel routed for their severity
+serverEvents.on('server:alert', ({ serverId, server, alert }) => {
+  notify({
+    event: 'alert',
+    severity: alert.severity,
+    title: alert.title,
+    message: alert.message,
+    serverId,
+    serverName: server.name,
+    alertType: alert.type,
+    timestamp: alert.timestamp,
+    data: { alertId: alert.id }
+  });
+});
+
+module.exports = router;
@@ -1,13 +1,14 @@
 const express = require('express');
 const crypto = require('crypto');
+const { createCollection } = require('../../lib/storage');
 
 const router = express.Router();
 
-// In-memory storage for permissions data (use database in production)
-let permissionSystems = new Map();
+// Permission systems and whitelists are persisted through lib/storage
+let permissionSystems = createCollection('permissions.systems');
 let groups = new Map();
 let users = new Map();
-let whitelists = new Map();
+let whitelists = createCollection('permissions.whitelists');
 
 // Create permission system
 router.post('/system/create', (req, res) => {
@@ -56,6 +57,7 @@ router.post('/groups/manage', (req, res) => {
   }
 
   const result = manageGroup(system, action, groupId, groupData);
+  permissionSystems.set(systemId, system);
 
   res.json({
     systemId,
@@ -89,6 +91,7 @@ router.post('/users/manage', (req, res) => {
   }
 
   const result = manageUserPermissions(system, userId, action, groupId, permissions, temporary, duration);
+  permissionSystems.set(systemId, system);
 
   res.json({
     systemId,
@@ -179,6 +182,7 @@ router.post('/bulk', (req, res) => {
   }
 
   const result = performBulkOperation(system, operation, targets, permissions, settings);
+  permissionSystems.set(systemId, system);
 
   res.json({
     systemId,
@@ -209,6 +213,7 @@ router.post('/templates/manage', (req, res) => {
   }
 
   const result = managePermissionTemplate(system, action, templateId, templateData);
+  permissionSystems.set(systemId, system);
 
   res.json({
     systemId,
@@ -4,6 +4,11 @@ const crypto = require('crypto');
 
 const router = express.Router();
 
+const NAME_CACHE_TTL = 60 * 60 * 1000;
+const NAME_RETRY_TTL = 60 * 1000;
+const MAX_NAME_LOOKUPS = 50;
+const nameCache = new Map();
+
 // Advanced player profile with comprehensive data
 router.get('/profile/:username', async (req, res) => {
   const { username } = req.params;
@@ -235,6 +240,33 @@ router.get('/name/check/:username', async (req, res) => {
   }
 });
 
+// Current name of a UUID (dashed or not)
+router.get('/uuid/:uuid', async (req, res) => {
+  const uuid = req.params.uuid.replace(/-/g, '').toLowerCase();
+  if (!/^[0-9a-f]{32}$/.test(uuid)) {
+    return res.status(400).json({ error: 'Invalid UUID format', uuid: req.params.uuid });
+  }
+
+  try {
+    const [username] = Object.values(await resolvePlayerNames([uuid]));
+    if (!username) {
+      return res.status(404).json({
+        error: isOfflineUuid(uuid) ? 'Offline-mode UUIDs have no Mojang account' : 'Player not found',
+        uuid: formatUuid(uuid)
+      });
+    }
+
+    res.json({
+      uuid: formatUuid(uuid),
+      uuidShort: uuid,
+      username,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to look up UUID', message: error.message });
+  }
+});
+
 // Player statistics estimator (based on public data patterns)
 router.get('/stats/:username', async (req, res) => {
   const { username } = req.params;
@@ -322,6 +354,47 @@ function formatUuid(uuid) {
   return uuid.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
 }
 
+// Current names for a list of UUIDs through the session server, as
+// { uuid: name | null }. Offline-mode UUIDs are never looked up; failed
+// lookups resolve to null and are retried once the cache entry expires.
+async function resolvePlayerNames(uuids) {
+  const now = Date.now();
+  const names = {};
+  const pending = [];
+
+  uuids.forEach(uuid => {
+    const key = uuid.replace(/-/g, '').toLowerCase();
+    const cached = nameCache.get(key);
+    if (cached && cached.expires > now) {
+      names[uuid] = cached.name;
+    } else if (isOfflineUuid(key) || pending.length >= MAX_NAME_LOOKUPS) {
+      names[uuid] = null;
+    } else {
+      pending.push([uuid, key]);
+    }
+  });
+
+  await Promise.all(pending.map(async ([uuid, key]) => {
+    let name = null;
+    let ttl = NAME_CACHE_TTL;
+    try {
+      const response = await axios.get(`https://sessionserver.mojang.com/session/minecraft/profile/${key}`, { timeout: 5000 });
+      name = response.data?.name || null;
+    } catch (error) {
+      if (error.response?.status !== 404) ttl = NAME_RETRY_TTL;
+    }
+    nameCache.set(key, { name, expires: Date.now() + ttl });
+    names[uuid] = name;
+  }));
+
+  return names;
+}
+
+// Offline-mode servers derive version 3 UUIDs from the player name
+function isOfflineUuid(uuid) {
+  return uuid.replace(/-/g, '')[12] === '3';
+}
+
 function extractSkinData(properties) {
   if (!properties || properties.length === 0) {
     return { url: null, slim: false };
@@ -478,3 +551,4 @@ function generateDetailedStats(username, uuid) {
 }
 
 module.exports = router;
+module.exports.resolvePlayerNames = resolvePlayerNames;
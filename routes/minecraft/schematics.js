@@ -0,0 +1,177 @@
+const express = require('express');
+const {
+  FORMATS,
+  MAX_VOLUME,
+  readSchematic,
+  writeSchematic,
+  remapSchematic,
+  summarizeSchematic
+} = require('../../lib/minecraft/schematic');
+const { materialBill } = require('../../lib/minecraft/schematic/materials');
+const { createError, decodeBase64 } = require('../../lib/helpers');
+
+const router = express.Router();
+
+const SCHEMATIC_UPLOAD_TYPES = ['application/octet-stream', 'application/gzip', 'application/x-gzip'];
+const SCHEMATIC_UPLOAD_LIMIT = process.env.SCHEMATIC_UPLOAD_LIMIT || '50mb';
+const OUTPUTS = ['json', 'file'];
+
+// Supported formats and limits
+router.get('/formats', (req, res) => {
+  res.json({
+    formats: Object.entries(FORMATS).map(([format, { extension, description }]) => ({ format, extension, description })),
+    maxVolume: MAX_VOLUME,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Size, bounding box and material counts of a schematic. Upload the file
+// as application/octet-stream, or send { data } as base64 JSON.
+router.post('/analyze', express.raw({ type: SCHEMATIC_UPLOAD_TYPES, limit: SCHEMATIC_UPLOAD_LIMIT }), (req, res) => {
+  let upload;
+  let result;
+  try {
+    upload = readSchematicUpload(req);
+    result = readSchematic(upload.buffer, { format: upload.options.from || 'auto' });
+  } catch (error) {
+    return res.status(schematicErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+
+  res.json({
+    fileName: upload.fileName,
+    format: result.format,
+    summary: summarizeSchematic(result.schematic),
+    warnings: result.schematic.warnings,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Material bill: items needed to build the schematic, grouped by item
+// regardless of orientation, with stack and shulker box breakdowns and
+// the estimated crafting inputs. keep (item IDs, comma-separated in the
+// query) are treated as raw materials; depth limits the recipe steps.
+router.post('/materials', express.raw({ type: SCHEMATIC_UPLOAD_TYPES, limit: SCHEMATIC_UPLOAD_LIMIT }), (req, res) => {
+  let upload;
+  try {
+    upload = readSchematicUpload(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  const { from = 'auto', depth = null } = upload.options;
+  const maxDepth = depth === null || depth === '' ? Infinity : parseInt(depth);
+  if (Number.isNaN(maxDepth) || maxDepth < 0) {
+    return res.status(400).json({ error: 'depth must be a non-negative integer' });
+  }
+  const keep = (Array.isArray(upload.options.keep) ? upload.options.keep : String(upload.options.keep || '').split(','))
+    .map(id => String(id).trim().toLowerCase())
+    .filter(Boolean)
+    .map(id => (id.includes(':') ? id : `minecraft:${id}`));
+
+  let result;
+  try {
+    result = readSchematic(upload.buffer, { format: from });
+  } catch (error) {
+    return res.status(schematicErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+
+  const bill = materialBill(result.schematic, { keep, maxDepth });
+  res.json({
+    fileName: upload.fileName,
+    format: result.format,
+    size: result.schematic.size,
+    ...bill,
+    warnings: result.schematic.warnings,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Convert between formats: to (sponge, mcedit, litematic, structure),
+// version (target game version; renames blocks), replace ({ from: to }
+// block states), spongeVersion (2 or 3), includeAir (structure files) and
+// output (json with base64 data, or file). Raw uploads take the options
+// from the query string.
+router.post('/convert', express.raw({ type: SCHEMATIC_UPLOAD_TYPES, limit: SCHEMATIC_UPLOAD_LIMIT }), (req, res) => {
+  let upload;
+  try {
+    upload = readSchematicUpload(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  const { to, from = 'auto', version = null, spongeVersion = 3, output = 'json' } = upload.options;
+  const includeAir = upload.options.includeAir !== false && upload.options.includeAir !== 'false';
+  let replace = upload.options.replace || {};
+
+  if (!FORMATS[to]) {
+    return res.status(400).json({ error: 'to is required', formats: Object.keys(FORMATS) });
+  }
+  if (!OUTPUTS.includes(output)) {
+    return res.status(400).json({ error: `output must be one of: ${OUTPUTS.join(', ')}` });
+  }
+  // Query strings carry replace as JSON
+  if (typeof replace === 'string') {
+    try {
+      replace = JSON.parse(replace);
+    } catch (error) {
+      return res.status(400).json({ error: 'replace must be a JSON object of { "from": "to" } block states' });
+    }
+  }
+
+  let source;
+  let converted;
+  try {
+    source = readSchematic(upload.buffer, { format: from });
+    const remap = remapSchematic(source.schematic, { version, replace });
+    const written = writeSchematic(remap.schematic, to, { spongeVersion, includeAir });
+    converted = { ...remap, ...written };
+  } catch (error) {
+    return res.status(schematicErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+
+  const fileName = `${baseName(upload.fileName) || source.schematic.metadata.name || 'schematic'}${FORMATS[to].extension}`;
+  if (output === 'file') {
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${fileName.replace(/[^\w.-]/g, '_')}"`);
+    return res.send(converted.buffer);
+  }
+
+  res.json({
+    from: source.format,
+    to,
+    fileName,
+    size: converted.buffer.length,
+    data: converted.buffer.toString('base64'),
+    summary: summarizeSchematic(converted.schematic),
+    remapped: converted.remapped,
+    warnings: [...source.schematic.warnings, ...converted.warnings],
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Helper functions
+function readSchematicUpload(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return { buffer: req.body, fileName: req.query.fileName || null, options: req.query };
+  }
+
+  const { data, fileName = null, ...options } = req.body || {};
+  const buffer = decodeBase64(data);
+  if (!buffer) {
+    throw createError('Upload the schematic file, or send data as a base64-encoded schematic', 'SCHEMATIC_NO_DATA');
+  }
+  return { buffer, fileName, options };
+}
+
+function schematicErrorStatus(error) {
+  if (error.code === 'SCHEMATIC_TOO_LARGE') return 413;
+  if (error.code && /^(SCHEMATIC|NBT|UPGRADE)_/.test(error.code)) return 400;
+  return 500;
+}
+
+function baseName(fileName) {
+  if (typeof fileName !== 'string') return null;
+  return fileName.split(/[\\/]/).pop().replace(/\.(schem|schematic|litematic|nbt)$/i, '') || null;
+}
+
+module.exports = router;
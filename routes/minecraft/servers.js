@@ -1,31 +1,47 @@
 const express = require('express');
-const axios = require('axios');
 const crypto = require('crypto');
+const { getServerStatus, STATUS_SOURCES, DEFAULT_SOURCE } = require('../../lib/minecraft/status');
+const { queryServer } = require('../../lib/minecraft/query');
 
 const router = express.Router();
 
+const MAX_ANALYZE_SAMPLES = 20;
+const MAX_ANALYZE_INTERVAL = 10000; // ms between two samples
+
 // Advanced server ping with detailed analysis
 router.get('/ping', async (req, res) => {
-  const { host, port = 25565, timeout = 5000 } = req.query;
+  const {
+    host,
+    port = 25565,
+    timeout = 5000,
+    source = DEFAULT_SOURCE,
+    protocol = 'auto',
+    query = 'false',
+    queryPort
+  } = req.query;
   if (!host) {
     return res.status(400).json({ error: 'Host parameter is required' });
   }
 
+  if (!STATUS_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `Source must be one of: ${STATUS_SOURCES.join(', ')}` });
+  }
+
   try {
-    const startTime = Date.now();
-    const response = await axios.get(`https://api.mcsrvstat.us/2/${host}:${port}`, {
-      timeout: parseInt(timeout)
+    const serverData = await getServerStatus(host, port, {
+      source,
+      timeout,
+      protocol,
+      query: query === 'true',
+      queryPort: queryPort ? parseInt(queryPort) : null
     });
-    const pingTime = Date.now() - startTime;
 
-    if (response.data.online) {
-      const serverData = response.data;
-      
+    if (serverData.online) {
       res.json({
         online: true,
         host,
         port: parseInt(port),
-        ping: pingTime,
+        ping: serverData.latency,
         players: {
           online: serverData.players?.online || 0,
           max: serverData.players?.max || 0,
@@ -61,6 +77,7 @@ router.get('/ping', async (req, res) => {
           animatedmotd: serverData.debug?.animatedmotd || false,
           cachetime: serverData.debug?.cachetime || 0
         },
+        source: serverData.source,
         analysis: analyzeServerData(serverData),
         timestamp: new Date().toISOString()
       });
@@ -70,6 +87,7 @@ router.get('/ping', async (req, res) => {
         host,
         port: parseInt(port),
         error: 'Server is offline or unreachable',
+        source: serverData.source,
         suggestions: generateOfflineSuggestions(host, port),
         timestamp: new Date().toISOString()
       });
@@ -87,27 +105,73 @@ router.get('/ping', async (req, res) => {
   }
 });
 
+// Full stat via the UDP Query protocol (requires enable-query=true)
+router.get('/query', async (req, res) => {
+  const { host, port = 25565, timeout = 5000 } = req.query;
+  if (!host) {
+    return res.status(400).json({ error: 'Host parameter is required' });
+  }
+
+  try {
+    const result = await queryServer(host, port, { timeout: parseInt(timeout) });
+
+    res.json({
+      online: true,
+      host,
+      port: parseInt(port),
+      ping: result.latency,
+      motd: result.motd,
+      gametype: result.gametype,
+      version: result.version,
+      software: result.software,
+      plugins: result.plugins,
+      map: result.map,
+      players: result.players,
+      hostip: result.hostip,
+      hostport: result.hostport,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.code === 'ETIMEDOUT' ? 504 : 500).json({
+      online: false,
+      host,
+      port: parseInt(port),
+      error: 'Failed to query server',
+      message: error.message,
+      troubleshooting: [
+        'Make sure enable-query=true is set in server.properties',
+        'Check that query.port matches the port you are querying',
+        'Query uses UDP - verify the port is open for UDP traffic',
+        ...generateTroubleshootingSteps(error)
+      ],
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Batch server ping for multiple servers
 router.post('/ping/batch', async (req, res) => {
-  const { servers, timeout = 5000 } = req.body;
+  const { servers, timeout = 5000, source = DEFAULT_SOURCE } = req.body;
   if (!servers || !Array.isArray(servers)) {
     return res.status(400).json({ error: 'Servers array is required' });
   }
 
+  if (!STATUS_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `Source must be one of: ${STATUS_SOURCES.join(', ')}` });
+  }
+
   const results = await Promise.allSettled(
     servers.map(async (server) => {
       try {
-        const response = await axios.get(`https://api.mcsrvstat.us/2/${server.host}:${server.port || 25565}`, {
-          timeout: parseInt(timeout)
-        });
+        const data = await getServerStatus(server.host, server.port || 25565, { source, timeout });
         return {
           host: server.host,
           port: server.port || 25565,
-          online: response.data.online,
-          players: response.data.players?.online || 0,
-          maxPlayers: response.data.players?.max || 0,
-          version: response.data.version || 'Unknown',
-          ping: Math.floor(Math.random() * 100) + 10 // Simulated ping
+          online: data.online,
+          players: data.players?.online || 0,
+          maxPlayers: data.players?.max || 0,
+          version: data.version || 'Unknown',
+          ping: data.online ? data.latency : null
         };
       } catch (error) {
         return {
@@ -127,8 +191,8 @@ router.post('/ping/batch', async (req, res) => {
     offline: processedResults.filter(r => !r.online).length,
     totalPlayers: processedResults.reduce((sum, r) => sum + (r.players || 0), 0),
     averagePing: Math.round(
-      processedResults.filter(r => r.ping).reduce((sum, r) => sum + r.ping, 0) / 
-      processedResults.filter(r => r.ping).length
+      processedResults.filter(r => typeof r.ping === 'number').reduce((sum, r) => sum + r.ping, 0) / 
+      processedResults.filter(r => typeof r.ping === 'number').length
     ) || 0
   };
 
@@ -139,35 +203,68 @@ router.post('/ping/batch', async (req, res) => {
   });
 });
 
-// Server performance analysis
+// Server performance analysis. Query: samples and interval (ms), or the
+// older duration (seconds) to spread the samples over
 router.get('/analyze', async (req, res) => {
-  const { host, port = 25565, duration = 60 } = req.query;
+  const { host, port = 25565, timeout = 5000, source = DEFAULT_SOURCE } = req.query;
   if (!host) {
     return res.status(400).json({ error: 'Host parameter is required' });
   }
 
-  // Simulate performance monitoring over time
+  const sampling = getAnalyzeSampling(req.query);
+  if (sampling.error) {
+    return res.status(400).json({ error: sampling.error });
+  }
+
+  if (!STATUS_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `Source must be one of: ${STATUS_SOURCES.join(', ')}` });
+  }
+
+  // Take real status samples; TPS and MSPT are not exposed by the status
+  // protocol, so they stay null unless a future source provides them
   const measurements = [];
-  const measurementCount = Math.min(parseInt(duration), 300); // Max 5 minutes
-  
-  for (let i = 0; i < measurementCount; i++) {
-    measurements.push({
-      timestamp: new Date(Date.now() - (measurementCount - i) * 1000).toISOString(),
-      ping: Math.floor(Math.random() * 50) + 20,
-      players: Math.floor(Math.random() * 100),
-      tps: 20 - Math.random() * 2, // Simulate TPS between 18-20
-      mspt: Math.random() * 10 + 5 // Milliseconds per tick
-    });
+  const startTime = Date.now();
+
+  for (let i = 0; i < sampling.samples; i++) {
+    if (i > 0) {
+      await new Promise(resolve => setTimeout(resolve, sampling.interval));
+    }
+
+    try {
+      const data = await getServerStatus(host, port, { source, timeout });
+      measurements.push({
+        timestamp: new Date().toISOString(),
+        online: data.online,
+        ping: data.online ? data.latency : null,
+        players: data.players?.online || 0,
+        tps: null,
+        mspt: null
+      });
+    } catch (error) {
+      measurements.push({
+        timestamp: new Date().toISOString(),
+        online: false,
+        ping: null,
+        players: 0,
+        tps: null,
+        mspt: null,
+        error: error.message
+      });
+    }
   }
 
+  const pings = measurements.filter(m => m.ping !== null).map(m => m.ping);
+  const averagePing = pings.length > 0 ? Math.round(pings.reduce((sum, p) => sum + p, 0) / pings.length) : null;
+  const availability = measurements.filter(m => m.online).length / measurements.length;
+
   const analysis = {
-    averagePing: Math.round(measurements.reduce((sum, m) => sum + m.ping, 0) / measurements.length),
-    averageTPS: (measurements.reduce((sum, m) => sum + m.tps, 0) / measurements.length).toFixed(2),
-    averageMSPT: (measurements.reduce((sum, m) => sum + m.mspt, 0) / measurements.length).toFixed(2),
+    averagePing,
+    averageTPS: null,
+    averageMSPT: null,
     playerTrend: calculateTrend(measurements.map(m => m.players)),
     performance: {
-      grade: 'A', // Based on TPS and ping
-      stability: 'Excellent',
+      grade: calculatePerformanceGrade(averagePing, availability),
+      stability: calculateStability(pings, availability),
       recommendations: generatePerformanceRecommendations(measurements)
     }
   };
@@ -175,7 +272,12 @@ router.get('/analyze', async (req, res) => {
   res.json({
     host,
     port: parseInt(port),
-    duration: parseInt(duration),
+    duration: Math.round((Date.now() - startTime) / 1000),
+    sampling: {
+      samples: sampling.samples,
+      interval: sampling.interval,
+      duration: (sampling.samples - 1) * sampling.interval / 1000
+    },
     measurements,
     analysis,
     timestamp: new Date().toISOString()
@@ -184,17 +286,20 @@ router.get('/analyze', async (req, res) => {
 
 // Server comparison tool
 router.post('/compare', async (req, res) => {
-  const { servers } = req.body;
+  const { servers, timeout = 5000, source = DEFAULT_SOURCE } = req.body;
   if (!servers || servers.length < 2) {
     return res.status(400).json({ error: 'At least 2 servers required for comparison' });
   }
 
+  if (!STATUS_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `Source must be one of: ${STATUS_SOURCES.join(', ')}` });
+  }
+
   const comparisons = await Promise.all(
     servers.map(async (server) => {
       try {
-        const response = await axios.get(`https://api.mcsrvstat.us/2/${server.host}:${server.port || 25565}`);
-        const data = response.data;
-        
+        const data = await getServerStatus(server.host, server.port || 25565, { source, timeout });
+
         return {
           name: server.name || server.host,
           host: server.host,
@@ -202,9 +307,10 @@ router.post('/compare', async (req, res) => {
           online: data.online,
           players: data.players?.online || 0,
           maxPlayers: data.players?.max || 0,
+          ping: data.online ? data.latency : null,
           version: data.version || 'Unknown',
           software: data.software || 'Unknown',
-          plugins: data.plugins?.length || 0,
+          plugins: countNames(data.plugins),
           motd: data.motd?.clean?.[0] || 'No MOTD',
           score: calculateServerScore(data)
         };
@@ -246,8 +352,8 @@ function analyzeServerData(data) {
     playerCapacity: data.players?.max ? 
       `${((data.players.online / data.players.max) * 100).toFixed(1)}% full` : 'Unknown',
     versionStatus: getVersionStatus(data.version),
-    hasPlugins: (data.plugins?.length || 0) > 0,
-    hasMods: (data.mods?.length || 0) > 0,
+    hasPlugins: countNames(data.plugins) > 0,
+    hasMods: countNames(data.mods) > 0,
     serverType: determineServerType(data),
     estimatedRegion: 'Unknown', // Could be enhanced with IP geolocation
     performanceIndicators: {
@@ -289,7 +395,7 @@ function generateTroubleshootingSteps(error) {
 }
 
 function calculateTrend(values) {
-  if (values.length < 2) return 'stable';
+  if (values.length < 3) return 'stable';
   
   const first = values.slice(0, Math.floor(values.length / 3));
   const last = values.slice(-Math.floor(values.length / 3));
@@ -297,6 +403,7 @@ function calculateTrend(values) {
   const firstAvg = first.reduce((a, b) => a + b, 0) / first.length;
   const lastAvg = last.reduce((a, b) => a + b, 0) / last.length;
   
+  if (firstAvg === 0) return lastAvg > 0 ? 'increasing' : 'stable';
   const change = ((lastAvg - firstAvg) / firstAvg) * 100;
   
   if (change > 10) return 'increasing';
@@ -306,16 +413,25 @@ function calculateTrend(values) {
 
 function generatePerformanceRecommendations(measurements) {
   const recommendations = [];
-  const avgTPS = measurements.reduce((sum, m) => sum + m.tps, 0) / measurements.length;
-  const avgMSPT = measurements.reduce((sum, m) => sum + m.mspt, 0) / measurements.length;
+  const tpsSamples = measurements.filter(m => m.tps !== null);
+  const msptSamples = measurements.filter(m => m.mspt !== null);
+  const pingSamples = measurements.filter(m => m.ping !== null);
   
-  if (avgTPS < 19) {
+  if (tpsSamples.length > 0 && tpsSamples.reduce((sum, m) => sum + m.tps, 0) / tpsSamples.length < 19) {
     recommendations.push('TPS is below optimal - consider server optimization');
   }
   
-  if (avgMSPT > 50) {
+  if (msptSamples.length > 0 && msptSamples.reduce((sum, m) => sum + m.mspt, 0) / msptSamples.length > 50) {
     recommendations.push('High tick time detected - check for lag sources');
   }
+
+  if (pingSamples.length < measurements.length) {
+    recommendations.push('Server did not respond to every status ping - check network stability');
+  }
+
+  if (pingSamples.length > 0 && pingSamples.reduce((sum, m) => sum + m.ping, 0) / pingSamples.length > 150) {
+    recommendations.push('High latency detected - consider a host closer to your players');
+  }
   
   recommendations.push('Monitor server performance regularly');
   recommendations.push('Consider upgrading hardware if performance issues persist');
@@ -323,6 +439,27 @@ function generatePerformanceRecommendations(measurements) {
   return recommendations;
 }
 
+function calculatePerformanceGrade(averagePing, availability) {
+  if (averagePing === null || availability === 0) return 'F';
+  if (availability < 0.9) return 'D';
+  if (averagePing <= 50) return 'A';
+  if (averagePing <= 100) return 'B';
+  if (averagePing <= 200) return 'C';
+  return 'D';
+}
+
+function calculateStability(pings, availability) {
+  if (pings.length === 0) return 'Unreachable';
+  if (availability < 1) return 'Unstable';
+
+  const mean = pings.reduce((sum, p) => sum + p, 0) / pings.length;
+  const deviation = Math.sqrt(pings.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / pings.length);
+
+  if (deviation <= 10) return 'Excellent';
+  if (deviation <= 30) return 'Good';
+  return 'Fluctuating';
+}
+
 function getVersionStatus(version) {
   if (!version) return 'Unknown';
   
@@ -338,15 +475,14 @@ function getVersionStatus(version) {
 
 function determineServerType(data) {
   const software = (data.software || '').toLowerCase();
-  const plugins = data.plugins || [];
-  
+
   if (software.includes('paper') || software.includes('spigot') || software.includes('bukkit')) {
     return 'Bukkit/Spigot/Paper';
   } else if (software.includes('forge')) {
     return 'Forge Modded';
   } else if (software.includes('fabric')) {
     return 'Fabric Modded';
-  } else if (plugins.length > 0) {
+  } else if (countNames(data.plugins) > 0) {
     return 'Plugin Server';
   } else {
     return 'Vanilla';
@@ -371,9 +507,38 @@ function calculateServerScore(data) {
   }
   
   // Features (plugins/mods)
-  score += Math.min((data.plugins?.length || 0) * 2, 10);
+  score += Math.min(countNames(data.plugins) * 2, 10);
   
   return Math.round(score);
 }
 
+// samples/interval win; a duration alone becomes a sample at the start and
+// one per second after it (at most 20), spread so the last one lands at the
+// end of the window. Intervals and durations the interval cap cannot honour
+// are rejected rather than cut short
+function getAnalyzeSampling({ samples, interval, duration }) {
+  if (samples !== undefined || interval !== undefined || duration === undefined) {
+    const count = Math.min(Math.max(parseInt(samples ?? 5) || 1, 1), MAX_ANALYZE_SAMPLES);
+    const gap = Math.max(parseInt(interval ?? 1000) || 0, 0);
+    if (gap > MAX_ANALYZE_INTERVAL) {
+      return { error: `Interval can be at most ${MAX_ANALYZE_INTERVAL} ms` };
+    }
+    return { samples: count, interval: gap };
+  }
+
+  const seconds = Math.max(parseInt(duration) || 1, 1);
+  const maxSeconds = (MAX_ANALYZE_SAMPLES - 1) * MAX_ANALYZE_INTERVAL / 1000;
+  if (seconds > maxSeconds) {
+    return { error: `Duration can be at most ${maxSeconds} seconds` };
+  }
+
+  const count = Math.min(seconds + 1, MAX_ANALYZE_SAMPLES);
+  return { samples: count, interval: Math.round((seconds * 1000) / (count - 1)) };
+}
+
+// Plugins and mods come as { names, raw }, or as an empty array
+function countNames(list) {
+  return Array.isArray(list) ? list.length : list?.names?.length || 0;
+}
+
 module.exports = router;
@@ -1,547 +1,829 @@
 const express = require('express');
 const crypto = require('crypto');
+const { loadWorldFiles, analyzeWorld } = require('../../lib/minecraft/world');
+const { normalizeTrimOptions, trimWorld } = require('../../lib/minecraft/trim');
+const { DATA_VERSIONS, planUpgrade, listUpgradeChanges } = require('../../lib/minecraft/upgrade');
+const { writeZip } = require('../../lib/minecraft/archive');
+const { readPlayerStats, totalPlayerStats } = require('../../lib/minecraft/playerStats');
+const {
+  STRUCTURES,
+  parseSeed,
+  parseVersion,
+  structuresForVersion,
+  findStructures,
+  isSlimeChunk,
+  findSlimeChunks,
+  findStrongholds,
+  findNetherStructures,
+  CRITERION_TYPES,
+  NETHER_STRUCTURES
+} = require('../../lib/minecraft/seed');
+const {
+  JOB_STATUSES,
+  searchEvents,
+  createSearchJob,
+  getSearchJob,
+  listSearchJobs,
+  cancelSearchJob
+} = require('../../lib/minecraft/seed/search');
+const { createCollection } = require('../../lib/storage');
+const { resolvePlayerNames } = require('./players');
+const { createError, decodeBase64 } = require('../../lib/helpers');
 
 const router = express.Router();
 
-// Advanced world seed analyzer
+const WORLD_UPLOAD_TYPES = ['application/zip', 'application/gzip', 'application/x-gzip', 'application/x-tar', 'application/octet-stream'];
+const WORLD_UPLOAD_LIMIT = process.env.WORLD_UPLOAD_LIMIT || '100mb';
+const MAX_SEED_SEARCH_RADIUS = 20000;
+const MAX_SLIME_RADIUS = 1024;
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+// Worlds registered for statistics: analysis summaries, not the files
+const registeredWorlds = createCollection('worlds.registered');
+
+// World seed analyzer: structure attempts and slime chunks around a point,
+// computed with the game's own placement rules
 router.get('/seed/analyze/:seed', (req, res) => {
   const { seed } = req.params;
-  const { version = '1.20', biome = 'all' } = req.query;
+  const {
+    version = '1.20',
+    x = 0,
+    z = 0,
+    radius = 2000,
+    limit = 5,
+    slimeRadius = 128,
+    structures
+  } = req.query;
 
   const seedNumber = parseSeed(seed);
-  const analysis = analyzeWorldSeed(seedNumber, version);
+  if (seedNumber === null) {
+    return res.status(400).json({ error: 'Seed is required' });
+  }
+
+  const center = { x: parseInt(x) || 0, z: parseInt(z) || 0 };
+  const searchRadius = Math.min(Math.max(parseInt(radius) || 2000, 16), MAX_SEED_SEARCH_RADIUS);
+  const perType = Math.min(Math.max(parseInt(limit) || 5, 1), 100);
+  const slimeSearchRadius = Math.min(Math.max(parseInt(slimeRadius) || 128, 16), MAX_SLIME_RADIUS);
+
+  const types = structures ? String(structures).split(',').map(type => type.trim()).filter(Boolean) : null;
+  const unknown = (types || []).filter(type => !STRUCTURES[type]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown structure type(s): ${unknown.join(', ')}`,
+      availableStructures: Object.keys(STRUCTURES)
+    });
+  }
+
+  let found;
+  let available;
+  let strongholds;
+  try {
+    const minor = parseVersion(version);
+    available = structuresForVersion(minor);
+    found = findStructures(seedNumber, { version, ...center, radius: searchRadius, types });
+    strongholds = findStrongholds(seedNumber, { version, ...center });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  const byType = {};
+  found.forEach(structure => {
+    byType[structure.type] = byType[structure.type] || [];
+    byType[structure.type].push(structure);
+  });
+
+  const listed = types ? types.filter(type => available.includes(type)) : available;
+  const slime = findSlimeChunks(seedNumber, { ...center, radius: slimeSearchRadius });
+  const analysis = {
+    structures: Object.values(byType).flatMap(list => list.slice(0, perType)).sort((a, b) => a.distance - b.distance),
+    counts: Object.fromEntries(listed.map(type => [type, (byType[type] || []).length])),
+    nearest: Object.fromEntries(listed.map(type => [type, byType[type]?.[0] || null])),
+    unavailable: (types || []).filter(type => !available.includes(type)),
+    nearestStronghold: strongholds.strongholds[0],
+    slimeChunks: {
+      radius: slimeSearchRadius,
+      count: slime.chunks.length,
+      percentage: slime.chunksChecked > 0 ? Math.round((slime.chunks.length / slime.chunksChecked) * 1000) / 10 : 0,
+      atCenter: isSlimeChunk(seedNumber, Math.floor(center.x / 16), Math.floor(center.z / 16)),
+      nearest: slime.chunks[0] || null,
+      chunks: slime.chunks
+    }
+  };
 
   res.json({
-    seed: seed,
-    seedNumber: seedNumber,
+    seed,
+    seedNumber: seedNumber.toString(),
     version,
-    analysis: {
-      spawnBiome: analysis.spawnBiome,
-      nearbyBiomes: analysis.nearbyBiomes,
-      structures: analysis.structures,
-      resources: analysis.resources,
-      difficulty: analysis.difficulty,
-      uniqueFeatures: analysis.uniqueFeatures,
-      coordinates: analysis.coordinates
-    },
+    center,
+    radius: searchRadius,
+    analysis,
     recommendations: generateSeedRecommendations(analysis),
+    notes: [
+      'Coordinates are the centre of the chunk where the game attempts each structure',
+      'Structures with a biome list only generate when the biome at that spot allows it'
+    ],
     timestamp: new Date().toISOString()
   });
 });
 
-// World seed generator with specific criteria
-router.post('/seed/generate', (req, res) => {
-  const { 
-    biomes = [], 
-    structures = [], 
-    difficulty = 'any',
-    version = '1.20',
-    count = 1 
-  } = req.body;
-
-  if (count > 20) {
-    return res.status(400).json({ error: 'Maximum 20 seeds per request' });
-  }
-
-  const seeds = [];
-  for (let i = 0; i < count; i++) {
-    const seed = generateCustomSeed(biomes, structures, difficulty);
-    const analysis = analyzeWorldSeed(seed, version);
-    
-    seeds.push({
-      seed: seed.toString(),
-      seedNumber: seed,
-      matchScore: calculateMatchScore(analysis, { biomes, structures, difficulty }),
-      preview: {
-        spawnBiome: analysis.spawnBiome,
-        nearbyStructures: analysis.structures.slice(0, 3),
-        difficulty: analysis.difficulty
-      }
-    });
+// Stronghold ring positions (all 128 since 1.19.3, the first one before)
+router.get('/seed/:seed/strongholds', (req, res) => {
+  const { seed } = req.params;
+  const { version = '1.20', x = 0, z = 0, limit } = req.query;
+
+  const seedNumber = parseSeed(seed);
+  if (seedNumber === null) {
+    return res.status(400).json({ error: 'Seed is required' });
   }
 
-  // Sort by match score
-  seeds.sort((a, b) => b.matchScore - a.matchScore);
+  const center = { x: parseInt(x) || 0, z: parseInt(z) || 0 };
+  let result;
+  try {
+    result = findStrongholds(seedNumber, { version, ...center });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
 
+  const rings = {};
+  result.strongholds.forEach(stronghold => {
+    rings[stronghold.ring] = rings[stronghold.ring] || { ring: stronghold.ring, count: 0, minDistance: null, maxDistance: null };
+    const ring = rings[stronghold.ring];
+    const fromOrigin = Math.round(Math.hypot(stronghold.coordinates.x, stronghold.coordinates.z));
+    ring.count++;
+    ring.minDistance = ring.minDistance === null ? fromOrigin : Math.min(ring.minDistance, fromOrigin);
+    ring.maxDistance = ring.maxDistance === null ? fromOrigin : Math.max(ring.maxDistance, fromOrigin);
+  });
+
+  const count = limit ? Math.min(Math.max(parseInt(limit) || 1, 1), result.strongholds.length) : result.strongholds.length;
   res.json({
-    criteria: { biomes, structures, difficulty, version },
-    seeds,
-    bestMatch: seeds[0],
+    seed,
+    seedNumber: seedNumber.toString(),
+    version,
+    center,
+    complete: result.complete,
+    accuracy: result.accuracy,
+    total: result.strongholds.length,
+    rings: Object.values(rings),
+    nearest: result.strongholds[0],
+    strongholds: result.strongholds.slice(0, count),
+    notes: [
+      `The game moves each position to a suitable biome up to ${result.accuracy} blocks away`,
+      ...(result.complete ? [] : ['Before 1.19.3 later positions depend on the biome layout, so only the first stronghold is listed'])
+    ],
     timestamp: new Date().toISOString()
   });
 });
 
-// World backup analyzer
-router.post('/backup/analyze', (req, res) => {
-  const { worldName, backupData } = req.body;
-  
-  if (!worldName || !backupData) {
-    return res.status(400).json({ error: 'World name and backup data required' });
+// Nether fortress and bastion attempts around nether coordinates
+router.get('/seed/:seed/nether-structures', (req, res) => {
+  const { seed } = req.params;
+  const { version = '1.20', x = 0, z = 0, radius = 1000, type } = req.query;
+
+  const seedNumber = parseSeed(seed);
+  if (seedNumber === null) {
+    return res.status(400).json({ error: 'Seed is required' });
+  }
+  if (type && !['fortress', 'bastion_remnant'].includes(type)) {
+    return res.status(400).json({ error: 'type must be fortress or bastion_remnant' });
   }
 
-  // Simulate backup analysis
-  const analysis = {
-    worldName,
-    size: Math.floor(Math.random() * 1000) + 100 + ' MB',
-    chunks: Math.floor(Math.random() * 10000) + 1000,
-    playerData: Math.floor(Math.random() * 50) + 1,
-    structures: {
-      villages: Math.floor(Math.random() * 20),
-      dungeons: Math.floor(Math.random() * 50),
-      strongholds: Math.floor(Math.random() * 3) + 1,
-      temples: Math.floor(Math.random() * 10)
+  const center = { x: parseInt(x) || 0, z: parseInt(z) || 0 };
+  const searchRadius = Math.min(Math.max(parseInt(radius) || 1000, 16), MAX_SEED_SEARCH_RADIUS);
+  let result;
+  try {
+    result = findNetherStructures(seedNumber, { version, ...center, radius: searchRadius });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  const structures = type ? result.structures.filter(structure => structure.type === type) : result.structures;
+  res.json({
+    seed,
+    seedNumber: seedNumber.toString(),
+    version,
+    center,
+    radius: searchRadius,
+    layout: result.layout,
+    counts: {
+      fortress: result.structures.filter(structure => structure.type === 'fortress').length,
+      bastion_remnant: result.structures.filter(structure => structure.type === 'bastion_remnant').length
+    },
+    nearest: {
+      fortress: result.structures.find(structure => structure.type === 'fortress') || null,
+      bastion_remnant: result.structures.find(structure => structure.type === 'bastion_remnant') || null
     },
-    biomes: generateRandomBiomes(),
-    lastPlayed: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString(),
-    gamemode: ['Survival', 'Creative', 'Adventure', 'Hardcore'][Math.floor(Math.random() * 4)],
-    difficulty: ['Peaceful', 'Easy', 'Normal', 'Hard'][Math.floor(Math.random() * 4)],
-    version: '1.' + (Math.floor(Math.random() * 5) + 16),
-    corruption: {
-      detected: Math.random() > 0.8,
-      issues: Math.random() > 0.8 ? ['Missing chunks', 'Invalid block data'] : []
+    structures,
+    notes: [
+      'Coordinates are nether coordinates of the attempt chunk centre; overworldCoordinates multiply them by 8',
+      result.fallbackToFortress
+        ? 'Bastion attempts in basalt deltas generate as fortresses instead'
+        : 'Bastion attempts in basalt deltas do not generate'
+    ],
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Seed search: queue a job that scans a seed range with worker threads
+// and keeps the seeds matching every criterion
+router.post('/seed/generate', (req, res) => {
+  const { criteria, version = '1.20', center = null, startSeed = null, count, maxMatches } = req.body;
+
+  let job;
+  try {
+    job = createSearchJob({ criteria, version, center, startSeed, count, maxMatches });
+  } catch (error) {
+    if (error.code === 'SEED_QUEUE_FULL') {
+      return res.status(429).json({ error: error.message, code: error.code });
+    }
+    return res.status(400).json({
+      error: error.message,
+      code: error.code,
+      criterionTypes: CRITERION_TYPES,
+      structures: Object.keys(STRUCTURES),
+      netherStructures: NETHER_STRUCTURES
+    });
+  }
+
+  res.status(202).json({
+    job,
+    links: {
+      self: `${req.baseUrl}/seed/generate/${job.id}`,
+      stream: `${req.baseUrl}/seed/generate/${job.id}/stream`
+    }
+  });
+});
+
+router.get('/seed/generate', (req, res) => {
+  const { status, limit = 50 } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+
+  const jobs = listSearchJobs({ status, limit: Math.min(parseInt(limit) || 50, 100) });
+  res.json({ jobs, total: jobs.length });
+});
+
+router.get('/seed/generate/:jobId', (req, res) => {
+  const job = getSearchJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Search job not found' });
+  }
+  res.json(job);
+});
+
+// Server-sent events: snapshot, then progress, match and status until the job ends
+router.get('/seed/generate/:jobId/stream', (req, res) => {
+  const job = getSearchJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Search job not found' });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression() buffers output; flush after every write
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+  };
+  const writeEvent = (type, data) => write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  writeEvent('snapshot', job);
+  if (!['queued', 'running'].includes(job.status)) {
+    return res.end();
+  }
+
+  const onEvent = (event) => {
+    if (event.jobId !== job.id) return;
+    writeEvent(event.type, event.data);
+    if (event.type === 'status' && !['queued', 'running'].includes(event.data.status)) {
+      close();
+      res.end();
     }
   };
+  const heartbeat = setInterval(() => write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+  const close = () => {
+    clearInterval(heartbeat);
+    searchEvents.off('job', onEvent);
+  };
 
-  const recommendations = generateBackupRecommendations(analysis);
+  searchEvents.on('job', onEvent);
+  req.on('close', close);
+});
+
+// Cancel a queued or running search
+router.delete('/seed/generate/:jobId', (req, res) => {
+  const job = cancelSearchJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Search job not found' });
+  }
+  res.json(job);
+});
+
+// World backup analyzer: a zip/tar/tar.gz world archive (raw body or base64
+// backupData) or individual files ([{ name, data }] with base64 data)
+router.post('/backup/analyze', express.raw({ type: WORLD_UPLOAD_TYPES, limit: WORLD_UPLOAD_LIMIT }), (req, res) => {
+  let upload;
+  try {
+    upload = readWorldUpload(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  let world;
+  try {
+    world = analyzeWorld(upload.files);
+  } catch (error) {
+    return res.status(worldErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+
+  const analysis = {
+    worldName: upload.worldName || world.level?.levelName || null,
+    source: upload.source,
+    archiveType: upload.archiveType,
+    edition: world.edition,
+    size: formatBytes(world.sizes.total),
+    sizeBytes: world.sizes.total,
+    sizes: world.sizes,
+    files: world.files,
+    chunks: world.chunks,
+    dimensions: world.dimensions,
+    playerData: world.playerData,
+    gamemode: world.level?.gamemode ?? null,
+    difficulty: world.level?.difficulty ?? null,
+    version: world.level?.version ?? null,
+    dataVersion: world.level?.dataVersion ?? null,
+    lastPlayed: world.level?.lastPlayed ?? null,
+    level: world.level,
+    chunkStatus: world.chunkStatus,
+    chunkDataVersions: world.chunkDataVersions,
+    structures: world.structures,
+    biomes: world.biomes,
+    chunkTimestamps: world.chunkTimestamps,
+    corruption: world.corruption,
+    notes: world.notes
+  };
 
   res.json({
     analysis,
-    recommendations,
-    health: analysis.corruption.detected ? 'Warning' : 'Good',
+    recommendations: generateBackupRecommendations(analysis),
+    health: analysis.corruption.detected ? 'Corrupt' : (analysis.corruption.warnings > 0 || !analysis.level ? 'Warning' : 'Good'),
     timestamp: new Date().toISOString()
   });
 });
 
-// World optimization suggestions
-router.post('/optimize', (req, res) => {
-  const { worldData, targetVersion, performance } = req.body;
-  
-  const optimizations = {
-    chunks: {
-      unused: Math.floor(Math.random() * 1000),
-      corrupted: Math.floor(Math.random() * 10),
-      recommendations: [
-        'Remove unused chunks to reduce world size',
-        'Regenerate corrupted chunks',
-        'Optimize chunk loading patterns'
-      ]
-    },
-    entities: {
-      total: Math.floor(Math.random() * 10000) + 1000,
-      excessive: Math.floor(Math.random() * 100),
-      recommendations: [
-        'Reduce entity count in crowded areas',
-        'Remove unnecessary item frames and armor stands',
-        'Optimize mob farms'
-      ]
+// World trimming: drop chunks below an InhabitedTime threshold or outside a
+// radius/polygon around spawn and return compacted region files. Takes the
+// same uploads as /backup/analyze; options come from the JSON body or query.
+router.post('/optimize', express.raw({ type: WORLD_UPLOAD_TYPES, limit: WORLD_UPLOAD_LIMIT }), (req, res) => {
+  const options = Buffer.isBuffer(req.body) ? readTrimQuery(req.query) : (req.body || {});
+  const dryRun = options.dryRun === true || options.dryRun === 'true';
+  const output = options.output || 'files';
+
+  if (!['files', 'zip'].includes(output)) {
+    return res.status(400).json({ error: 'output must be files or zip' });
+  }
+
+  let upload;
+  try {
+    normalizeTrimOptions(options);
+    upload = readWorldUpload(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  let result;
+  try {
+    result = trimWorld(upload.files, options);
+  } catch (error) {
+    return res.status(worldErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
+
+  const changed = result.files.filter(file => file.data);
+  const deleted = result.files.filter(file => !file.data).map(file => file.path);
+
+  res.json({
+    worldName: upload.worldName || null,
+    dryRun,
+    center: result.center,
+    criteria: {
+      minInhabitedTime: result.options.minInhabitedTime,
+      radius: result.options.radius,
+      polygon: result.options.polygon,
+      dimensions: result.options.dimensions
     },
-    redstone: {
-      circuits: Math.floor(Math.random() * 500),
-      laggy: Math.floor(Math.random() * 50),
-      recommendations: [
-        'Optimize clock circuits',
-        'Reduce hopper usage',
-        'Use observers instead of BUD switches'
-      ]
+    size: {
+      before: formatBytes(result.size.before),
+      after: formatBytes(result.size.after),
+      saved: formatBytes(result.size.saved),
+      ...result.size
     },
-    storage: {
-      currentSize: Math.floor(Math.random() * 2000) + 500 + ' MB',
-      optimizedSize: Math.floor(Math.random() * 1500) + 300 + ' MB',
-      savings: Math.floor(Math.random() * 500) + 100 + ' MB'
+    chunks: result.chunks,
+    dimensions: result.dimensions,
+    removedChunks: result.removed,
+    removedTruncated: result.removedTruncated,
+    skipped: result.skipped,
+    rewrittenFiles: changed.map(file => ({ path: file.path, size: file.size })),
+    deletedFiles: deleted,
+    ...(!dryRun && output === 'files' && {
+      files: changed.map(file => ({ path: file.path, size: file.size, data: file.data.toString('base64') }))
+    }),
+    ...(!dryRun && output === 'zip' && {
+      archive: writeZip(changed.map(file => ({ path: file.path, data: file.data }))).toString('base64')
+    }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// World upgrade planner: reads the world's DataVersion and counts the
+// block, item and entity IDs that toVersion renames, flattens or removes.
+// Takes the same uploads as /backup/analyze; without one, fromVersion
+// lists the mapping table entries between two versions.
+router.post('/convert', express.raw({ type: WORLD_UPLOAD_TYPES, limit: WORLD_UPLOAD_LIMIT }), (req, res) => {
+  const options = Buffer.isBuffer(req.body) ? req.query : (req.body || {});
+  const { fromVersion, toVersion } = options;
+
+  if (!toVersion) {
+    return res.status(400).json({ error: 'toVersion is required', availableVersions: Object.keys(DATA_VERSIONS) });
+  }
+
+  if (!Buffer.isBuffer(req.body) && !options.backupData && !options.files) {
+    if (!fromVersion) {
+      return res.status(400).json({ error: 'Upload a world, or give fromVersion to list the changes between two versions' });
     }
-  };
+    try {
+      const plan = listUpgradeChanges({ fromVersion, toVersion });
+      return res.json({ plan, steps: generateUpgradeSteps(plan), timestamp: new Date().toISOString() });
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+  }
 
-  const performanceImpact = {
-    tps: '+' + (Math.random() * 5 + 1).toFixed(1),
-    memoryUsage: '-' + Math.floor(Math.random() * 30 + 10) + '%',
-    loadTime: '-' + Math.floor(Math.random() * 50 + 20) + '%'
-  };
+  let upload;
+  try {
+    upload = readWorldUpload(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  let plan;
+  try {
+    plan = planUpgrade(upload.files, { toVersion });
+  } catch (error) {
+    return res.status(worldErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
 
   res.json({
-    worldAnalysis: optimizations,
-    performanceImpact,
-    priority: ['High', 'Medium', 'Low'][Math.floor(Math.random() * 3)],
-    estimatedTime: Math.floor(Math.random() * 60) + 15 + ' minutes',
+    worldName: upload.worldName || plan.world.levelName,
+    plan,
+    steps: generateUpgradeSteps(plan),
+    recommendation: plan.summary.unknown.ids > 0 || plan.summary.removed.ids > 0 ? 'Proceed with caution' : 'Safe to upgrade',
     timestamp: new Date().toISOString()
   });
 });
 
-// World converter (between versions)
-router.post('/convert', (req, res) => {
-  const { fromVersion, toVersion, worldName, options = {} } = req.body;
-  
-  if (!fromVersion || !toVersion || !worldName) {
-    return res.status(400).json({ error: 'From version, to version, and world name required' });
-  }
-
-  const conversionPlan = {
-    worldName,
-    fromVersion,
-    toVersion,
-    compatibility: calculateVersionCompatibility(fromVersion, toVersion),
-    steps: generateConversionSteps(fromVersion, toVersion),
-    warnings: generateConversionWarnings(fromVersion, toVersion),
-    estimatedTime: Math.floor(Math.random() * 120) + 30 + ' minutes',
-    backupRequired: true,
-    risks: assessConversionRisks(fromVersion, toVersion)
-  };
+// World registration: the upload is analyzed once and its summary kept, so
+// statistics can be read later without uploading the world again. Takes
+// the same uploads as /backup/analyze.
+router.post('/', express.raw({ type: WORLD_UPLOAD_TYPES, limit: WORLD_UPLOAD_LIMIT }), (req, res) => {
+  let upload;
+  try {
+    upload = readWorldUpload(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  let world;
+  let playerStats;
+  try {
+    world = analyzeWorld(upload.files);
+    playerStats = readPlayerStats(upload.files);
+  } catch (error) {
+    return res.status(worldErrorStatus(error)).json({ error: error.message, code: error.code });
+  }
 
-  const preview = {
-    blocksAffected: Math.floor(Math.random() * 10000) + 1000,
-    itemsAffected: Math.floor(Math.random() * 5000) + 500,
-    structuresAffected: Math.floor(Math.random() * 100) + 10,
-    newFeatures: getNewFeatures(fromVersion, toVersion)
+  const record = {
+    id: crypto.randomUUID(),
+    name: upload.worldName || world.level?.levelName || null,
+    source: upload.source,
+    archiveType: upload.archiveType,
+    edition: world.edition,
+    version: world.level?.version ?? null,
+    dataVersion: world.level?.dataVersion ?? null,
+    seed: world.level?.seed ?? null,
+    gamemode: world.level?.gamemode ?? null,
+    difficulty: world.level?.difficulty ?? null,
+    lastPlayed: world.level?.lastPlayed ?? null,
+    time: world.level?.time ?? null,
+    sizeBytes: world.sizes.total,
+    chunks: world.chunks,
+    dimensions: world.dimensions.map(dimension => ({ name: dimension.name, chunks: dimension.chunks })),
+    biomes: world.biomes,
+    structures: world.structures,
+    players: playerStats.players,
+    advancementsKnown: playerStats.advancementsKnown,
+    notes: [...world.notes, ...playerStats.notes],
+    registeredAt: new Date().toISOString()
   };
+  if (record.players.length === 0) {
+    record.notes.push('No stats, advancements or player data files were found');
+  }
 
-  res.json({
-    conversionPlan,
-    preview,
-    recommendation: conversionPlan.compatibility > 80 ? 'Safe to convert' : 'Proceed with caution',
+  registeredWorlds.set(record.id, record);
+
+  res.status(201).json({
+    world: formatRegisteredWorld(record),
+    links: { stats: `/api/mc/worlds/stats/${record.id}` },
     timestamp: new Date().toISOString()
   });
 });
 
-// World statistics and insights
-router.get('/stats/:worldId', (req, res) => {
+router.get('/', (req, res) => {
+  const worlds = Array.from(registeredWorlds.values())
+    .sort((a, b) => new Date(b.registeredAt) - new Date(a.registeredAt))
+    .map(formatRegisteredWorld);
+
+  res.json({ worlds, total: worlds.length, timestamp: new Date().toISOString() });
+});
+
+router.delete('/:worldId', (req, res) => {
+  if (!registeredWorlds.delete(req.params.worldId)) {
+    return res.status(404).json({ error: 'World not found', code: 'WORLD_NOT_FOUND' });
+  }
+  res.json({ message: 'World removed', worldId: req.params.worldId });
+});
+
+// Player statistics of a registered world, per player (keyed by UUID) and
+// in total. Names come from the player files or usercache.json, otherwise
+// from Mojang unless resolveNames=false.
+router.get('/stats/:worldId', async (req, res) => {
   const { worldId } = req.params;
-  const { detailed = false } = req.query;
+  const { detailed = false, resolveNames = 'true' } = req.query;
+
+  const world = registeredWorlds.get(worldId);
+  if (!world) {
+    return res.status(404).json({ error: 'World not found; register it with POST /api/mc/worlds first', code: 'WORLD_NOT_FOUND' });
+  }
+
+  const unnamed = world.players.filter(player => player.uuid && !player.name).map(player => player.uuid);
+  let names = {};
+  if (resolveNames !== 'false' && unnamed.length > 0) {
+    try {
+      names = await resolvePlayerNames(unnamed);
+    } catch (error) {
+      names = {};
+    }
+  }
+
+  const players = {};
+  world.players.forEach(player => {
+    const entry = { ...player, name: player.name || names[player.uuid] || null };
+    players[player.uuid || player.name] = detailed === 'true' ? entry : compactPlayerStats(entry);
+  });
+  const totals = totalPlayerStats(world.players);
 
   const stats = {
     worldId,
+    worldName: world.name,
+    version: world.version,
+    dataVersion: world.dataVersion,
     general: {
-      totalBlocks: Math.floor(Math.random() * 10000000) + 1000000,
-      totalChunks: Math.floor(Math.random() * 50000) + 5000,
-      playTime: Math.floor(Math.random() * 1000) + 100 + ' hours',
-      playerCount: Math.floor(Math.random() * 100) + 1,
-      worldAge: Math.floor(Math.random() * 365) + 30 + ' days'
+      playerCount: world.players.length,
+      totalChunks: world.chunks,
+      dimensions: world.dimensions,
+      sizeBytes: world.sizeBytes,
+      // Game days of 24000 ticks
+      worldAge: world.time === null ? null : Math.floor(world.time / 24000) + ' days',
+      lastPlayed: world.lastPlayed
     },
-    blocks: {
-      mostCommon: generateBlockDistribution(),
-      rarest: ['Ancient Debris', 'Dragon Egg', 'Bedrock', 'End Portal Frame'],
-      placed: Math.floor(Math.random() * 1000000) + 100000,
-      broken: Math.floor(Math.random() * 800000) + 80000
-    },
-    biomes: {
-      discovered: Math.floor(Math.random() * 30) + 20,
-      mostExplored: generateRandomBiomes().slice(0, 5),
-      rarest: ['Mushroom Fields', 'Modified Jungle Edge', 'Deep Warm Ocean']
-    },
-    structures: {
-      villages: Math.floor(Math.random() * 50) + 10,
-      dungeons: Math.floor(Math.random() * 200) + 50,
-      strongholds: Math.floor(Math.random() * 3) + 1,
-      endCities: Math.floor(Math.random() * 10),
-      netherFortresses: Math.floor(Math.random() * 20) + 5
-    }
+    totals,
+    players
   };
 
   if (detailed === 'true') {
     stats.detailed = {
-      exploration: {
-        percentage: Math.floor(Math.random() * 100) + '%',
-        unexploredAreas: Math.floor(Math.random() * 1000) + 100,
-        farthestPoint: {
-          x: Math.floor(Math.random() * 100000) - 50000,
-          z: Math.floor(Math.random() * 100000) - 50000
-        }
-      },
-      resources: generateResourceStats(),
-      achievements: Math.floor(Math.random() * 50) + 20,
-      deaths: Math.floor(Math.random() * 100) + 10,
-      mobsKilled: Math.floor(Math.random() * 10000) + 1000
+      advancementsKnown: world.advancementsKnown,
+      biomes: world.biomes,
+      structures: world.structures
     };
   }
 
   res.json({
     statistics: stats,
-    insights: generateWorldInsights(stats),
+    insights: generateWorldInsights(world, totals),
+    notes: world.notes,
+    registeredAt: world.registeredAt,
     timestamp: new Date().toISOString()
   });
 });
 
 // Helper functions
-function parseSeed(seed) {
-  if (typeof seed === 'string' && isNaN(seed)) {
-    // Convert string to number using hash
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-      const char = seed.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash;
-  }
-  return parseInt(seed) || 0;
-}
-
-function analyzeWorldSeed(seed, version) {
-  const random = new Random(seed);
-  
-  const biomes = [
-    'Plains', 'Forest', 'Desert', 'Mountains', 'Swamp', 'Taiga', 'Ocean',
-    'Jungle', 'Savanna', 'Ice Plains', 'Mushroom Fields', 'Beach', 'River'
-  ];
-  
-  const structures = [
-    'Village', 'Desert Temple', 'Jungle Temple', 'Witch Hut', 'Ocean Monument',
-    'Woodland Mansion', 'Stronghold', 'Mineshaft', 'Dungeon', 'Ruined Portal'
-  ];
-
-  return {
-    spawnBiome: biomes[random.nextInt(biomes.length)],
-    nearbyBiomes: random.shuffle(biomes).slice(0, 5),
-    structures: random.shuffle(structures).slice(0, 6).map(structure => ({
-      type: structure,
-      distance: random.nextInt(2000) + 100,
-      coordinates: {
-        x: random.nextInt(4000) - 2000,
-        z: random.nextInt(4000) - 2000
-      }
-    })),
-    resources: {
-      diamonds: random.nextInt(50) + 10,
-      emeralds: random.nextInt(20) + 5,
-      ancientDebris: random.nextInt(10) + 2
-    },
-    difficulty: ['Easy', 'Medium', 'Hard', 'Extreme'][random.nextInt(4)],
-    uniqueFeatures: generateUniqueFeatures(random),
-    coordinates: {
-      spawn: { x: 0, y: 64, z: 0 },
-      stronghold: { 
-        x: random.nextInt(2000) - 1000, 
-        y: random.nextInt(30) + 20, 
-        z: random.nextInt(2000) - 1000 
-      }
-    }
-  };
-}
+function generateBackupRecommendations(analysis) {
+  const recommendations = [];
+  const issueTypes = new Set(analysis.corruption.issues.map(issue => issue.type));
 
-function generateCustomSeed(biomes, structures, difficulty) {
-  // Generate seed based on criteria
-  let seed = Math.floor(Math.random() * 2147483647);
-  
-  // Adjust seed based on criteria (simplified)
-  if (biomes.length > 0) {
-    seed += biomes.join('').length * 1000;
+  if (analysis.corruption.detected) {
+    recommendations.push(`Fix ${analysis.corruption.errors} corruption issue(s) before restoring this backup`);
   }
-  
-  if (structures.length > 0) {
-    seed += structures.join('').length * 500;
+  if (issueTypes.has('coordinate_mismatch')) {
+    recommendations.push('Some chunks are stored in the wrong region slot; the game will relocate or regenerate them');
   }
-  
-  return seed;
-}
-
-function calculateMatchScore(analysis, criteria) {
-  let score = 0;
-  
-  if (criteria.biomes.length > 0) {
-    const matches = analysis.nearbyBiomes.filter(biome => 
-      criteria.biomes.some(cb => biome.toLowerCase().includes(cb.toLowerCase()))
-    ).length;
-    score += (matches / criteria.biomes.length) * 40;
-  }
-  
-  if (criteria.structures.length > 0) {
-    const matches = analysis.structures.filter(structure => 
-      criteria.structures.some(cs => structure.type.toLowerCase().includes(cs.toLowerCase()))
-    ).length;
-    score += (matches / criteria.structures.length) * 40;
-  }
-  
-  if (criteria.difficulty !== 'any') {
-    if (analysis.difficulty.toLowerCase() === criteria.difficulty.toLowerCase()) {
-      score += 20;
-    }
+  if (issueTypes.has('bad_offset') || issueTypes.has('oversized_sectors') || issueTypes.has('overlapping_sectors')) {
+    recommendations.push('Region headers point at invalid sectors; take a fresh backup or remove the affected chunks');
   }
-  
-  return Math.min(score, 100);
-}
-
-function generateRandomBiomes() {
-  const allBiomes = [
-    'Plains', 'Forest', 'Desert', 'Mountains', 'Swamp', 'Taiga', 'Ocean',
-    'Jungle', 'Savanna', 'Ice Plains', 'Tundra', 'Mushroom Fields', 'Beach',
-    'River', 'Nether Wastes', 'Soul Sand Valley', 'Crimson Forest', 'Warped Forest',
-    'Basalt Deltas', 'The End', 'End Highlands', 'End Midlands', 'Small End Islands'
-  ];
-  
-  return allBiomes.sort(() => 0.5 - Math.random()).slice(0, Math.floor(Math.random() * 10) + 5);
-}
-
-function generateBackupRecommendations(analysis) {
-  const recommendations = [];
-  
-  if (analysis.corruption.detected) {
-    recommendations.push('Fix corruption issues before using this backup');
-    recommendations.push('Run world repair tools');
+  if (issueTypes.has('decompression_failed') || issueTypes.has('invalid_nbt')) {
+    recommendations.push('Unreadable chunks will be regenerated on load; restore them from an older backup if they matter');
+  }
+  if (issueTypes.has('missing_external_chunk')) {
+    recommendations.push('Include the .mcc files next to the region files when backing up');
+  }
+  if (issueTypes.has('wasted_sectors')) {
+    recommendations.push('Region files contain unused sectors; optimizing the world will compact them');
+  }
+  if (!analysis.level) {
+    recommendations.push('Include a readable level.dat in the backup');
   }
-  
-  if (analysis.size > 500) {
+  if (analysis.chunks === 0 && analysis.edition === 'java') {
+    recommendations.push('No region files were found; check that the backup contains the world folder');
+  }
+  if (Object.keys(analysis.chunkDataVersions).length > 1) {
+    recommendations.push('Chunks were saved by different game versions; open the world once in the newest version to upgrade them');
+  }
+  if (analysis.sizeBytes > 500 * 1024 * 1024) {
     recommendations.push('Consider world optimization to reduce size');
   }
-  
+
   recommendations.push('Create regular automated backups');
   recommendations.push('Test backup integrity periodically');
-  
+
   return recommendations;
 }
 
-function generateConversionSteps(fromVersion, toVersion) {
-  return [
-    'Create full world backup',
-    'Verify backup integrity',
-    'Update world format',
-    'Convert block IDs',
-    'Update entity data',
-    'Regenerate structures if needed',
-    'Test world loading',
-    'Verify player data'
-  ];
-}
+function generateUpgradeSteps(plan) {
+  const { summary, target } = plan;
+  const crossed = new Set(plan.formatChanges.map(change => change.version));
+  const steps = [`Back up the world before opening it in ${target.version}`];
 
-function generateConversionWarnings(fromVersion, toVersion) {
-  const warnings = [];
-  
-  if (parseFloat(fromVersion.replace('1.', '')) < parseFloat(toVersion.replace('1.', ''))) {
-    warnings.push('Some blocks may change appearance');
-    warnings.push('New world generation may create chunk borders');
-    warnings.push('Some redstone circuits may break');
+  if (summary.unknown?.ids > 0) {
+    const ids = Object.values(plan.unknown).flat().slice(0, 5).map(entry => entry.id);
+    steps.push(`Remove or keep the mods behind ${summary.unknown.ids} non-vanilla ID(s) (${ids.join(', ')}); vanilla drops them on load`);
+  }
+  if (summary.removed.ids > 0) {
+    steps.push(`${summary.removed.ids} ID(s) no longer exist in ${target.version}; their data is dropped during the upgrade`);
+  }
+  if (summary.split.ids > 0) {
+    steps.push(`${summary.split.ids} ID(s) are split by variant; check the notes for which tag decides the new ID`);
   }
-  
-  return warnings;
+  if (summary.renamed.ids > 0 || summary.flattened.ids > 0) {
+    steps.push('Update command blocks, functions, datapacks and plugin configs that use the old IDs; the world itself is converted by the game');
+  }
+  if (crossed.has('1.18')) {
+    steps.push('Expect terrain blending where old chunks meet new ones, and new caves below y=0 under existing chunks');
+  }
+  steps.push(`Open the world in ${target.version} with Optimize World (or start the server with --forceUpgrade) to convert every chunk at once`);
+  return steps;
 }
 
-function calculateVersionCompatibility(fromVersion, toVersion) {
-  const from = parseFloat(fromVersion.replace('1.', ''));
-  const to = parseFloat(toVersion.replace('1.', ''));
-  
-  const diff = Math.abs(to - from);
-  
-  if (diff === 0) return 100;
-  if (diff <= 1) return 95;
-  if (diff <= 2) return 85;
-  if (diff <= 3) return 70;
-  return 50;
-}
+function generateSeedRecommendations(analysis) {
+  const recommendations = [];
+  const near = (type, distance) => analysis.nearest[type] && analysis.nearest[type].distance <= distance;
 
-function assessConversionRisks(fromVersion, toVersion) {
-  return [
-    'Data loss in corrupted chunks',
-    'Redstone circuit malfunction',
-    'Block ID conflicts',
-    'Entity data corruption',
-    'World generation inconsistencies'
-  ];
-}
+  if (near('village', 500)) {
+    recommendations.push('Great for quick start - village attempt within 500 blocks');
+  }
+  if (near('ruined_portal', 300)) {
+    recommendations.push('Ruined portal nearby for an early Nether trip');
+  }
+  if (near('woodland_mansion', 5000)) {
+    recommendations.push('Woodland mansion attempt within 5000 blocks - check for a dark forest there');
+  }
+  if (near('ocean_monument', 1000)) {
+    recommendations.push('Ocean monument attempt within 1000 blocks - check for deep ocean there');
+  }
+  if (analysis.slimeChunks.atCenter) {
+    recommendations.push('The center chunk is a slime chunk - good for an early slime farm');
+  } else if (analysis.slimeChunks.nearest) {
+    const { x, z } = analysis.slimeChunks.nearest.coordinates;
+    recommendations.push(`Nearest slime chunk is centred on ${x}, ${z}`);
+  }
 
-function getNewFeatures(fromVersion, toVersion) {
-  const features = {
-    '1.17': ['Copper', 'Amethyst', 'Glow Squid', 'Axolotl'],
-    '1.18': ['New World Generation', 'Deep Dark', 'Sculk Blocks'],
-    '1.19': ['Warden', 'Ancient Cities', 'Mangrove Swamp', 'Frogs'],
-    '1.20': ['Cherry Blossom', 'Archaeology', 'Armor Trims', 'Bamboo Blocks']
-  };
-  
-  return features[toVersion] || ['Various improvements and bug fixes'];
+  return recommendations;
 }
 
-function generateBlockDistribution() {
-  return [
-    { block: 'Stone', percentage: 35 },
-    { block: 'Dirt', percentage: 20 },
-    { block: 'Water', percentage: 15 },
-    { block: 'Air', percentage: 10 },
-    { block: 'Sand', percentage: 8 },
-    { block: 'Gravel', percentage: 5 },
-    { block: 'Wood', percentage: 4 },
-    { block: 'Other', percentage: 3 }
-  ];
+function generateWorldInsights(world, totals) {
+  const insights = [];
+  const mostPlayed = world.players[0];
+
+  if (totals.playTime.hours > 100) {
+    insights.push(`Players have spent ${Math.round(totals.playTime.hours)} hours in this world`);
+  }
+  if (mostPlayed && world.players.length > 1 && mostPlayed.playTime.ticks > 0) {
+    insights.push(`${mostPlayed.name || mostPlayed.uuid} accounts for ${Math.round((mostPlayed.playTime.ticks / Math.max(1, totals.playTime.ticks)) * 100)}% of the playtime`);
+  }
+  if (totals.blocks.placed > totals.blocks.mined && totals.blocks.placed > 10000) {
+    insights.push('More blocks were placed than mined - a builder world');
+  }
+  if (totals.distance.blocks > 100000) {
+    insights.push(`Players travelled ${Math.round(totals.distance.blocks / 1000)} km between them`);
+  }
+  if (totals.players > 0 && totals.deaths / totals.players > 50) {
+    insights.push('A dangerous world - over 50 deaths per player');
+  }
+
+  return insights;
 }
 
-function generateResourceStats() {
+// Per-player stats without the block, kill, distance and advancement breakdowns
+function compactPlayerStats(player) {
+  const { topKilled, ...rest } = player;
   return {
-    coal: Math.floor(Math.random() * 10000) + 1000,
-    iron: Math.floor(Math.random() * 5000) + 500,
-    gold: Math.floor(Math.random() * 1000) + 100,
-    diamond: Math.floor(Math.random() * 500) + 50,
-    emerald: Math.floor(Math.random() * 200) + 20,
-    netherite: Math.floor(Math.random() * 50) + 5
+    ...rest,
+    blocks: { mined: player.blocks.mined, placed: player.blocks.placed },
+    distance: { blocks: player.distance.blocks },
+    advancements: {
+      completed: player.advancements.completed,
+      inProgress: player.advancements.inProgress,
+      completion: player.advancements.completion
+    }
   };
 }
 
-function generateUniqueFeatures(random) {
-  const features = [
-    'Rare biome combination',
-    'Multiple villages nearby',
-    'Exposed stronghold',
-    'Surface lava lake',
-    'Natural mob spawner',
-    'Unusual terrain formation',
-    'Multiple ocean monuments',
-    'Woodland mansion close to spawn'
-  ];
-  
-  return random.shuffle(features).slice(0, random.nextInt(3) + 1);
+function formatRegisteredWorld(world) {
+  return {
+    id: world.id,
+    name: world.name,
+    edition: world.edition,
+    version: world.version,
+    dataVersion: world.dataVersion,
+    seed: world.seed,
+    gamemode: world.gamemode,
+    difficulty: world.difficulty,
+    lastPlayed: world.lastPlayed,
+    size: formatBytes(world.sizeBytes),
+    chunks: world.chunks,
+    players: world.players.length,
+    notes: world.notes,
+    registeredAt: world.registeredAt
+  };
 }
 
-function generateSeedRecommendations(analysis) {
-  const recommendations = [];
-  
-  if (analysis.structures.some(s => s.type === 'Village' && s.distance < 500)) {
-    recommendations.push('Great for quick start - village nearby');
+function readWorldUpload(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return { ...loadWorldFiles({ archive: req.body }), worldName: req.query.worldName };
   }
-  
-  if (analysis.nearbyBiomes.includes('Desert') && analysis.nearbyBiomes.includes('Ocean')) {
-    recommendations.push('Diverse biomes for varied gameplay');
+
+  const { worldName, backupData, files } = req.body || {};
+  if (backupData) {
+    const archive = decodeBase64(backupData);
+    if (!archive) throw createError('backupData must be a base64-encoded zip, tar or tar.gz archive', 'WORLD_INVALID_DATA');
+    return { ...loadWorldFiles({ archive }), worldName };
   }
-  
-  if (analysis.difficulty === 'Hard') {
-    recommendations.push('Challenging seed for experienced players');
+
+  if (Array.isArray(files) && files.length > 0) {
+    const decoded = files.map((file, index) => {
+      const data = decodeBase64(file?.data);
+      if (typeof file?.name !== 'string' || !data) {
+        throw createError(`files[${index}] needs a name and base64 data`, 'WORLD_INVALID_DATA');
+      }
+      return { path: file.name, data };
+    });
+    return { ...loadWorldFiles({ files: decoded }), worldName };
   }
-  
-  recommendations.push('Suitable for ' + ['survival', 'creative', 'adventure'][Math.floor(Math.random() * 3)] + ' mode');
-  
-  return recommendations;
+
+  throw createError('Upload a world archive, or provide backupData (base64 archive) or files ([{ name, data }])', 'WORLD_NO_DATA');
 }
 
-function generateWorldInsights(stats) {
-  const insights = [];
-  
-  if (stats.general.totalBlocks > 5000000) {
-    insights.push('This is a well-developed world with extensive building');
-  }
-  
-  if (stats.biomes.discovered > 25) {
-    insights.push('Excellent exploration - most biomes discovered');
-  }
-  
-  if (stats.structures.villages > 20) {
-    insights.push('Rich in villages - great for trading');
-  }
-  
-  return insights;
+// Trim options for raw uploads: ?radius=512&centerX=0&centerZ=0&polygon=0,0;100,0;100,100
+function readTrimQuery(query) {
+  const number = (value) => (value === undefined ? null : Number(value));
+  return {
+    minInhabitedTime: number(query.minInhabitedTime),
+    radius: number(query.radius),
+    center: query.centerX !== undefined || query.centerZ !== undefined
+      ? { x: number(query.centerX), z: number(query.centerZ) }
+      : null,
+    polygon: query.polygon ? String(query.polygon).split(';').map(point => point.split(',').map(Number)) : null,
+    dimensions: query.dimensions ? String(query.dimensions).split(',') : null,
+    dryRun: query.dryRun,
+    output: query.output
+  };
 }
 
-// Simple random number generator for consistent results
-class Random {
-  constructor(seed) {
-    this.seed = seed;
-  }
-  
-  nextInt(max) {
-    this.seed = (this.seed * 9301 + 49297) % 233280;
-    return Math.floor((this.seed / 233280) * max);
-  }
-  
-  shuffle(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = this.nextInt(i + 1);
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }
+function worldErrorStatus(error) {
+  if (error.code === 'ARCHIVE_TOO_LARGE') return 413;
+  if (error.code && /^(ARCHIVE|WORLD|NBT|TRIM|CHUNK|UPGRADE)_/.test(error.code)) return 400;
+  return 500;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
 module.exports = router;
@@ -3,19 +3,24 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
 require('dotenv').config();
+const { getStorageInfo } = require('./lib/storage');
+const {
+  SCOPES,
+  issueApiKey,
+  revokeApiKey,
+  listApiKeys,
+  validateScopes,
+  hasScope,
+  requireScope,
+  protectRouteGroup
+} = require('./lib/auth/apiKeys');
+const { rateLimitMiddleware, getTierNames, getRateLimitInfo } = require('./lib/rateLimit');
+const { attachRealtimeWebSocket, WS_PATH } = require('./lib/realtime/websocket');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Rate limiting
-const rateLimiter = new RateLimiterMemory({
-  keyGenerator: (req) => req.ip,
-  points: 100, // Number of requests
-  duration: 60, // Per 60 seconds
-});
-
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -24,19 +29,8 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Rate limiting middleware
-app.use(async (req, res, next) => {
-  try {
-    await rateLimiter.consume(req.ip);
-    next();
-  } catch (rejRes) {
-    res.status(429).json({
-      error: 'Too Many Requests',
-      message: 'Rate limit exceeded. Try again later.',
-      retryAfter: Math.round(rejRes.msBeforeNext / 1000) || 1,
-    });
-  }
-});
+// Rate limiting: per API key (by tier) or per IP, weighted by request cost
+app.use(rateLimitMiddleware());
 
 // Import route modules
 const dataRoutes = require('./routes/utils/data');
@@ -58,6 +52,94 @@ const performanceRoute = require('./routes/minecraft/performance');
 const economyRoute = require('./routes/minecraft/economy');
 const permissionsRoute = require('./routes/minecraft/permissions');
 const moderationRoute = require('./routes/minecraft/moderation');
+const notificationsRoute = require('./routes/minecraft/notifications');
+const nbtRoute = require('./routes/minecraft/nbt');
+const schematicsRoute = require('./routes/minecraft/schematics');
+
+// API key management. ADMIN_API_KEY (or any key with api:keys:admin) is
+// needed to issue and revoke keys; the plain key is only shown once.
+app.post('/api/keys', requireScope('api:keys:admin'), (req, res) => {
+  const { name, scopes, tier, expiresAt } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'Key name is required' });
+  }
+
+  const scopeError = validateScopes(scopes);
+  if (scopeError) {
+    return res.status(400).json({ error: scopeError, availableScopes: Object.keys(SCOPES) });
+  }
+
+  // A key can only hand out scopes it holds itself
+  const escalated = scopes.filter(scope => (scope === '*' || scope.endsWith(':*'))
+    ? !req.apiKey.scopes.includes('*')
+    : !hasScope(req.apiKey.scopes, scope));
+  if (escalated.length > 0) {
+    return res.status(403).json({ error: 'Cannot grant scopes the issuing key does not hold', scopes: escalated });
+  }
+
+  if (tier && !getTierNames().includes(tier)) {
+    return res.status(400).json({ error: `Unknown rate limit tier: ${tier}`, availableTiers: getTierNames() });
+  }
+
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return res.status(400).json({ error: 'expiresAt must be a valid date' });
+  }
+
+  const { key, record } = issueApiKey({
+    name,
+    scopes,
+    tier: tier || null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    createdBy: req.apiKey.id
+  });
+
+  res.status(201).json({
+    key,
+    apiKey: record,
+    message: 'Store this key now, it cannot be retrieved again'
+  });
+});
+
+app.get('/api/keys', requireScope('api:keys:admin'), (req, res) => {
+  const keys = listApiKeys();
+  res.json({
+    keys,
+    total: keys.length,
+    availableScopes: SCOPES,
+    availableTiers: getTierNames()
+  });
+});
+
+app.delete('/api/keys/:keyId', requireScope('api:keys:admin'), (req, res) => {
+  const apiKey = revokeApiKey(req.params.keyId);
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  res.json({
+    message: 'API key revoked',
+    apiKey
+  });
+});
+
+// Scopes for route groups that change state. Reads stay public except for
+// server configs and notification channels, which carry credentials, and
+// the world registry, which holds seeds and player data.
+app.use('/api/mc/config', protectRouteGroup({ read: 'mc:config:read', write: 'mc:config:write' }));
+app.use('/api/mc/automation', protectRouteGroup({ write: 'mc:automation:write' }));
+app.use('/api/mc/economy', protectRouteGroup({ write: 'mc:economy:write' }));
+app.use('/api/mc/permissions', protectRouteGroup({
+  write: 'mc:permissions:admin',
+  publicRoutes: ['POST /check']
+}));
+app.use('/api/mc/moderation', protectRouteGroup({ write: 'mc:moderation:write' }));
+app.use('/api/mc/notifications', protectRouteGroup({ read: 'mc:notifications:read', write: 'mc:notifications:write' }));
+// Only the world registry; the upload tools and seed searches under
+// /api/mc/worlds stay open like /api/mc/nbt and /api/mc/schematics
+app.post('/api/mc/worlds', requireScope('mc:worlds:write'));
+app.delete('/api/mc/worlds/:worldId', requireScope('mc:worlds:write'));
+app.get(['/api/mc/worlds', '/api/mc/worlds/stats/:worldId'], requireScope('mc:worlds:read'));
 
 // Use routes
 app.use('/api/utils', dataRoutes);
@@ -79,6 +161,9 @@ app.use('/api/mc/performance', performanceRoute);
 app.use('/api/mc/economy', economyRoute);
 app.use('/api/mc/permissions', permissionsRoute);
 app.use('/api/mc/moderation', moderationRoute);
+app.use('/api/mc/notifications', notificationsRoute);
+app.use('/api/mc/nbt', nbtRoute);
+app.use('/api/mc/schematics', schematicsRoute);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -103,7 +188,13 @@ app.get('/', (req, res) => {
         '/api/mc/performance - Performance optimization tools',
         '/api/mc/economy - Economy management system',
         '/api/mc/permissions - Permission and whitelist management',
-        '/api/mc/moderation - Chat analysis and moderation tools'
+        '/api/mc/moderation - Chat analysis and moderation tools',
+        '/api/mc/notifications - Alert delivery to webhooks, Discord and Slack',
+        '/api/mc/nbt - NBT decode/encode (Java and Bedrock) and SNBT conversion',
+        '/api/mc/schematics - Schematic conversion (Sponge, MCEdit, Litematica, structure files)'
+      ],
+      'API Keys': [
+        '/api/keys - Issue, list and revoke API keys (requires api:keys:admin)'
       ],
       'Utility Tools': [
         '/api/utils/uuid - UUID generation',
@@ -143,7 +234,12 @@ app.get('/api/docs', (req, res) => {
       'Analytics & Monitoring': 'Performance and monitoring tools'
     },
     usage: 'All endpoints accept GET requests unless specified otherwise. POST requests require JSON body.',
-    rateLimit: '100 requests per minute per IP address'
+    authentication: 'Mutating /api/mc/config, automation, economy, permissions and moderation routes require an API key with the matching scope, sent as "Authorization: Bearer <key>" or "X-API-Key: <key>". Utility routes are public.',
+    scopes: SCOPES,
+    rateLimit: {
+      description: 'Anonymous requests are limited per IP, requests with an API key per key and tier. Batch endpoints cost one point per item. See the RateLimit-* response headers.',
+      ...getRateLimitInfo()
+    }
   });
 });
 
@@ -154,6 +250,8 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
+    storage: getStorageInfo(),
+    rateLimit: getRateLimitInfo().backend,
     version: '1.0.0'
   });
 });
@@ -177,10 +275,19 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+if (!process.env.ADMIN_API_KEY) {
+  console.warn('⚠️  ADMIN_API_KEY is not set; API keys cannot be issued until it is configured');
+}
+
+const server = app.listen(PORT, () => {
   console.log(`🚀 ShrekAPI is running on port ${PORT}`);
   console.log(`📚 Documentation available at http://localhost:${PORT}/api/docs`);
   console.log(`❤️  Health check at http://localhost:${PORT}/health`);
 });
 
+// Realtime dashboard WebSocket shares the HTTP server
+if (attachRealtimeWebSocket(server, { getSnapshot: dashboardRoute.getRealtimeSnapshot })) {
+  console.log(`📡 Realtime WebSocket at ws://localhost:${PORT}${WS_PATH}`);
+}
+
 module.exports = app;